@@ -7,6 +7,7 @@
 class BeamApp {
     constructor() {
         this.calculator = new BeamCalculator();
+        this.materials = new MaterialLibrary(this.calculator.materials);
         this.visualization = new BeamVisualization('beamCanvas');
         this.diagramCanvas = document.getElementById('diagramCanvas');
         this.diagramCtx = this.diagramCanvas.getContext('2d');
@@ -14,11 +15,73 @@ class BeamApp {
         this.currentResults = null;
         this.currentParams = null;
 
+        // Station index of the section stress diagram and the influence lines
+        this.stationIndex = 50;
+
+        // The 3D view shows the deflected beam ('deflection'), the buckled
+        // mode ('buckling'), an animated vibration mode ('vibration', index
+        // animatedMode into currentModal.modes) or plays back the time
+        // history ('history')
+        this.beamView = 'deflection';
+        this.animatedMode = null;
+        this.currentBuckling = null;
+        this.currentModal = null;
+        this.currentMoving = null;
+        this.currentHistory = null;
+        this.currentCombinations = null;
+        this.combinationTimer = null;
+        this.currentPlastic = null;
+        this.currentWarnings = [];
+        this.playbackFrame = 0;
+
+        // Loads and combinations list the load cases, so case edits re-render them
+        this.loadCaseTable = new LoadCaseTable('loadCaseTable', () => {
+            this.loadTable.render();
+            this.combinationTable.render();
+            this.calculate();
+        });
+        const getCases = () => this.loadCaseTable.getCases();
+
+        this.loadTable = new LoadTable('loadTable', () => this.calculate(), () => parseFloat(document.getElementById('length').value) || 2, getCases);
+        this.loadTable.setLoads([{ type: 'point', magnitude: 10000, position: 1, loadCase: 'live' }]);
+
+        this.combinationTable = new CombinationTable('combinationTable', () => this.calculate(), getCases);
+        this.loadCaseTable.render();
+        this.combinationTable.render();
+        this.initCombinationStandards();
+        this.initExportUnits();
+
+        this.supportTable = new SupportTable('supportTable', () => this.calculate());
+        this.supportTable.setPositions([1]);
+        this.supportConditionTable = new SupportConditionTable('supportConditionTable', () => this.calculate());
+
+        // Segments pick from the same material library
+        this.segmentTable = new SegmentTable('segmentTable', () => this.calculate(),
+            () => this.materials.getAll().map(({ key, record }) => ({ key, label: record.name })));
+
+        this.renderMaterialOptions('steel');
+
+        // Dimensions are kept per shape so switching shapes keeps the inputs
+        this.sectionDims = {};
+        this.initSectionInputs();
+
+        // Designation of the selected standard section (null for a custom section)
+        this.catalogue = new SectionCatalogue();
+        this.catalogueSection = null;
+        this.initCatalogue();
+
         this.initEventListeners();
         this.initDiagramCanvas();
 
-        // Initial calculation
-        setTimeout(() => this.calculate(), 100);
+        // Reports are dated today unless another date is entered
+        document.getElementById('reportDate').value = new Date().toISOString().slice(0, 10);
+
+        // The default beam backs "New"; the initial analysis runs on the
+        // project of a shared link or the autosaved one, when there is one.
+        // Analyses are autosaved from then on.
+        this.defaultProject = this.getProject();
+        this.autosave = false;
+        setTimeout(() => this.restoreProject(), 100);
     }
 
     initEventListeners() {
@@ -27,12 +90,49 @@ class BeamApp {
 
         // Beam type radio buttons
         document.querySelectorAll('input[name="beamType"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                document.getElementById('supportsSection').classList.toggle('hidden', e.target.value !== 'continuous');
+                document.getElementById('foundationSection').classList.toggle('hidden', e.target.value !== 'elastic-foundation');
+                this.calculate();
+            });
+        });
+
+        // Beam theory radio buttons
+        document.querySelectorAll('input[name="theory"]').forEach(radio => {
             radio.addEventListener('change', () => this.calculate());
         });
 
-        // Load type radio buttons
-        document.querySelectorAll('input[name="loadType"]').forEach(radio => {
-            radio.addEventListener('change', () => this.updateLoadInputs());
+        // Add interior support button
+        document.getElementById('addSupportBtn').addEventListener('click', () => {
+            const L = parseFloat(document.getElementById('length').value) || 2;
+            this.supportTable.addSupport(L / 2);
+        });
+
+        // Add a segment after the last one, starting with the beam section
+        document.getElementById('addSegmentBtn').addEventListener('click', () => {
+            const L = parseFloat(document.getElementById('length').value) || 2;
+            const last = Math.max(0, ...this.segmentTable.getSegments().map(segment => segment.end));
+            const shape = document.getElementById('sectionShape').value;
+            const section = this.catalogueSection
+                ? { shape: 'catalogue', designation: this.catalogueSection }
+                : { shape, dims: this.sectionDims[shape] };
+            this.segmentTable.addSegment(last < L ? last : 0, L, section);
+        });
+
+        // Add load button
+        document.getElementById('addLoadBtn').addEventListener('click', () => {
+            const L = parseFloat(document.getElementById('length').value) || 2;
+            this.loadTable.addLoad('point', L / 2);
+        });
+
+        // Load cases and combinations
+        document.getElementById('addLoadCaseBtn').addEventListener('click', () => this.loadCaseTable.addCase());
+        document.getElementById('addCombinationBtn').addEventListener('click', () => this.combinationTable.addCombination());
+
+        document.getElementById('generateCombinationsBtn').addEventListener('click', () => {
+            const standard = document.getElementById('combinationStandard').value;
+            this.combinationTable.setCombinations(LoadCombinations.generate(standard, this.loadCaseTable.getCases()));
+            this.calculate();
         });
 
         // Material select
@@ -43,12 +143,76 @@ class BeamApp {
             } else {
                 customDiv.classList.add('hidden');
             }
+            this.showMaterialActions(e.target.value);
+            this.calculate();
+        });
+
+        // Save the custom material to the library
+        document.getElementById('saveMaterialBtn').addEventListener('click', () => {
+            let key;
+            try {
+                key = this.materials.add(this.getCustomMaterial());
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+            this.renderMaterialOptions(key);
+            this.calculate();
+        });
+
+        // Save the selected material of an opened project to the library
+        document.getElementById('keepMaterialBtn').addEventListener('click', () => {
+            const key = document.getElementById('material').value;
+            this.materials.keep(key);
+            this.renderMaterialOptions(key);
+        });
+
+        // Delete the selected saved material
+        document.getElementById('deleteMaterialBtn').addEventListener('click', () => {
+            this.materials.remove(document.getElementById('material').value);
+            this.renderMaterialOptions('steel');
+            this.calculate();
+        });
+
+        // Design check settings
+        document.getElementById('deflectionLimit').addEventListener('change', () => this.calculate());
+
+        // End conditions of a beam on elastic foundation
+        ['foundationLeft', 'foundationRight'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.calculate());
+        });
+
+        // Standard section picker
+        document.getElementById('catalogueSearch').addEventListener('change', (e) => {
+            this.selectCatalogueSection(e.target.value.trim());
+        });
+
+        document.getElementById('clearCatalogueBtn').addEventListener('click', () => {
+            this.selectCatalogueSection('');
+        });
+
+        // Self-weight and large-deflection toggles
+        ['selfWeight', 'largeDeflection'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.calculate());
+        });
+
+        // Cross-section shape and dimensions
+        document.getElementById('sectionShape').addEventListener('change', () => {
+            this.renderSectionDims();
             this.calculate();
         });
 
+        document.getElementById('sectionDims').addEventListener('input', (e) => {
+            const shape = document.getElementById('sectionShape').value;
+            const value = parseFloat(e.target.value);
+            if (e.target.dataset.dim && !isNaN(value)) {
+                this.sectionDims[shape][e.target.dataset.dim] = value;
+                this.calculate();
+            }
+        });
+
         // Input changes
-        const inputs = ['length', 'width', 'height', 'pointLoad', 'loadPosition',
-            'distributedLoad', 'momentLoad', 'customE'];
+        const inputs = ['length', 'customE', 'customNu', 'customDensity', 'customAlpha', 'customFy', 'customFu', 'safetyFactor', 'axialLoad', 'modeCount', 'frequencyLimit', 'axleLoad', 'axleCount', 'axleSpacing', 'subgradeModulus', 'subgradeModulusEnd', 'loadSteps'];
         inputs.forEach(id => {
             const el = document.getElementById(id);
             if (el) {
@@ -56,6 +220,44 @@ class BeamApp {
             }
         });
 
+        // Project: new, open, save as a file and share as a link
+        document.getElementById('newProjectBtn').addEventListener('click', () => {
+            this.applyProject(this.defaultProject);
+            this.showProjectStatus('Started a new project');
+        });
+
+        document.getElementById('openProjectBtn').addEventListener('click', () => {
+            document.getElementById('projectFile').click();
+        });
+
+        document.getElementById('projectFile').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                this.applyProject(ProjectFile.parse(await file.text()));
+            } catch (error) {
+                this.showProjectStatus(`${file.name}: ${error.message}`, true);
+                return;
+            }
+            this.showProjectStatus(`Opened ${file.name}`);
+        });
+
+        document.getElementById('saveProjectBtn').addEventListener('click', () => this.downloadProject());
+        document.getElementById('shareProjectBtn').addEventListener('click', () => this.shareProject());
+
+        // Result tables and diagram drawings
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportResults(button.dataset.export));
+        });
+
+        // Calculation report; its header is kept with the project
+        document.getElementById('reportBtn').addEventListener('click', () => this.generateReport());
+        ['reportTitle', 'reportEngineer'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.autosaveProject());
+        });
+
         // Canvas controls
         document.getElementById('resetView').addEventListener('click', () => {
             this.visualization.resetView();
@@ -69,18 +271,86 @@ class BeamApp {
         document.getElementById('toggleStress').addEventListener('click', (e) => {
             const showStress = this.visualization.toggleStress();
             e.currentTarget.classList.toggle('active', showStress);
+            document.getElementById('contourLegend').classList.toggle('hidden', !showStress);
+        });
+
+        document.getElementById('toggleBuckling').addEventListener('click', () => {
+            this.setBeamView(this.beamView === 'buckling' ? 'deflection' : 'buckling');
+        });
+
+        // Animate a vibration mode; clicking the playing mode stops it
+        document.getElementById('frequenciesBody').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (!button) return;
+            const mode = parseInt(button.dataset.mode);
+            const playing = this.beamView === 'vibration' && this.animatedMode === mode;
+            this.setBeamView(playing ? 'deflection' : 'vibration', mode);
+        });
+
+        // Dynamic load: show the inputs of the load function
+        document.getElementById('dynamicType').addEventListener('change', (e) => {
+            document.querySelectorAll('[data-dynamic]').forEach(el => {
+                el.classList.toggle('hidden', !el.dataset.dynamic.split(' ').includes(e.target.value));
+            });
+        });
+
+        document.getElementById('runHistoryBtn').addEventListener('click', () => this.runTimeHistory());
+
+        // Time-history playback
+        document.getElementById('playHistory').addEventListener('click', (e) => {
+            const playing = !e.currentTarget.classList.contains('active');
+            this.visualization.setPlaybackPlaying(playing);
+            this.setPlaybackButton(playing);
+        });
+
+        document.getElementById('historyScrub').addEventListener('input', (e) => {
+            this.visualization.setPlaybackFrame(parseInt(e.target.value, 10));
+            this.setPlaybackButton(false);
+        });
+
+        document.getElementById('historyQuantity').addEventListener('change', () => this.drawDiagram());
+
+        document.getElementById('contourQuantity').addEventListener('change', () => {
+            if (this.currentResults) this.updateBeamView();
         });
 
-        // Diagram tabs
+        // Diagram tabs and the quantity select shown with each of them
+        const quantitySelects = {
+            influence: 'influenceQuantity',
+            history: 'historyQuantity',
+            combinations: 'envelopeQuantity',
+            lateral: 'lateralQuantity',
+            torsion: 'torsionQuantity'
+        };
         document.querySelectorAll('.diagram-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
                 document.querySelectorAll('.diagram-tab').forEach(t => t.classList.remove('active'));
                 e.currentTarget.classList.add('active');
                 this.currentDiagram = e.currentTarget.dataset.diagram;
+                document.getElementById('stationControls').classList.toggle('hidden', !['section', ...Object.keys(quantitySelects)].includes(this.currentDiagram));
+                Object.entries(quantitySelects).forEach(([diagram, id]) => {
+                    document.getElementById(id).classList.toggle('hidden', this.currentDiagram !== diagram);
+                });
+
+                // The combination envelope and the out-of-plane diagrams have no station
+                const stationless = ['combinations', 'lateral', 'torsion'].includes(this.currentDiagram);
+                ['stationSlider', 'stationValue'].forEach(id => document.getElementById(id).classList.toggle('hidden', stationless));
+                document.querySelector('label[for="stationSlider"]').classList.toggle('hidden', stationless);
                 this.drawDiagram();
+                this.autosaveProject();
             });
         });
 
+        ['influenceQuantity', 'envelopeQuantity', 'lateralQuantity', 'torsionQuantity'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.drawDiagram());
+        });
+
+        // Station of the section stress diagram and the influence lines
+        document.getElementById('stationSlider').addEventListener('input', (e) => {
+            this.stationIndex = parseInt(e.target.value, 10);
+            this.drawDiagram();
+        });
+
         // Window resize
         window.addEventListener('resize', () => this.resizeDiagramCanvas());
     }
@@ -98,237 +368,2266 @@ class BeamApp {
         }
     }
 
-    updateLoadInputs() {
-        const loadType = document.querySelector('input[name="loadType"]:checked').value;
+    /**
+     * Fill the material select with the library (built-in materials, then
+     * saved ones) followed by the custom material form, and select a key
+     */
+    renderMaterialOptions(selected) {
+        const select = document.getElementById('material');
+        const materials = this.materials.getAll();
+        const label = ({ record }) => `${record.name} (E = ${+(record.E / 1e9).toFixed(1)} GPa)`;
+
+        select.innerHTML = '';
+        materials.filter(m => !m.custom).forEach(m => select.add(new Option(label(m), m.key)));
+
+        [['Saved Materials', true], ['Project Materials (not saved)', false]].forEach(([title, saved]) => {
+            const entries = materials.filter(m => m.custom && m.saved === saved);
+            if (entries.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = title;
+            entries.forEach(m => group.appendChild(new Option(label(m), m.key)));
+            select.appendChild(group);
+        });
+
+        select.add(new Option('Custom Material', 'custom'));
+        select.value = selected;
+
+        document.getElementById('customMaterial').classList.toggle('hidden', selected !== 'custom');
+        this.showMaterialActions(selected);
+        this.segmentTable.render();
+    }
+
+    /**
+     * Offer to keep an unsaved project material and to delete a user material
+     */
+    showMaterialActions(key) {
+        document.getElementById('keepMaterialBtn').classList.toggle('hidden', this.materials.isSaved(key));
+        document.getElementById('deleteMaterialBtn').classList.toggle('hidden', !this.materials.isCustom(key));
+    }
+
+    /**
+     * Fill the combination set select with the standards of LoadCombinations
+     */
+    initCombinationStandards() {
+        const select = document.getElementById('combinationStandard');
+
+        Object.entries(LoadCombinations.standards).forEach(([key, { label }]) => {
+            select.add(new Option(label, key));
+        });
+    }
+
+    /**
+     * Fill the export unit select with the unit systems of ResultExport
+     */
+    initExportUnits() {
+        const select = document.getElementById('exportUnits');
+
+        Object.entries(ResultExport.unitSystems).forEach(([key, { label }]) => {
+            select.add(new Option(label, key));
+        });
+        select.value = 'engineering';
+    }
+
+    /**
+     * Material record from the custom material form (SI units)
+     */
+    getCustomMaterial() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+
+        return {
+            name: document.getElementById('customName').value,
+            E: value('customE') * 1e9,
+            nu: value('customNu'),
+            density: value('customDensity'),
+            fy: value('customFy') * 1e6,
+            fu: value('customFu') * 1e6,
+            alpha: value('customAlpha') * 1e-6
+        };
+    }
+
+    /**
+     * Fill the cross-section select and store the default dimensions per shape
+     */
+    initSectionInputs() {
+        const select = document.getElementById('sectionShape');
+
+        Object.entries(CrossSection.shapes).forEach(([key, shape]) => {
+            select.add(new Option(shape.label, key));
+            this.sectionDims[key] = {};
+            shape.dimensions.forEach(dim => {
+                this.sectionDims[key][dim.key] = dim.value;
+            });
+        });
+
+        this.renderSectionDims();
+    }
+
+    /**
+     * Fill the standard section picker with every catalogue designation
+     */
+    initCatalogue() {
+        const list = document.getElementById('catalogueList');
 
-        document.getElementById('pointLoadGroup').classList.toggle('hidden', loadType !== 'point');
-        document.getElementById('loadPositionGroup').classList.toggle('hidden', loadType === 'distributed');
-        document.getElementById('distributedLoadGroup').classList.toggle('hidden', loadType !== 'distributed');
-        document.getElementById('momentLoadGroup').classList.toggle('hidden', loadType !== 'moment');
+        this.catalogue.entries.forEach(entry => {
+            list.appendChild(new Option(SectionCatalogue.series[entry.series].label, entry.designation));
+        });
+    }
+
+    /**
+     * Use a standard section, or return to the custom section for an empty
+     * designation. A query that matches a single entry selects that entry.
+     */
+    selectCatalogueSection(query) {
+        let entry = null;
+        if (query) {
+            const matches = this.catalogue.search(query);
+            entry = this.catalogue.find(query) || (matches.length === 1 ? matches[0] : null);
+            if (!entry) {
+                document.getElementById('catalogueSearch').value = this.catalogueSection || '';
+                this.showError(`No standard section matches "${query}"`);
+                return;
+            }
+        }
 
+        this.showCatalogueSection(entry);
         this.calculate();
     }
 
+    /**
+     * Show a catalogue entry as the beam section, or the custom section for null
+     */
+    showCatalogueSection(entry) {
+        this.catalogueSection = entry ? entry.designation : null;
+        document.getElementById('catalogueSearch').value = entry ? entry.designation : '';
+        document.querySelector('.catalogue-picker').classList.toggle('active', !!entry);
+
+        const select = document.getElementById('sectionShape');
+        select.disabled = !!entry;
+        if (entry) select.value = entry.shape;
+
+        this.renderSectionDims();
+    }
+
+    /**
+     * Show the dimension inputs of the selected cross-section shape
+     */
+    renderSectionDims() {
+        const shape = document.getElementById('sectionShape').value;
+
+        if (this.catalogueSection) {
+            document.getElementById('sectionDims').innerHTML =
+                `<p class="catalogue-note">Standard section ${this.catalogueSection} (tabulated properties)</p>`;
+            return;
+        }
+
+        document.getElementById('sectionDims').innerHTML = CrossSection.shapes[shape].dimensions
+            .map(({ key, label }) => `
+                <div class="input-group">
+                    <label class="input-label">${label}</label>
+                    <div class="input-with-unit">
+                        <input type="number" data-dim="${key}" value="${this.sectionDims[shape][key]}" min="0.001" max="2" step="0.001">
+                        <span class="unit">m</span>
+                    </div>
+                </div>
+            `).join('');
+    }
+
     getParams() {
         const beamType = document.querySelector('input[name="beamType"]:checked').value;
-        const loadType = document.querySelector('input[name="loadType"]:checked').value;
+        const theory = document.querySelector('input[name="theory"]:checked').value;
         const material = document.getElementById('material').value;
 
         const L = parseFloat(document.getElementById('length').value) || 2;
-        const b = parseFloat(document.getElementById('width').value) || 0.1;
-        const h = parseFloat(document.getElementById('height').value) || 0.15;
+        const axialLoad = (parseFloat(document.getElementById('axialLoad').value) || 0) * 1e3; // kN to N
+        const modeCount = Math.min(Math.max(parseInt(document.getElementById('modeCount').value) || 5, 1), 10);
+        const frequencyLimit = parseFloat(document.getElementById('frequencyLimit').value) || 0;
+        const largeDeflection = document.getElementById('largeDeflection').checked;
+        const loadSteps = Math.min(Math.max(parseInt(document.getElementById('loadSteps').value) || 20, 1), 200);
+
+        // Train of equal axles with a fixed spacing
+        const axleLoad = (parseFloat(document.getElementById('axleLoad').value) || 0) * 1e3; // kN to N
+        const axleCount = Math.min(Math.max(parseInt(document.getElementById('axleCount').value) || 1, 1), 10);
+        const axleSpacing = Math.max(parseFloat(document.getElementById('axleSpacing').value) || 0, 0);
+        const axles = Array.from({ length: axleCount }, (_, k) => ({ load: axleLoad, offset: k * axleSpacing }));
+
+        // Throws for invalid dimensions
+        const shape = document.getElementById('sectionShape').value;
+        const section = this.catalogueSection
+            ? this.catalogue.createSection(this.catalogueSection)
+            : new CrossSection(shape, this.sectionDims[shape]);
+        const b = section.width;
+        const h = section.depth;
 
-        const customE = parseFloat(document.getElementById('customE').value) || 200;
-        const E = this.calculator.getElasticModulus(material, customE);
-        const I = this.calculator.calculateMomentOfInertia(b, h);
+        // Throws for an invalid custom material
+        const materialRecord = material === 'custom'
+            ? MaterialLibrary.complete(this.getCustomMaterial())
+            : this.materials.get(material);
+        const E = materialRecord.E;
+        const I = section.I;
 
-        const P = parseFloat(document.getElementById('pointLoad').value) || 10000;
-        const q = parseFloat(document.getElementById('distributedLoad').value) || 5000;
-        const M0 = parseFloat(document.getElementById('momentLoad').value) || 5000;
-        let a = parseFloat(document.getElementById('loadPosition').value) || L / 2;
+        const G = materialRecord.G;
+        const As = section.shearArea;
 
-        // Ensure load position is within beam length
-        a = Math.min(Math.max(a, 0.01), L - 0.01);
+        // Throws for invalid segment sections or materials
+        const segments = this.segmentTable.getSegments().map((segment, index) => this.createSegment(segment, index, L));
+        const beamSegments = this.calculator.getSegments({ segments, section, material: materialRecord, L });
+        const depth = Math.max(h, ...segments.flatMap(segment => [segment.section, segment.endSection].filter(Boolean).map(s => s.depth)));
 
-        // Update load position input max
-        document.getElementById('loadPosition').max = L;
+        // Mean self-weight of a segmented beam
+        const selfWeight = this.calculator.getMeanMass({ segments, section, material: materialRecord, L }) * this.calculator.gravity;
+
+        const safetyFactor = parseFloat(document.getElementById('safetyFactor').value) || 1;
+        const deflectionLimit = parseFloat(document.getElementById('deflectionLimit').value);
+
+        // Ensure load positions are within beam length; loads of a removed
+        // load case fall back to the first case, as their row shows
+        const loadCases = this.loadCaseTable.getCases();
+        const caseOf = (id) => loadCases.some(loadCase => loadCase.id === id) ? id : loadCases[0].id;
+        const loads = this.loadTable.getLoads().map(load => ({ ...this.clampLoad(load, L), loadCase: caseOf(load.loadCase) }));
+
+        // Self-weight belongs to the first permanent load case
+        if (document.getElementById('selfWeight').checked) {
+            const loadCase = (loadCases.find(({ category }) => category === 'permanent') || loadCases[0]).id;
+            loads.push({
+                ...(beamSegments
+                    ? this.calculator.getSegmentSelfWeight(beamSegments)
+                    : { type: 'distributed', magnitude: selfWeight, position: 0, selfWeight: true }),
+                loadCase
+            });
+        }
+
+        const interiorSupports = beamType === 'continuous' ? this.supportTable.getPositions() : [];
+        const endConditions = [document.getElementById('foundationLeft').value, document.getElementById('foundationRight').value];
+        // The condition rows follow the support layout
+        const layout = this.calculator.getSupports(beamType, L, interiorSupports, endConditions);
+        this.supportConditionTable.setSupports(layout);
+        const supports = this.supportConditionTable.apply(layout);
+
+        // Subgrade modulus in MN/m³ over the section width
+        const foundation = beamType === 'elastic-foundation'
+            ? {
+                modulus: (parseFloat(document.getElementById('subgradeModulus').value) || 0) * 1e6,
+                endModulus: (parseFloat(document.getElementById('subgradeModulusEnd').value) || 0) * 1e6,
+                width: section.width
+            }
+            : null;
 
         return {
             beamType,
-            loadType,
             L,
             b,
             h,
+            depth,
+            section,
+            segments,
+            material: materialRecord,
+            alpha: materialRecord.alpha,
             E,
             I,
-            P,
-            q,
-            M0,
-            a
+            A: section.A,
+            theory,
+            largeDeflection,
+            loadSteps,
+            G,
+            As,
+            axialLoad,
+            loads,
+            loadCases,
+            combinations: this.combinationTable.getCombinations(),
+            supports,
+            endConditions,
+            foundation,
+            selfWeight,
+            safetyFactor,
+            deflectionLimit,
+            modeCount,
+            frequencyLimit,
+            axles
         };
     }
 
-    calculate() {
-        const params = this.getParams();
-        this.currentParams = params;
+    /**
+     * Segment { start, end, section, endSection, material } for the
+     * analysis from a segment table row; the end is cut back to the length
+     */
+    createSegment({ start, end, material, shape, designation, dims, tapered, endDims }, index, L) {
+        const record = material ? this.materials.get(material) : null;
+        if (material && !record) {
+            throw new Error(`The material of segment ${index + 1} is no longer in the library`);
+        }
+        if (shape === 'catalogue' && !designation) {
+            throw new Error(`Segment ${index + 1} needs a standard section`);
+        }
 
-        // Perform beam analysis
-        const results = this.calculator.analyze(params);
-        this.currentResults = results;
+        return {
+            start,
+            end: Math.min(end, L),
+            section: shape === 'catalogue' ? this.catalogue.createSection(designation) : new CrossSection(shape, dims),
+            endSection: tapered && shape !== 'catalogue' ? new CrossSection(shape, endDims) : undefined,
+            material: record
+        };
+    }
 
-        // Calculate max stress
-        const maxStress = this.calculator.getMaxStress(results.maxMoment, params.h, params.I);
+    /**
+     * Keep a load on the beam: point loads and moments just inside the
+     * ends, distributed loads and q(x) vertices between 0 and L;
+     * temperature loads act on the whole beam
+     */
+    clampLoad(load, L) {
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
-        // Update visualization
-        this.visualization.updateBeam(params, results);
+        switch (load.type) {
+            case 'distributed': {
+                const position = clamp(load.position, 0, L);
+                return { ...load, position, end: clamp(load.end, position, L) };
+            }
+            case 'profile':
+                return { ...load, points: load.points.map(([x, q]) => [clamp(x, 0, L), q]) };
+            case 'thermal':
+                return load;
+            default:
+                return { ...load, position: clamp(load.position, 0.01, L - 0.01) };
+        }
+    }
 
-        // Update UI results
-        this.updateResults(results, maxStress, params);
+    /**
+     * Dynamic point load (SI units) and analysis settings of the time history
+     */
+    getDynamicParams(L) {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
 
-        // Draw diagram
-        this.drawDiagram();
+        // "t, P" per line with P in kN
+        const table = LoadTable.parsePoints(document.getElementById('dynamicTable').value)
+            .map(([t, P]) => [t, P * 1e3]);
+
+        return {
+            load: {
+                type: document.getElementById('dynamicType').value,
+                position: Math.min(Math.max(number('dynamicPosition', L / 2), 0), L),
+                magnitude: number('dynamicMagnitude', 0) * 1e3, // kN to N
+                duration: number('pulseDuration', 5) / 1e3, // ms to s
+                frequency: number('excitationFrequency', 0),
+                table
+            },
+            duration: number('historyDuration', 0),
+            dampingRatio: Math.max(number('dampingRatio', 0), 0) / 100
+        };
     }
 
-    updateResults(results, maxStress, params) {
-        // Format numbers for display
-        const formatNumber = (num, unit) => {
-            if (Math.abs(num) >= 1e9) {
-                return `${(num / 1e9).toFixed(2)} G${unit}`;
-            } else if (Math.abs(num) >= 1e6) {
-                return `${(num / 1e6).toFixed(2)} M${unit}`;
-            } else if (Math.abs(num) >= 1e3) {
-                return `${(num / 1e3).toFixed(2)} k${unit}`;
-            } else if (Math.abs(num) >= 1) {
-                return `${num.toFixed(3)} ${unit}`;
-            } else if (Math.abs(num) >= 1e-3) {
-                return `${(num * 1e3).toFixed(3)} m${unit}`;
-            } else if (Math.abs(num) >= 1e-6) {
-                return `${(num * 1e6).toFixed(3)} μ${unit}`;
-            } else {
-                return `${num.toExponential(2)} ${unit}`;
-            }
+    /**
+     * The whole model and view as a project (see ProjectFile), in the
+     * units of the form
+     */
+    getProject() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
         };
+        const integer = (id, fallback, min, max) => Math.min(Math.max(parseInt(document.getElementById(id).value) || fallback, min), max);
 
-        document.getElementById('maxDeflection').textContent = formatNumber(results.maxDeflection, 'm');
-        document.getElementById('maxStress').textContent = formatNumber(maxStress, 'Pa');
-        document.getElementById('maxSlope').textContent = `${(results.maxSlope * 180 / Math.PI).toFixed(4)}°`;
-        document.getElementById('maxMoment').textContent = formatNumber(results.maxMoment, 'N·m');
-        document.getElementById('maxShear').textContent = formatNumber(results.maxShear, 'N');
-        document.getElementById('momentOfInertia').textContent = formatNumber(params.I, 'm⁴');
-    }
+        const L = number('length', 2) || 2;
+        const shape = document.getElementById('sectionShape').value;
+        const materialKey = document.getElementById('material').value;
+        const segments = this.segmentTable.getSegments();
 
-    drawDiagram() {
-        if (!this.currentResults) return;
+        // Loads of a removed load case belong to the first case, as in the analysis
+        const cases = this.loadCaseTable.getCases();
+        const caseOf = (id) => cases.some(loadCase => loadCase.id === id) ? id : cases[0].id;
 
-        const ctx = this.diagramCtx;
-        const canvas = this.diagramCanvas;
-        const { x, deflection, moment, shear } = this.currentResults;
-        const L = this.currentParams.L;
+        // Saved materials travel with the project
+        const saved = (key) => this.materials.isCustom(key) ? this.materials.get(key) : null;
+        const materials = {};
+        segments.filter(({ material }) => saved(material)).forEach(({ material }) => {
+            materials[material] = saved(material);
+        });
 
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return {
+            format: ProjectFile.format,
+            version: ProjectFile.version,
+            beam: {
+                type: document.querySelector('input[name="beamType"]:checked').value,
+                length: L,
+                theory: document.querySelector('input[name="theory"]:checked').value,
+                largeDeflection: document.getElementById('largeDeflection').checked,
+                loadSteps: integer('loadSteps', 20, 1, 200),
+                interiorSupports: this.supportTable.getPositions(),
+                endConditions: [document.getElementById('foundationLeft').value, document.getElementById('foundationRight').value],
+                subgradeModulus: [Math.max(number('subgradeModulus', 0), 0), Math.max(number('subgradeModulusEnd', 0), 0)],
+                supportConditions: this.supportConditionTable.getConditions()
+            },
+            section: {
+                shape,
+                dims: { ...this.sectionDims[shape] },
+                designation: this.catalogueSection || ''
+            },
+            material: {
+                key: materialKey,
+                custom: this.getCustomMaterial(),
+                record: saved(materialKey)
+            },
+            materials,
+            segments,
+            loads: {
+                list: this.loadTable.getLoads().map(load => ({ ...load, loadCase: caseOf(load.loadCase) })),
+                selfWeight: document.getElementById('selfWeight').checked,
+                axialLoad: number('axialLoad', 0),
+                cases,
+                combinations: this.combinationTable.getCombinations(),
+                combinationStandard: document.getElementById('combinationStandard').value
+            },
+            movingLoad: {
+                axleLoad: number('axleLoad', 0),
+                axleCount: integer('axleCount', 1, 1, 10),
+                axleSpacing: Math.max(number('axleSpacing', 0), 0)
+            },
+            dynamic: {
+                type: document.getElementById('dynamicType').value,
+                position: number('dynamicPosition', L / 2),
+                magnitude: number('dynamicMagnitude', 0),
+                pulseDuration: number('pulseDuration', 5),
+                frequency: number('excitationFrequency', 0),
+                table: document.getElementById('dynamicTable').value,
+                dampingRatio: number('dampingRatio', 0),
+                duration: number('historyDuration', 0)
+            },
+            design: {
+                safetyFactor: number('safetyFactor', 1) || 1,
+                deflectionLimit: number('deflectionLimit', 250),
+                modeCount: integer('modeCount', 5, 1, 10),
+                frequencyLimit: Math.max(number('frequencyLimit', 0), 0)
+            },
+            report: {
+                title: document.getElementById('reportTitle').value,
+                engineer: document.getElementById('reportEngineer').value
+            },
+            view: {
+                diagram: this.currentDiagram,
+                contour: document.getElementById('contourQuantity').value,
+                wireframe: this.visualization.wireframe,
+                stress: this.visualization.showStress,
+                station: this.stationIndex,
+                quantities: Object.fromEntries(BeamApp.viewQuantities.map(key => [key, document.getElementById(`${key}Quantity`).value]))
+            }
+        };
+    }
 
-        // Get data based on current diagram type
-        let data, title, unit, color;
-        switch (this.currentDiagram) {
-            case 'deflection':
-                data = deflection;
-                title = 'Deflection Diagram';
-                unit = 'm';
-                color = '#6366f1';
-                break;
-            case 'moment':
-                data = moment;
-                title = 'Bending Moment Diagram';
-                unit = 'N·m';
-                color = '#8b5cf6';
-                break;
-            case 'shear':
-                data = shear;
-                title = 'Shear Force Diagram';
-                unit = 'N';
-                color = '#a855f7';
-                break;
+    /**
+     * Diagram quantity selects kept in a project, by their id prefix
+     */
+    static get viewQuantities() {
+        return ['influence', 'history', 'envelope', 'lateral', 'torsion'];
+    }
+
+    /**
+     * Show a validated project and analyse it. A project that does not fit
+     * the form (unknown options, sections or materials) leaves the current
+     * one in place and throws.
+     */
+    applyProject(project) {
+        const previous = this.getProject();
+        const unsaved = { ...this.materials.unsaved };
+        try {
+            this.setProject(project);
+        } catch (error) {
+            this.materials.unsaved = unsaved;
+            this.setProject(previous);
+            throw error;
         }
 
-        const padding = { top: 30, right: 40, bottom: 30, left: 60 };
-        const width = canvas.width - padding.left - padding.right;
-        const height = canvas.height - padding.top - padding.bottom;
+        this.calculate();
+        this.setView({ ...this.defaultProject.view, ...project.view });
+    }
 
-        // Find data range
-        const minVal = Math.min(...data);
-        const maxVal = Math.max(...data);
-        const range = maxVal - minVal || 1;
-        const absMax = Math.max(Math.abs(minVal), Math.abs(maxVal));
+    /**
+     * Fill the form from a project; sections a project leaves out keep
+     * the defaults
+     */
+    setProject(project) {
+        const defaults = this.defaultProject;
+        const merged = (key) => ({ ...defaults[key], ...project[key] });
+        const beam = merged('beam');
+        const section = merged('section');
+        const material = merged('material');
+        const loads = merged('loads');
+        const movingLoad = merged('movingLoad');
+        const dynamic = merged('dynamic');
+        const design = merged('design');
+        const report = merged('report');
+        const { segments = defaults.segments, materials = {} } = project;
 
-        // Draw background
-        ctx.fillStyle = '#111827';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        const setValue = (id, value) => {
+            document.getElementById(id).value = value === null ? '' : value;
+        };
+        const select = (id, value, path) => {
+            const el = document.getElementById(id);
+            if (![...el.options].some(option => option.value === String(value))) {
+                throw new Error(`Invalid project: ${path} "${value}" is not one of the options`);
+            }
+            el.value = value;
+        };
+        const catalogueEntry = (designation, path) => {
+            const entry = this.catalogue.find(designation);
+            if (!entry) throw new Error(`Invalid project: ${path} "${designation}" is not a standard section`);
+            return entry;
+        };
 
-        // Draw grid
-        ctx.strokeStyle = '#1f2937';
-        ctx.lineWidth = 1;
+        // Beam, supports and theory
+        document.querySelector(`input[name="beamType"][value="${beam.type}"]`).checked = true;
+        document.getElementById('supportsSection').classList.toggle('hidden', beam.type !== 'continuous');
+        document.getElementById('foundationSection').classList.toggle('hidden', beam.type !== 'elastic-foundation');
+        document.querySelector(`input[name="theory"][value="${beam.theory}"]`).checked = true;
+        document.getElementById('largeDeflection').checked = beam.largeDeflection;
+        setValue('loadSteps', beam.loadSteps);
+        setValue('length', beam.length);
+        select('foundationLeft', beam.endConditions[0], 'beam.endConditions[0]');
+        select('foundationRight', beam.endConditions[1], 'beam.endConditions[1]');
+        setValue('subgradeModulus', beam.subgradeModulus[0]);
+        setValue('subgradeModulusEnd', beam.subgradeModulus[1]);
+        this.supportTable.setPositions(beam.interiorSupports);
 
-        // Horizontal grid lines
-        for (let i = 0; i <= 4; i++) {
-            const y = padding.top + (i / 4) * height;
-            ctx.beginPath();
-            ctx.moveTo(padding.left, y);
-            ctx.lineTo(padding.left + width, y);
-            ctx.stroke();
-        }
+        const interior = beam.type === 'continuous' ? beam.interiorSupports : [];
+        const layout = this.calculator.getSupports(beam.type, beam.length, interior, beam.endConditions);
+        this.supportConditionTable.setConditions(layout, beam.supportConditions);
 
-        // Vertical grid lines
-        for (let i = 0; i <= 5; i++) {
-            const xPos = padding.left + (i / 5) * width;
-            ctx.beginPath();
-            ctx.moveTo(xPos, padding.top);
-            ctx.lineTo(xPos, padding.top + height);
-            ctx.stroke();
-        }
+        // Section
+        const entry = section.designation ? catalogueEntry(section.designation, 'section.designation') : null;
+        document.getElementById('sectionShape').value = section.shape;
+        this.sectionDims[section.shape] = { ...section.dims };
+        this.showCatalogueSection(entry);
 
-        // Draw zero line if data crosses zero
-        if (minVal < 0 && maxVal > 0) {
-            const zeroY = padding.top + (maxVal / range) * height;
-            ctx.strokeStyle = '#4b5563';
-            ctx.lineWidth = 1;
-            ctx.setLineDash([5, 5]);
-            ctx.beginPath();
-            ctx.moveTo(padding.left, zeroY);
-            ctx.lineTo(padding.left + width, zeroY);
-            ctx.stroke();
-            ctx.setLineDash([]);
-        }
+        // Saved materials of the project join the library unsaved, for this
+        // session; their keys map to the entry with the same properties
+        const libraryKey = (key, record, path) => {
+            if (!key || key === 'custom' || this.calculator.materials[key]) return key;
+            if (record) return this.materials.findOrImport(record);
+            if (this.materials.get(key)) return key;
+            throw new Error(`Invalid project: ${path} "${key}" is not in the material library`);
+        };
 
-        // Draw data curve
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+        const custom = material.custom;
+        const scaled = (value, factor) => value === null || value === undefined ? '' : +(value / factor).toPrecision(12);
+        setValue('customName', custom.name);
+        setValue('customE', scaled(custom.E, 1e9));
+        setValue('customNu', scaled(custom.nu, 1));
+        setValue('customDensity', scaled(custom.density, 1));
+        setValue('customFy', scaled(custom.fy, 1e6));
+        setValue('customFu', scaled(custom.fu, 1e6));
+        setValue('customAlpha', scaled(custom.alpha, 1e-6));
 
-        for (let i = 0; i < data.length; i++) {
-            const xPos = padding.left + (i / (data.length - 1)) * width;
-            const yPos = padding.top + ((maxVal - data[i]) / range) * height;
+        this.segmentTable.setSegments(segments.map((segment, index) => {
+            if (segment.shape === 'catalogue') catalogueEntry(segment.designation, `segments[${index}].designation`);
+            return { ...segment, material: libraryKey(segment.material, materials[segment.material], `segments[${index}].material`) };
+        }));
+        this.renderMaterialOptions(libraryKey(material.key, material.record, 'material.key'));
 
-            if (i === 0) {
-                ctx.moveTo(xPos, yPos);
-            } else {
-                ctx.lineTo(xPos, yPos);
-            }
-        }
-        ctx.stroke();
+        // Loads, load cases and combinations
+        this.loadCaseTable.setCases(loads.cases);
+        this.loadTable.setLoads(loads.list);
+        this.combinationTable.setCombinations(loads.combinations);
+        document.getElementById('selfWeight').checked = loads.selfWeight;
+        setValue('axialLoad', loads.axialLoad);
+        select('combinationStandard', loads.combinationStandard, 'loads.combinationStandard');
 
-        // Fill under curve
-        ctx.lineTo(padding.left + width, padding.top + (maxVal / range) * height);
-        ctx.lineTo(padding.left, padding.top + (maxVal / range) * height);
-        ctx.closePath();
-        ctx.fillStyle = color + '20';
-        ctx.fill();
+        // Moving load, dynamic load and design settings
+        setValue('axleLoad', movingLoad.axleLoad);
+        setValue('axleCount', movingLoad.axleCount);
+        setValue('axleSpacing', movingLoad.axleSpacing);
 
-        // Draw title
-        ctx.fillStyle = '#9ca3af';
-        ctx.font = '12px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(title, canvas.width / 2, 18);
+        select('dynamicType', dynamic.type, 'dynamic.type');
+        document.getElementById('dynamicType').dispatchEvent(new Event('change'));
+        setValue('dynamicPosition', dynamic.position);
+        setValue('dynamicMagnitude', dynamic.magnitude);
+        setValue('pulseDuration', dynamic.pulseDuration);
+        setValue('excitationFrequency', dynamic.frequency);
+        setValue('dynamicTable', dynamic.table);
+        setValue('dampingRatio', dynamic.dampingRatio);
+        setValue('historyDuration', dynamic.duration);
 
-        // Draw Y-axis labels
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '10px Inter, sans-serif';
-        ctx.textAlign = 'right';
+        setValue('safetyFactor', design.safetyFactor);
+        select('deflectionLimit', design.deflectionLimit, 'design.deflectionLimit');
+        setValue('modeCount', design.modeCount);
+        setValue('frequencyLimit', design.frequencyLimit);
 
-        const formatValue = (val) => {
-            if (Math.abs(val) >= 1e6) return `${(val / 1e6).toFixed(1)}M`;
-            if (Math.abs(val) >= 1e3) return `${(val / 1e3).toFixed(1)}k`;
-            if (Math.abs(val) >= 1) return val.toFixed(2);
-            return (val * 1e3).toFixed(2) + 'm';
+        setValue('reportTitle', report.title);
+        setValue('reportEngineer', report.engineer);
+    }
+
+    /**
+     * Restore the diagram, contour and 3D view settings of a project after
+     * its analysis; choices the results do not offer keep the current one
+     */
+    setView({ diagram, contour, wireframe, stress, station, quantities }) {
+        const choose = (id, value) => {
+            const el = document.getElementById(id);
+            if ([...el.options].some(option => option.value === value)) el.value = value;
         };
 
-        ctx.fillText(formatValue(maxVal), padding.left - 5, padding.top + 4);
-        ctx.fillText(formatValue(minVal), padding.left - 5, padding.top + height + 4);
+        choose('contourQuantity', contour);
+        BeamApp.viewQuantities.forEach(key => choose(`${key}Quantity`, quantities[key]));
+        if (this.visualization.wireframe !== wireframe) document.getElementById('toggleWireframe').click();
+        if (this.visualization.showStress !== stress) document.getElementById('toggleStress').click();
+        this.stationIndex = station;
 
-        // Draw X-axis labels
-        ctx.textAlign = 'center';
-        ctx.fillText('0', padding.left, padding.top + height + 15);
-        ctx.fillText(`${L.toFixed(1)} m`, padding.left + width, padding.top + height + 15);
+        const tabs = [...document.querySelectorAll('.diagram-tab')];
+        const tab = tabs.find(t => t.dataset.diagram === diagram && !t.classList.contains('hidden')) || tabs[0];
+        tab.click();
+        if (this.currentResults) this.updateBeamView();
+    }
+
+    /**
+     * Open the project of a shared link, else the autosaved one, and run
+     * the first analysis
+     */
+    async restoreProject() {
+        const storage = MaterialLibrary.defaultStorage();
+        let project = null;
+        let message = null;
+        try {
+            project = await ProjectFile.decodeHash(window.location.hash);
+            if (project) {
+                message = 'Opened the shared project';
+                // Later edits are autosaved; a reload should not reopen the link
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        } catch (error) {
+            this.showProjectStatus(error.message, true);
+        }
+
+        if (!project) {
+            try {
+                project = ProjectFile.restore(storage);
+            } catch (error) {
+                this.showProjectStatus(`The autosaved project could not be restored: ${error.message}`, true);
+            }
+        }
+
+        this.autosave = true;
+        if (!project) {
+            this.calculate();
+            return;
+        }
+
+        try {
+            this.applyProject(project);
+        } catch (error) {
+            this.showProjectStatus(error.message, true);
+            this.calculate();
+            return;
+        }
+        if (message) this.showProjectStatus(message);
+    }
+
+    /**
+     * Save the current project in localStorage once the initial project is restored
+     */
+    autosaveProject() {
+        if (this.autosave) ProjectFile.store(MaterialLibrary.defaultStorage(), this.getProject());
+    }
+
+    /**
+     * Download the current project as a JSON file
+     */
+    downloadProject() {
+        this.downloadFile('beam-project.json', ProjectFile.stringify(this.getProject()), 'application/json');
+        this.showProjectStatus('Saved beam-project.json');
+    }
+
+    /**
+     * Let the browser save text as a file
+     */
+    downloadFile(name, text, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Copy a link that opens the current project; where the clipboard is
+     * blocked the link is put in the address bar instead
+     */
+    async shareProject() {
+        let hash;
+        try {
+            hash = await ProjectFile.encodeHash(this.getProject());
+        } catch (error) {
+            this.showProjectStatus('This browser cannot create project links', true);
+            return;
+        }
+
+        const url = window.location.origin + window.location.pathname + window.location.search + hash;
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showProjectStatus('Link copied to the clipboard');
+        } catch (error) {
+            history.replaceState(null, '', hash);
+            this.showProjectStatus('Copy the link from the address bar');
+        }
+    }
+
+    /**
+     * Show a project message below the project buttons, or the default note
+     */
+    showProjectStatus(message, error = false) {
+        const status = document.getElementById('projectStatus');
+        status.textContent = message || 'Changes are saved in this browser automatically.';
+        status.classList.toggle('error', error);
+    }
+
+    /**
+     * Open the calculation report of the current analysis in a new window
+     * and start printing it; where pop-ups are blocked the report is
+     * downloaded as an HTML file instead
+     */
+    generateReport() {
+        if (!this.currentResults) {
+            this.showProjectStatus('Analyse the beam before generating a report', true);
+            return;
+        }
+
+        const report = new CalculationReport({
+            title: document.getElementById('reportTitle').value,
+            engineer: document.getElementById('reportEngineer').value,
+            date: document.getElementById('reportDate').value
+        });
+        const html = report.render(this.getReportSections());
+
+        const win = window.open('', '_blank');
+        if (!win) {
+            this.downloadFile('beam-report.html', html, 'text/html');
+            this.showProjectStatus('Pop-ups are blocked; the report was downloaded as beam-report.html');
+            return;
+        }
+
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+
+        // Print once the embedded images are decoded
+        Promise.all([...win.document.images].map(image => image.decode().catch(() => null)))
+            .then(() => win.print());
+        this.showProjectStatus('Report opened in a new window');
+    }
+
+    /**
+     * Sections of the calculation report (see CalculationReport) from the
+     * current parameters, results and the tables of the results panel
+     */
+    getReportSections() {
+        const params = this.currentParams;
+        const { section, material } = params;
+        const format = (num, unit) => this.formatNumber(num, unit);
+        const label = (name) => document.querySelector(`input[name="${name}"]:checked`).closest('label').textContent.trim();
+        const mm = (value) => `${+(value * 1e3).toFixed(1)} mm`;
+
+        const sectionName = (s) => s.designation || `${CrossSection.shapes[s.shape].label} (${Object.entries(s.dims).map(([key, value]) => `${key} = ${mm(value)}`).join(', ')})`;
+
+        // Input parameters
+        const inputs = [
+            ['Beam type', label('beamType')],
+            ['Span length L', `${params.L} m`],
+            ['Beam theory', label('theory')],
+            ['Geometric nonlinearity', params.largeDeflection ? `Large deflections, ${params.loadSteps} load steps` : 'Small deflections (linear)'],
+            ['Cross-section', sectionName(section)],
+            ['Material', material.name]
+        ];
+        if (params.beamType === 'continuous') {
+            inputs.push(['Interior supports', params.supports.slice(1, -1).map(({ position }) => `${position} m`).join(', ') || '-']);
+        }
+        if (params.foundation) {
+            inputs.push(['Ends', params.endConditions.join(' / ')]);
+            inputs.push(['Subgrade modulus ks', `${format(params.foundation.modulus, 'N/m³')} → ${format(params.foundation.endModulus, 'N/m³')}`]);
+        }
+        inputs.push(
+            ['Axial load P (compression +)', format(params.axialLoad, 'N')],
+            ['Self-weight', document.getElementById('selfWeight').checked ? `${format(params.selfWeight, 'N/m')}` : 'Not included'],
+            ['Safety factor γ', String(params.safetyFactor)],
+            ['Deflection limit', `L/${params.deflectionLimit}`]
+        );
+
+        // Loads in SI units, as analysed
+        const cases = Object.fromEntries(params.loadCases.map(({ id, name }) => [id, name]));
+        const loadRows = params.loads.map((load, index) => {
+            const type = load.selfWeight ? 'Self-weight' : this.loadTable.loadTypes[load.type].label;
+            const direction = load.angle || load.eccentricity ? `${load.angle || 0}°, e = ${load.eccentricity || 0} m` : '-';
+            let magnitude, position;
+            switch (load.type) {
+                case 'distributed': {
+                    const end = load.end === undefined ? params.L : load.end;
+                    const q2 = load.endMagnitude === undefined ? load.magnitude : load.endMagnitude;
+                    magnitude = q2 === load.magnitude ? format(load.magnitude, 'N/m') : `${format(load.magnitude, 'N/m')} → ${format(q2, 'N/m')}`;
+                    position = `${load.position.toFixed(2)} – ${end.toFixed(2)} m`;
+                    break;
+                }
+                case 'profile':
+                    magnitude = load.points.map(([x, q]) => `${x} m: ${format(q, 'N/m')}`).join('; ');
+                    position = `${load.points[0][0].toFixed(2)} – ${load.points[load.points.length - 1][0].toFixed(2)} m`;
+                    break;
+                case 'thermal':
+                    magnitude = `ΔT = ${load.uniform} K, ΔT(bottom − top) = ${load.gradient} K`;
+                    position = 'Whole beam';
+                    break;
+                case 'moment':
+                    magnitude = format(load.magnitude, 'N·m');
+                    position = `${load.position.toFixed(2)} m`;
+                    break;
+                default:
+                    magnitude = format(load.magnitude, 'N');
+                    position = `${load.position.toFixed(2)} m`;
+            }
+            return [String(index + 1), type, cases[load.loadCase] || '-', magnitude, position, direction];
+        });
+
+        const sections = [
+            { title: 'Input Parameters', rows: inputs },
+            { title: 'Loads', table: { head: ['#', 'Type', 'Load Case', 'Magnitude', 'Position', 'Angle / Eccentricity'], rows: loadRows } }
+        ];
+
+        if (params.segments.length > 0) {
+            sections.push({
+                title: 'Beam Segments',
+                table: {
+                    head: ['#', 'From', 'To', 'Section', 'End Section', 'Material'],
+                    rows: params.segments.map((segment, index) => [
+                        String(index + 1),
+                        `${segment.start} m`,
+                        `${segment.end} m`,
+                        sectionName(segment.section),
+                        segment.endSection ? sectionName(segment.endSection) : '-',
+                        segment.material ? segment.material.name : material.name
+                    ])
+                }
+            });
+        }
+
+        sections.push(
+            { title: `Section Properties – ${sectionName(section)}`, rows: this.getSectionProperties(section) },
+            { title: `Material Properties – ${material.name}`, rows: this.getMaterialProperties(material) },
+            { title: 'Governing Formulas', formulas: this.calculator.getFormulas(params) }
+        );
+
+        // Results as shown in the results panel
+        const cards = [...document.querySelectorAll('.results-grid .result-card:not(.hidden)')]
+            .map(card => [card.querySelector('.result-label').textContent, card.querySelector('.result-value').textContent]);
+        sections.push(
+            { title: 'Maximum Values', rows: cards },
+            { title: 'Support Reactions', table: this.getTableContent('reactionsBody') },
+            { title: `Design Checks – ${document.getElementById('designStatus').textContent}`, table: this.getTableContent('designChecksBody') }
+        );
+        if (this.currentCombinations) {
+            sections.push({ title: 'Load Combinations', table: this.getTableContent('combinationResultsBody') });
+        }
+
+        const warnings = [...document.getElementById('analysisWarning').children].map(line => line.textContent);
+        if (warnings.length > 0) {
+            sections.push({ title: 'Warnings', notes: warnings });
+        }
+
+        sections.push(
+            { title: 'Diagrams', images: this.getDiagramImages(['deflection', 'moment', 'shear']) },
+            { title: '3D View', images: [{ src: this.visualization.snapshot(), caption: `Deformed beam coloured by ${document.getElementById('contourQuantity').selectedOptions[0].textContent}` }] }
+        );
+        return sections;
+    }
+
+    /**
+     * Header and rows of a results table as text
+     */
+    getTableContent(bodyId) {
+        const table = document.getElementById(bodyId).closest('table');
+        return {
+            head: [...table.querySelectorAll('thead th')].map(th => th.textContent.trim()),
+            rows: [...table.querySelectorAll('tbody tr')].map(tr => [...tr.children].map(td => td.textContent.trim()))
+        };
+    }
+
+    /**
+     * Diagrams drawn by drawDiagram() at print size, as PNG data URLs with
+     * the tab names as captions
+     */
+    getDiagramImages(diagrams) {
+        const current = this.currentDiagram;
+        this.diagramCanvas.width = 1200;
+        this.diagramCanvas.height = 360;
+
+        const images = diagrams.map(diagram => {
+            this.currentDiagram = diagram;
+            this.drawDiagram();
+            return {
+                src: this.diagramCanvas.toDataURL('image/png'),
+                caption: document.querySelector(`.diagram-tab[data-diagram="${diagram}"]`).textContent
+            };
+        });
+
+        this.currentDiagram = current;
+        this.resizeDiagramCanvas();
+        return images;
+    }
+
+    /**
+     * Save the station table (CSV, JSON) or the deflection, moment and
+     * shear diagrams (DXF, SVG) of the current analysis, resampled at the
+     * chosen number of intervals
+     */
+    exportResults(format) {
+        if (!this.currentResults) {
+            this.showError('Analyse the beam before exporting results');
+            return;
+        }
+
+        const system = document.getElementById('exportUnits').value;
+        const numPoints = ResultExport.getIntervals(document.getElementById('exportPoints').value);
+
+        let results;
+        try {
+            results = ResultExport.resample(this.calculator, this.currentParams, this.currentResults, numPoints);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const table = ResultExport.createTable(results, system);
+        const diagrams = ['deflection', 'moment', 'shear'].map(key => ResultExport.createDiagram(table, key));
+        const { beamType, L, theory, largeDeflection } = this.currentParams;
+        const meta = {
+            title: document.getElementById('reportTitle').value || undefined,
+            beamType,
+            length: ResultExport.round(ResultExport.convert(L, 'x', system)),
+            theory,
+            largeDeflection,
+            numPoints
+        };
+
+        const files = {
+            csv: () => [ResultExport.toCSV(table), 'text/csv'],
+            json: () => [ResultExport.toJSON(table, meta), 'application/json'],
+            dxf: () => [ResultExport.toDXF(diagrams), 'application/dxf'],
+            svg: () => [ResultExport.toSVG(diagrams), 'image/svg+xml']
+        };
+        const [text, type] = files[format]();
+        this.downloadFile(`beam-results.${format}`, text, type);
+    }
+
+    calculate() {
+        let params, results, linear, firstOrder, comparison = null;
+        try {
+            params = this.getParams();
+
+            // Deep beams are solved with both theories for the comparison table
+            if (this.calculator.isDeepBeam(params.L, params.depth)) {
+                comparison = this.calculator.compareTheories(params);
+                results = params.theory === 'timoshenko' ? comparison.timoshenko : comparison.eulerBernoulli;
+            } else {
+                results = this.calculator.analyze(params);
+            }
+
+            // Large deflections replace the in-plane results; lateral bending,
+            // torsion and the other analyses stay linear
+            linear = results;
+            if (params.largeDeflection) {
+                results = {
+                    ...this.calculator.analyzeLargeDeflection(params, params.loadSteps),
+                    lateral: linear.lateral,
+                    torsion: linear.torsion
+                };
+            }
+
+            // First-order results for the amplification under axial load
+            firstOrder = results.axialLoad ? this.calculator.analyze({ ...params, secondOrder: false }) : results;
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        this.showError(null);
+        this.autosaveProject();
+
+        this.currentParams = params;
+        this.currentResults = results;
+        this.currentLinear = linear;
+        this.currentWarnings = [];
+
+        // Buckling, vibration, the moving load, the combinations and the
+        // plastic collapse fill panels of their own; an error in one of
+        // them is listed with the warnings and leaves the static results in place
+        const buckling = this.runOptionalAnalysis('Buckling analysis', () => this.calculator.analyzeBuckling(params));
+        const modal = this.runOptionalAnalysis('Modal analysis', () => this.calculator.analyzeModes(params, params.modeCount));
+        const moving = this.runOptionalAnalysis('Moving load analysis', () => this.calculator.analyzeMovingLoad(params, params.axles, linear));
+
+        // Combinations that superpose the load cases follow at once; those
+        // that need a full analysis each wait for a pause in the input and
+        // keep the previous envelope until then
+        clearTimeout(this.combinationTimer);
+        const deferred = params.combinations.length > 0 && !this.calculator.superposesCombinations(params);
+        const combinations = deferred ? this.currentCombinations : this.analyzeCombinations(params);
+        if (deferred) {
+            this.combinationTimer = setTimeout(() => {
+                this.currentCombinations = this.analyzeCombinations(params);
+                this.showDiagramTab('combinations', Boolean(this.currentCombinations));
+                this.updateCombinations(this.currentCombinations);
+                if (this.currentDiagram === 'combinations') this.drawDiagram();
+            }, 400);
+        }
+
+        // Plastic hinge sequence up to collapse (not for a Winkler beam)
+        const plastic = params.beamType === 'elastic-foundation'
+            ? null
+            : this.runOptionalAnalysis('Plastic analysis', () => this.calculator.analyzePlastic(params));
+        this.currentBuckling = buckling;
+        this.currentModal = modal;
+        this.currentMoving = moving;
+        this.currentCombinations = combinations;
+        this.currentPlastic = plastic;
+
+        this.renderInfluenceOptions(params.supports);
+        this.showDiagramTab('soilPressure', Boolean(results.soilPressure));
+        this.showDiagramTab('combinations', Boolean(combinations));
+        this.showDiagramTab('plastic', params.beamType !== 'elastic-foundation');
+        this.showDiagramTab('lateral', Boolean(results.lateral));
+        this.showDiagramTab('torsion', Boolean(results.torsion));
+        this.showDiagramTab('loadDeflection', Boolean(results.largeDeflection));
+
+        // A time history belongs to the previous model; it is rerun on request
+        this.currentHistory = null;
+        const staleMode = this.beamView === 'vibration' && (!modal || this.animatedMode >= modal.modes.length);
+        if (staleMode || this.beamView === 'history') {
+            this.beamView = 'deflection';
+        }
+
+        // Calculate max stresses and check the combined stress and the deflection against the limits
+        // Segments with other materials check the fibre with the largest σv/fy
+        const maxStress = this.calculator.getMaxBendingStress(results, params.section);
+        const combined = this.calculator.getMaxCombinedStress(results, params.section);
+        const governing = combined.governing || { vonMises: combined.vonMises, fy: params.material.fy };
+        const checks = this.calculator.checkDesign({
+            maxStress: governing.vonMises,
+            maxDeflection: results.maxDeflection,
+            L: params.L,
+            fy: governing.fy,
+            safetyFactor: params.safetyFactor,
+            deflectionLimit: params.deflectionLimit
+        });
+
+        // Update visualization
+        this.updateBeamView();
+
+        // Update UI results
+        this.updateResults(results, maxStress, params, combined);
+        this.updateDesignChecks(checks, governing.vonMises, results, params);
+        this.updateCombinations(combinations);
+        this.addWarnings([
+            this.updateTheoryComparison(params, comparison),
+            this.updateLargeDeflection(results, linear, params),
+            this.updateBuckling(buckling, results, firstOrder),
+            this.updatePlastic(plastic, params),
+            this.updateFrequencies(params, modal),
+            this.getSoilTensionWarning(results)
+        ].filter(Boolean));
+
+        // Draw diagram
+        this.drawDiagram();
+    }
+
+    /**
+     * Factored load combinations and their envelope, null without combinations
+     */
+    analyzeCombinations(params) {
+        return params.combinations.length
+            ? this.runOptionalAnalysis('Load combination analysis', () => this.calculator.analyzeCombinations(params, params.combinations))
+            : null;
+    }
+
+    /**
+     * Run an analysis besides the static one; on an error it is listed
+     * with the warnings and the result is null
+     */
+    runOptionalAnalysis(name, analysis) {
+        try {
+            return analysis();
+        } catch (error) {
+            this.addWarnings([`${name} failed: ${error.message}`]);
+            return null;
+        }
+    }
+
+    /**
+     * Integrate the response to the dynamic load of the current model and
+     * play it back in the 3D view
+     */
+    runTimeHistory() {
+        if (!this.currentResults) return;
+
+        let history;
+        try {
+            const { load, duration, dampingRatio } = this.getDynamicParams(this.currentParams.L);
+            history = this.calculator.analyzeTimeHistory(this.currentParams, load, { duration, dampingRatio });
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        this.showError(null);
+
+        this.currentHistory = history;
+        document.getElementById('historyScrub').max = history.t.length - 1;
+        this.setBeamView('history');
+        this.drawDiagram();
+    }
+
+    /**
+     * Warning when a Winkler foundation pulls the beam down somewhere,
+     * which real soil cannot do
+     */
+    getSoilTensionWarning(results) {
+        if (!results.soilPressure) return null;
+
+        const minimum = Math.min(...results.soilPressure);
+        return minimum < 0
+            ? `The foundation is in tension (soil pressure down to ${this.formatNumber(minimum, 'Pa')}); the Winkler model assumes the soil also holds the beam down where it lifts off.`
+            : null;
+    }
+
+    /**
+     * Show or hide an optional diagram tab, falling back to the deflection
+     * diagram when the hidden tab is open
+     */
+    showDiagramTab(diagram, visible) {
+        document.querySelector(`.diagram-tab[data-diagram="${diagram}"]`).classList.toggle('hidden', !visible);
+        if (!visible && this.currentDiagram === diagram) {
+            document.querySelector('.diagram-tab[data-diagram="deflection"]').click();
+        }
+    }
+
+    /**
+     * Switch the 3D view between the deflected beam, the buckled mode, an
+     * animated vibration mode and the time-history playback
+     */
+    setBeamView(view, animatedMode = this.animatedMode) {
+        this.beamView = view;
+        this.animatedMode = animatedMode;
+
+        if (this.currentResults) {
+            this.updateBeamView();
+            this.updateFrequencies(this.currentParams, this.currentModal);
+        }
+    }
+
+    /**
+     * Redraw the 3D beam coloured by the quantity picked in the contour legend,
+     * or show the selected mode shape
+     */
+    updateBeamView() {
+        const { currentParams: params, currentBuckling: buckling, currentModal: modal, currentHistory: history } = this;
+        let range;
+
+        // The mode shapes of a failed analysis fall back to the deflected beam
+        if ((this.beamView === 'buckling' && !buckling) || (this.beamView === 'vibration' && !modal)) {
+            this.beamView = 'deflection';
+        }
+
+        if (this.beamView === 'history') {
+            // Deflection in mm for the legend
+            range = this.visualization.playHistory(params, history.x, history.deflection, (k) => this.showPlaybackTime(k));
+            range = { ...range, min: range.min * 1000, max: range.max * 1000 };
+        } else if (this.beamView === 'vibration') {
+            range = this.visualization.animateMode(params, modal.x, modal.modes[this.animatedMode].shape);
+        } else if (this.beamView === 'buckling') {
+            range = this.visualization.updateModeShape(params, buckling.x, buckling.modeShape);
+        } else {
+            range = this.visualization.updateBeam(params, this.currentResults, this.getContourField(params, this.currentResults));
+            if (this.currentPlastic) {
+                this.visualization.addHinges(this.currentPlastic.hinges, params, this.currentResults);
+            }
+        }
+
+        document.getElementById('toggleBuckling').classList.toggle('active', this.beamView === 'buckling');
+        document.getElementById('playbackControls').classList.toggle('hidden', this.beamView !== 'history');
+        this.setPlaybackButton(this.beamView === 'history');
+
+        // Mode shapes are coloured by their normalised amplitude, the time history by its deflection
+        document.getElementById('contourQuantity').disabled = this.beamView !== 'deflection';
+
+        const format = (value) => Math.abs(value) < 0.005 ? '0.00' : value.toPrecision(3);
+        document.getElementById('legendBar').style.background = this.visualization.getPaletteGradient(range.signed);
+        document.getElementById('legendMin').textContent = format(range.min);
+        document.getElementById('legendMid').textContent = format((range.min + range.max) / 2);
+        document.getElementById('legendMax').textContent = format(range.max);
+    }
+
+    setPlaybackButton(playing) {
+        const button = document.getElementById('playHistory');
+        button.classList.toggle('active', playing);
+        button.textContent = playing ? '⏸' : '▶';
+    }
+
+    /**
+     * Follow the time-history frame k shown in the 3D view with the time
+     * slider and the diagram marker
+     */
+    showPlaybackTime(k) {
+        const { t } = this.currentHistory;
+        this.playbackFrame = k;
+        document.getElementById('historyScrub').value = k;
+        document.getElementById('historyTime').textContent = `t = ${t[k].toFixed(3)} s`;
+
+        if (this.currentDiagram === 'history') {
+            this.drawDiagram();
+        }
+    }
+
+    /**
+     * Contour field for the 3D beam in display units: stresses in MPa,
+     * deflection in mm and utilisation in %. Bending and shear stress are
+     * signed and use the diverging palette.
+     */
+    getContourField(params, results) {
+        const { section, material, safetyFactor } = params;
+        const allowable = (i) => (results.materials ? results.materials[i] : material).fy / safetyFactor;
+        const stressAt = (i, y, z) => this.calculator.getStressAt(results, section, i, y, z);
+
+        const fields = {
+            sigma: { signed: true, valueAt: (i, y, z) => stressAt(i, y, z).sigma / 1e6 },
+            tau: { signed: true, valueAt: (i, y, z) => stressAt(i, y, z).tau / 1e6 },
+            vonMises: { signed: false, valueAt: (i, y, z) => stressAt(i, y, z).vonMises / 1e6 },
+            deflection: { signed: false, valueAt: (i) => Math.abs(results.deflection[i]) * 1000 },
+            utilisation: { signed: false, valueAt: (i, y, z) => stressAt(i, y, z).vonMises / allowable(i) * 100 }
+        };
+
+        return fields[document.getElementById('contourQuantity').value];
+    }
+
+    /**
+     * Show an analysis error above the results, or hide it when message is null
+     */
+    showError(message) {
+        const el = document.getElementById('analysisError');
+        el.textContent = message ? `⚠️ ${message}` : '';
+        el.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * Add warnings to those of the current analysis and show them all
+     */
+    addWarnings(messages) {
+        this.currentWarnings.push(...messages);
+        this.showWarnings(this.currentWarnings);
+    }
+
+    /**
+     * Show warnings above the results, one per line; hide the box when there are none
+     */
+    showWarnings(messages) {
+        const el = document.getElementById('analysisWarning');
+        el.replaceChildren(...messages.map(message => {
+            const line = document.createElement('div');
+            line.textContent = `⚠️ ${message}`;
+            return line;
+        }));
+        el.classList.toggle('hidden', messages.length === 0);
+    }
+
+    /**
+     * Format numbers for display with an SI prefix
+     */
+    formatNumber(num, unit) {
+        if (num === 0) {
+            return `0 ${unit}`;
+        } else if (Math.abs(num) >= 1e9) {
+            return `${(num / 1e9).toFixed(2)} G${unit}`;
+        } else if (Math.abs(num) >= 1e6) {
+            return `${(num / 1e6).toFixed(2)} M${unit}`;
+        } else if (Math.abs(num) >= 1e3) {
+            return `${(num / 1e3).toFixed(2)} k${unit}`;
+        } else if (Math.abs(num) >= 1) {
+            return `${num.toFixed(3)} ${unit}`;
+        } else if (Math.abs(num) >= 1e-3) {
+            return `${(num * 1e3).toFixed(3)} m${unit}`;
+        } else if (Math.abs(num) >= 1e-6) {
+            return `${(num * 1e6).toFixed(3)} μ${unit}`;
+        } else {
+            return `${num.toExponential(2)} ${unit}`;
+        }
+    }
+
+    updateResults(results, maxStress, params, combined) {
+        const formatNumber = (num, unit) => this.formatNumber(num, unit);
+
+        document.getElementById('maxDeflection').textContent = formatNumber(results.maxDeflection, 'm');
+        document.getElementById('maxStress').textContent = formatNumber(maxStress, 'Pa');
+        document.getElementById('maxSlope').textContent = `${(results.maxSlope * 180 / Math.PI).toFixed(4)}°`;
+        document.getElementById('maxMoment').textContent = formatNumber(results.maxMoment, 'N·m');
+        document.getElementById('maxShear').textContent = formatNumber(results.maxShear, 'N');
+        // Segmented beams show the range of I along the beam
+        const inertia = results.sections ? results.sections.map(section => section.I) : [params.I];
+        const [minI, maxI] = [Math.min(...inertia), Math.max(...inertia)];
+        document.getElementById('momentOfInertia').textContent = minI === maxI
+            ? formatNumber(minI, 'm⁴')
+            : `${formatNumber(minI, 'm⁴')} – ${formatNumber(maxI, 'm⁴')}`;
+        document.getElementById('maxShearStress').textContent = formatNumber(combined.tau, 'Pa');
+        document.getElementById('maxVonMises').textContent = formatNumber(combined.vonMises, 'Pa');
+
+        // Soil pressure under a beam on elastic foundation (compression positive)
+        document.getElementById('soilPressureCard').classList.toggle('hidden', !results.soilPressure);
+        if (results.soilPressure) {
+            document.getElementById('maxSoilPressure').textContent = formatNumber(Math.max(...results.soilPressure), 'Pa');
+        }
+
+        // Axial force from restrained thermal expansion (compression positive)
+        const thermal = params.loads.some(load => load.type === 'thermal');
+        document.getElementById('thermalForceCard').classList.toggle('hidden', !thermal);
+        if (thermal) {
+            document.getElementById('thermalAxialForce').textContent = formatNumber(results.thermalAxialForce, 'N');
+        }
+
+        this.updateReactions(results.reactions || []);
+        this.updateOutOfPlane(results, params);
+        this.updateSectionProperties(params.section);
+        this.updateMaterialProperties(params.material);
+
+        document.getElementById('selfWeightValue').textContent = `${params.segments.length ? 'mean ' : ''}${formatNumber(params.selfWeight, 'N/m')}`;
+    }
+
+    /**
+     * Peaks of the large-deflection analysis against the linear results,
+     * or hide the table. Returns a warning when a linear result deflects
+     * beyond the small-deflection limit.
+     */
+    updateLargeDeflection(results, linear, params) {
+        const nonlinear = Boolean(results.largeDeflection);
+        document.getElementById('largeDeflectionResults').classList.toggle('hidden', !nonlinear);
+
+        if (!nonlinear) {
+            return this.calculator.exceedsSmallDeflection(linear)
+                ? `Deflection ${this.formatNumber(linear.maxDeflection, 'm')} (${(linear.maxDeflection / params.L * 100).toFixed(1)} % of L) exceeds the small-deflection limit L/${this.calculator.smallDeflectionRatio} of linear theory, and the 3D view exaggerates it. Enable large deflections for the geometrically nonlinear result.`
+                : null;
+        }
+
+        const compare = (value, reference, unit) =>
+            `${this.formatNumber(value, unit)} (linear ${this.formatNumber(reference, unit)}, ${reference ? `${((value / reference - 1) * 100).toFixed(1)} %` : '-'})`;
+        const { curve } = results;
+
+        const rows = [
+            ['Max Deflection w', compare(results.maxDeflection, linear.maxDeflection, 'm')],
+            ['Max Deflection w / L', (results.maxDeflection / params.L).toFixed(4)],
+            ['Max Horizontal Displacement u', this.formatNumber(results.maxHorizontal, 'm')],
+            ['Max Rotation', `${(Math.max(...results.rotation.map(Math.abs)) * 180 / Math.PI).toFixed(2)}°`],
+            ['Max Moment', compare(results.maxMoment, linear.maxMoment, 'N·m')],
+            ['Max Axial Force |N|', this.formatNumber(results.maxAxialForce, 'N')],
+            ['Converged Load Steps', `${curve.loadFactor.length - 1}`]
+        ];
+
+        // Horizontal reactions, zero at supports that let the beam slide
+        results.reactions.forEach((reaction, k) => {
+            rows.push([`Support ${k + 1} H (x = ${reaction.position.toFixed(2)} m)`, this.formatNumber(reaction.horizontal, 'N')]);
+        });
+
+        document.getElementById('largeDeflectionBody').innerHTML = rows
+            .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+            .join('');
+        return null;
+    }
+
+    /**
+     * Peak lateral bending and torsion results of inclined and eccentric
+     * loads, the extreme corner stresses and the lateral and torsional
+     * support reactions, or hide the table for in-plane loads
+     */
+    updateOutOfPlane(results, params) {
+        const { lateral, torsion } = results;
+        document.getElementById('outOfPlaneResults').classList.toggle('hidden', !lateral && !torsion);
+        if (!lateral && !torsion) return;
+
+        // Extreme corner stresses { sigma, z, y, x } over the beam
+        const corners = results.x.flatMap((x, i) => this.calculator.getCornerStresses(results, params.section, i)
+            .map(corner => ({ ...corner, x })));
+        const extreme = (better) => corners.reduce((best, corner) => better(corner.sigma, best.sigma) ? corner : best);
+        const formatCorner = ({ sigma, z, y, x }) =>
+            `${this.formatNumber(sigma, 'Pa')} at x = ${x.toFixed(2)} m, (z, y) = (${(z * 1e3).toFixed(0)}, ${(y * 1e3).toFixed(0)}) mm`;
+
+        const rows = [];
+        if (lateral) {
+            rows.push(
+                ['Max Lateral Deflection v', this.formatNumber(lateral.maxDeflection, 'm')],
+                ['Max Lateral Moment Mz', this.formatNumber(lateral.maxMoment, 'N·m')],
+                ['Max Lateral Shear Vz', this.formatNumber(lateral.maxShear, 'N')]
+            );
+        }
+        if (torsion) {
+            rows.push(
+                ['Max Twist φ', `${(torsion.maxTwist * 180 / Math.PI).toFixed(4)}°`],
+                ['Max Torque T', this.formatNumber(torsion.maxTorque, 'N·m')],
+                ['Max Torsional Shear τt', this.formatNumber(torsion.maxStress, 'Pa')]
+            );
+        }
+        rows.push(
+            ['Max Corner Tension σ', formatCorner(extreme((a, b) => a > b))],
+            ['Max Corner Compression σ', formatCorner(extreme((a, b) => a < b))]
+        );
+
+        // Lateral reactions oppose +z like the vertical ones oppose the load
+        results.reactions.forEach((reaction, k) => {
+            const parts = [];
+            if (lateral) parts.push(`Hz = ${this.formatNumber(lateral.reactions[k].force, 'N')}`);
+            if (torsion) parts.push(`T = ${this.formatNumber(torsion.reactions[k].torque, 'N·m')}`);
+            rows.push([`Support ${k + 1} (x = ${reaction.position.toFixed(2)} m)`, parts.join(', ')]);
+        });
+
+        document.getElementById('outOfPlaneBody').innerHTML = rows
+            .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+            .join('');
+    }
+
+    /**
+     * Compare Euler-Bernoulli and Timoshenko results for deep beams
+     * (L/h below the calculator's deepBeamRatio), or hide the comparison.
+     * Returns the deep-beam warning, if any.
+     */
+    updateTheoryComparison(params, comparison) {
+        document.getElementById('theoryComparison').classList.toggle('hidden', !comparison);
+
+        if (!comparison) {
+            return null;
+        }
+
+        const { eulerBernoulli, timoshenko, difference, shearDeflection } = comparison;
+        const ratio = params.L / params.depth;
+        const formatPercent = (value) => Math.abs(value) < 0.05 ? '0.0 %' : `${value > 0 ? '+' : ''}${value.toFixed(1)} %`;
+        const formatDegrees = (value) => `${(value * 180 / Math.PI).toFixed(4)}°`;
+
+        const rows = [
+            ['Max. Deflection', this.formatNumber(eulerBernoulli.maxDeflection, 'm'), this.formatNumber(timoshenko.maxDeflection, 'm'), formatPercent(difference.maxDeflection)],
+            ['Max. Rotation', formatDegrees(eulerBernoulli.maxSlope), formatDegrees(timoshenko.maxSlope), formatPercent(difference.maxSlope)],
+            ['Max. Moment', this.formatNumber(eulerBernoulli.maxMoment, 'N·m'), this.formatNumber(timoshenko.maxMoment, 'N·m'), formatPercent(difference.maxMoment)],
+            ['Max. Shear', this.formatNumber(eulerBernoulli.maxShear, 'N'), this.formatNumber(timoshenko.maxShear, 'N'), formatPercent(difference.maxShear)],
+            ['Shear Deflection', '-', this.formatNumber(shearDeflection, 'm'), '']
+        ];
+
+        document.getElementById('theoryComparisonBody').innerHTML = rows
+            .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+            .join('');
+
+        return params.theory === 'timoshenko'
+            ? null
+            : `Deep beam (L/h = ${ratio.toFixed(1)} < ${this.calculator.deepBeamRatio}): shear deformation adds ${difference.maxDeflection.toFixed(1)} % to the deflection. Consider Timoshenko theory.`;
+    }
+
+    /**
+     * List the section's first-yield and plastic moments and the hinge
+     * sequence with the collapse load factor. Returns a warning when the
+     * loads exceed the collapse load.
+     */
+    updatePlastic(plastic, params) {
+        document.getElementById('plasticResults').classList.toggle('hidden', !plastic);
+        if (!plastic) return null;
+
+        const { My, Mp, shapeFactor } = this.calculator.getPlasticMoments(params.section, params.material);
+        const factor = (value) => value === null ? '-' : `× ${value.toFixed(3)}`;
+        const suffix = params.segments.length ? ' (beam section)' : '';
+
+        const rows = [
+            [`First-Yield Moment My${suffix}`, this.formatNumber(My, 'N·m')],
+            [`Plastic Moment Mp${suffix}`, this.formatNumber(Mp, 'N·m')],
+            ['Shape Factor Wpl/Wel', shapeFactor.toFixed(3)],
+            ['First-Yield Load Factor λy', factor(plastic.firstYieldLoadFactor)],
+            ['Collapse Load Factor λc', plastic.mechanism ? factor(plastic.collapseLoadFactor) : 'No mechanism'],
+            ...plastic.hinges.map((hinge, k) => [
+                `Hinge ${k + 1} (${hinge.sign})`,
+                `x = ${hinge.position.toFixed(2)} m at λ = ${hinge.loadFactor.toFixed(3)}`
+            ])
+        ];
+
+        document.getElementById('plasticBody').innerHTML = rows
+            .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+            .join('');
+
+        return plastic.mechanism && plastic.collapseLoadFactor < 1
+            ? `The loads exceed the plastic collapse load: a mechanism forms at ${(plastic.collapseLoadFactor * 100).toFixed(0)} % of them.`
+            : null;
+    }
+
+    /**
+     * List the natural frequencies against the minimum frequency, with a
+     * button per mode to animate it. Returns a warning when the
+     * fundamental frequency is below the limit.
+     */
+    updateFrequencies(params, modal) {
+        const badge = document.getElementById('frequencyStatus');
+        if (!modal) {
+            document.getElementById('frequenciesBody').innerHTML = '';
+            badge.textContent = '';
+            badge.className = 'status-badge';
+            return null;
+        }
+
+        const { frequencyLimit } = params;
+        const passed = (mode) => mode.frequency >= frequencyLimit;
+        const playing = (i) => this.beamView === 'vibration' && this.animatedMode === i;
+
+        document.getElementById('frequenciesBody').innerHTML = modal.modes.map((mode, i) => `
+            <tr>
+                <td>${mode.number}</td>
+                <td>${mode.frequency.toFixed(2)} Hz</td>
+                <td>${this.formatNumber(mode.period, 's')}</td>
+                <td>${mode.omega.toFixed(1)} rad/s</td>
+                <td class="${passed(mode) ? 'pass' : 'fail'}">${passed(mode) ? 'PASS' : 'FAIL'}</td>
+                <td><button class="mode-btn ${playing(i) ? 'active' : ''}" data-mode="${i}" title="Animate mode ${mode.number}">${playing(i) ? '⏹' : '▶'}</button></td>
+            </tr>
+        `).join('');
+
+        const [fundamental] = modal.modes;
+        badge.textContent = passed(fundamental) ? 'PASS' : 'FAIL';
+        badge.className = `status-badge ${passed(fundamental) ? 'pass' : 'fail'}`;
+
+        return passed(fundamental)
+            ? null
+            : `Fundamental frequency f₁ = ${fundamental.frequency.toFixed(2)} Hz is below the ${frequencyLimit} Hz limit (mass ${modal.massPerLength.toFixed(1)} kg/m).`;
+    }
+
+    /**
+     * Critical load, effective length and slenderness, and for an axial
+     * load the second-order amplification of the moment and deflection.
+     * Returns a warning when the axial load nears the critical load.
+     */
+    updateBuckling(buckling, results, firstOrder) {
+        if (!buckling) {
+            document.getElementById('bucklingBody').innerHTML = '';
+            return null;
+        }
+
+        const { axialLoad } = results;
+        const amplification = (secondOrder, reference) => reference ? `× ${(secondOrder / reference).toFixed(3)}` : '-';
+
+        const rows = [
+            ['Critical Load Pcr (supports)', this.formatNumber(buckling.criticalLoad, 'N')],
+            ['Euler Load π²EI/(KL)²', this.formatNumber(buckling.eulerLoad, 'N')],
+            ['Effective Length Factor K', buckling.effectiveLengthFactor.toFixed(2)],
+            ['Effective Length KL', this.formatNumber(buckling.effectiveLength, 'm')],
+            ['Radius of Gyration r', this.formatNumber(buckling.radiusOfGyration, 'm')],
+            ['Slenderness KL/r', buckling.slenderness.toFixed(1)]
+        ];
+
+        if (axialLoad) {
+            rows.push(
+                ['Axial Load P / Pcr', `${(buckling.loadRatio * 100).toFixed(1)} %`],
+                ['Amplification 1/(1 − P/Pcr)', axialLoad > 0 ? `× ${buckling.amplificationFactor.toFixed(3)}` : '-'],
+                ['Moment Amplification', amplification(results.maxMoment, firstOrder.maxMoment)],
+                ['Deflection Amplification', amplification(results.maxDeflection, firstOrder.maxDeflection)]
+            );
+        }
+
+        document.getElementById('bucklingBody').innerHTML = rows
+            .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+            .join('');
+
+        return buckling.loadRatio >= this.calculator.bucklingWarningRatio
+            ? `Axial load is ${(buckling.loadRatio * 100).toFixed(0)} % of the critical load Pcr = ${this.formatNumber(buckling.criticalLoad, 'N')}: second-order effects amplify moments and deflections by about × ${buckling.amplificationFactor.toFixed(2)}.`
+            : null;
+    }
+
+    /**
+     * Stress utilisation σv / (fy / γ) and deflection against L / limit
+     */
+    updateDesignChecks(checks, maxStress, results, params) {
+        const status = (passed) => passed ? 'PASS' : 'FAIL';
+        const percent = (value) => `${(value * 100).toFixed(1)} %`;
+
+        const rows = [
+            ['von Mises Stress', this.formatNumber(maxStress, 'Pa'), `fy/γ = ${this.formatNumber(checks.allowableStress, 'Pa')}`, checks.stressUtilisation, checks.stressPassed],
+            ['Deflection', this.formatNumber(results.maxDeflection, 'm'), `L/${params.deflectionLimit} = ${this.formatNumber(checks.allowableDeflection, 'm')}`, checks.deflectionUtilisation, checks.deflectionPassed]
+        ];
+
+        document.getElementById('designChecksBody').innerHTML = rows.map(([label, value, limit, utilisation, passed]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${value}</td>
+                <td>${limit}</td>
+                <td class="${passed ? '' : 'fail'}">${percent(utilisation)}</td>
+                <td class="${passed ? 'pass' : 'fail'}">${status(passed)}</td>
+            </tr>
+        `).join('');
+
+        const badge = document.getElementById('designStatus');
+        badge.textContent = status(checks.passed);
+        badge.className = `status-badge ${checks.passed ? 'pass' : 'fail'}`;
+    }
+
+    /**
+     * Show the properties of the selected material
+     */
+    updateMaterialProperties(material) {
+        document.getElementById('materialProps').innerHTML = this.getMaterialProperties(material)
+            .map(([label, value]) => `<div class="section-prop"><span>${label}</span><span>${value}</span></div>`)
+            .join('');
+    }
+
+    /**
+     * Material properties as [label, value] pairs for display
+     */
+    getMaterialProperties(material) {
+        return [
+            ['E', this.formatNumber(material.E, 'Pa')],
+            ['G', this.formatNumber(material.G, 'Pa')],
+            ['ν', material.nu !== null ? material.nu.toFixed(2) : '-'],
+            ['ρ', `${material.density} kg/m³`],
+            ['fy', this.formatNumber(material.fy, 'Pa')],
+            ['fu', this.formatNumber(material.fu, 'Pa')],
+            ['α', `${(material.alpha * 1e6).toFixed(1)} µ/K`]
+        ];
+    }
+
+    /**
+     * Show the properties of the cross-section
+     */
+    updateSectionProperties(section) {
+        document.getElementById('sectionProps').innerHTML = this.getSectionProperties(section)
+            .map(([label, value]) => `<div class="section-prop"><span>${label}</span><span>${value}</span></div>`)
+            .join('');
+    }
+
+    /**
+     * Cross-section properties as [label, value] pairs (in cm units)
+     */
+    getSectionProperties(section) {
+        const properties = [
+            ['Area A', `${(section.A * 1e4).toFixed(2)} cm²`],
+            ['I', `${(section.I * 1e8).toFixed(1)} cm⁴`],
+            ['W top', `${(section.Wtop * 1e6).toFixed(1)} cm³`],
+            ['W bottom', `${(section.Wbottom * 1e6).toFixed(1)} cm³`],
+            ['Centroid ȳ', `${(section.yc * 1e3).toFixed(1)} mm`],
+            ['Q max', `${(section.firstMomentAt(0) * 1e6).toFixed(1)} cm³`],
+            ['Shear κ', section.shearCoefficient.toFixed(3)],
+            ['Iz', `${(section.Iz * 1e8).toFixed(1)} cm⁴`],
+            ['Torsion J', `${(section.J * 1e8).toFixed(1)} cm⁴`],
+            ['W plastic', `${(section.Wpl * 1e6).toFixed(1)} cm³`],
+            ['Shape factor', section.shapeFactor.toFixed(3)]
+        ];
+
+        // Catalogue sections also carry the mass
+        if (section.designation) {
+            properties.push(['Mass', `${section.mass.toFixed(1)} kg/m`]);
+        }
+        return properties;
+    }
+
+    /**
+     * Fill the support reactions table
+     */
+    updateReactions(reactions) {
+        const typeLabels = { 'pin': 'Pin', 'roller': 'Roller', 'fixed': 'Fixed', 'spring': 'Spring' };
+        const tbody = document.getElementById('reactionsBody');
+
+        // Suppress round-off noise in the moments at pinned ends
+        const scale = Math.max(...reactions.map(r => Math.abs(r.beamMoment)), 0);
+        const clean = (value) => Math.abs(value) <= scale * 1e-9 ? 0 : value;
+
+        tbody.innerHTML = reactions.map((reaction, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td class="text-left">${typeLabels[reaction.type] || reaction.type}${reaction.elastic ? ' (elastic)' : ''}</td>
+                <td>${reaction.position.toFixed(2)} m</td>
+                <td>${this.formatNumber(reaction.force, 'N')}</td>
+                <td>${reaction.type === 'fixed' || reaction.moment ? this.formatNumber(reaction.moment, 'N·m') : '-'}</td>
+                <td class="${clean(reaction.beamMoment) < 0 ? 'hogging' : ''}">${this.formatNumber(clean(reaction.beamMoment), 'N·m')}</td>
+                <td>${reaction.deflection ? `${(reaction.deflection * 1000).toFixed(2)} mm` : '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * List the peak moment, shear and deflection of every load combination,
+     * marking the combinations that govern the envelope peaks
+     */
+    updateCombinations(combinations) {
+        document.getElementById('combinationResults').classList.toggle('hidden', !combinations);
+        if (!combinations) return;
+
+        const { results, peaks } = combinations;
+        const columns = [
+            ['Moment', 'moment', 'N·m'],
+            ['Shear', 'shear', 'N'],
+            ['Deflection', 'deflection', 'm']
+        ];
+
+        // Suppress round-off noise relative to the largest value of each quantity
+        const scales = columns.map(([, quantity]) => Math.max(...results.flatMap(result => result[quantity].map(Math.abs))));
+        const clean = (value, j) => Math.abs(value) <= scales[j] * 1e-9 ? 0 : value;
+
+        document.getElementById('combinationResultsBody').replaceChildren(...combinations.combinations.map(({ name }, k) => {
+            const cells = columns.flatMap(([suffix, quantity, unit], j) => [
+                ['max', Math.max(...results[k][quantity])],
+                ['min', Math.min(...results[k][quantity])]
+            ].map(([bound, value]) =>
+                `<td class="${peaks[bound + suffix].combination === k ? 'governing' : ''}">${this.formatNumber(clean(value, j), unit)}</td>`));
+
+            // The name is user text
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${k + 1}</td>
+                <td class="text-left"></td>
+                ${cells.join('')}`;
+            row.cells[1].textContent = name;
+            return row;
+        }));
+    }
+
+    drawDiagram() {
+        if (!this.currentResults) return;
+
+        if (this.currentDiagram === 'section') {
+            this.drawSectionDiagram();
+            return;
+        }
+
+        const { title, series, marker, axis, labels } = this.getDiagramSeries();
+        this.plotDiagram(title, series, marker, axis, labels);
+    }
+
+    /**
+     * Title and data series of the line diagrams. Envelopes plot their
+     * maximum and minimum; influence lines mark their station.
+     */
+    getDiagramSeries() {
+        const { deflection, moment, shear } = this.currentResults;
+        const formatMax = ({ value, x }, unit) => `${this.formatNumber(value, unit)} at x = ${x.toFixed(2)} m`;
+
+        switch (this.currentDiagram) {
+            case 'moment':
+                return { title: 'Bending Moment Diagram', series: [{ data: moment, color: '#8b5cf6' }] };
+            case 'shear':
+                return { title: 'Shear Force Diagram', series: [{ data: shear, color: '#a855f7' }] };
+            case 'influence':
+                return this.currentMoving ? this.getInfluenceSeries() : this.getFailedSeries('Influence Lines');
+            case 'momentEnvelope': {
+                const moving = this.currentMoving;
+                if (!moving) return this.getFailedSeries('Moment Envelope');
+                return {
+                    title: `Moment Envelope: max |M| = ${formatMax(moving.absMaxMoment, 'N·m')}`,
+                    series: [{ data: moving.envelope.maxMoment, color: '#8b5cf6' }, { data: moving.envelope.minMoment, color: '#ec4899' }]
+                };
+            }
+            case 'history':
+                return this.getHistorySeries();
+            case 'combinations':
+                return this.getCombinationSeries();
+            case 'plastic':
+                return this.currentPlastic ? this.getPlasticSeries() : this.getFailedSeries('Plastic Redistribution');
+            case 'lateral':
+                return this.getLateralSeries();
+            case 'torsion':
+                return this.getTorsionSeries();
+            case 'loadDeflection':
+                return this.getLoadDeflectionSeries();
+            case 'soilPressure':
+                return { title: 'Soil Pressure ks·w (compression positive)', series: [{ data: this.currentResults.soilPressure, color: '#b45309' }] };
+            case 'shearEnvelope': {
+                const moving = this.currentMoving;
+                if (!moving) return this.getFailedSeries('Shear Envelope');
+                return {
+                    title: `Shear Envelope: max |V| = ${formatMax(moving.absMaxShear, 'N')}`,
+                    series: [{ data: moving.envelope.maxShear, color: '#a855f7' }, { data: moving.envelope.minShear, color: '#ec4899' }]
+                };
+            }
+            default:
+                return { title: 'Deflection Diagram', series: [{ data: deflection, color: '#6366f1' }] };
+        }
+    }
+
+    /**
+     * Empty diagram of an analysis that failed (its error is listed with
+     * the warnings)
+     */
+    getFailedSeries(title) {
+        return {
+            title: `${title}: analysis failed, see the warnings`,
+            series: [{ data: [0, 0], color: '#6b7280' }]
+        };
+    }
+
+    /**
+     * Influence line of the quantity picked next to the station slider:
+     * moment or shear at the station, or a support reaction
+     */
+    getInfluenceSeries() {
+        const { x, influence } = this.currentMoving;
+        const i = this.syncStationSlider();
+        const quantity = document.getElementById('influenceQuantity').value;
+        const color = '#22c55e';
+
+        if (quantity.startsWith('reaction-')) {
+            const k = parseInt(quantity.split('-')[1], 10);
+            const reaction = influence.reactions[k];
+            return {
+                title: `Influence Line: Reaction R${k + 1} (${reaction.type} at x = ${reaction.position.toFixed(2)} m)`,
+                series: [{ data: reaction.values, color }],
+                marker: reaction.position
+            };
+        }
+
+        const label = { moment: 'Moment M at', shear: 'Shear V just left of', shearRight: 'Shear V just right of' }[quantity];
+        return {
+            title: `Influence Line: ${label} x = ${x[i].toFixed(2)} m (unit load)`,
+            series: [{ data: influence[quantity][i], color }],
+            marker: x[i]
+        };
+    }
+
+    /**
+     * Envelope band of the quantity picked next to the tabs over all load
+     * combinations, with the peaks labelled by their governing combination
+     */
+    getCombinationSeries() {
+        const { combinations, envelope, peaks } = this.currentCombinations;
+        const quantity = document.getElementById('envelopeQuantity').value;
+        const { label, unit } = {
+            Moment: { label: 'Moment', unit: 'N·m' },
+            Shear: { label: 'Shear', unit: 'N' },
+            Deflection: { label: 'Deflection', unit: 'm' }
+        }[quantity];
+
+        const max = peaks[`max${quantity}`];
+        const min = peaks[`min${quantity}`];
+        const text = ({ value, combination }) => `${this.formatNumber(value, unit)} (${combinations[combination].name})`;
+
+        return {
+            title: `${label} Envelope over ${combinations.length} Load Combination${combinations.length === 1 ? '' : 's'}`,
+            series: [
+                { data: envelope[`max${quantity}`], color: '#8b5cf6', band: envelope[`min${quantity}`] },
+                { data: envelope[`min${quantity}`], color: '#ec4899', fill: false }
+            ],
+            labels: [
+                { x: max.x, value: max.value, text: text(max), color: '#8b5cf6', above: true },
+                { x: min.x, value: min.value, text: text(min), color: '#ec4899', above: false }
+            ]
+        };
+    }
+
+    /**
+     * Moment diagram at every hinge formation, showing the redistribution
+     * up to collapse, between the ±Mp lines; hinges are labelled in order
+     */
+    getPlasticSeries() {
+        const { steps, hinges, plasticMoment, mechanism, collapseLoadFactor } = this.currentPlastic;
+        const colors = ['#8b5cf6', '#a855f7', '#ec4899', '#f59e0b', '#22c55e', '#06b6d4'];
+        const limit = { color: '#6b7280', fill: false };
+
+        return {
+            title: mechanism
+                ? `Plastic Redistribution: ${hinges.length} hinge${hinges.length === 1 ? '' : 's'}, collapse at λc = ${collapseLoadFactor.toFixed(3)}`
+                : `Plastic Redistribution: no mechanism after ${hinges.length} hinge${hinges.length === 1 ? '' : 's'}`,
+            series: [
+                { ...limit, data: plasticMoment },
+                { ...limit, data: plasticMoment.map(Mp => -Mp) },
+                ...steps.map(({ moment }, k) => ({ data: moment, color: colors[k % colors.length], fill: k === steps.length - 1 }))
+            ],
+            labels: hinges.map((hinge, k) => ({
+                x: hinge.position,
+                value: (hinge.sign === 'sagging' ? 1 : -1) * this.getPlasticMomentAt(hinge.position),
+                text: `H${k + 1} λ = ${hinge.loadFactor.toFixed(2)}`,
+                color: colors[hinge.step % colors.length],
+                above: hinge.sign === 'sagging'
+            }))
+        };
+    }
+
+    /**
+     * Lateral deflection, moment or shear (bending about the weak axis)
+     * picked next to the tabs
+     */
+    getLateralSeries() {
+        const { lateral } = this.currentResults;
+        const quantity = document.getElementById('lateralQuantity').value;
+        const titles = {
+            deflection: 'Lateral Deflection v (along +z)',
+            moment: 'Lateral Bending Moment Mz (tension on the +z side positive)',
+            shear: 'Lateral Shear Force Vz'
+        };
+        const colors = { deflection: '#06b6d4', moment: '#0ea5e9', shear: '#14b8a6' };
+
+        return { title: titles[quantity], series: [{ data: lateral[quantity], color: colors[quantity] }] };
+    }
+
+    /**
+     * Twist angle, torque or torsional shear stress picked next to the tabs
+     */
+    getTorsionSeries() {
+        const { torsion } = this.currentResults;
+        const quantity = document.getElementById('torsionQuantity').value;
+        const titles = {
+            twist: 'Twist Angle φ (rad, about +x)',
+            torque: 'Torque T = GJ·φ\'',
+            stress: 'Torsional Shear Stress τt = T / Wt'
+        };
+
+        return { title: titles[quantity], series: [{ data: torsion[quantity], color: '#f97316' }] };
+    }
+
+    /**
+     * Load factor against the deflection w and horizontal displacement u
+     * of the station that deflects most, with the linear response w for
+     * reference up to the axis end. Displacements are plotted by magnitude.
+     */
+    getLoadDeflectionSeries() {
+        const { curve } = this.currentResults;
+        const { x, deflection } = this.currentLinear;
+        const i = x.reduce((best, xi, j) => Math.abs(xi - curve.position) < Math.abs(x[best] - curve.position) ? j : best, 0);
+        const w = curve.deflection.map(Math.abs);
+        const u = curve.horizontal.map(Math.abs);
+        const linear = Math.abs(deflection[i]);
+        const max = Math.min(Math.max(...w, ...u) * 1.25, linear) || Math.max(...w, ...u, linear) || 1;
+        const reach = linear ? Math.min(1, max / linear) : 1;
+
+        return {
+            title: `Load Factor vs Displacement at x = ${curve.position.toFixed(2)} m`,
+            series: [
+                { data: [0, reach], at: [0, reach * linear], color: '#6b7280', fill: false },
+                { data: curve.loadFactor, at: w, color: '#6366f1', fill: false },
+                { data: curve.loadFactor, at: u, color: '#10b981', fill: false }
+            ],
+            axis: { max, label: this.formatNumber(max, 'm') },
+            labels: [
+                { x: w[w.length - 1], value: 1, text: 'w', color: '#6366f1', above: true },
+                { x: u[u.length - 1], value: 1, text: 'u', color: '#10b981', above: true },
+                { x: reach * linear, value: reach, text: 'linear', color: '#9ca3af', above: false }
+            ]
+        };
+    }
+
+    /**
+     * Plastic moment at x, from the station nearest to it
+     */
+    getPlasticMomentAt(position) {
+        const { x, plasticMoment } = this.currentPlastic;
+        const i = x.reduce((best, xi, j) => Math.abs(xi - position) < Math.abs(x[best] - position) ? j : best, 0);
+        return plasticMoment[i];
+    }
+
+    /**
+     * Deflection, moment or bending stress at the station over time, with
+     * the playback time marked
+     */
+    getHistorySeries() {
+        const history = this.currentHistory;
+        const color = '#06b6d4';
+
+        if (!history) {
+            return {
+                title: 'Time History: run the analysis of the dynamic load',
+                series: [{ data: [0, 0], color }]
+            };
+        }
+
+        const i = this.syncStationSlider();
+        const quantity = document.getElementById('historyQuantity').value;
+        const { label, unit } = {
+            deflection: { label: 'Deflection w', unit: 'm' },
+            moment: { label: 'Moment M', unit: 'N·m' },
+            stress: { label: 'Bending stress σ', unit: 'Pa' }
+        }[quantity];
+
+        const data = history[quantity].map(row => row[i]);
+        const peak = data.reduce((best, value) => Math.abs(value) > Math.abs(best) ? value : best, 0);
+        const { t } = history;
+        const duration = t[t.length - 1];
+
+        return {
+            title: `Time History: ${label} at x = ${history.x[i].toFixed(2)} m, peak ${this.formatNumber(peak, unit)}`,
+            series: [{ data, color }],
+            marker: t[Math.min(this.playbackFrame, t.length - 1)],
+            axis: { max: duration, label: `${duration.toFixed(2)} s` }
+        };
+    }
+
+    /**
+     * Offer the moment and shear at the station and every support reaction
+     * as influence line quantities, keeping the current choice if it still exists
+     */
+    renderInfluenceOptions(supports) {
+        const select = document.getElementById('influenceQuantity');
+        const selected = select.value;
+
+        select.innerHTML = '';
+        select.add(new Option('Moment M', 'moment'));
+        select.add(new Option('Shear V (left)', 'shear'));
+        select.add(new Option('Shear V (right)', 'shearRight'));
+        supports.forEach((support, k) => {
+            select.add(new Option(`Reaction R${k + 1} (x = ${support.position.toFixed(2)} m)`, `reaction-${k}`));
+        });
+
+        select.value = [...select.options].some(option => option.value === selected) ? selected : 'moment';
+    }
+
+    /**
+     * Keep the station slider in step with the number of stations and
+     * return the selected station index
+     */
+    syncStationSlider() {
+        const { x } = this.currentResults;
+        const slider = document.getElementById('stationSlider');
+        const i = Math.min(this.stationIndex, x.length - 1);
+
+        slider.max = x.length - 1;
+        slider.value = i;
+        document.getElementById('stationValue').textContent = `x = ${x[i].toFixed(2)} m`;
+        return i;
+    }
+
+    /**
+     * Plot data series over the beam length (or the horizontal axis
+     * { max, label }, e.g. time), with an optional vertical marker at
+     * position `marker`. A series is filled down to zero, or between it
+     * and its band data, unless fill is false; labels { x, value, text,
+     * color, above } mark points of the curves.
+     */
+    plotDiagram(title, series, marker = null, axis = null, labels = []) {
+        const ctx = this.diagramCtx;
+        const canvas = this.diagramCanvas;
+        const L = this.currentParams.L;
+        const { max: axisMax, label: axisLabel } = axis || { max: L, label: `${L.toFixed(1)} m` };
+
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const padding = { top: 30, right: 40, bottom: 30, left: 60 };
+        const width = canvas.width - padding.left - padding.right;
+        const height = canvas.height - padding.top - padding.bottom;
+
+        // Find data range
+        const values = series.flatMap(({ data }) => data);
+        const minVal = Math.min(...values);
+        const maxVal = Math.max(...values);
+        const range = maxVal - minVal || 1;
+
+        // Draw background
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Draw grid
+        ctx.strokeStyle = '#1f2937';
+        ctx.lineWidth = 1;
+
+        // Horizontal grid lines
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (i / 4) * height;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + width, y);
+            ctx.stroke();
+        }
+
+        // Vertical grid lines
+        for (let i = 0; i <= 5; i++) {
+            const xPos = padding.left + (i / 5) * width;
+            ctx.beginPath();
+            ctx.moveTo(xPos, padding.top);
+            ctx.lineTo(xPos, padding.top + height);
+            ctx.stroke();
+        }
+
+        // Draw zero line if data crosses zero
+        if (minVal < 0 && maxVal > 0) {
+            const zeroY = padding.top + (maxVal / range) * height;
+            ctx.strokeStyle = '#4b5563';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, zeroY);
+            ctx.lineTo(padding.left + width, zeroY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Draw the station or support of an influence line, or the playback time
+        if (marker !== null) {
+            const markerX = padding.left + (marker / axisMax) * width;
+            ctx.strokeStyle = '#f59e0b';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(markerX, padding.top);
+            ctx.lineTo(markerX, padding.top + height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        const toX = (i, count) => padding.left + (i / (count - 1)) * width;
+        const toY = (value) => padding.top + ((maxVal - value) / range) * height;
+
+        // Draw data curves: equally spaced over the axis, or at the abscissae at
+        series.forEach(({ data, color, band, fill = true, at = null }) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+
+            for (let i = 0; i < data.length; i++) {
+                const xPos = at ? padding.left + (at[i] / axisMax) * width : toX(i, data.length);
+                const yPos = toY(data[i]);
+
+                if (i === 0) {
+                    ctx.moveTo(xPos, yPos);
+                } else {
+                    ctx.lineTo(xPos, yPos);
+                }
+            }
+            ctx.stroke();
+            if (!fill) return;
+
+            if (band) {
+                // Fill between the curve and the band
+                for (let i = band.length - 1; i >= 0; i--) {
+                    ctx.lineTo(toX(i, band.length), toY(band[i]));
+                }
+            } else {
+                // Fill under curve
+                ctx.lineTo(padding.left + width, toY(0));
+                ctx.lineTo(padding.left, toY(0));
+            }
+            ctx.closePath();
+            ctx.fillStyle = color + '20';
+            ctx.fill();
+        });
+
+        // Mark labelled points, keeping the text inside the plot
+        ctx.font = '10px Inter, sans-serif';
+        labels.forEach(({ x, value, text, color, above }) => {
+            const xPos = padding.left + (x / axisMax) * width;
+            const yPos = toY(value);
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(xPos, yPos, 3, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.textAlign = xPos < padding.left + width * 0.25 ? 'left' : xPos > padding.left + width * 0.75 ? 'right' : 'center';
+            ctx.fillText(text, xPos, Math.min(Math.max(above ? yPos - 6 : yPos + 14, padding.top + 10), padding.top + height - 2));
+        });
+
+        // Draw title
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(title, canvas.width / 2, 18);
+
+        // Draw Y-axis labels
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+
+        const formatValue = (val) => {
+            if (Math.abs(val) >= 1e6) return `${(val / 1e6).toFixed(1)}M`;
+            if (Math.abs(val) >= 1e3) return `${(val / 1e3).toFixed(1)}k`;
+            if (Math.abs(val) >= 1) return val.toFixed(2);
+            return (val * 1e3).toFixed(2) + 'm';
+        };
+
+        ctx.fillText(formatValue(maxVal), padding.left - 5, padding.top + 4);
+        ctx.fillText(formatValue(minVal), padding.left - 5, padding.top + height + 4);
+
+        // Draw X-axis labels
+        ctx.textAlign = 'center';
+        ctx.fillText('0', padding.left, padding.top + height + 15);
+        ctx.fillText(axisLabel, padding.left + width, padding.top + height + 15);
+    }
+
+    /**
+     * Draw σ(y) and τ(y) over the depth of the section at the selected station
+     */
+    drawSectionDiagram() {
+        const ctx = this.diagramCtx;
+        const canvas = this.diagramCanvas;
+        const results = this.currentResults;
+        const i = this.syncStationSlider();
+        const section = this.calculator.getStationSection(results, this.currentParams.section, i);
+
+        const points = this.calculator.getSectionStresses(results, section, i);
+        const vonMises = Math.max(...points.map(p => p.vonMises));
+        const sigma1 = Math.max(...points.map(p => p.sigma1));
+        const sigma2 = Math.min(...points.map(p => p.sigma2));
+
+        // Draw background
+        ctx.fillStyle = '#111827';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Draw title
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Section Stresses at x = ${results.x[i].toFixed(2)} m`, 10, 18);
+
+        const padding = { top: 30, bottom: 30, side: 60 };
+        const panelWidth = (canvas.width - 3 * padding.side) / 2;
+        const height = canvas.height - padding.top - padding.bottom;
+        const yRange = section.yTop + section.yBottom;
+        const toY = (y) => padding.top + ((section.yTop - y) / yRange) * height;
+
+        const panels = [
+            { key: 'sigma', label: 'σ(y)  (+ tension)', color: '#8b5cf6', left: padding.side },
+            { key: 'tau', label: 'τ(y) = VQ/(Ib)', color: '#a855f7', left: 2 * padding.side + panelWidth }
+        ];
+
+        panels.forEach(({ key, label, color, left }) => {
+            const values = points.map(p => p[key]);
+            const scale = Math.max(...values.map(Math.abs)) || 1;
+            const axisX = left + panelWidth / 2;
+            const toX = (value) => axisX + (value / scale) * (panelWidth / 2);
+
+            // Section depth axis and the neutral axis
+            ctx.strokeStyle = '#4b5563';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(axisX, toY(section.yTop));
+            ctx.lineTo(axisX, toY(-section.yBottom));
+            ctx.stroke();
+
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(left, toY(0));
+            ctx.lineTo(left + panelWidth, toY(0));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Profile, filled against the axis
+            ctx.beginPath();
+            ctx.moveTo(axisX, toY(points[0].y));
+            points.forEach(p => ctx.lineTo(toX(p[key]), toY(p.y)));
+            ctx.lineTo(axisX, toY(points[points.length - 1].y));
+            ctx.closePath();
+            ctx.fillStyle = color + '40';
+            ctx.fill();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+
+            // Labels
+            ctx.fillStyle = '#9ca3af';
+            ctx.font = '11px Inter, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(label, axisX, padding.top + height + 16);
+
+            ctx.fillStyle = '#6b7280';
+            ctx.font = '10px Inter, sans-serif';
+            const extreme = values.reduce((a, b) => Math.abs(b) > Math.abs(a) ? b : a, 0);
+            ctx.textAlign = 'left';
+            ctx.fillText(this.formatNumber(extreme, 'Pa'), left + panelWidth + 4, toY(points[values.indexOf(extreme)].y) + 4);
+        });
+
+        // Depth labels
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${(section.yTop * 1e3).toFixed(0)} mm`, padding.side - 5, toY(section.yTop) + 4);
+        ctx.fillText('0', padding.side - 5, toY(0) + 4);
+        ctx.fillText(`${(-section.yBottom * 1e3).toFixed(0)} mm`, padding.side - 5, toY(-section.yBottom) + 4);
+
+        // Combined stresses at this station
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#9ca3af';
+        ctx.fillText(
+            `σv,max = ${this.formatNumber(vonMises, 'Pa')}   σ1 = ${this.formatNumber(sigma1, 'Pa')}   σ2 = ${this.formatNumber(sigma2, 'Pa')}`,
+            canvas.width - 10, 18
+        );
     }
 }
 
@@ -3,16 +3,54 @@
  * 
  * This module contains all the mathematical formulas for beam analysis
  * based on Euler-Bernoulli beam theory.
+ *
+ * Results are computed with the finite element solver (BeamFESolver).
+ * The closed-form solutions are kept as a verification reference.
  */
 
 class BeamCalculator {
     constructor() {
-        // Material properties (E in Pa)
+        // Material records: E and G in Pa, Poisson's ratio ν, density in kg/m³,
+        // yield and ultimate strength fy, fu in Pa, thermal expansion α in 1/K
         this.materials = {
-            'steel': 200e9,      // 200 GPa
-            'aluminum': 70e9,    // 70 GPa
-            'copper': 120e9,     // 120 GPa
-            'wood': 12e9         // 12 GPa
+            'steel': { name: 'Structural Steel S235', E: 200e9, G: 77e9, nu: 0.3, density: 7850, fy: 235e6, fu: 360e6, alpha: 12e-6 },
+            'steel-s355': { name: 'Structural Steel S355', E: 200e9, G: 77e9, nu: 0.3, density: 7850, fy: 355e6, fu: 490e6, alpha: 12e-6 },
+            'stainless': { name: 'Stainless Steel 304', E: 193e9, G: 74e9, nu: 0.3, density: 8000, fy: 215e6, fu: 505e6, alpha: 17.3e-6 },
+            'aluminum': { name: 'Aluminum Alloy 6061-T6', E: 70e9, G: 26e9, nu: 0.33, density: 2700, fy: 276e6, fu: 310e6, alpha: 23.6e-6 },
+            'copper': { name: 'Copper', E: 120e9, G: 45e9, nu: 0.34, density: 8960, fy: 70e6, fu: 220e6, alpha: 17e-6 },
+            // Timber parallel to the grain; fy is the bending strength
+            'wood': { name: 'Timber C24', E: 12e9, G: 0.75e9, density: 500, fy: 24e6, fu: 24e6, alpha: 5e-6 }
+        };
+
+        this.gravity = 9.81;
+
+        // Span-to-depth ratio below which shear deformation matters
+        this.deepBeamRatio = 10;
+
+        // Theoretical effective-length factors K for column buckling;
+        // continuous beams use the longest span between supports
+        this.effectiveLengthFactors = {
+            'simply-supported': 1,
+            'fixed-fixed': 0.5,
+            'cantilever': 2,
+            'continuous': 1
+        };
+
+        // Axial load ratio P/Pcr above which buckling is reported as near
+        this.bucklingWarningRatio = 0.5;
+
+        // Linear (small-deflection) theory holds for deflections up to L/100
+        this.smallDeflectionRatio = 100;
+
+        // Upper limit on the number of time steps of a time-history analysis
+        this.maxTimeSteps = 5000;
+
+        // Dimensionless frequency parameters (βL)² of the first modes,
+        // f = (βL)²/(2πL²)·√(EI/m)
+        this.frequencyParameters = {
+            'simply-supported': [Math.PI ** 2, 4 * Math.PI ** 2, 9 * Math.PI ** 2],
+            'fixed-fixed': [22.373285, 61.672823, 120.903392],
+            'cantilever': [3.516015, 22.034492, 61.697214]
         };
     }
 
@@ -31,12 +69,77 @@ class BeamCalculator {
         if (material === 'custom' && customE !== null) {
             return customE * 1e9; // Convert GPa to Pa
         }
-        return this.materials[material] || this.materials['steel'];
+        return (this.materials[material] || this.materials['steel']).E;
+    }
+
+    /**
+     * Beams with L/h below deepBeamRatio need Timoshenko theory
+     */
+    isDeepBeam(L, h) {
+        return L / h < this.deepBeamRatio;
+    }
+
+    /**
+     * Mass per unit length (kg/m). Catalogue sections use their
+     * tabulated mass, other sections the area times the density.
+     */
+    getMassPerLength(section, density) {
+        return section.mass !== undefined ? section.mass : section.A * density;
+    }
+
+    /**
+     * Self-weight per unit length (N/m)
+     */
+    getSelfWeight(section, density) {
+        return this.getMassPerLength(section, density) * this.gravity;
     }
 
     /**
      * Calculate beam deflection, slope, moment, and shear along the beam
      * Returns arrays of values at discrete points
+     *
+     * Loads are given as a list of { type, magnitude, position } objects and
+     * their effects are superposed. Distributed loads may add end and
+     * endMagnitude, and 'profile' loads list their q(x) vertices in points
+     * (see BeamFESolver.loadProfile). The legacy single-load parameters
+     * (loadType, P, q, M0, a) are still accepted when no list is passed.
+     *
+     * Supports default to those of beamType unless params.supports is given.
+     * A support may settle (settlement, m downwards), rotate (rotation,
+     * rad) and be elastic (spring stiffnesses kv, N/m and kr, N·m/rad).
+     * Set params.solver to 'closed-form' to use the reference formulas.
+     *
+     * Set params.theory to 'timoshenko' to include shear deformation; this
+     * needs the shear modulus G and the shear area As (κA).
+     *
+     * params.axialLoad (N, compression positive) gives a second-order
+     * (P-Δ) beam-column analysis; it must stay below the critical load.
+     *
+     * The 'elastic-foundation' beam type rests on a Winkler foundation
+     * params.foundation = { modulus, endModulus, width }: subgrade modulus
+     * ks (N/m³) at x = 0 varying linearly to endModulus at x = L, over the
+     * contact width (m). Its ends are 'free', 'pin' or 'fixed' as given by
+     * params.endConditions. The results add the soil pressure ks·w (Pa).
+     *
+     * Temperature loads { type: 'thermal', uniform, gradient } (K) use the
+     * expansion coefficient params.alpha (1/K) and the depth params.h: the
+     * gradient (bottom minus top) bends the beam with the curvature α·ΔT/h,
+     * and a uniform change of a beam held at both ends adds the restraint
+     * force E·A·α·ΔT (compression positive) to the axial force. Set
+     * params.secondOrder to false to leave the axial force out of the
+     * stiffness (it still enters the stresses).
+     *
+     * A non-prismatic beam lists params.segments { start, end, section,
+     * endSection, material } over the base params.section and
+     * params.material (see BeamSegments). The stiffness, the thermal
+     * curvature and the restraint force then follow the local section and
+     * material, and the results add the sections and materials at the stations.
+     *
+     * Point and distributed loads may act at an angle (degrees from the
+     * downward vertical towards +z) and with an eccentricity (m, along +z
+     * from the shear centre), see splitLoads. Their lateral components
+     * add results.lateral (bending about the weak axis) and their torques
+     * results.torsion; both are null for in-plane loads only.
      */
     analyze(params) {
         const {
@@ -49,6 +152,1011 @@ class BeamCalculator {
             q = 0,      // Distributed load (N/m)
             M0 = 0,     // Moment load (N·m)
             a = L / 2,    // Load position (m)
+            numPoints = 100,
+            solver = 'fe',
+            theory = 'euler-bernoulli',
+            G,          // Shear modulus (Pa), Timoshenko only
+            As,         // Shear area κA (m^2), Timoshenko only
+            axialLoad = 0, // Axial force (N), compression positive
+            secondOrder = true
+        } = params;
+
+        const segments = this.getSegments(params);
+        const { inPlane, lateral, torques } = this.splitLoads(params.loads || [this.createLegacyLoad(loadType, P, q, M0, a)]);
+        const loads = this.resolveThermalLoads(inPlane, params, segments);
+        const timoshenko = theory === 'timoshenko';
+        const thermalAxialForce = this.getThermalAxialForce({ ...params, loads }, segments);
+        const axialForce = axialLoad + thermalAxialForce;
+
+        if (loads.some(load => load.type === 'profile' && load.points.length < 2)) {
+            throw new Error('A q(x) table load needs at least two (x, q) rows');
+        }
+
+        if (timoshenko && !(G > 0 && As > 0)) {
+            throw new Error('Timoshenko theory needs a positive shear modulus and shear area');
+        }
+
+        if (solver === 'closed-form') {
+            if (timoshenko) {
+                throw new Error('Closed-form solutions are only available for Euler-Bernoulli theory');
+            }
+            if (axialForce) {
+                throw new Error('Closed-form solutions do not include axial load');
+            }
+            if (beamType === 'elastic-foundation') {
+                throw new Error('Closed-form solutions do not include an elastic foundation');
+            }
+            if ((params.supports || []).some(s => s.settlement || s.rotation || s.kv || s.kr)) {
+                throw new Error('Closed-form solutions assume rigid supports without settlement');
+            }
+            if (segments) {
+                throw new Error('Closed-form solutions assume a prismatic beam');
+            }
+            if (lateral.length > 0 || torques.length > 0) {
+                throw new Error('Closed-form solutions cover in-plane loads only');
+            }
+            return this.analyzeClosedForm({ ...params, loads });
+        }
+
+        const fe = this.createSolver({ ...params, loads, axialLoad: secondOrder ? axialForce : 0 });
+
+        if (secondOrder && axialForce > 0) {
+            const [mode] = fe.solveBuckling(1);
+            if (axialForce >= mode.load) {
+                const subject = thermalAxialForce ? 'Axial force including the thermal restraint force' : 'Axial load';
+                throw new Error(`${subject} exceeds the critical buckling load Pcr = ${(mode.load / 1e3).toFixed(2)} kN`);
+            }
+        }
+
+        const results = fe.solve();
+        results.lateral = lateral.length > 0 ? this.analyzeLateral(params, lateral, secondOrder ? axialForce : 0) : null;
+        results.torsion = torques.length > 0 ? this.analyzeTorsion(params, torques) : null;
+        const soilPressure = results.foundationReaction && results.foundationReaction.map(p => p / params.foundation.width);
+
+        if (segments) {
+            const local = results.x.map(x => segments.at(x));
+            results.sections = local.map(({ section }) => section);
+            results.materials = local.map(({ material }) => material);
+        }
+
+        return { ...results, soilPressure, theory, axialLoad: axialForce, thermalAxialForce };
+    }
+
+    /**
+     * Split loads by their direction angle (degrees from the downward
+     * vertical towards +z) and eccentricity e (m, along +z from the shear
+     * centre) into the in-plane components (cos), the lateral components
+     * along +z (sin) and the torques about +x of the in-plane components
+     * (P·e, q·e). Applied moments and temperature loads act in-plane.
+     */
+    splitLoads(loads) {
+        const inPlane = [];
+        const lateral = [];
+        const torques = [];
+
+        loads.forEach(load => {
+            const { angle = 0, eccentricity = 0 } = load;
+            if (!['point', 'distributed', 'profile'].includes(load.type) || (!angle && !eccentricity)) {
+                inPlane.push(load);
+                return;
+            }
+
+            const radians = angle * Math.PI / 180;
+            const cos = Math.abs(Math.cos(radians)) < 1e-12 ? 0 : Math.cos(radians);
+            const sin = Math.abs(Math.sin(radians)) < 1e-12 ? 0 : Math.sin(radians);
+            inPlane.push(this.factorLoad(load, cos));
+            if (sin) lateral.push(this.factorLoad(load, sin));
+            if (cos && eccentricity) torques.push(this.factorLoad(load, cos * eccentricity));
+        });
+
+        return { inPlane, lateral, torques };
+    }
+
+    /**
+     * Bending about the weak axis (E·Iz) under the lateral loads, positive
+     * along +z: lateral deflection, slope, moment (positive with tension
+     * on the +z side) and shear. The supports hold the beam sideways as
+     * they do vertically, without their settlements and imposed
+     * rotations; shear deformation is left out.
+     */
+    analyzeLateral(params, loads, axialLoad = 0) {
+        const { beamType, L, section } = params;
+        this.checkOutOfPlane(params);
+
+        const supports = (params.supports || this.getSupports(beamType, L, params.interiorSupports, params.endConditions))
+            .map(support => ({ ...support, settlement: 0, rotation: 0 }));
+        const fe = this.createSolver({ ...params, I: section.Iz, theory: 'euler-bernoulli', weakAxis: true, supports, loads, axialLoad, hinges: null });
+
+        if (axialLoad > 0) {
+            const [mode] = fe.solveBuckling(1);
+            if (axialLoad >= mode.load) {
+                throw new Error(`Axial load exceeds the critical buckling load about the weak axis Pcr,z = ${(mode.load / 1e3).toFixed(2)} kN`);
+            }
+        }
+
+        const { deflection, slope, moment, shear, maxDeflection, maxMoment, maxShear, reactions } = fe.solve();
+        return { deflection, slope, moment, shear, maxDeflection, maxMoment, maxShear, reactions };
+    }
+
+    /**
+     * St. Venant torsion under the torques of eccentric loads: twist φ,
+     * torque T and torsional shear stress T / Wt at the stations, and the
+     * support torques. Every support holds the twist (fork support) and
+     * warping is free.
+     */
+    analyzeTorsion(params, loads) {
+        const { section, G } = params;
+        this.checkOutOfPlane(params);
+        if (!(G > 0)) {
+            throw new Error('Torsion needs the shear modulus of the material');
+        }
+
+        const segments = this.getSegments(params);
+        const fe = this.createSolver({ ...params, GJ: G * section.J, loads, axialLoad: 0, hinges: null });
+        const torsion = fe.solveTorsion();
+        const stress = torsion.torque.map((T, i) => T / (segments ? segments.at(torsion.x[i]).section : section).Wt);
+
+        return { ...torsion, stress, maxStress: Math.max(...stress.map(Math.abs)) };
+    }
+
+    /**
+     * Out-of-plane loads need the section and cannot rest on the Winkler
+     * foundation, which only acts vertically
+     */
+    checkOutOfPlane({ beamType, section }) {
+        if (beamType === 'elastic-foundation') {
+            throw new Error('Inclined and eccentric loads are not available for a beam on elastic foundation');
+        }
+        if (!section) {
+            throw new Error('Inclined and eccentric loads need the cross-section');
+        }
+    }
+
+    /**
+     * Geometrically nonlinear analysis of the in-plane loads with the
+     * co-rotational solver, applied in steps load increments. Returns the
+     * results as analyze() plus the horizontal displacement, rotation and
+     * axial force along the beam and the load-deflection curve. Shear
+     * deformation is left out; the beam must not rest on a foundation.
+     */
+    analyzeLargeDeflection(params, steps = 20) {
+        const { E, section, loadType, P = 0, q = 0, M0 = 0, a = params.L / 2 } = params;
+        if (params.beamType === 'elastic-foundation') {
+            throw new Error('Large-deflection analysis is not available for a beam on elastic foundation');
+        }
+        if (!section) {
+            throw new Error('Large-deflection analysis needs the cross-section');
+        }
+
+        const segments = this.getSegments(params);
+        const { inPlane } = this.splitLoads(params.loads || [this.createLegacyLoad(loadType, P, q, M0, a)]);
+        const model = this.createModel({ ...params, loads: inPlane, theory: 'euler-bernoulli', hinges: null });
+        const results = new CorotationalBeamSolver({ ...model, EA: E * section.A }).solve({ steps });
+
+        if (segments) {
+            const local = results.x.map(x => segments.at(x));
+            results.sections = local.map(({ section }) => section);
+            results.materials = local.map(({ material }) => material);
+        }
+
+        return { ...results, theory: 'euler-bernoulli', thermalAxialForce: 0 };
+    }
+
+    /**
+     * Whether a linear result breaks the small-deflection assumption,
+     * i.e. deflects more than L / smallDeflectionRatio
+     */
+    exceedsSmallDeflection({ maxDeflection, L }) {
+        return maxDeflection > L / this.smallDeflectionRatio;
+    }
+
+    /**
+     * Section and material along the beam for params.segments, or null
+     * for a prismatic beam
+     */
+    getSegments({ segments, section, material, L }) {
+        if (!segments || segments.length === 0) return null;
+        if (!section || !material) {
+            throw new Error('Beam segments need the base section and material');
+        }
+        return new BeamSegments(segments, section, material, L);
+    }
+
+    /**
+     * Stiffness and mass { EI, EA, GAs, GJ, mass } at x of a segmented beam,
+     * with EI about the weak axis when weakAxis is set. The mass is only
+     * given when the model has one.
+     */
+    getSegmentProperties(segments, { theory, mass, weakAxis = false }) {
+        return (x) => {
+            const { section, material } = segments.at(x);
+            return {
+                EI: material.E * (weakAxis ? section.Iz : section.I),
+                EA: material.E * section.A,
+                GAs: theory === 'timoshenko' ? material.G * section.shearArea : undefined,
+                GJ: material.G * section.J,
+                mass: mass === undefined ? undefined : this.getMassPerLength(section, material.density)
+            };
+        };
+    }
+
+    /**
+     * Self-weight of a segmented beam as a q(x) table load: steps at the
+     * segment ends and sampled along the tapers
+     */
+    getSegmentSelfWeight(segments, divisions = 8) {
+        const points = [];
+
+        segments.pieces.forEach(({ start, end, index }) => {
+            const count = index >= 0 && segments.segments[index].endSection ? divisions : 1;
+            for (let j = 0; j <= count; j++) {
+                const x = start + (end - start) * j / count;
+                const { section, material } = segments.evaluate(index, x);
+                points.push([x, this.getSelfWeight(section, material.density)]);
+            }
+        });
+
+        return { type: 'profile', points, selfWeight: true };
+    }
+
+    /**
+     * Add the thermal curvature α·ΔT/h to every temperature load, with ΔT
+     * the bottom minus the top temperature (positive curvature sags). On
+     * a segmented beam the curvature is a function of x with the local
+     * α and depth.
+     */
+    resolveThermalLoads(loads, { alpha, h }, segments = null) {
+        if (!loads.some(load => load.type === 'thermal')) return loads;
+
+        const materials = segments ? [segments.material, ...segments.segments.map(segment => segment.material)] : [{ alpha }];
+        if (!materials.every(material => material.alpha >= 0)) {
+            throw new Error('Temperature loads need the thermal expansion coefficient of the material');
+        }
+        if (!(h > 0)) {
+            throw new Error('Temperature loads need a section depth greater than zero');
+        }
+
+        return loads.map(load => {
+            if (load.type !== 'thermal') return load;
+
+            const gradient = load.gradient || 0;
+            const curvature = segments
+                ? (x) => {
+                    const { section, material } = segments.at(x);
+                    return material.alpha * gradient / section.depth;
+                }
+                : alpha * gradient / h;
+            return { ...load, curvature };
+        });
+    }
+
+    /**
+     * Axial force E·A·α·ΔT (N, compression positive) of a uniform
+     * temperature change when two or more pinned or fixed supports stop
+     * the beam from expanding; rollers and springs leave it free. On a
+     * segmented beam the free elongation ΔT·∫α dx is pushed back through
+     * the axial flexibility ∫dx/(EA).
+     */
+    getThermalAxialForce(params, segments = null) {
+        const { beamType, L, E, A, alpha, loads = [] } = params;
+        const deltaT = loads
+            .filter(load => load.type === 'thermal')
+            .reduce((sum, load) => sum + (load.uniform || 0), 0);
+        if (!deltaT) return 0;
+
+        const supports = params.supports || this.getSupports(beamType, L, params.interiorSupports, params.endConditions);
+        const restraints = supports.filter(support => support.type === 'pin' || support.type === 'fixed').length;
+        if (restraints < 2) return 0;
+
+        if (segments) {
+            const elongation = segments.integrate((section, material) => material.alpha);
+            const flexibility = segments.integrate((section, material) => 1 / (material.E * section.A));
+            return deltaT * elongation / flexibility;
+        }
+
+        if (!(A > 0)) {
+            throw new Error('The thermal restraint force needs a section area greater than zero');
+        }
+        return E * A * alpha * deltaT;
+    }
+
+    /**
+     * Finite element model of the beam for the analysis parameters
+     */
+    createSolver(params) {
+        return new BeamFESolver(this.createModel(params));
+    }
+
+    /**
+     * Solver model of the beam: supports, segment properties and loads
+     */
+    createModel(params) {
+        const { beamType, L, E, I, G, As, GJ, mass, numPoints = 100, theory = 'euler-bernoulli', axialLoad = 0, weakAxis = false } = params;
+        const supports = params.supports || this.getSupports(beamType, L, params.interiorSupports, params.endConditions);
+        const segments = this.getSegments(params);
+
+        if (supports.some(support => support.kv < 0 || support.kr < 0)) {
+            throw new Error('Support spring stiffness must not be negative');
+        }
+
+        return {
+            L,
+            EI: E * I,
+            GAs: theory === 'timoshenko' ? G * As : undefined,
+            GJ,
+            axialLoad,
+            mass,
+            foundation: this.getFoundation(params),
+            supports,
+            loads: params.loads || [],
+            properties: segments ? this.getSegmentProperties(segments, { theory, mass, weakAxis }) : undefined,
+            nodes: [...(params.nodes || []), ...(segments ? segments.breakpoints : [])],
+            hinges: params.hinges,
+            numPoints
+        };
+    }
+
+    /**
+     * Winkler modulus { k, kEnd } (N/m²) of the solver for an
+     * 'elastic-foundation' beam: subgrade modulus times contact width
+     */
+    getFoundation({ beamType, foundation }) {
+        if (beamType !== 'elastic-foundation') return undefined;
+
+        const { modulus, endModulus = modulus, width } = foundation || {};
+        if (!(modulus >= 0 && endModulus >= 0 && Math.max(modulus, endModulus) > 0)) {
+            throw new Error('A beam on elastic foundation needs a positive subgrade modulus');
+        }
+        if (!(width > 0)) {
+            throw new Error('Foundation contact width must be greater than zero');
+        }
+
+        return { k: modulus * width, kEnd: endModulus * width };
+    }
+
+    /**
+     * Elastic buckling under axial compression. criticalLoad is Pcr of the
+     * actual supports from the finite element model; eulerLoad is
+     * π²EI/(K·L)² with the effective-length factor K of the beam type.
+     * Slenderness is the effective length over the radius of gyration
+     * r = √(I/A). modeShape is the first buckled shape at x, largest value 1.
+     */
+    analyzeBuckling(params) {
+        const { beamType, L, E, I, A } = params;
+        const supports = params.supports || this.getSupports(beamType, L, params.interiorSupports, params.endConditions);
+        const fe = this.createSolver({ ...params, supports, loads: [], axialLoad: 0 });
+        const [mode] = fe.solveBuckling(1);
+
+        const effectiveLengthFactor = this.effectiveLengthFactors[beamType] || 1;
+        const effectiveLength = effectiveLengthFactor * this.getBucklingSpan(beamType, L, supports);
+        const radiusOfGyration = Math.sqrt(I / A);
+        const axialLoad = (params.axialLoad || 0) + this.getThermalAxialForce(params, this.getSegments(params));
+
+        return {
+            criticalLoad: mode.load,
+            eulerLoad: Math.PI * Math.PI * E * I / (effectiveLength * effectiveLength),
+            effectiveLengthFactor,
+            effectiveLength,
+            radiusOfGyration,
+            slenderness: effectiveLength / radiusOfGyration,
+            loadRatio: axialLoad / mode.load,
+            amplificationFactor: axialLoad > 0 ? 1 / (1 - axialLoad / mode.load) : 1,
+            x: fe.stations.slice(),
+            modeShape: mode.shape
+        };
+    }
+
+    /**
+     * Free vibration: the first `count` natural frequencies and mode
+     * shapes with the mass per unit length of params.section and the
+     * density of params.material (segments use their own, and
+     * massPerLength is then the mean). Returns { massPerLength, x, modes }
+     * with modes [{ number, frequency (Hz), omega (rad/s), period (s), shape }].
+     */
+    analyzeModes(params, count = 5) {
+        const massPerLength = params.massPerLength || this.getMeanMass(params);
+        const fe = this.createSolver({ ...params, loads: [], mass: massPerLength });
+
+        const modes = fe.solveModes(count).map(({ omega, frequency, shape }, i) => ({
+            number: i + 1,
+            frequency,
+            omega,
+            period: 1 / frequency,
+            shape
+        }));
+
+        return { massPerLength, x: fe.stations.slice(), modes };
+    }
+
+    /**
+     * Mass per unit length (kg/m) of params.section and params.material,
+     * averaged over the length of a segmented beam
+     */
+    getMeanMass(params) {
+        const segments = this.getSegments(params);
+        if (!segments) return this.getMassPerLength(params.section, params.material.density);
+
+        return segments.integrate((section, material) => this.getMassPerLength(section, material.density)) / params.L;
+    }
+
+    /**
+     * Force (N) of a dynamic point load { type, magnitude, duration,
+     * frequency, table } at time t. An impact is a half-sine pulse of the
+     * given duration, a harmonic load P·sin(2πft), and a tabulated load
+     * interpolates its [t, P] pairs (zero outside the table).
+     */
+    getDynamicForce(load, t) {
+        switch (load.type) {
+            case 'impact':
+                return t <= load.duration ? load.magnitude * Math.sin(Math.PI * t / load.duration) : 0;
+            case 'harmonic':
+                return load.magnitude * Math.sin(2 * Math.PI * load.frequency * t);
+            case 'table': {
+                const { table } = load;
+                if (table.length === 0 || t < table[0][0] || t > table[table.length - 1][0]) return 0;
+                const j = table.findIndex(([tj], k) => k === table.length - 1 || t <= table[k + 1][0]);
+                if (j === table.length - 1) return table[j][1];
+                const [t1, p1] = table[j];
+                const [t2, p2] = table[j + 1];
+                return t2 > t1 ? p1 + (p2 - p1) * (t - t1) / (t2 - t1) : p2;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Time-history response to the dynamic point load at load.position
+     * (see getDynamicForce), by Newmark integration from rest. Rayleigh
+     * damping gives the damping ratio ζ at the first two natural
+     * frequencies. The time step resolves the fundamental period and the
+     * load; a duration that needs more than maxTimeSteps steps throws
+     * rather than sampling the response too coarsely. Returns the
+     * deflection, moment and extreme-fibre bending stress histories,
+     * history[k][i] at time t[k] and station x[i], with their peaks.
+     */
+    analyzeTimeHistory(params, load, { duration, dampingRatio = 0.02 }) {
+        const mass = this.getMeanMass(params);
+        const fe = this.createSolver({ ...params, loads: [], mass, nodes: [load.position] });
+
+        if (!(duration > 0)) {
+            throw new Error('Time-history duration must be greater than zero');
+        }
+        if (load.type === 'table' && load.table.length < 2) {
+            throw new Error('A tabulated load needs at least two (t, P) rows');
+        }
+
+        // Rayleigh coefficients: ζ = α/(2ω) + βω/2 at ω1 and ω2
+        const [mode1, mode2] = fe.solveModes(2);
+        const w1 = mode1.omega, w2 = mode2 ? mode2.omega : 3 * mode1.omega;
+        const alpha = 2 * dampingRatio * w1 * w2 / (w1 + w2);
+        const beta = 2 * dampingRatio / (w1 + w2);
+
+        const limits = [1 / (40 * mode1.frequency)];
+        if (load.type === 'impact') limits.push(load.duration / 20);
+        if (load.type === 'harmonic' && load.frequency > 0) limits.push(1 / (20 * load.frequency));
+        if (load.type === 'table') {
+            limits.push(...load.table.slice(1).map(([t], k) => (t - load.table[k][0]) / 4).filter(step => step > 0));
+        }
+        const limit = Math.min(...limits);
+        const steps = Math.ceil(duration / limit);
+        if (steps > this.maxTimeSteps) {
+            const scale = 10 ** (Math.floor(Math.log10(this.maxTimeSteps * limit)) - 2);
+            const longest = Math.floor(this.maxTimeSteps * limit / scale) * scale;
+            throw new Error(`The time history needs ${steps} time steps of at most ${+limit.toPrecision(3)} s to resolve the fundamental period and the load, more than the limit of ${this.maxTimeSteps}; shorten the duration to ${+longest.toPrecision(3)} s or less`);
+        }
+        const timeStep = duration / steps;
+
+        const { t, results } = fe.solveTimeHistory(
+            (time) => [{ type: 'point', magnitude: this.getDynamicForce(load, time), position: load.position }],
+            { timeStep, steps, alpha, beta }
+        );
+
+        // Extreme-fibre section modulus at every station
+        const x = fe.stations.slice();
+        const segments = this.getSegments(params);
+        const W = x.map(xi => {
+            const section = segments ? segments.at(xi).section : params.section;
+            return Math.min(section.Wtop, section.Wbottom);
+        });
+
+        const deflection = results.map(result => result.deflection);
+        const moment = results.map(result => result.moment);
+        const stress = moment.map(row => row.map((M, i) => M / W[i]));
+
+        const peak = (history) => history.reduce((best, row, k) => row.reduce((current, value, i) =>
+            Math.abs(value) > Math.abs(current.value) ? { value, t: t[k], x: x[i] } : current, best), { value: 0, t: 0, x: 0 });
+
+        return {
+            t,
+            x,
+            deflection,
+            moment,
+            stress,
+            timeStep,
+            massPerLength: mass,
+            damping: { ratio: dampingRatio, alpha, beta },
+            frequencies: [mode1, mode2].filter(Boolean).map(mode => mode.frequency),
+            peak: { deflection: peak(deflection), moment: peak(moment), stress: peak(stress) }
+        };
+    }
+
+    /**
+     * Moving load analysis. A unit downward load placed at every station
+     * gives the influence lines: influence.moment[i][j] is M at station i,
+     * influence.shear[i][j] and influence.shearRight[i][j] V just left
+     * and just right of it (inside the beam at the ends) for the load at
+     * station j, and influence.reactions[k].values[j] the force of support
+     * k. The axle train [{ load, offset }], offsets measured behind the
+     * leading axle, then runs across the beam in both directions. The
+     * envelopes hold the extreme moments and shears at every station, the
+     * shears of both sides of it, added to staticResults when given.
+     */
+    analyzeMovingLoad(params, axles, staticResults = null) {
+        const { L } = params;
+        const fe = this.createSolver({ ...params, loads: [] });
+        const x = fe.stations.slice();
+        const n = x.length - 1;
+        const unit = fe.solveLoadCases(x.map(position => [{ type: 'point', magnitude: 1, position }]), false);
+
+        const influence = {
+            moment: x.map((_, i) => unit.map(result => result.moment[i])),
+            shear: x.map((_, i) => unit.map(result => result.shear[i])),
+            shearRight: x.map((_, i) => unit.map(result => result.shearRight[i])),
+            reactions: unit[0].reactions.map((reaction, k) => ({
+                position: reaction.position,
+                type: reaction.type,
+                values: unit.map(result => result.reactions[k].force)
+            }))
+        };
+
+        // Values of an influence line for a load approaching each station
+        // from the left (before) and from the right (after); a load off the
+        // beam has no effect. A shear line jumps by the unit load at its
+        // cut: the load at the station itself lies on the far side of a cut
+        // just left of it and on the near side of a cut just right of it.
+        const limits = (line, cut = null, cutRight = false) => {
+            const before = line.slice();
+            const after = line.slice();
+            if (cut !== null) {
+                if (cutRight) after[cut] += 1;
+                else before[cut] -= 1;
+            }
+            before[0] = 0;
+            after[n] = 0;
+            return { before, after };
+        };
+        const lines = x.map((_, i) => ({
+            moment: limits(influence.moment[i]),
+            shearLeft: limits(influence.shear[i], i, i === 0),
+            shearRight: limits(influence.shearRight[i], i, i < n)
+        }));
+
+        // Place of a load between stations j and j + 1 (linear interpolation
+        // between the limits, never across a jump); a load on a station
+        // takes the limit from the side the train stands on
+        const place = (load, position, side) => {
+            const t = (position / L) * n;
+            const station = Math.round(t);
+            if (Math.abs(t - station) < 1e-9) return { load, j: station, f: 0, before: side < 0 };
+
+            const j = Math.min(Math.floor(t), n - 1);
+            return { load, j, f: t - j };
+        };
+        const effect = (placed, { before, after }) => {
+            let sum = 0;
+            placed.forEach(({ load, j, f, before: fromLeft }) => {
+                sum += load * (f === 0 ? (fromLeft ? before[j] : after[j]) : after[j] * (1 - f) + before[j + 1] * f);
+            });
+            return sum;
+        };
+
+        const envelope = {
+            maxMoment: x.map(() => 0),
+            minMoment: x.map(() => 0),
+            maxShear: x.map(() => 0),
+            minShear: x.map(() => 0)
+        };
+        const sides = { maxLeft: x.map(() => 0), minLeft: x.map(() => 0), maxRight: x.map(() => 0), minRight: x.map(() => 0) };
+
+        const length = Math.max(...axles.map(axle => axle.offset));
+        const reversed = axles.map(axle => ({ ...axle, offset: length - axle.offset }));
+        const step = L / n;
+
+        // Each train position is taken just left and just right of where
+        // it stands, catching the shear on either side of an axle
+        [axles, reversed].forEach(train => {
+            for (let k = 0; k * step <= L + length + step * 1e-9; k++) {
+                const onBeam = train
+                    .map(axle => ({ load: axle.load, position: k * step - axle.offset }))
+                    .filter(axle => axle.position >= 0 && axle.position <= L);
+                if (onBeam.length === 0) continue;
+
+                [-1, 1].forEach(side => {
+                    const placed = onBeam.map(axle => place(axle.load, axle.position, side));
+                    lines.forEach((line, i) => {
+                        const M = effect(placed, line.moment);
+                        const VLeft = effect(placed, line.shearLeft);
+                        const VRight = effect(placed, line.shearRight);
+                        envelope.maxMoment[i] = Math.max(envelope.maxMoment[i], M);
+                        envelope.minMoment[i] = Math.min(envelope.minMoment[i], M);
+                        sides.maxLeft[i] = Math.max(sides.maxLeft[i], VLeft);
+                        sides.minLeft[i] = Math.min(sides.minLeft[i], VLeft);
+                        sides.maxRight[i] = Math.max(sides.maxRight[i], VRight);
+                        sides.minRight[i] = Math.min(sides.minRight[i], VRight);
+                    });
+                });
+            }
+        });
+
+        // Static shears of both sides (results without them have no jumps)
+        const staticLeft = staticResults ? staticResults.shear : x.map(() => 0);
+        const staticRight = staticResults ? staticResults.shearRight || staticResults.shear : x.map(() => 0);
+        x.forEach((_, i) => {
+            if (staticResults) {
+                envelope.maxMoment[i] += staticResults.moment[i];
+                envelope.minMoment[i] += staticResults.moment[i];
+            }
+            envelope.maxShear[i] = Math.max(sides.maxLeft[i] + staticLeft[i], sides.maxRight[i] + staticRight[i]);
+            envelope.minShear[i] = Math.min(sides.minLeft[i] + staticLeft[i], sides.minRight[i] + staticRight[i]);
+        });
+
+        // Absolute maxima with their station
+        const absMax = (max, min) => x.reduce((best, xi, i) => {
+            const value = Math.abs(max[i]) >= Math.abs(min[i]) ? max[i] : min[i];
+            return Math.abs(value) > Math.abs(best.value) ? { value, x: xi } : best;
+        }, { value: 0, x: 0 });
+
+        return {
+            x,
+            influence,
+            envelope,
+            absMaxMoment: absMax(envelope.maxMoment, envelope.minMoment),
+            absMaxShear: absMax(envelope.maxShear, envelope.minShear)
+        };
+    }
+
+    /**
+     * First-yield moment My = fy·Wel (the smaller elastic modulus), plastic
+     * moment Mp = fy·Wpl and shape factor Wpl / Wel of a section
+     */
+    getPlasticMoments(section, material) {
+        if (!(material.fy > 0)) {
+            throw new Error('Plastic analysis needs the yield strength of the material');
+        }
+
+        const Wel = Math.min(section.Wtop, section.Wbottom);
+        return { My: material.fy * Wel, Mp: material.fy * section.Wpl, shapeFactor: section.Wpl / Wel };
+    }
+
+    /**
+     * Incremental elastic-plastic (hinge-by-hinge) analysis. The loads
+     * grow with a common load factor λ; each step solves the beam with
+     * the hinges formed so far, so that their moments stay at ±Mp, and
+     * raises λ until the next node reaches its plastic moment. The
+     * collapse load factor is reached when the hinges form a mechanism
+     * (the stiffness becomes singular).
+     *
+     * Temperature loads and support movements are left out: they do not
+     * change the collapse load. The analysis is first-order without the
+     * axial load, hinges do not unload, and Mp follows the local section
+     * and material of a segmented beam.
+     *
+     * Returns the first-yield and collapse load factors (null without
+     * bending or a mechanism within maxHinges hinges), the hinges
+     * { position, loadFactor, step, sign } in the order they form, and per
+     * step { loadFactor, hinges, moment, deflection } at the stations.
+     */
+    analyzePlastic(params, maxHinges = 20) {
+        const { beamType, L } = params;
+        if (beamType === 'elastic-foundation') {
+            throw new Error('Plastic analysis covers simply supported, fixed-fixed, cantilever and continuous beams');
+        }
+
+        if (!params.section || !params.material) {
+            throw new Error('Plastic analysis needs the section and material');
+        }
+
+        const segments = this.getSegments(params);
+        const capacity = (x) => {
+            const { section, material } = segments ? segments.at(x) : params;
+            return this.getPlasticMoments(section, material);
+        };
+
+        const supports = (params.supports || this.getSupports(beamType, L, params.interiorSupports, params.endConditions))
+            .map(support => ({ ...support, settlement: 0, rotation: 0 }));
+        const base = {
+            ...params,
+            loads: this.splitLoads(params.loads || []).inPlane.filter(load => load.type !== 'thermal'),
+            supports,
+            axialLoad: 0
+        };
+
+        const hinges = [];
+        const steps = [];
+        let loadFactor = 0;
+        let firstYieldLoadFactor = null;
+        let mechanism = false;
+        let state = null;
+
+        while (hinges.length < maxHinges) {
+            let unit;
+            try {
+                unit = this.createSolver({ ...base, hinges: hinges.map(hinge => hinge.position) }).solve();
+            } catch (error) {
+                if (hinges.length === 0) throw error;
+                mechanism = true;
+                break;
+            }
+
+            if (!state) {
+                const moments = unit.nodeX.map(capacity);
+                state = {
+                    x: unit.x,
+                    Mp: moments.map(({ Mp }) => Mp),
+                    nodeMoments: unit.nodeX.map(() => 0),
+                    moment: unit.x.map(() => 0),
+                    deflection: unit.x.map(() => 0),
+                    elasticDeflection: unit.maxDeflection
+                };
+                const firstYield = Math.min(...unit.nodeMoments.map((m, k) => m ? moments[k].My / Math.abs(m) : Infinity));
+                firstYieldLoadFactor = Number.isFinite(firstYield) ? firstYield : null;
+            } else if (unit.maxDeflection > state.elasticDeflection * 1e8) {
+                // Round-off kept a mechanism from showing as singular
+                mechanism = true;
+                break;
+            }
+
+            // Smallest increment that brings a further node to ±Mp
+            const formed = new Set(hinges.map(hinge => hinge.node));
+            const tolerance = Math.max(...unit.nodeMoments.map(Math.abs)) * 1e-9;
+            let increment = Infinity;
+            unit.nodeMoments.forEach((m, k) => {
+                if (formed.has(k) || Math.abs(m) <= tolerance) return;
+                const delta = (Math.sign(m) * state.Mp[k] - state.nodeMoments[k]) / m;
+                if (delta >= 0 && delta < increment) increment = delta;
+            });
+
+            // Loads that do not bend the beam (further) form no hinge
+            if (!Number.isFinite(increment)) break;
+
+            loadFactor += increment;
+            state.nodeMoments = state.nodeMoments.map((M, k) => M + increment * unit.nodeMoments[k]);
+            state.moment = state.moment.map((M, i) => M + increment * unit.moment[i]);
+            state.deflection = state.deflection.map((w, i) => w + increment * unit.deflection[i]);
+
+            // Every node at its plastic moment forms a hinge in this step
+            const step = steps.length;
+            const added = [];
+            state.nodeMoments.forEach((M, k) => {
+                if (formed.has(k) || Math.abs(M) < state.Mp[k] * (1 - 1e-6)) return;
+                const hinge = { node: k, position: unit.nodeX[k], loadFactor, step, sign: M > 0 ? 'sagging' : 'hogging' };
+                hinges.push(hinge);
+                added.push(hinge.position);
+            });
+
+            steps.push({ loadFactor, hinges: added, moment: state.moment.slice(), deflection: state.deflection.slice() });
+        }
+
+        return {
+            x: state.x,
+            plasticMoment: state.x.map(x => capacity(x).Mp),
+            firstYieldLoadFactor,
+            collapseLoadFactor: mechanism ? loadFactor : null,
+            mechanism,
+            hinges: hinges.map(({ position, loadFactor: factor, step, sign }) => ({ position, loadFactor: factor, step, sign })),
+            steps
+        };
+    }
+
+    /**
+     * Length that the effective-length factor applies to: the longest
+     * span between supports for continuous beams, the beam length otherwise
+     */
+    getBucklingSpan(beamType, L, supports) {
+        if (beamType !== 'continuous') return L;
+
+        const positions = supports.map(s => s.position).sort((a, b) => a - b);
+        return Math.max(...positions.slice(1).map((p, i) => p - positions[i]));
+    }
+
+    /**
+     * Solve with both theories and report the difference of the peak
+     * values in percent of the Euler-Bernoulli value. The shear
+     * deflection is the largest extra deflection due to shear.
+     */
+    compareTheories(params) {
+        const eulerBernoulli = this.analyze({ ...params, theory: 'euler-bernoulli' });
+        const timoshenko = this.analyze({ ...params, theory: 'timoshenko' });
+
+        const difference = {};
+        ['maxDeflection', 'maxSlope', 'maxMoment', 'maxShear'].forEach(key => {
+            difference[key] = eulerBernoulli[key] ? (timoshenko[key] / eulerBernoulli[key] - 1) * 100 : 0;
+        });
+
+        const shearDeflection = Math.max(...timoshenko.deflection.map((w, i) => Math.abs(w - eulerBernoulli.deflection[i])));
+
+        return { eulerBernoulli, timoshenko, difference, shearDeflection };
+    }
+
+    /**
+     * Load scaled by a partial factor: intensities, magnitudes and
+     * temperature changes
+     */
+    factorLoad(load, factor) {
+        switch (load.type) {
+            case 'distributed': {
+                const { magnitude, endMagnitude = magnitude } = load;
+                return { ...load, magnitude: magnitude * factor, endMagnitude: endMagnitude * factor };
+            }
+            case 'profile':
+                return { ...load, points: load.points.map(([x, q]) => [x, q * factor]) };
+            case 'thermal':
+                return { ...load, uniform: (load.uniform || 0) * factor, gradient: (load.gradient || 0) * factor };
+            default:
+                return { ...load, magnitude: load.magnitude * factor };
+        }
+    }
+
+    /**
+     * Analyse every load combination { name, factors } and envelope the
+     * results. Each load belongs to the load case load.loadCase and is
+     * scaled by the factor of its case (loads of cases without a factor
+     * are left out); the axial load and support settlements enter
+     * unfactored. Where the stiffness does not depend on the loads (see
+     * superposesCombinations) each load case is analysed once and the
+     * combinations superpose the factored cases; otherwise every
+     * combination is a full analysis, so the second-order effect of the
+     * thermal restraint force follows the factored loads.
+     *
+     * The envelope holds the max and min deflection, moment and shear per
+     * station, governing the index of the combination that gives each of
+     * them, and peaks the extreme values { value, x, combination }.
+     */
+    analyzeCombinations(params, combinations) {
+        if (combinations.length === 0) {
+            throw new Error('Define at least one load combination');
+        }
+
+        const results = this.superposesCombinations(params)
+            ? this.superposeCombinations(params, combinations)
+            : combinations.map(({ name, factors }) => {
+                const loads = params.loads
+                    .filter(load => factors[load.loadCase])
+                    .map(load => this.factorLoad(load, factors[load.loadCase]));
+                try {
+                    return this.analyze({ ...params, loads });
+                } catch (error) {
+                    throw new Error(`${name}: ${error.message}`);
+                }
+            });
+
+        const { x } = results[0];
+        const envelope = {};
+        const governing = {};
+        const peaks = {};
+
+        ['deflection', 'moment', 'shear'].forEach(quantity => {
+            const suffix = quantity[0].toUpperCase() + quantity.slice(1);
+
+            [['max', (a, b) => a > b], ['min', (a, b) => a < b]].forEach(([bound, better]) => {
+                const key = bound + suffix;
+                governing[key] = x.map((_, i) => results.reduce((best, result, k) =>
+                    better(result[quantity][i], results[best][quantity][i]) ? k : best, 0));
+                envelope[key] = governing[key].map((k, i) => results[k][quantity][i]);
+
+                const i = envelope[key].reduce((best, value, j) => better(value, envelope[key][best]) ? j : best, 0);
+                peaks[key] = { value: envelope[key][i], x: x[i], combination: governing[key][i] };
+            });
+        });
+
+        return { x, combinations, results, envelope, governing, peaks };
+    }
+
+    /**
+     * Whether the combinations of params follow from superposing the load
+     * cases: a restrained uniform temperature change makes the axial force,
+     * and with it the stiffness, depend on the factored loads
+     */
+    superposesCombinations(params) {
+        const segments = this.getSegments(params);
+        return !params.loads.some(load => load.type === 'thermal' && this.getThermalAxialForce({ ...params, loads: [load] }, segments));
+    }
+
+    /**
+     * Combination results from one analysis per load case: the unloaded
+     * beam (support movements only) plus the factored change of every
+     * case. Holds x, the deflection, slope, moment and shear (both sides)
+     * with their maxima and the support reactions.
+     */
+    superposeCombinations(params, combinations) {
+        const caseIds = [...new Set(params.loads.map(load => load.loadCase))]
+            .filter(id => combinations.some(({ factors }) => factors[id]));
+
+        const base = this.analyze({ ...params, loads: [] });
+        const cases = {};
+        caseIds.forEach(id => {
+            try {
+                cases[id] = this.analyze({ ...params, loads: params.loads.filter(load => load.loadCase === id) });
+            } catch (error) {
+                throw new Error(`Load case ${id}: ${error.message}`);
+            }
+        });
+
+        return combinations.map(({ factors }) => {
+            const terms = caseIds.filter(id => factors[id]).map(id => [cases[id], factors[id]]);
+            const add = (select) => (value, i) => terms.reduce((sum, [result, factor]) => sum + factor * (select(result, i) - value), value);
+            const quantity = (key) => base[key].map(add((result, i) => result[key][i]));
+            const peak = (values) => Math.max(...values.map(Math.abs));
+
+            const deflection = quantity('deflection');
+            const slope = quantity('slope');
+            const moment = quantity('moment');
+            const shear = quantity('shear');
+            return {
+                x: base.x,
+                deflection,
+                slope,
+                moment,
+                shear,
+                shearRight: quantity('shearRight'),
+                maxDeflection: peak(deflection),
+                maxSlope: peak(slope),
+                maxMoment: peak(moment),
+                maxShear: peak(shear),
+                reactions: base.reactions.map((reaction, k) => ({
+                    ...reaction,
+                    force: add(result => result.reactions[k].force)(reaction.force),
+                    moment: add(result => result.reactions[k].moment)(reaction.moment),
+                    beamMoment: add(result => result.reactions[k].beamMoment)(reaction.beamMoment),
+                    deflection: add(result => result.reactions[k].deflection)(reaction.deflection)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Support layout for the standard beam types
+     * Continuous beams get rollers at the interior support positions; a
+     * beam on elastic foundation has the [left, right] end conditions
+     * 'free', 'pin' or 'fixed'.
+     */
+    getSupports(beamType, L, interiorSupports = [], endConditions = ['free', 'free']) {
+        switch (beamType) {
+            case 'elastic-foundation':
+                return endConditions
+                    .map((type, end) => ({ position: end * L, type }))
+                    .filter(support => support.type !== 'free');
+            case 'continuous':
+                return [
+                    { position: 0, type: 'pin' },
+                    ...[...new Set(interiorSupports)]
+                        .filter(position => position > 0 && position < L)
+                        .sort((a, b) => a - b)
+                        .map(position => ({ position, type: 'roller' })),
+                    { position: L, type: 'roller' }
+                ];
+            case 'simply-supported':
+                return [{ position: 0, type: 'pin' }, { position: L, type: 'roller' }];
+            case 'fixed-fixed':
+                return [{ position: 0, type: 'fixed' }, { position: L, type: 'fixed' }];
+            case 'cantilever':
+                return [{ position: 0, type: 'fixed' }];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Closed-form solution by superposition of the tabulated cases
+     */
+    analyzeClosedForm(params) {
+        const {
+            beamType,
+            loads,
+            L,
+            E,
+            I,
             numPoints = 100
         } = params;
 
@@ -65,17 +1173,14 @@ class BeamCalculator {
 
             let w = 0, theta = 0, M = 0, V = 0;
 
-            switch (beamType) {
-                case 'simply-supported':
-                    ({ w, theta, M, V } = this.simplySupported(xi, L, EI, loadType, P, q, M0, a));
-                    break;
-                case 'fixed-fixed':
-                    ({ w, theta, M, V } = this.fixedFixed(xi, L, EI, loadType, P, q, M0, a));
-                    break;
-                case 'cantilever':
-                    ({ w, theta, M, V } = this.cantilever(xi, L, EI, loadType, P, q, M0, a));
-                    break;
-            }
+            // Superposition of all loads
+            loads.forEach(load => {
+                const r = this.evaluateLoad(beamType, xi, L, EI, load);
+                w += r.w;
+                theta += r.theta;
+                M += r.M;
+                V += r.V;
+            });
 
             deflection.push(w);
             slope.push(theta);
@@ -103,10 +1208,102 @@ class BeamCalculator {
         };
     }
 
+    /**
+     * Build a load list entry from the single-load parameters
+     */
+    createLegacyLoad(loadType, P, q, M0, a) {
+        const magnitudes = { 'point': P, 'distributed': q, 'moment': M0 };
+        // The single distributed load covers the whole span
+        return { type: loadType, magnitude: magnitudes[loadType] || 0, position: loadType === 'distributed' ? 0 : a };
+    }
+
+    /**
+     * Evaluate the response to a single load at position x. Distributed
+     * loads superpose the linear segments of their profile.
+     */
+    evaluateLoad(beamType, x, L, EI, load) {
+        const { type, magnitude = 0, position = L / 2 } = load;
+
+        if (type === 'thermal') {
+            return this.thermalResponse(beamType, x, L, EI, load.curvature);
+        }
+
+        if (type === 'distributed' || type === 'profile') {
+            const points = BeamFESolver.loadProfile(load, L);
+            const total = { w: 0, theta: 0, M: 0, V: 0 };
+
+            points.slice(1).forEach(([b, qb], k) => {
+                const [a, q] = points[k];
+                if (!(b > a)) return;
+                const r = this.evaluateBeam(beamType, x, L, EI, 'distributed', 0, q, 0, a, b, qb);
+                Object.keys(total).forEach(key => {
+                    total[key] += r[key];
+                });
+            });
+            return total;
+        }
+
+        const P = type === 'point' ? magnitude : 0;
+        const M0 = type === 'moment' ? magnitude : 0;
+        return this.evaluateBeam(beamType, x, L, EI, type, P, 0, M0, position);
+    }
+
+    /**
+     * Response to a thermal curvature κ (sagging positive): determinate
+     * beams bend freely with w'' = -κ, a fixed-fixed beam stays straight
+     * under the restraint moment -EI·κ
+     */
+    thermalResponse(beamType, x, L, EI, curvature = 0) {
+        switch (beamType) {
+            case 'simply-supported':
+                return { w: curvature * x * (L - x) / 2, theta: curvature * (L / 2 - x), M: 0, V: 0 };
+            case 'fixed-fixed':
+                return { w: 0, theta: 0, M: -EI * curvature, V: 0 };
+            case 'cantilever':
+                return { w: -curvature * x * x / 2, theta: -curvature * x, M: 0, V: 0 };
+            default:
+                return { w: 0, theta: 0, M: 0, V: 0 };
+        }
+    }
+
+    /**
+     * Closed-form response of a standard beam type. A distributed load
+     * varies linearly from q at a to qb at b.
+     */
+    evaluateBeam(beamType, x, L, EI, loadType, P, q, M0, a, b = L, qb = q) {
+        switch (beamType) {
+            case 'simply-supported':
+                return this.simplySupported(x, L, EI, loadType, P, q, M0, a, b, qb);
+            case 'fixed-fixed':
+                return this.fixedFixed(x, L, EI, loadType, P, q, M0, a, b, qb);
+            case 'cantilever':
+                return this.cantilever(x, L, EI, loadType, P, q, M0, a, b, qb);
+            default:
+                return { w: 0, theta: 0, M: 0, V: 0 };
+        }
+    }
+
+    /**
+     * Integral ∫₀ˣ (x - s)ⁿ/n! · q(s) ds of a load varying linearly from qa
+     * at a to qb at b (zero elsewhere), by singularity functions <x - c>.
+     * n = 0 gives the load resultant left of x and n = 1 its moment about x.
+     */
+    linearLoadIntegral(x, n, qa, qb, a, b) {
+        const k = (qb - qa) / (b - a);
+        const bracket = (c, m) => {
+            const d = Math.max(x - c, 0);
+            let value = 1;
+            for (let i = 1; i <= m; i++) value *= d / i;
+            return value;
+        };
+
+        return qa * bracket(a, n + 1) + k * bracket(a, n + 2) - qb * bracket(b, n + 1) - k * bracket(b, n + 2);
+    }
+
     /**
      * Simply Supported Beam
      */
-    simplySupported(x, L, EI, loadType, P, q, M0, a) {
+    simplySupported(x, L, EI, loadType, P, q, M0, a, end = L, qb = q) {
         let w = 0, theta = 0, M = 0, V = 0;
         const b = L - a;
 
@@ -131,26 +1328,33 @@ class BeamCalculator {
                 }
                 break;
 
-            case 'distributed':
-                // Uniformly distributed load
-                w = (q * x) / (24 * EI) * (L * L * L - 2 * L * x * x + x * x * x);
-                theta = (q) / (24 * EI) * (L * L * L - 6 * L * x * x + 4 * x * x * x);
-                M = (q * x) / 2 * (L - x);
-                V = q * (L / 2 - x);
+            case 'distributed': {
+                // Linearly varying load q → qb over [a, end]: reaction and
+                // end slope from M(L) = 0 and w(L) = 0
+                const load = (xs, n) => this.linearLoadIntegral(xs, n, q, qb, a, end);
+                const RA = load(L, 1) / L;
+                const thetaA = (RA * L * L / 6 - load(L, 3) / L) / EI;
+
+                w = thetaA * x - (RA * x * x * x / 6 - load(x, 3)) / EI;
+                theta = thetaA - (RA * x * x / 2 - load(x, 2)) / EI;
+                M = RA * x - load(x, 1);
+                V = RA - load(x, 0);
                 break;
+            }
 
             case 'moment':
                 // Point moment at position a
                 if (x <= a) {
-                    w = (M0 * x) / (6 * L * EI) * (2 * L * L - 3 * L * a + a * a - x * x);
-                    theta = (M0) / (6 * L * EI) * (2 * L * L - 3 * L * a + a * a - 3 * x * x);
+                    w = (M0 * x) / (6 * L * EI) * (6 * a * L - 3 * a * a - 2 * L * L - x * x);
+                    theta = (M0) / (6 * L * EI) * (6 * a * L - 3 * a * a - 2 * L * L - 3 * x * x);
                     M = (M0 * x) / L;
                     V = M0 / L;
                 } else {
+                    // Mirror image of the left-hand solution (moment sense reverses)
                     const xFromRight = L - x;
-                    w = (M0 * xFromRight) / (6 * L * EI) * (2 * L * L - 3 * L * b + b * b - xFromRight * xFromRight);
-                    theta = -(M0) / (6 * L * EI) * (2 * L * L - 3 * L * b + b * b - 3 * xFromRight * xFromRight);
-                    M = M0 * (1 - x / L);
+                    w = -(M0 * xFromRight) / (6 * L * EI) * (6 * b * L - 3 * b * b - 2 * L * L - xFromRight * xFromRight);
+                    theta = (M0) / (6 * L * EI) * (6 * b * L - 3 * b * b - 2 * L * L - 3 * xFromRight * xFromRight);
+                    M = -M0 * (1 - x / L);
                     V = M0 / L;
                 }
                 break;
@@ -162,45 +1366,52 @@ class BeamCalculator {
     /**
      * Fixed-Fixed Beam (Ankastre)
      */
-    fixedFixed(x, L, EI, loadType, P, q, M0, a) {
+    fixedFixed(x, L, EI, loadType, P, q, M0, a, end = L, qb = q) {
         let w = 0, theta = 0, M = 0, V = 0;
         const b = L - a;
 
         switch (loadType) {
-            case 'point':
-                // Point load at center for simplicity (a = L/2)
-                const aPos = a;
-                const bPos = L - a;
-
-                if (x <= aPos) {
-                    w = (P * bPos * bPos * x * x) / (6 * EI * L * L * L) * (3 * aPos * L - 3 * aPos * x - bPos * x);
-                    theta = (P * bPos * bPos * x) / (6 * EI * L * L * L) * (6 * aPos * L - 6 * aPos * x - 2 * bPos * x - 3 * bPos * L + 3 * bPos * x);
-                    M = (P * bPos * bPos) / (L * L * L) * (3 * aPos * x - L * x) + (P * aPos * bPos * bPos) / (L * L);
-                    V = (P * bPos * bPos) / (L * L * L) * (3 * aPos - L);
-                } else {
-                    const xR = L - x;
-                    w = (P * aPos * aPos * xR * xR) / (6 * EI * L * L * L) * (3 * bPos * L - 3 * bPos * xR - aPos * xR);
-                    theta = -(P * aPos * aPos * xR) / (6 * EI * L * L * L) * (6 * bPos * L - 6 * bPos * xR - 2 * aPos * xR - 3 * aPos * L + 3 * aPos * xR);
-                    M = (P * aPos * aPos * xR) / (L * L * L) * (3 * bPos - L);
-                    V = -(P * aPos * aPos) / (L * L * L) * (3 * bPos - L);
-                }
+            case 'point': {
+                // Point load at position a, using the fixed-end reactions
+                // and singularity functions <x - a>
+                const RA = (P * b * b * (3 * a + b)) / (L * L * L);
+                const MA = (P * a * b * b) / (L * L);
+                const xa = Math.max(x - a, 0);
+
+                w = (MA * x * x / 2 - RA * x * x * x / 6 + P * xa * xa * xa / 6) / EI;
+                theta = (MA * x - RA * x * x / 2 + P * xa * xa / 2) / EI;
+                M = RA * x - MA - P * xa;
+                V = x <= a ? RA : RA - P;
                 break;
+            }
 
-            case 'distributed':
-                // Uniformly distributed load
-                w = (q * x * x) / (24 * EI) * (L - x) * (L - x);
-                theta = (q * x) / (12 * EI) * (L - x) * (L - 2 * x);
-                M = (q / 12) * (6 * L * x - 6 * x * x - L * L);
-                V = q * (L / 2 - x);
+            case 'distributed': {
+                // Linearly varying load q → qb over [a, end]: fixed-end
+                // reaction and moment from θ(L) = 0 and w(L) = 0
+                const load = (xs, n) => this.linearLoadIntegral(xs, n, q, qb, a, end);
+                const RA = (6 * L * load(L, 2) - 12 * load(L, 3)) / (L * L * L);
+                const MA = RA * L / 2 - load(L, 2) / L;
+
+                w = (MA * x * x / 2 - RA * x * x * x / 6 + load(x, 3)) / EI;
+                theta = (MA * x - RA * x * x / 2 + load(x, 2)) / EI;
+                M = RA * x - MA - load(x, 1);
+                V = RA - load(x, 0);
                 break;
+            }
 
-            case 'moment':
-                // Simplified moment calculation
-                w = (M0 * x * x) / (6 * EI * L * L) * (3 * L - 4 * x);
-                theta = (M0 * x) / (2 * EI * L * L) * (L - 2 * x);
-                M = M0 * (1 - 4 * x / L + 3 * x * x / (L * L));
-                V = M0 * 6 / (L * L) * (1 - 2 * x / L);
+            case 'moment': {
+                // Point moment at position a
+                const RA = (6 * M0 * a * b) / (L * L * L);
+                const MA = (M0 * b * (2 * a - b)) / (L * L);
+                const step = x <= a ? 0 : 1;
+                const xa = Math.max(x - a, 0);
+
+                w = (MA * x * x / 2 - RA * x * x * x / 6 + step * M0 * xa * xa / 2) / EI;
+                theta = (MA * x - RA * x * x / 2 + step * M0 * xa) / EI;
+                M = RA * x - MA - step * M0;
+                V = RA;
                 break;
+            }
         }
 
         return { w, theta, M, V };
@@ -209,7 +1420,7 @@ class BeamCalculator {
     /**
      * Cantilever Beam
      */
-    cantilever(x, L, EI, loadType, P, q, M0, a) {
+    cantilever(x, L, EI, loadType, P, q, M0, a, end = L, qb = q) {
         let w = 0, theta = 0, M = 0, V = 0;
 
         switch (loadType) {
@@ -228,20 +1439,33 @@ class BeamCalculator {
                 }
                 break;
 
-            case 'distributed':
-                // Uniformly distributed load along entire length
-                w = (q * x * x) / (24 * EI) * (x * x - 4 * L * x + 6 * L * L);
-                theta = (q * x) / (6 * EI) * (x * x - 3 * L * x + 3 * L * L);
-                M = -(q / 2) * (L - x) * (L - x);
-                V = q * (L - x);
+            case 'distributed': {
+                // Linearly varying load q → qb over [a, end]: the fixed end
+                // carries the whole load and its moment
+                const load = (xs, n) => this.linearLoadIntegral(xs, n, q, qb, a, end);
+                const RA = load(L, 0);
+                const MA = RA * L - load(L, 1);
+
+                w = (MA * x * x / 2 - RA * x * x * x / 6 + load(x, 3)) / EI;
+                theta = (MA * x - RA * x * x / 2 + load(x, 2)) / EI;
+                M = RA * x - MA - load(x, 1);
+                V = RA - load(x, 0);
                 break;
+            }
 
             case 'moment':
-                // Point moment at free end
-                w = (M0 * x * x) / (2 * EI);
-                theta = (M0 * x) / EI;
-                M = -M0;
-                V = 0;
+                // Point moment at position a (from fixed end)
+                if (x <= a) {
+                    w = -(M0 * x * x) / (2 * EI);
+                    theta = -(M0 * x) / EI;
+                    M = M0;
+                    V = 0;
+                } else {
+                    w = -(M0 * a) / (2 * EI) * (2 * x - a);
+                    theta = -(M0 * a) / EI;
+                    M = 0;
+                    V = 0;
+                }
                 break;
         }
 
@@ -256,12 +1480,318 @@ class BeamCalculator {
         return (M * y) / I;
     }
 
+    /**
+     * Shear stress τ = VQ/(Ib)
+     */
+    calculateShearStress(V, Q, I, b) {
+        return b > 0 ? (V * Q) / (I * b) : 0;
+    }
+
+    /**
+     * Principal stresses and maximum in-plane shear for a beam fibre
+     * with normal stress σ and shear stress τ
+     */
+    calculatePrincipalStresses(sigma, tau) {
+        const radius = Math.sqrt(sigma * sigma / 4 + tau * tau);
+        return {
+            sigma1: sigma / 2 + radius,
+            sigma2: sigma / 2 - radius,
+            tauMax: radius
+        };
+    }
+
+    /**
+     * Von Mises stress σv = √(σ² + 3τ²)
+     */
+    calculateVonMises(sigma, tau) {
+        return Math.sqrt(sigma * sigma + 3 * tau * tau);
+    }
+
+    /**
+     * Stress profile over the depth of the section at station index i.
+     * y is measured up from the centroid and σ is positive in tension, so
+     * a sagging moment compresses the top: σ = -My/I. Levels are added
+     * just below and above every width change so that τ jumps are kept.
+     * Segmented beams use the section at the station.
+     */
+    getSectionStresses(results, section, i, numLevels = 60) {
+        section = this.getStationSection(results, section, i);
+        const yMin = -section.yBottom;
+        const yMax = section.yTop;
+
+        const levels = [];
+        for (let k = 0; k <= numLevels; k++) {
+            levels.push(yMin + (k / numLevels) * (yMax - yMin));
+        }
+        const offset = (yMax - yMin) * 1e-6;
+        (section.parts || []).filter(part => part.type === 'rect').forEach(part => {
+            [part.y0, part.y1].forEach(y => {
+                const yc = y - section.yc;
+                if (yc > yMin && yc < yMax) levels.push(yc - offset, yc + offset);
+            });
+        });
+        levels.sort((a, b) => a - b);
+
+        return levels.map(y => ({
+            y,
+            ...this.getStressAt(results, section, i, y)
+        }));
+    }
+
+    /**
+     * Bending, shear, von Mises and principal stresses of the fibre at
+     * height y and across z (from the centroid) at station index i. The
+     * normal stress includes the uniform stress of an axial load and the
+     * lateral bending stress Mz·z/Iz; τ is the shear stress of the
+     * vertical shear force.
+     */
+    getStressAt(results, section, i, y, z = 0) {
+        section = this.getStationSection(results, section, i);
+        const lateral = results.lateral ? results.lateral.moment[i] * z / section.Iz : 0;
+        const sigma = -results.moment[i] * y / section.I + lateral - this.getAxialForce(results, i) / section.A;
+        const tau = this.calculateShearStress(results.shear[i], section.firstMomentAt(y), section.I, section.widthAt(y));
+
+        return {
+            sigma,
+            tau,
+            vonMises: this.calculateVonMises(sigma, tau),
+            ...this.calculatePrincipalStresses(sigma, tau)
+        };
+    }
+
+    /**
+     * Axial compression at station index i: the axial force along the
+     * beam of a large-deflection analysis, otherwise the axial load
+     */
+    getAxialForce(results, i) {
+        return results.axialForce ? results.axialForce[i] : results.axialLoad || 0;
+    }
+
+    /**
+     * Normal stress σ at the corners { z, y } of the outer section outline
+     * (the outline points of round sections) at station index i, where
+     * the in-plane and lateral bending stresses add up
+     */
+    getCornerStresses(results, section, i) {
+        section = this.getStationSection(results, section, i);
+        return section.outline.outer.map(([z, y]) => ({ z, y, sigma: this.getStressAt(results, section, i, y, z).sigma }));
+    }
+
+    /**
+     * Section at station index i: the local one of a segmented beam
+     */
+    getStationSection(results, section, i) {
+        return results.sections ? results.sections[i] : section;
+    }
+
+    /**
+     * Largest von Mises and shear stress along the beam with their
+     * location. With materials per station, governing holds the fibre
+     * with the largest σv/fy and its local fy. Out-of-plane loads add the
+     * section corners, where the peak torsional shear stress is combined
+     * with the biaxial normal stress.
+     */
+    getMaxCombinedStress(results, section) {
+        const max = { vonMises: 0, tau: 0, x: 0, y: 0 };
+        const governing = { vonMises: 0, fy: results.materials ? results.materials[0].fy : 0, x: 0 };
+        const outOfPlane = Boolean(results.lateral || results.torsion);
+
+        results.x.forEach((x, i) => {
+            const fy = results.materials ? results.materials[i].fy : 0;
+            const corners = outOfPlane
+                ? this.getCornerStresses(results, section, i).map(({ y, sigma }) => {
+                    const tau = results.torsion ? Math.abs(results.torsion.stress[i]) : 0;
+                    return { y, tau: 0, vonMises: this.calculateVonMises(sigma, tau) };
+                })
+                : [];
+            [...this.getSectionStresses(results, section, i, 20), ...corners].forEach(point => {
+                if (point.vonMises > max.vonMises) {
+                    Object.assign(max, { vonMises: point.vonMises, x, y: point.y });
+                }
+                if (fy && point.vonMises / fy > governing.vonMises / governing.fy) {
+                    Object.assign(governing, { vonMises: point.vonMises, fy, x });
+                }
+                max.tau = Math.max(max.tau, Math.abs(point.tau));
+            });
+        });
+
+        return results.materials ? { ...max, governing } : max;
+    }
+
+    /**
+     * Strength and serviceability checks
+     * Stress: σ ≤ fy / γ. Deflection: w ≤ L / limit (e.g. 250 or 360).
+     * Utilisations above 1 fail.
+     */
+    checkDesign({ maxStress, maxDeflection, L, fy, safetyFactor = 1, deflectionLimit = 250 }) {
+        const allowableStress = fy / safetyFactor;
+        const allowableDeflection = L / deflectionLimit;
+        const stressUtilisation = maxStress / allowableStress;
+        const deflectionUtilisation = maxDeflection / allowableDeflection;
+
+        return {
+            allowableStress,
+            allowableDeflection,
+            stressUtilisation,
+            deflectionUtilisation,
+            stressPassed: stressUtilisation <= 1,
+            deflectionPassed: deflectionUtilisation <= 1,
+            passed: stressUtilisation <= 1 && deflectionUtilisation <= 1
+        };
+    }
+
+    /**
+     * Governing formulas of an analysis as { name, formula, description }:
+     * the differential equation and boundary conditions of the beam type,
+     * the reference solutions of its loads on a single span, and the
+     * stress, stability and design check formulas that apply
+     */
+    getFormulas(params) {
+        const {
+            beamType,
+            L,
+            theory = 'euler-bernoulli',
+            loads = [],
+            supports = [],
+            segments = [],
+            axialLoad = 0,
+            largeDeflection = false,
+            deflectionLimit = 250,
+            endConditions = ['free', 'free']
+        } = params;
+        const formulas = [];
+        const add = (name, formula, description) => formulas.push({ name, formula, description });
+        const has = (type) => loads.some(load => load.type === type);
+        const transverse = loads.filter(load => load.type !== 'thermal');
+
+        // Differential equation
+        if (beamType === 'elastic-foundation') {
+            add('Elastic Foundation', 'EI · d⁴w/dx⁴ + k · w = q, k = ks · b', 'Winkler foundation with subgrade modulus ks over the contact width b');
+        } else {
+            add('Beam Equation', 'EI · d⁴w/dx⁴ = q(x)', 'Euler-Bernoulli beam under the transverse load q(x)');
+        }
+        if (theory === 'timoshenko') {
+            add('Timoshenko Beam', 'M = −EI · dφ/dx, V = κGA · (dw/dx − φ)', 'Section rotation φ with shear deformation over the shear area κA');
+        }
+        add('Internal Forces', 'M = −EI · d²w/dx², V = dM/dx', 'Bending moment (sagging positive) and shear force');
+
+        // Boundary conditions of the supports
+        const ends = { 'free': 'M = 0, V = 0', 'pin': 'w = 0, M = 0', 'fixed': 'w = 0, dw/dx = 0' };
+        const boundary = {
+            'simply-supported': `${ends.pin} at x = 0 and x = L`,
+            'fixed-fixed': `${ends.fixed} at x = 0 and x = L`,
+            'cantilever': `${ends.fixed} at x = 0; ${ends.free} at x = L`,
+            'continuous': 'w = 0 at every support; M = 0 at x = 0 and x = L',
+            'elastic-foundation': `${ends[endConditions[0]]} at x = 0; ${ends[endConditions[1]]} at x = L`
+        };
+        add('Boundary Conditions', boundary[beamType], 'Supports of the beam type');
+        if (supports.some(support => support.settlement || support.rotation)) {
+            add('Support Settlement', 'M = 6EIΔ/L², V = 12EIΔ/L³', 'End moments and shear of a fixed-fixed span when one end settles by Δ');
+        }
+        if (supports.some(support => support.kv || support.kr)) {
+            add('Spring Support', 'R = kv · (w − Δ), M = kr · (θ − θ₀)', 'Elastic supports whose base settles by Δ or rotates by θ₀');
+        }
+
+        // Reference solutions of a single span, superposed over the loads
+        const references = {
+            'simply-supported': {
+                point: ['M(a) = P·a·b/L, w(x ≤ a) = P·b·x·(L² − b² − x²)/(6·L·EI)', 'Point load P at x = a, b = L − a'],
+                uniform: ['M = q·L²/8, w = 5·q·L⁴/(384·EI) at midspan', 'Uniform load q over the span'],
+                moment: ['R = M₀/L, w(x ≤ a) = M₀·x·(6aL − 3a² − 2L² − x²)/(6·L·EI)', 'Applied moment M₀ at x = a']
+            },
+            'fixed-fixed': {
+                point: ['M(0) = −P·a·b²/L², M(L) = −P·a²·b/L², M(a) = 2·P·a²·b²/L³', 'Point load P at x = a, b = L − a'],
+                uniform: ['M = −q·L²/12 at the ends, q·L²/24 and w = q·L⁴/(384·EI) at midspan', 'Uniform load q over the span'],
+                moment: ['|M(0)| = M₀·b·(2a − b)/L², |M(L)| = M₀·a·(2b − a)/L²', 'Applied moment M₀ at x = a, b = L − a']
+            },
+            'cantilever': {
+                point: ['M(0) = −P·a, w(L) = P·a²·(3L − a)/(6·EI)', 'Point load P at x = a from the fixed end'],
+                uniform: ['M(0) = −q·L²/2, w(L) = q·L⁴/(8·EI)', 'Uniform load q over the span'],
+                moment: ['|M| = M₀ for x < a, |w(L)| = M₀·a·(2L − a)/(2·EI)', 'Applied moment M₀ at x = a from the fixed end']
+            }
+        }[beamType];
+
+        const uniform = (load) => load.type === 'distributed' && !(load.position > 0) && !(load.end < L) &&
+            (load.endMagnitude === undefined || load.endMagnitude === load.magnitude);
+        if (references) {
+            const reference = (key, name) => add(name, references[key][0], references[key][1]);
+
+            if (has('point')) reference('point', 'Point Load');
+            if (transverse.some(uniform)) reference('uniform', 'Uniform Load');
+            if (has('moment')) reference('moment', 'Applied Moment');
+        }
+        if (transverse.some(load => (load.type === 'distributed' || load.type === 'profile') && !(references && uniform(load)))) {
+            add('Varying Load', 'M(x) = M(0) + V(0)·x − ∫₀ˣ q(s)·(x − s) ds', 'Partial, trapezoidal and tabulated q(x) loads, integrated over their extent');
+        }
+        if (transverse.length > 1 && !largeDeflection) {
+            add('Superposition', 'w = Σ wᵢ, M = Σ Mᵢ, V = Σ Vᵢ', 'The effects of the loads add up (linear analysis)');
+        }
+        add('Finite Elements', 'K · u = F', largeDeflection
+            ? 'Co-rotational elements, N = EA · (ln − l)/l and the end moments from θ − β, solved in load steps with Newton-Raphson'
+            : 'Hermite beam elements with consistent nodal loads; the reference solutions above check single spans');
+
+        // Temperature and non-prismatic sections
+        const thermal = loads.filter(load => load.type === 'thermal');
+        if (thermal.some(load => load.gradient)) {
+            add('Thermal Curvature', 'κ = α · ΔT / h, M = −EI · (d²w/dx² + κ)', 'Bending from a bottom-minus-top temperature difference ΔT over the depth h');
+        }
+        if (thermal.some(load => load.uniform)) {
+            add('Thermal Restraint Force', 'N = E · A · α · ΔT', 'Axial compression of a uniformly heated beam held at both ends');
+        }
+        if (segments.length > 0) {
+            add('Non-Prismatic Element', 'f = ∫ [(l − s)², (l − s), 1] / EI(s) ds, K₂₂ = f⁻¹', 'Element flexibility with the varying EI integrated over the element');
+        }
+
+        // Stresses
+        add('Bending Stress', axialLoad ? 'σ = M·y/I − P/A' : 'σ = M·y/I', axialLoad
+            ? 'Normal stress at distance y from the neutral axis with the axial load P (compression positive)'
+            : 'Normal stress at distance y from the neutral axis');
+        add('Shear Stress', 'τ = V·Q/(I·b)', 'Shear stress at height y, with first moment of area Q and width b');
+        add('von Mises Stress', 'σv = √(σ² + 3τ²)', 'Combined stress compared with the yield strength');
+        if (transverse.some(load => load.angle)) {
+            add('Biaxial Bending', 'σ = M·y/I + Mz·z/Iz', 'Lateral components of inclined loads bend the beam about its weak axis');
+        }
+        if (transverse.some(load => load.eccentricity)) {
+            add('St. Venant Torsion', 'dφ/dx = T/(G·J)', 'Twist from the torque of eccentric loads about the shear centre');
+        }
+
+        // Stability
+        if (axialLoad > 0) {
+            add('Euler Buckling Load', 'Pcr = π²EI/(KL)²', 'Critical axial load with effective-length factor K');
+            add('Amplification', '1/(1 − P/Pcr)', 'Approximate second-order growth of moments and deflections');
+        }
+
+        // Design checks
+        add('Stress Check', 'σv ≤ fy/γ', 'Largest von Mises stress against the yield strength over the safety factor γ');
+        add('Deflection Check', `w ≤ L/${deflectionLimit}`, 'Largest deflection against the serviceability limit');
+
+        return formulas;
+    }
+
     /**
      * Get maximum stress (at top/bottom fibers)
-     * y = h/2
+     * σ = M/W with the smaller of the two elastic section moduli, plus P/A
+     * for an axial load
      */
-    getMaxStress(maxMoment, h, I) {
-        return Math.abs(maxMoment * (h / 2) / I);
+    getMaxStress(maxMoment, section, axialLoad = 0) {
+        return Math.abs(maxMoment / Math.min(section.Wtop, section.Wbottom)) + Math.abs(axialLoad / section.A);
+    }
+
+    /**
+     * Largest extreme-fibre stress |M|/W + |N|/A along the beam, with the
+     * local section of a segmented beam and the local axial force of a
+     * large-deflection analysis at every station. With lateral
+     * bending it is the largest corner stress.
+     */
+    getMaxBendingStress(results, section) {
+        if (results.lateral) {
+            return Math.max(...results.x.map((_, i) =>
+                Math.max(...this.getCornerStresses(results, section, i).map(({ sigma }) => Math.abs(sigma)))));
+        }
+        if (!results.sections && !results.axialForce) return this.getMaxStress(results.maxMoment, section, results.axialLoad);
+
+        return Math.max(...results.moment.map((M, i) =>
+            this.getMaxStress(M, this.getStationSection(results, section, i), this.getAxialForce(results, i))));
     }
 }
 
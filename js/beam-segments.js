@@ -0,0 +1,152 @@
+/**
+ * Beam Segments
+ *
+ * Section and material along a non-prismatic beam. Each segment
+ * { start, end, section, endSection, material } covers start ≤ x ≤ end.
+ * With an endSection the dimensions vary linearly from section to
+ * endSection (a taper); without one the segment is prismatic, so
+ * neighbouring segments form steps. The base section and material
+ * apply wherever no segment is defined.
+ */
+
+class BeamSegments {
+    /**
+     * @param {Array} segments - { start, end, section, endSection, material }
+     * @param {CrossSection} section - Base section
+     * @param {Object} material - Base material record
+     * @param {number} L - Beam length (m)
+     */
+    constructor(segments, section, material, L) {
+        this.segments = segments
+            .map(segment => ({ ...segment, material: segment.material || material }))
+            .sort((a, b) => a.start - b.start);
+        this.section = section;
+        this.material = material;
+        this.L = L;
+        this.cache = new Map();
+
+        this.validate();
+    }
+
+    validate() {
+        this.segments.forEach((segment, k) => {
+            const { start, end, section, endSection } = segment;
+            if (!(start >= 0 && end <= this.L && end > start)) {
+                throw new Error('Every beam segment needs 0 ≤ start < end ≤ L');
+            }
+            if (k > 0 && start < this.segments[k - 1].end) {
+                throw new Error('Beam segments must not overlap');
+            }
+            if (endSection && (endSection.shape !== section.shape || section.designation || endSection.designation)) {
+                throw new Error('A tapered segment needs the same section shape at both ends and no standard sections');
+            }
+        });
+    }
+
+    /**
+     * Section with the dimensions of a and b mixed in the ratio t
+     */
+    static interpolate(a, b, t) {
+        const dims = {};
+        Object.keys(a.dims).forEach(key => {
+            dims[key] = a.dims[key] + (b.dims[key] - a.dims[key]) * t;
+        });
+        return new CrossSection(a.shape, dims);
+    }
+
+    /**
+     * Positions where the section may change abruptly
+     */
+    get breakpoints() {
+        return [...new Set(this.segments.flatMap(({ start, end }) => [start, end]))];
+    }
+
+    /**
+     * Pieces { start, end, index } that cover the beam in order, with
+     * the segment index or -1 where the base section applies
+     */
+    get pieces() {
+        const pieces = [];
+        let x = 0;
+
+        this.segments.forEach(({ start, end }, index) => {
+            if (start > x) pieces.push({ start: x, end: start, index: -1 });
+            pieces.push({ start, end, index });
+            x = end;
+        });
+        if (x < this.L) pieces.push({ start: x, end: this.L, index: -1 });
+
+        return pieces;
+    }
+
+    /**
+     * ∫ f(section, material, x) dx over the beam, by Gauss quadrature on
+     * divisions intervals per piece (prismatic pieces need only one)
+     */
+    integrate(f, divisions = 8) {
+        return this.pieces.reduce((sum, { start, end, index }) => {
+            const count = index >= 0 && this.segments[index].endSection ? divisions : 1;
+            const h = (end - start) / count;
+
+            for (let j = 0; j < count; j++) {
+                BeamFESolver.gaussPoints.forEach(([xi, weight]) => {
+                    const x = start + h * (j + (1 + xi) / 2);
+                    const { section, material } = this.evaluate(index, x);
+                    sum += weight * h / 2 * f(section, material, x);
+                });
+            }
+            return sum;
+        }, 0);
+    }
+
+    /**
+     * Index of the segment that holds x (-1 for the base section). At a
+     * step the weaker side is taken, so that stresses are not underestimated.
+     */
+    pieceAt(x) {
+        const inside = this.segments.findIndex(({ start, end }) => start < x && x < end);
+        if (inside >= 0) return inside;
+
+        const candidates = this.segments
+            .map((segment, k) => ({ segment, k }))
+            .filter(({ segment }) => segment.start === x || segment.end === x)
+            .map(({ k }) => k);
+
+        // The base section shows through unless segments cover both sides
+        const left = x > 0 && !this.segments.some(({ start, end }) => start < x && x <= end);
+        const right = x < this.L && !this.segments.some(({ start, end }) => start <= x && x < end);
+        if (left || right || candidates.length === 0) candidates.push(-1);
+
+        const modulus = (k) => {
+            const { section } = this.evaluate(k, x);
+            return Math.min(section.Wtop, section.Wbottom);
+        };
+        return candidates.reduce((best, k) => modulus(k) < modulus(best) ? k : best);
+    }
+
+    /**
+     * Section and material of piece k (a segment index, or -1) at x
+     */
+    evaluate(k, x) {
+        if (k < 0) return { section: this.section, material: this.material };
+
+        const { start, end, section, endSection, material } = this.segments[k];
+        if (!endSection) return { section, material };
+
+        const key = `${k}:${x}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, { section: BeamSegments.interpolate(section, endSection, (x - start) / (end - start)), material });
+        }
+        return this.cache.get(key);
+    }
+
+    /**
+     * Section and material at x
+     */
+    at(x) {
+        return this.evaluate(this.pieceAt(x), x);
+    }
+}
+
+// Export for use in other modules
+window.BeamSegments = BeamSegments;
@@ -0,0 +1,118 @@
+/**
+ * Calculation Report
+ *
+ * Builds a self-contained, printable HTML document of an analysis: a
+ * header with the project name, engineer and date, followed by the
+ * sections in order. Each section has a title and one of
+ *
+ * - rows: [label, value] pairs
+ * - table: { head, rows } with the cells as text
+ * - formulas: { name, formula, description } (see BeamCalculator.getFormulas)
+ * - images: { src, caption } with the image as a data URL
+ * - notes: paragraphs of text
+ *
+ * All text is escaped; images are embedded, so the document needs no
+ * other files and prints to PDF from the browser print dialog.
+ */
+
+class CalculationReport {
+    /**
+     * @param {Object} header - { title, engineer, date } shown on every report
+     */
+    constructor({ title = '', engineer = '', date = '' }) {
+        this.title = title.trim() || 'Beam Analysis';
+        this.engineer = engineer.trim();
+        this.date = date;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static get styles() {
+        return `
+            @page { size: A4; margin: 16mm 14mm; }
+            * { box-sizing: border-box; }
+            body { margin: 0 auto; max-width: 190mm; padding: 12px; font: 10pt/1.4 Inter, 'Segoe UI', Arial, sans-serif; color: #111827; }
+            header { border-bottom: 2px solid #4f46e5; padding-bottom: 8px; margin-bottom: 12px; }
+            h1 { margin: 0 0 6px; font-size: 18pt; }
+            h2 { margin: 18px 0 6px; font-size: 12pt; color: #4338ca; border-bottom: 1px solid #e5e7eb; page-break-after: avoid; }
+            .meta { display: flex; flex-wrap: wrap; gap: 4px 24px; color: #374151; }
+            .meta strong { color: #111827; }
+            table { width: 100%; border-collapse: collapse; margin: 4px 0; }
+            th, td { padding: 3px 6px; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+            th { background: #f3f4f6; font-weight: 600; }
+            tr { page-break-inside: avoid; }
+            .rows th { width: 40%; background: none; font-weight: 500; color: #374151; }
+            .formula { font-family: 'Cambria Math', 'Times New Roman', serif; font-size: 11pt; white-space: nowrap; }
+            figure { margin: 8px 0; page-break-inside: avoid; }
+            figure img { width: 100%; border: 1px solid #d1d5db; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            figcaption { font-size: 9pt; color: #4b5563; }
+            .toolbar { text-align: right; margin-bottom: 8px; }
+            .toolbar button { padding: 6px 14px; font: inherit; cursor: pointer; }
+            footer { margin-top: 16px; font-size: 8pt; color: #6b7280; }
+            @media print { .toolbar { display: none; } body { padding: 0; } }
+        `;
+    }
+
+    /**
+     * The report document as HTML text
+     */
+    render(sections) {
+        const escape = CalculationReport.escape;
+        const meta = [
+            ['Project', this.title],
+            ['Engineer', this.engineer || '-'],
+            ['Date', this.date || '-']
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(this.title)} – Calculation Report</title>
+    <style>${CalculationReport.styles}</style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+    <header>
+        <h1>${escape(this.title)}</h1>
+        <div class="meta">${meta.map(([label, value]) => `<span><strong>${label}:</strong> ${escape(value)}</span>`).join('')}</div>
+    </header>
+    ${sections.map(section => this.renderSection(section)).join('\n')}
+    <footer>Euler-Bernoulli Beam Analysis – calculation report</footer>
+</body>
+</html>`;
+    }
+
+    renderSection({ title, rows, table, formulas, images, notes }) {
+        const escape = CalculationReport.escape;
+        const cells = (values, tag) => values.map(value => `<${tag}>${escape(value)}</${tag}>`).join('');
+        let body = '';
+
+        if (rows) {
+            body = `<table class="rows">${rows.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('')}</table>`;
+        } else if (table) {
+            body = `<table><thead><tr>${cells(table.head, 'th')}</tr></thead>
+                <tbody>${table.rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+        } else if (formulas) {
+            body = `<table><thead><tr><th>Quantity</th><th>Formula</th><th>Description</th></tr></thead>
+                <tbody>${formulas.map(({ name, formula, description }) =>
+                    `<tr><td>${escape(name)}</td><td class="formula">${escape(formula)}</td><td>${escape(description)}</td></tr>`).join('')}</tbody></table>`;
+        } else if (images) {
+            body = images.map(({ src, caption }) =>
+                `<figure><img src="${escape(src)}" alt="${escape(caption)}"><figcaption>${escape(caption)}</figcaption></figure>`).join('');
+        } else if (notes) {
+            body = notes.map(note => `<p>${escape(note)}</p>`).join('');
+        }
+
+        return `<section><h2>${escape(title)}</h2>${body}</section>`;
+    }
+}
+
+// Export for use in other modules
+window.CalculationReport = CalculationReport;
@@ -0,0 +1,145 @@
+/**
+ * Combination Table
+ *
+ * Editable list of load combinations { name, factors } with a partial
+ * factor per load case id. Rows show one factor input per current load
+ * case; a case without a factor does not act in the combination. An
+ * empty list means no combinations are analysed.
+ */
+
+class CombinationTable {
+    /**
+     * @param {string} containerId - Element that holds the rows
+     * @param {Function} onChange - Called after every edit
+     * @param {Function} getCases - Current load cases { id, name, category }
+     */
+    constructor(containerId, onChange, getCases) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.getCases = getCases;
+        this.combinations = [];
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        // Edits update the combination without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row) return;
+
+            const combination = this.combinations[parseInt(row.dataset.index, 10)];
+            if (e.target.dataset.field === 'name') {
+                combination.name = e.target.value;
+                this.onChange();
+                return;
+            }
+
+            const value = parseFloat(e.target.value);
+            if (e.target.dataset.case) {
+                combination.factors[e.target.dataset.case] = isNaN(value) ? 0 : value;
+                this.onChange();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+
+            this.removeCombination(parseInt(button.closest('.load-row').dataset.index, 10));
+        });
+    }
+
+    /**
+     * Get a copy of the combinations with a factor for every current load case
+     */
+    getCombinations() {
+        const cases = this.getCases();
+        return this.combinations.map(({ name, factors }, index) => ({
+            name: name.trim() || `Combination ${index + 1}`,
+            factors: Object.fromEntries(cases.map(({ id }) => [id, factors[id] || 0]))
+        }));
+    }
+
+    /**
+     * Replace the combinations
+     */
+    setCombinations(combinations) {
+        this.combinations = combinations.map(({ name, factors }) => ({ name, factors: { ...factors } }));
+        this.render();
+    }
+
+    /**
+     * Append a combination with all load cases at factor 1
+     */
+    addCombination() {
+        const factors = Object.fromEntries(this.getCases().map(({ id }) => [id, 1]));
+        this.combinations.push({ name: `Combination ${this.combinations.length + 1}`, factors });
+        this.render();
+        this.onChange();
+    }
+
+    removeCombination(index) {
+        this.combinations.splice(index, 1);
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Factor input of a combination for a load case, labelled with its name
+     */
+    static createFactorInput(combination, { id, name }) {
+        const field = document.createElement('div');
+        field.className = 'input-with-unit';
+        field.innerHTML = `
+            <input type="number" min="0" step="0.05">
+            <span class="unit factor-unit"></span>`;
+
+        const input = field.querySelector('input');
+        input.dataset.case = id;
+        input.value = combination.factors[id] || 0;
+        input.title = `Factor on ${name}`;
+
+        const unit = field.querySelector('.unit');
+        unit.textContent = name;
+        unit.title = name;
+        return field;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.combinations.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'load-empty';
+            empty.textContent = 'No combinations (loads act unfactored)';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const cases = this.getCases();
+
+        this.combinations.forEach((combination, index) => {
+            const row = document.createElement('div');
+            row.className = 'load-row';
+            row.dataset.index = index;
+
+            row.innerHTML = `
+                <div class="load-row-header">
+                    <span class="load-index">${index + 1}</span>
+                    <input type="text" class="text-input" data-field="name" maxlength="100" title="Combination name">
+                    <button class="load-action-btn danger" data-action="remove" title="Remove Combination">✕</button>
+                </div>
+                <div class="input-row"></div>
+            `;
+
+            // Names and case ids are user text: set as values, never parsed as HTML
+            row.querySelector('[data-field="name"]').value = combination.name;
+            row.querySelector('.input-row').append(...cases.map(loadCase => CombinationTable.createFactorInput(combination, loadCase)));
+            this.container.appendChild(row);
+        });
+    }
+}
+
+// Export for use in other modules
+window.CombinationTable = CombinationTable;
@@ -0,0 +1,352 @@
+/**
+ * Co-rotational Large-Deflection Beam Solver
+ *
+ * Geometrically nonlinear analysis of a plane beam with 2-node
+ * co-rotational Euler-Bernoulli elements (Crisfield). Each node has the
+ * horizontal displacement u, the upward displacement v and the
+ * counterclockwise rotation θ; each element follows the rigid rotation β
+ * of its chord and deforms linearly about it (axial stretch, end
+ * rotations θ - β). Rotations and displacements may be large, strains
+ * stay small.
+ *
+ * The mesh, the nodal loads and the support restraints come from
+ * BeamFESolver for the same model, so stations, load positions and
+ * segment properties match the linear analysis. Loads are dead loads:
+ * they keep their direction and the magnitude per unit original length.
+ * The load is applied in increments (load control) with Newton-Raphson
+ * equilibrium iterations; a step that does not converge is halved.
+ *
+ * Pin and fixed supports hold the beam axially, so a beam held at both
+ * ends carries its loads partly in membrane tension. Without one, the
+ * first support holds it. The axial load P compresses the beam at the
+ * first end that is free to slide (x = L, then x = 0).
+ *
+ * Sign convention (as BeamFESolver): deflection w positive downwards,
+ * slope θ = dw/dx, bending moment positive sagging, axial force
+ * positive in compression; the horizontal displacement u is positive
+ * towards x = L.
+ */
+
+class CorotationalBeamSolver {
+    /**
+     * @param {Object} model - Beam model as for BeamFESolver, plus the axial
+     *   rigidity EA (N); non-prismatic beams give EA from model.properties.
+     *   Elastic foundations, hinges, support movements and temperature loads
+     *   are not supported.
+     */
+    constructor(model) {
+        if (!(model.EA > 0)) {
+            throw new Error('Large-deflection analysis needs a positive axial rigidity EA');
+        }
+        if (model.foundation) {
+            throw new Error('Large-deflection analysis does not include an elastic foundation');
+        }
+        if ((model.loads || []).some(load => load.type === 'thermal')) {
+            throw new Error('Large-deflection analysis does not include temperature loads');
+        }
+        if ((model.supports || []).some(support => support.settlement || support.rotation)) {
+            throw new Error('Large-deflection analysis does not include support settlements or imposed rotations');
+        }
+
+        this.mesh = new BeamFESolver({ ...model, hinges: null });
+        this.model = this.mesh.model;
+
+        this.elements = this.mesh.elements.map(element => ({
+            ...element,
+            EA: this.model.properties ? this.mesh.getProperties((element.x1 + element.x2) / 2).EA || model.EA : model.EA
+        }));
+        this.numNodes = this.mesh.nodeX.length;
+        this.numDofs = 3 * this.numNodes;
+    }
+
+    /**
+     * Reference load vector [Fu, Fv, Mθ] per node from the consistent
+     * nodal loads of the linear solver, plus the axial load
+     */
+    assembleLoads() {
+        const linear = this.mesh.assembleLoads(this.model.loads);
+        const F = new Array(this.numDofs).fill(0);
+
+        for (let node = 0; node < this.numNodes; node++) {
+            F[3 * node + 1] = -linear[2 * node];
+            F[3 * node + 2] = -linear[2 * node + 1];
+        }
+
+        const { axialLoad } = this.model;
+        if (axialLoad) {
+            const last = this.numNodes - 1;
+            if (!this.restrained.has(3 * last)) {
+                F[3 * last] -= axialLoad;
+            } else if (!this.restrained.has(0)) {
+                F[0] += axialLoad;
+            }
+        }
+
+        return F;
+    }
+
+    /**
+     * Restrained DOFs and springs of the linear solver mapped to [u, v, θ],
+     * plus the axial restraint of pin and fixed supports
+     */
+    getRestraints() {
+        const { restrained, springs } = this.mesh.getRestraints();
+        const map = (dof) => 3 * Math.floor(dof / 2) + 1 + dof % 2;
+
+        this.restrained = new Set([...restrained].map(map));
+        this.springs = springs.map(({ dof, k }) => ({ dof: map(dof), k }));
+
+        const { supports } = this.model;
+        const holding = supports.filter(support => support.type === 'pin' || support.type === 'fixed');
+        (holding.length > 0 ? holding : supports.slice(0, 1)).forEach(support => {
+            this.restrained.add(3 * this.mesh.findNode(support.position));
+        });
+    }
+
+    /**
+     * Deformed state of an element: chord length and direction, axial force N
+     * and end moments M1, M2 (counterclockwise on the element) about the chord
+     */
+    elementState(element, d) {
+        const { n1, n2, l, EI, EA } = element;
+        const du = d[3 * n2] - d[3 * n1];
+        const dx = l + du;
+        const dy = d[3 * n2 + 1] - d[3 * n1 + 1];
+        const length = Math.hypot(dx, dy);
+        const beta = Math.atan2(dy, dx);
+        const local = (theta) => Math.atan2(Math.sin(theta - beta), Math.cos(theta - beta));
+        const theta1 = local(d[3 * n1 + 2]);
+        const theta2 = local(d[3 * n2 + 2]);
+
+        return {
+            length,
+            c: dx / length,
+            s: dy / length,
+            // Stretch length - l without cancellation for small strains
+            N: EA * (2 * l * du + du * du + dy * dy) / ((length + l) * l),
+            M1: EI / l * (4 * theta1 + 2 * theta2),
+            M2: EI / l * (2 * theta1 + 4 * theta2)
+        };
+    }
+
+    /**
+     * Internal force vector and tangent stiffness of the whole beam at the
+     * displacements d: B maps the element DOFs to the local stretch and end
+     * rotations, K = Bᵀ·k·B plus the geometric terms of N and M1 + M2
+     */
+    assemble(d) {
+        const f = new Array(this.numDofs).fill(0);
+        const K = LinearAlgebra.zeros(this.numDofs);
+
+        this.elements.forEach(element => {
+            const { l, EI, EA, n1, n2 } = element;
+            const { length, c, s, N, M1, M2 } = this.elementState(element, d);
+            const r = [-c, -s, 0, c, s, 0];
+            const z = [s, -c, 0, -s, c, 0];
+            const B = [
+                r,
+                z.map((value, i) => (i === 2 ? 1 : 0) - value / length),
+                z.map((value, i) => (i === 5 ? 1 : 0) - value / length)
+            ];
+            const k = [
+                [EA / l, 0, 0],
+                [0, 4 * EI / l, 2 * EI / l],
+                [0, 2 * EI / l, 4 * EI / l]
+            ];
+            const forces = [N, M1, M2];
+            const dofs = [3 * n1, 3 * n1 + 1, 3 * n1 + 2, 3 * n2, 3 * n2 + 1, 3 * n2 + 2];
+            const kB = k.map(row => r.map((_, j) => row.reduce((sum, value, m) => sum + value * B[m][j], 0)));
+
+            dofs.forEach((I, i) => {
+                f[I] += B.reduce((sum, row, m) => sum + row[i] * forces[m], 0);
+                dofs.forEach((J, j) => {
+                    K[I][J] += B.reduce((sum, row, m) => sum + row[i] * kB[m][j], 0)
+                        + N / length * z[i] * z[j]
+                        + (M1 + M2) / (length * length) * (r[i] * z[j] + z[i] * r[j]);
+                });
+            });
+        });
+
+        this.springs.forEach(({ dof, k }) => {
+            f[dof] += k * d[dof];
+            K[dof][dof] += k;
+        });
+
+        return { f, K };
+    }
+
+    /**
+     * Newton-Raphson iterations for equilibrium at a load factor, starting
+     * from d (updated in place), until the out-of-balance force or the
+     * displacement correction is small. Returns false if they do not converge.
+     */
+    iterate(d, F, factor, free, { tolerance, maxIterations }) {
+        const reference = Math.hypot(...free.map(i => F[i])) * Math.max(factor, 1e-3) || 1;
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const { f, K } = this.assemble(d);
+            const residual = free.map(i => factor * F[i] - f[i]);
+            if (Math.hypot(...residual) <= tolerance * reference) return true;
+
+            let delta;
+            try {
+                delta = LinearAlgebra.solve(free.map(i => free.map(j => K[i][j])), residual);
+            } catch (error) {
+                return false;
+            }
+            if (!delta.every(Number.isFinite)) return false;
+
+            free.forEach((dof, i) => {
+                d[dof] += delta[i];
+            });
+            if (Math.hypot(...delta) <= tolerance * Math.hypot(...free.map(i => d[i]))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Apply the loads in steps equal increments, halving a step that does
+     * not converge (at most maxCuts times in a row). Returns the results at
+     * the stations as BeamFESolver.solve(), with the horizontal displacement,
+     * the rotation and the axial force, and the load-deflection curve of
+     * the station that deflects most.
+     */
+    solve({ steps = 20, tolerance = 1e-8, maxIterations = 30, maxCuts = 6 } = {}) {
+        if (!(Number.isInteger(steps) && steps >= 1)) {
+            throw new Error('Large-deflection analysis needs at least one load step');
+        }
+
+        this.getRestraints();
+        const F = this.assembleLoads();
+        const free = [];
+        for (let i = 0; i < this.numDofs; i++) {
+            if (!this.restrained.has(i)) free.push(i);
+        }
+
+        const { stationNodes } = this.mesh;
+        const d = new Array(this.numDofs).fill(0);
+        const curve = { loadFactor: [0], deflection: [0], horizontal: [0] };
+        let control = null;
+        let factor = 0;
+        let increment = 1 / steps;
+        let cuts = 0;
+
+        while (factor < 1 - 1e-12) {
+            const target = Math.min(1, factor + increment);
+            const trial = d.slice();
+
+            if (!this.iterate(trial, F, target, free, { tolerance, maxIterations })) {
+                if (++cuts > maxCuts) {
+                    throw new Error(`Large-deflection analysis did not converge beyond ${(factor * 100).toFixed(1)}% of the loads (limit point or instability)`);
+                }
+                increment /= 2;
+                continue;
+            }
+
+            trial.forEach((value, i) => {
+                d[i] = value;
+            });
+            factor = target;
+            cuts = 0;
+
+            // Follow the station that deflects most under the first step
+            if (control === null) {
+                control = stationNodes.reduce((best, node) =>
+                    Math.abs(d[3 * node + 1]) > Math.abs(d[3 * best + 1]) ? node : best, stationNodes[0]);
+            }
+            curve.loadFactor.push(factor);
+            curve.deflection.push(-d[3 * control + 1]);
+            curve.horizontal.push(d[3 * control]);
+        }
+
+        curve.position = this.mesh.nodeX[control];
+        return { ...this.postProcess(d, F), curve };
+    }
+
+    /**
+     * Station results and reactions, with the horizontal reactions and
+     * displacements of the supports, of the converged displacements
+     */
+    postProcess(d, F) {
+        const { L, EI, axialLoad } = this.model;
+        const states = this.elements.map(element => this.elementState(element, d));
+        const fixedEnd = this.elements.map(element => this.mesh.elementLoadVector(element, this.model.loads));
+
+        // Sagging moment, shear and compression just left of a node (right
+        // of it at the first node), adding the fixed-end forces of the loads
+        // on the element about its chord
+        const internal = (node) => {
+            const index = Math.max(node - 1, 0);
+            const { length, N, M1, M2 } = states[index];
+            const [F1, T1, F2, T2] = fixedEnd[index];
+            return node > 0
+                ? { M: M2 + T2, V: (M1 + M2) / length - F2, N: -N }
+                : { M: -M1 - T1, V: (M1 + M2) / length + F1, N: -N };
+        };
+
+        const x = this.mesh.stations.slice();
+        const nodes = this.mesh.stationNodes;
+        const deflection = nodes.map(node => -d[3 * node + 1]);
+        const horizontal = nodes.map(node => d[3 * node]);
+        const rotation = nodes.map(node => d[3 * node + 2]);
+        const slope = rotation.map(theta => -theta);
+        const forces = nodes.map(internal);
+        const moment = forces.map(({ M }) => M);
+        const shear = forces.map(({ V }) => V);
+        const axialForce = forces.map(({ N }) => N);
+
+        // Support reactions from the out-of-balance forces at the support DOFs
+        const { f } = this.assemble(d);
+        const springForce = new Array(this.numDofs).fill(0);
+        this.springs.forEach(({ dof, k }) => {
+            springForce[dof] = k * d[dof];
+        });
+        const residual = (dof) => f[dof] - springForce[dof] - F[dof];
+
+        const reactions = this.model.supports.map(support => {
+            const node = this.mesh.findNode(support.position);
+            const restrainsForce = support.type !== 'spring' || support.kv;
+            const restrainsMoment = support.type === 'fixed' || support.kr;
+
+            return {
+                position: support.position,
+                type: support.type,
+                elastic: Boolean(support.kv || support.kr),
+                force: restrainsForce ? residual(3 * node + 1) : 0,
+                moment: restrainsMoment ? residual(3 * node + 2) : 0,
+                horizontal: this.restrained.has(3 * node) ? residual(3 * node) : 0,
+                beamMoment: internal(node).M,
+                deflection: -d[3 * node + 1],
+                horizontalDisplacement: d[3 * node]
+            };
+        });
+
+        const peak = (values) => Math.max(...values.map(Math.abs));
+
+        return {
+            x,
+            deflection,
+            slope,
+            moment,
+            shear,
+            horizontal,
+            rotation,
+            axialForce,
+            maxMoment: peak(moment),
+            maxDeflection: peak(deflection),
+            maxSlope: peak(slope),
+            maxShear: peak(shear),
+            maxHorizontal: peak(horizontal),
+            maxAxialForce: peak(axialForce),
+            EI,
+            L,
+            axialLoad,
+            reactions,
+            foundationReaction: null,
+            largeDeflection: true
+        };
+    }
+}
+
+// Export for use in other modules
+window.CorotationalBeamSolver = CorotationalBeamSolver;
@@ -0,0 +1,450 @@
+/**
+ * Cross-Section Library
+ *
+ * Computes the geometric properties of common beam cross-sections.
+ * Each shape is built from rectangular and circular parts (holes are
+ * parts with a negative sign), which gives exact values for the area,
+ * centroid, second moments of area and first moment of area Q(y).
+ * The plastic section modulus follows from the equal-area axis.
+ * The St. Venant torsion constant uses the exact solid-section values,
+ * Bredt's formula for the box section and Σ b·t³/3 for open
+ * thin-walled shapes.
+ *
+ * Local coordinates: y is vertical (up), z is horizontal. Outline and
+ * y arguments are measured from the centroid.
+ */
+
+class CrossSection {
+    /**
+     * @param {string} shape - Key of CrossSection.shapes
+     * @param {Object} dims - Dimensions in metres (see CrossSection.shapes)
+     * @param {Object} [tabulated] - Catalogue values { designation, A, I, Iz, Wel, Wpl, mass }
+     *   that replace the computed properties (SI units, mass in kg/m)
+     */
+    constructor(shape, dims, tabulated = null) {
+        if (!CrossSection.shapes[shape]) {
+            throw new Error(`Unknown cross-section shape: ${shape}`);
+        }
+
+        this.shape = shape;
+        this.dims = { ...dims };
+        this.validate();
+        this.parts = this.createParts();
+        this.computeProperties();
+        if (tabulated) this.applyTabulated(tabulated);
+        this.outline = this.createOutline();
+    }
+
+    /**
+     * Shape definitions with their dimensions and default values (m)
+     */
+    static get shapes() {
+        return {
+            'rectangle': {
+                label: 'Solid Rectangle',
+                dimensions: [
+                    { key: 'b', label: 'Width (b)', value: 0.1 },
+                    { key: 'h', label: 'Height (h)', value: 0.15 }
+                ]
+            },
+            'circle': {
+                label: 'Solid Circle',
+                dimensions: [
+                    { key: 'd', label: 'Diameter (d)', value: 0.1 }
+                ]
+            },
+            'rhs': {
+                label: 'Rectangular Hollow',
+                dimensions: [
+                    { key: 'b', label: 'Width (b)', value: 0.1 },
+                    { key: 'h', label: 'Height (h)', value: 0.15 },
+                    { key: 't', label: 'Wall (t)', value: 0.008 }
+                ]
+            },
+            'chs': {
+                label: 'Circular Hollow (Tube)',
+                dimensions: [
+                    { key: 'd', label: 'Diameter (d)', value: 0.114 },
+                    { key: 't', label: 'Wall (t)', value: 0.006 }
+                ]
+            },
+            'i-section': {
+                label: 'I / H Section',
+                dimensions: [
+                    { key: 'b', label: 'Flange Width (b)', value: 0.1 },
+                    { key: 'h', label: 'Depth (h)', value: 0.2 },
+                    { key: 'tf', label: 'Flange (tf)', value: 0.0085 },
+                    { key: 'tw', label: 'Web (tw)', value: 0.0056 }
+                ]
+            },
+            'channel': {
+                label: 'Channel (C / U)',
+                dimensions: [
+                    { key: 'b', label: 'Flange Width (b)', value: 0.075 },
+                    { key: 'h', label: 'Depth (h)', value: 0.2 },
+                    { key: 'tf', label: 'Flange (tf)', value: 0.0115 },
+                    { key: 'tw', label: 'Web (tw)', value: 0.0085 }
+                ]
+            },
+            't-section': {
+                label: 'T Section',
+                dimensions: [
+                    { key: 'b', label: 'Flange Width (b)', value: 0.1 },
+                    { key: 'h', label: 'Depth (h)', value: 0.1 },
+                    { key: 'tf', label: 'Flange (tf)', value: 0.011 },
+                    { key: 'tw', label: 'Web (tw)', value: 0.011 }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Check that all dimensions are positive and the walls fit
+     */
+    validate() {
+        const { b, h, d, t, tf, tw } = this.dims;
+
+        CrossSection.shapes[this.shape].dimensions.forEach(({ key, label }) => {
+            if (!(this.dims[key] > 0)) {
+                throw new Error(`${label} must be greater than zero`);
+            }
+        });
+
+        switch (this.shape) {
+            case 'rhs':
+                if (2 * t >= Math.min(b, h)) throw new Error('Wall thickness must be less than half the width and height');
+                break;
+            case 'chs':
+                if (2 * t >= d) throw new Error('Wall thickness must be less than half the diameter');
+                break;
+            case 'i-section':
+            case 'channel':
+                if (2 * tf >= h) throw new Error('Flange thickness must be less than half the depth');
+                if (tw >= b) throw new Error('Web thickness must be less than the flange width');
+                break;
+            case 't-section':
+                if (tf >= h) throw new Error('Flange thickness must be less than the depth');
+                if (tw >= b) throw new Error('Web thickness must be less than the flange width');
+                break;
+        }
+    }
+
+    /**
+     * Decompose the shape into rectangles { z0, z1, y0, y1 } and circles
+     * { zc, yc, r }, measured from the bottom of the section
+     */
+    createParts() {
+        const { b, h, d, t, tf, tw } = this.dims;
+        const rect = (z0, z1, y0, y1, sign = 1) => ({ type: 'rect', z0, z1, y0, y1, sign });
+        const circle = (r, sign = 1) => ({ type: 'circle', zc: 0, yc: d / 2, r, sign });
+
+        switch (this.shape) {
+            case 'rectangle':
+                return [rect(-b / 2, b / 2, 0, h)];
+            case 'circle':
+                return [circle(d / 2)];
+            case 'rhs':
+                return [rect(-b / 2, b / 2, 0, h), rect(-b / 2 + t, b / 2 - t, t, h - t, -1)];
+            case 'chs':
+                return [circle(d / 2), circle(d / 2 - t, -1)];
+            case 'i-section':
+                return [
+                    rect(-b / 2, b / 2, 0, tf),
+                    rect(-tw / 2, tw / 2, tf, h - tf),
+                    rect(-b / 2, b / 2, h - tf, h)
+                ];
+            case 'channel':
+                return [
+                    rect(-b / 2, b / 2, 0, tf),
+                    rect(-b / 2, -b / 2 + tw, tf, h - tf),
+                    rect(-b / 2, b / 2, h - tf, h)
+                ];
+            case 't-section':
+                return [
+                    rect(-tw / 2, tw / 2, 0, h - tf),
+                    rect(-b / 2, b / 2, h - tf, h)
+                ];
+        }
+    }
+
+    /**
+     * Area, centroid, second moments of area and section moduli
+     */
+    computeProperties() {
+        const partProps = this.parts.map(part => {
+            if (part.type === 'rect') {
+                const w = part.z1 - part.z0;
+                const hh = part.y1 - part.y0;
+                return {
+                    A: part.sign * w * hh,
+                    y: (part.y0 + part.y1) / 2,
+                    z: (part.z0 + part.z1) / 2,
+                    Iy: part.sign * w * hh * hh * hh / 12,
+                    Iz: part.sign * hh * w * w * w / 12
+                };
+            }
+            const { r } = part;
+            return {
+                A: part.sign * Math.PI * r * r,
+                y: part.yc,
+                z: part.zc,
+                Iy: part.sign * Math.PI * Math.pow(r, 4) / 4,
+                Iz: part.sign * Math.PI * Math.pow(r, 4) / 4
+            };
+        });
+
+        // Area and centroid (measured from the bottom / section axis)
+        this.A = partProps.reduce((sum, p) => sum + p.A, 0);
+        this.yc = partProps.reduce((sum, p) => sum + p.A * p.y, 0) / this.A;
+        this.zc = partProps.reduce((sum, p) => sum + p.A * p.z, 0) / this.A;
+
+        // Second moments of area about the centroidal axes (parallel axis theorem)
+        this.I = partProps.reduce((sum, p) => sum + p.Iy + p.A * Math.pow(p.y - this.yc, 2), 0);
+        this.Iz = partProps.reduce((sum, p) => sum + p.Iz + p.A * Math.pow(p.z - this.zc, 2), 0);
+
+        // Overall dimensions
+        const { b, h, d } = this.dims;
+        this.depth = h !== undefined ? h : d;
+        this.width = b !== undefined ? b : d;
+
+        // Extreme fibre distances and elastic section moduli
+        this.yTop = this.depth - this.yc;
+        this.yBottom = this.yc;
+        this.Wtop = this.I / this.yTop;
+        this.Wbottom = this.I / this.yBottom;
+
+        this.Wpl = this.computePlasticModulus();
+        this.shearArea = this.computeShearArea();
+        Object.assign(this, this.computeTorsion());
+    }
+
+    /**
+     * Plastic section modulus Wpl = ∫|y - yp| dA about the plastic neutral
+     * axis yp, which halves the area. With half the area above yp the
+     * integral equals twice the first moment Q(yp) about the centroid.
+     */
+    computePlasticModulus() {
+        let low = -this.yBottom;
+        let high = this.yTop;
+        for (let k = 0; k < 60; k++) {
+            const middle = (low + high) / 2;
+            if (this.areaAbove(middle) > this.A / 2) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        this.plasticAxis = (low + high) / 2;
+        return 2 * this.firstMomentAt(this.plasticAxis);
+    }
+
+    /**
+     * Ratio of the plastic to the elastic section modulus Wpl / Wel, with
+     * the smaller elastic modulus (first yield at the farther fibre)
+     */
+    get shapeFactor() {
+        return this.Wpl / Math.min(this.Wtop, this.Wbottom);
+    }
+
+    /**
+     * Effective shear area κA for Timoshenko theory. Solid sections use the
+     * classical correction factors (5/6 rectangle, 9/10 circle, 1/2 thin
+     * tube); open and box sections use the area of the webs.
+     */
+    computeShearArea() {
+        const { h, t, tw } = this.dims;
+
+        switch (this.shape) {
+            case 'rectangle':
+                return (5 / 6) * this.A;
+            case 'circle':
+                return 0.9 * this.A;
+            case 'chs':
+                return 0.5 * this.A;
+            case 'rhs':
+                return 2 * h * t;
+            default:
+                return h * tw;
+        }
+    }
+
+    /**
+     * St. Venant torsion constant J and torsion modulus Wt = T / τmax.
+     * Rectangle: J = a·c³·(1/3 - 0.21·(c/a)·(1 - c⁴/(12a⁴))) and
+     * Wt = a²c²/(3a + 1.8c) for the long side a and short side c (Roark).
+     * Box: J = 4·Am²·t / p and Wt = 2·Am·t over the wall mid-line. Open
+     * shapes: J = Σ b·t³/3 over the plates and Wt = J / t of the thickest.
+     */
+    computeTorsion() {
+        const { b, h, d, t, tf, tw } = this.dims;
+
+        switch (this.shape) {
+            case 'rectangle': {
+                const a = Math.max(b, h);
+                const c = Math.min(b, h);
+                return {
+                    J: a * c ** 3 * (1 / 3 - 0.21 * (c / a) * (1 - c ** 4 / (12 * a ** 4))),
+                    Wt: a * a * c * c / (3 * a + 1.8 * c)
+                };
+            }
+            case 'circle':
+                return { J: Math.PI * d ** 4 / 32, Wt: Math.PI * d ** 3 / 16 };
+            case 'chs': {
+                const J = Math.PI * (d ** 4 - (d - 2 * t) ** 4) / 32;
+                return { J, Wt: J / (d / 2) };
+            }
+            case 'rhs': {
+                const Am = (b - t) * (h - t);
+                return { J: 4 * Am * Am * t / (2 * (b - t) + 2 * (h - t)), Wt: 2 * Am * t };
+            }
+            case 't-section': {
+                const J = (b * tf ** 3 + (h - tf) * tw ** 3) / 3;
+                return { J, Wt: J / Math.max(tf, tw) };
+            }
+            default: {
+                const J = (2 * b * tf ** 3 + (h - 2 * tf) * tw ** 3) / 3;
+                return { J, Wt: J / Math.max(tf, tw) };
+            }
+        }
+    }
+
+    /**
+     * Shear correction factor κ = As / A
+     */
+    get shearCoefficient() {
+        return this.shearArea / this.A;
+    }
+
+    /**
+     * Replace the computed properties with tabulated ones. Catalogue
+     * sections are doubly symmetric about the bending axis, so both
+     * section moduli equal the tabulated elastic modulus.
+     */
+    applyTabulated({ designation, A, I, Iz, Wel, Wpl, mass }) {
+        this.designation = designation;
+        this.A = A;
+        this.I = I;
+        this.Iz = Iz;
+        this.Wtop = Wel;
+        this.Wbottom = Wel;
+        this.Wpl = Wpl;
+        this.mass = mass;
+    }
+
+    /**
+     * Section width b(y) at height y from the centroid
+     */
+    widthAt(y) {
+        const yAbs = y + this.yc;
+
+        return this.parts.reduce((sum, part) => {
+            if (part.type === 'rect') {
+                return yAbs >= part.y0 && yAbs <= part.y1 ? sum + part.sign * (part.z1 - part.z0) : sum;
+            }
+            const u = yAbs - part.yc;
+            return Math.abs(u) < part.r ? sum + part.sign * 2 * Math.sqrt(part.r * part.r - u * u) : sum;
+        }, 0);
+    }
+
+    /**
+     * Area of the part of the section above height y (from the centroid)
+     */
+    areaAbove(y) {
+        const yAbs = y + this.yc;
+
+        return this.parts.reduce((sum, part) => {
+            if (part.type === 'rect') {
+                return sum + part.sign * (part.z1 - part.z0) * Math.max(part.y1 - Math.max(yAbs, part.y0), 0);
+            }
+            const { r } = part;
+            const u0 = Math.min(Math.max(yAbs - part.yc, -r), r);
+            return sum + part.sign * (r * r * Math.acos(u0 / r) - u0 * Math.sqrt(r * r - u0 * u0));
+        }, 0);
+    }
+
+    /**
+     * First moment of area Q(y) of the part of the section above height y
+     * (from the centroid), taken about the centroidal axis
+     */
+    firstMomentAt(y) {
+        const yAbs = y + this.yc;
+
+        return this.parts.reduce((sum, part) => {
+            if (part.type === 'rect') {
+                const t0 = Math.max(yAbs, part.y0);
+                if (t0 >= part.y1) return sum;
+                const w = part.z1 - part.z0;
+                return sum + part.sign * w * (part.y1 - t0) * ((t0 + part.y1) / 2 - this.yc);
+            }
+
+            // Circular segment above u0
+            const { r } = part;
+            const u0 = Math.min(Math.max(yAbs - part.yc, -r), r);
+            const root = Math.sqrt(r * r - u0 * u0);
+            const segmentArea = r * r * Math.acos(u0 / r) - u0 * root;
+            const segmentMoment = (2 / 3) * root * root * root;
+            return sum + part.sign * (segmentMoment + (part.yc - this.yc) * segmentArea);
+        }, 0);
+    }
+
+    /**
+     * Section outline for 3D extrusion: { outer, holes, smooth } with
+     * points [z, y] measured from the centroid, outer loop counterclockwise
+     * and holes clockwise
+     */
+    createOutline() {
+        const { b, h, d, t, tf, tw } = this.dims;
+        const shift = (points) => points.map(([z, y]) => [z - this.zc, y - this.yc]);
+        const rectangle = (z0, z1, y0, y1) => [[z0, y0], [z1, y0], [z1, y1], [z0, y1]];
+        const circle = (r, segments = 32) => Array.from({ length: segments }, (_, i) => {
+            const angle = (i / segments) * 2 * Math.PI;
+            return [r * Math.cos(angle), d / 2 + r * Math.sin(angle)];
+        });
+
+        let outer, holes = [], smooth = false;
+
+        switch (this.shape) {
+            case 'rectangle':
+                outer = rectangle(-b / 2, b / 2, 0, h);
+                break;
+            case 'circle':
+                outer = circle(d / 2);
+                smooth = true;
+                break;
+            case 'rhs':
+                outer = rectangle(-b / 2, b / 2, 0, h);
+                holes = [rectangle(-b / 2 + t, b / 2 - t, t, h - t)];
+                break;
+            case 'chs':
+                outer = circle(d / 2);
+                holes = [circle(d / 2 - t)];
+                smooth = true;
+                break;
+            case 'i-section':
+                outer = [
+                    [-b / 2, 0], [b / 2, 0], [b / 2, tf], [tw / 2, tf],
+                    [tw / 2, h - tf], [b / 2, h - tf], [b / 2, h], [-b / 2, h],
+                    [-b / 2, h - tf], [-tw / 2, h - tf], [-tw / 2, tf], [-b / 2, tf]
+                ];
+                break;
+            case 'channel':
+                outer = [
+                    [-b / 2, 0], [b / 2, 0], [b / 2, tf], [-b / 2 + tw, tf],
+                    [-b / 2 + tw, h - tf], [b / 2, h - tf], [b / 2, h], [-b / 2, h]
+                ];
+                break;
+            case 't-section':
+                outer = [
+                    [-tw / 2, 0], [tw / 2, 0], [tw / 2, h - tf], [b / 2, h - tf],
+                    [b / 2, h], [-b / 2, h], [-b / 2, h - tf], [-tw / 2, h - tf]
+                ];
+                break;
+        }
+
+        return { outer: shift(outer), holes: holes.map(hole => shift(hole).reverse()), smooth };
+    }
+}
+
+// Export for use in other modules
+window.CrossSection = CrossSection;
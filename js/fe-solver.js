@@ -0,0 +1,961 @@
+/**
+ * Finite Element Beam Solver
+ *
+ * Solves the Euler-Bernoulli beam equation with 2-node Hermite beam
+ * elements (deflection and rotation at each node). Handles arbitrary
+ * supports and loads and returns results in the same shape as
+ * BeamCalculator.analyze(). When a shear rigidity GAs is given the
+ * elements include shear deformation (Timoshenko theory) and the
+ * rotation DOF is the rotation of the cross-section.
+ *
+ * An axial compression P adds the geometric stiffness -P·Kg, so the
+ * solution includes the second-order (P-Δ) effects, and solveBuckling()
+ * finds the elastic critical loads from (K - P·Kg)·d = 0.
+ *
+ * A Winkler foundation of modulus k (N/m per m of length) adds the
+ * consistent stiffness k·∫NᵀN dx to every element, for the classic
+ * EI·w'''' + k·w = q beam on elastic foundation.
+ *
+ * Non-prismatic beams give their properties as a function of x. The
+ * element stiffness then follows from the exact flexibility integrals
+ * ∫(l - s)ⁿ/EI ds (Gauss quadrature), so tapers and steps are integrated
+ * rather than averaged.
+ *
+ * Supports may settle or rotate by a prescribed amount and may be
+ * elastic (translational and rotational springs), e.g. for semi-rigid
+ * connections.
+ *
+ * Plastic hinges release the bending moment at a node: the element on
+ * one side of the node condenses out its end rotation, so the static
+ * solution transfers no further moment across the hinge.
+ *
+ * solveTorsion() solves the uncoupled St. Venant torsion GJ·φ'' = -t on
+ * the same mesh with linear twist elements, reading the loads as torques.
+ *
+ * With a mass per unit length, solveModes() finds the natural
+ * frequencies from K·d = ω²·M·d with the consistent mass matrix, and
+ * solveTimeHistory() integrates M·d̈ + C·ḋ + K·d = F(t) in time.
+ *
+ * Sign convention (same as the closed-form solutions):
+ * - Loads and deflection w are positive downwards, slope θ = dw/dx
+ * - Applied moments are positive counterclockwise
+ * - Bending moment is positive sagging, shear V = dM/dx
+ */
+
+class BeamFESolver {
+    /**
+     * @param {Object} model
+     * @param {number} model.L - Beam length (m)
+     * @param {number} model.EI - Flexural rigidity (N·m²)
+     * @param {number} [model.GAs] - Shear rigidity κGA (N); omit for Euler-Bernoulli
+     * @param {number} [model.GJ] - Torsional rigidity (N·m²), for solveTorsion()
+     * @param {number} [model.axialLoad] - Axial force P (N), compression positive
+     * @param {number} [model.mass] - Mass per unit length (kg/m), for modal analysis
+     * @param {Object} [model.foundation] - Winkler foundation { k, kEnd } (N/m²): k at x = 0,
+     *   varying linearly to kEnd (default k) at x = L
+     * @param {Array} model.supports - { position, type: 'pin' | 'roller' | 'fixed' | 'spring', kv, kr,
+     *   settlement, rotation }: kv (N/m) and kr (N·m/rad) turn the translation and rotation
+     *   into springs; settlement (m, downwards) and rotation (rad) move the support
+     * @param {Array} model.loads - { type: 'point' | 'distributed' | 'profile' | 'moment', magnitude, position };
+     *   see loadProfile() for the extent and intensities of distributed loads. A 'thermal'
+     *   load has a curvature (1/m, sagging positive, or a function of x) instead
+     * @param {Function} [model.properties] - { EI, GAs, GJ, mass } at position x for a non-prismatic
+     *   beam; missing values fall back to EI, GAs, GJ and mass. Put steps in model.nodes.
+     * @param {Array} [model.nodes] - Additional node positions (m)
+     * @param {Array} [model.hinges] - Positions (m) of moment releases; the results then add
+     *   the moments at all nodes (nodeX, nodeMoments) for the hinge search
+     * @param {number} [model.numPoints] - Number of output intervals
+     */
+    constructor(model) {
+        this.model = {
+            supports: [],
+            loads: [],
+            nodes: [],
+            hinges: null,
+            numPoints: 100,
+            axialLoad: 0,
+            ...model
+        };
+
+        this.buildMesh();
+    }
+
+    /**
+     * Vertices [[x, q], ...] of the piecewise linear intensity of a
+     * distributed load, zero outside them. A 'distributed' load runs from
+     * position (default 0) to end (default L), varying linearly from
+     * magnitude to endMagnitude (default uniform); a 'profile' load lists
+     * its vertices in points, sorted by x.
+     */
+    static loadProfile(load, L) {
+        if (load.type === 'profile') return load.points;
+
+        const { magnitude, position = 0, end = L, endMagnitude = magnitude } = load;
+        return [[position, magnitude], [end, endMagnitude]];
+    }
+
+    /**
+     * Abscissae (on -1..1) and weights of the 3-point Gauss rule
+     */
+    static get gaussPoints() {
+        return [[-Math.sqrt(0.6), 5 / 9], [0, 8 / 9], [Math.sqrt(0.6), 5 / 9]];
+    }
+
+    /**
+     * Create nodes at every output station plus all support and load
+     * positions (and the vertices of distributed loads), so that results
+     * are exact at the stations.
+     */
+    buildMesh() {
+        const { L, EI, GAs, axialLoad, mass, supports, loads, nodes, hinges, numPoints } = this.model;
+        const tolerance = L * 1e-9;
+
+        const stations = [];
+        for (let i = 0; i <= numPoints; i++) {
+            stations.push((i / numPoints) * L);
+        }
+
+        const keyPoints = [
+            ...supports.map(s => s.position),
+            ...loads.filter(l => l.type === 'point' || l.type === 'moment').map(l => l.position),
+            ...loads.filter(l => l.type === 'distributed' || l.type === 'profile')
+                .flatMap(l => BeamFESolver.loadProfile(l, L).map(([x]) => x)),
+            ...nodes,
+            ...(hinges || [])
+        ].filter(p => p >= 0 && p <= L);
+
+        const positions = [...stations, ...keyPoints].sort((a, b) => a - b);
+        this.nodeX = positions.filter((p, i) => i === 0 || p - positions[i - 1] > tolerance);
+
+        this.stations = stations;
+        this.stationNodes = stations.map(xs => this.findNode(xs));
+
+        this.elements = [];
+        for (let i = 0; i < this.nodeX.length - 1; i++) {
+            const x1 = this.nodeX[i];
+            const x2 = this.nodeX[i + 1];
+            const foundation = this.getFoundationModulus((x1 + x2) / 2);
+            const element = { n1: i, n2: i + 1, x1, x2, l: x2 - x1, EI, GAs, axialLoad, mass, foundation };
+
+            // Non-prismatic elements: centre values for the load, mass and
+            // geometric matrices, integrated flexibility for the stiffness
+            if (this.model.properties) {
+                Object.assign(element, this.getProperties((x1 + x2) / 2));
+                element.flexibility = this.elementFlexibility(x1, x2);
+            }
+            this.elements.push(element);
+        }
+
+        // A hinge releases the end rotation of the element left of its
+        // node, or the start rotation of the first element at x = 0
+        this.elements.forEach(element => {
+            element.releases = [];
+        });
+        (hinges || []).forEach(position => {
+            const node = this.findNode(position);
+            if (node > 0) {
+                this.elements[node - 1].releases.push(3);
+            } else {
+                this.elements[0].releases.push(1);
+            }
+        });
+
+        this.numDofs = this.nodeX.length * 2;
+    }
+
+    /**
+     * Section properties { EI, GAs, GJ, mass } at position x
+     */
+    getProperties(x) {
+        const { EI, GAs, GJ, mass, properties } = this.model;
+        return { EI, GAs, GJ, mass, ...properties(x) };
+    }
+
+    /**
+     * Flexibility [f11, f12, f22] of an element clamped at x1 for the
+     * deflection and rotation at x2: f11 = ∫(l - s)²/EI + ∫1/GAs,
+     * f12 = ∫(l - s)/EI and f22 = ∫1/EI, by 3-point Gauss quadrature
+     */
+    elementFlexibility(x1, x2) {
+        const l = x2 - x1;
+        const f = [0, 0, 0];
+
+        BeamFESolver.gaussPoints.forEach(([xi, weight]) => {
+            const s = l * (1 + xi) / 2;
+            const { EI, GAs } = this.getProperties(x1 + s);
+            const w = weight * l / 2;
+            f[0] += w * ((l - s) * (l - s) / EI + (GAs ? 1 / GAs : 0));
+            f[1] += w * (l - s) / EI;
+            f[2] += w / EI;
+        });
+
+        return f;
+    }
+
+    /**
+     * Winkler foundation modulus (N/m²) at position x, 0 without a foundation
+     */
+    getFoundationModulus(x) {
+        const { L, foundation } = this.model;
+        if (!foundation) return 0;
+
+        const { k, kEnd = k } = foundation;
+        return k + (kEnd - k) * x / L;
+    }
+
+    /**
+     * Index of the node closest to position x
+     */
+    findNode(x) {
+        let best = 0;
+        this.nodeX.forEach((xn, i) => {
+            if (Math.abs(xn - x) < Math.abs(this.nodeX[best] - x)) best = i;
+        });
+        return best;
+    }
+
+    /**
+     * Element stiffness matrix for DOFs [w1, θ1, w2, θ2]. The shear
+     * parameter φ = 12EI/(κGA·l²) is zero for Euler-Bernoulli elements;
+     * non-prismatic elements invert their flexibility instead.
+     * A foundation adds its consistent stiffness (with the modulus at the
+     * element centre) and an axial compression subtracts its geometric stiffness.
+     */
+    elementStiffness({ l, EI, GAs, axialLoad = 0, foundation = 0, flexibility, releases = [] }) {
+        let ke;
+        if (flexibility) {
+            ke = this.flexibilityStiffness(l, flexibility);
+        } else {
+            const phi = GAs ? 12 * EI / (GAs * l * l) : 0;
+            const k = EI / (l * l * l * (1 + phi));
+            const l2 = l * l;
+
+            ke = [
+                [12 * k, 6 * l * k, -12 * k, 6 * l * k],
+                [6 * l * k, (4 + phi) * l2 * k, -6 * l * k, (2 - phi) * l2 * k],
+                [-12 * k, -6 * l * k, 12 * k, -6 * l * k],
+                [6 * l * k, (2 - phi) * l2 * k, -6 * l * k, (4 + phi) * l2 * k]
+            ];
+        }
+
+        if (foundation) {
+            const kf = this.consistentMatrix(l, foundation);
+            ke.forEach((row, i) => row.forEach((value, j) => {
+                row[j] = value + kf[i][j];
+            }));
+        }
+
+        if (axialLoad) {
+            const kg = this.geometricStiffness({ l, EI, GAs });
+            ke = ke.map((row, i) => row.map((value, j) => value - axialLoad * kg[i][j]));
+        }
+
+        return releases.reduce((k, r) => this.condenseStiffness(k, r), ke);
+    }
+
+    /**
+     * Element stiffness with the local DOF r released (a hinge):
+     * k'ij = kij - kir·krj / krr, leaving row and column r zero
+     */
+    condenseStiffness(ke, r) {
+        return ke.map((row, i) => row.map((value, j) => value - row[r] * ke[r][j] / ke[r][r]));
+    }
+
+    /**
+     * Nodal loads with the local DOF r released: f'i = fi - kir·fr / krr,
+     * with the stiffness ke of the unreleased element
+     */
+    condenseLoads(ke, fe, r) {
+        return fe.map((value, i) => value - ke[i][r] * fe[r] / ke[r][r]);
+    }
+
+    /**
+     * Stiffness from the flexibility of the clamped element: the end
+     * block K22 = F⁻¹, and equilibrium gives the forces at node 1 as
+     * T·f2 with T = [[-1, 0], [-l, -1]]
+     */
+    flexibilityStiffness(l, [f11, f12, f22]) {
+        const det = f11 * f22 - f12 * f12;
+        const [a, b, c] = [f22 / det, -f12 / det, f11 / det];
+
+        // K12 = T·K22 and K11 = T·K22·Tᵀ
+        const k12 = [[-a, -b], [-l * a - b, -l * b - c]];
+        const k11 = [
+            [-k12[0][0], -l * k12[0][0] - k12[0][1]],
+            [-k12[1][0], -l * k12[1][0] - k12[1][1]]
+        ];
+
+        return [
+            [k11[0][0], k11[0][1], k12[0][0], k12[0][1]],
+            [k11[1][0], k11[1][1], k12[1][0], k12[1][1]],
+            [k12[0][0], k12[1][0], a, b],
+            [k12[0][1], k12[1][1], b, c]
+        ];
+    }
+
+    /**
+     * Geometric stiffness matrix for a unit axial compression,
+     * kg = ∫ N'ᵀ·N' dx with the (shear-dependent) Hermite shape functions
+     */
+    geometricStiffness({ l, EI, GAs }) {
+        const phi = GAs ? 12 * EI / (GAs * l * l) : 0;
+        const c = 1 / (30 * l * (1 + phi) * (1 + phi));
+        const l2 = l * l;
+        const a = 36 + 60 * phi + 30 * phi * phi;
+        const b = 4 + 5 * phi + 2.5 * phi * phi;
+        const d = -(1 + 5 * phi + 2.5 * phi * phi);
+
+        return [
+            [a * c, 3 * l * c, -a * c, 3 * l * c],
+            [3 * l * c, b * l2 * c, -3 * l * c, d * l2 * c],
+            [-a * c, -3 * l * c, a * c, -3 * l * c],
+            [3 * l * c, d * l2 * c, -3 * l * c, b * l2 * c]
+        ];
+    }
+
+    /**
+     * Consistent mass matrix of an element with mass per unit length m.
+     * Rotary inertia is neglected.
+     */
+    elementMass({ l, mass }) {
+        return this.consistentMatrix(l, mass);
+    }
+
+    /**
+     * c·∫NᵀN dx over an element with the cubic Hermite shape functions N,
+     * for a mass or foundation modulus c per unit length
+     */
+    consistentMatrix(l, value) {
+        const c = value * l / 420;
+        const l2 = l * l;
+
+        return [
+            [156 * c, 22 * l * c, 54 * c, -13 * l * c],
+            [22 * l * c, 4 * l2 * c, 13 * l * c, -3 * l2 * c],
+            [54 * c, 13 * l * c, 156 * c, -22 * l * c],
+            [-13 * l * c, -3 * l2 * c, -22 * l * c, 4 * l2 * c]
+        ];
+    }
+
+    /**
+     * Consistent nodal loads of the distributed loads acting on an element.
+     * The vertices of every load profile are mesh nodes, so the intensity
+     * varies linearly from q1 to q2 over the element; the nodal loads are
+     * the exact fixed-end forces, including shear deformation. A thermal
+     * curvature κ adds the end moments ±EI·κ that keep the element straight.
+     * Non-prismatic elements integrate their loads (flexibleLoadVector).
+     * An element with a hinge condenses the loads of its released end.
+     */
+    elementLoadVector(element, loads) {
+        if (element.releases.length > 0) {
+            let ke = this.elementStiffness({ ...element, releases: [] });
+            let fe = this.elementLoadVector({ ...element, releases: [] }, loads);
+            element.releases.forEach(r => {
+                fe = this.condenseLoads(ke, fe, r);
+                ke = this.condenseStiffness(ke, r);
+            });
+            return fe;
+        }
+
+        const { l, x1, x2, EI, GAs } = element;
+        const phi = GAs ? 12 * EI / (GAs * l * l) : 0;
+        const middle = (x1 + x2) / 2;
+        const intensities = this.elementIntensities(element, loads);
+        if (element.flexibility) return this.flexibleLoadVector(element, intensities, loads);
+
+        const f = [0, 0, 0, 0];
+
+        intensities.forEach(({ q1, dq }) => {
+            // Fixed-end shear and moment at node 1; node 2 follows from equilibrium
+            const F1 = q1 * l / 2 + dq * l * (3 / 20 + phi / 6) / (1 + phi);
+            const M1 = q1 * l * l / 12 + dq * l * l * (4 + 5 * phi) / (120 * (1 + phi));
+            f[0] += F1;
+            f[1] += M1;
+            f[2] += (q1 + dq / 2) * l - F1;
+            f[3] += F1 * l - M1 - (q1 / 2 + dq / 6) * l * l;
+        });
+
+        loads.filter(load => load.type === 'thermal').forEach(load => {
+            const curvature = typeof load.curvature === 'function' ? load.curvature(middle) : load.curvature;
+            f[1] += EI * curvature;
+            f[3] -= EI * curvature;
+        });
+
+        return f;
+    }
+
+    /**
+     * Intensity q1 at node 1 and its increase dq to node 2 of every
+     * distributed load acting on an element
+     */
+    elementIntensities({ x1, x2 }, loads) {
+        const middle = (x1 + x2) / 2;
+
+        return loads.filter(load => load.type === 'distributed' || load.type === 'profile').flatMap(load => {
+            const points = BeamFESolver.loadProfile(load, this.model.L);
+            const k = points.findIndex(([x], j) => j < points.length - 1 && x <= middle && middle <= points[j + 1][0]);
+            if (k < 0) return [];
+
+            const [[xa, qa], [xb, qb]] = [points[k], points[k + 1]];
+            const intensity = (x) => qa + (qb - qa) * (x - xa) / (xb - xa);
+            return [{ q1: intensity(x1), dq: intensity(x2) - intensity(x1) }];
+        });
+    }
+
+    /**
+     * Nodal loads of a non-prismatic element. Clamped at node 1, the loads
+     * and thermal curvatures move node 2 by d0 (w'' = -M/EI - κ plus the
+     * shear strain V/GAs, by Gauss quadrature); the node 2 loads are
+     * K22·d0 and node 1 follows from equilibrium.
+     */
+    flexibleLoadVector({ x1, l, flexibility }, intensities, loads) {
+        const thermal = loads.filter(load => load.type === 'thermal');
+        const curvature = (x) => thermal.reduce((sum, load) =>
+            sum + (typeof load.curvature === 'function' ? load.curvature(x) : load.curvature), 0);
+        const d0 = [0, 0];
+
+        BeamFESolver.gaussPoints.forEach(([xi, weight]) => {
+            const s = l * (1 + xi) / 2;
+            const w = weight * l / 2;
+            const { EI, GAs } = this.getProperties(x1 + s);
+
+            // Moment and shear of the cantilever from the loads beyond s
+            let M = 0, V = 0;
+            intensities.forEach(({ q1, dq }) => {
+                M -= q1 * (l - s) * (l - s) / 2 + dq * (l - s) * (l - s) * (2 * l + s) / (6 * l);
+                V += q1 * (l - s) + dq * (l * l - s * s) / (2 * l);
+            });
+
+            const kappa = M / EI + curvature(x1 + s);
+            d0[0] += w * (-(l - s) * kappa + (GAs ? V / GAs : 0));
+            d0[1] -= w * kappa;
+        });
+
+        const ke = this.flexibilityStiffness(l, flexibility);
+        const F2 = ke[2][2] * d0[0] + ke[2][3] * d0[1];
+        const M2 = ke[3][2] * d0[0] + ke[3][3] * d0[1];
+
+        // Resultant of the loads and its moment about node 2
+        const Q = intensities.reduce((sum, { q1, dq }) => sum + (q1 + dq / 2) * l, 0);
+        const MQ = intensities.reduce((sum, { q1, dq }) => sum + (q1 / 2 + dq / 6) * l * l, 0);
+        const F1 = Q - F2;
+
+        return [F1, F1 * l - M2 - MQ, F2, M2];
+    }
+
+    elementDofs({ n1, n2 }) {
+        return [2 * n1, 2 * n1 + 1, 2 * n2, 2 * n2 + 1];
+    }
+
+    /**
+     * Assemble a global matrix from the element matrices
+     */
+    assembleMatrix(elementMatrix) {
+        const K = LinearAlgebra.zeros(this.numDofs);
+
+        this.elements.forEach(element => {
+            const ke = elementMatrix(element);
+            const dofs = this.elementDofs(element);
+            for (let i = 0; i < 4; i++) {
+                for (let j = 0; j < 4; j++) {
+                    K[dofs[i]][dofs[j]] += ke[i][j];
+                }
+            }
+        });
+
+        return K;
+    }
+
+    /**
+     * Assemble the global stiffness matrix of the beam elements
+     */
+    assembleStiffness() {
+        return this.assembleMatrix(element => this.elementStiffness(element));
+    }
+
+    /**
+     * Assemble the global load vector
+     */
+    assembleLoads(loads) {
+        const F = new Array(this.numDofs).fill(0);
+
+        loads.forEach(load => {
+            const node = this.findNode(load.position);
+            switch (load.type) {
+                case 'point':
+                    F[2 * node] += load.magnitude;
+                    break;
+                case 'moment':
+                    // Counterclockwise moment acts against positive θ = dw/dx
+                    F[2 * node + 1] -= load.magnitude;
+                    break;
+            }
+        });
+
+        this.elements.forEach(element => {
+            const fe = this.elementLoadVector(element, loads);
+            this.elementDofs(element).forEach((dof, i) => {
+                F[dof] += fe[i];
+            });
+        });
+
+        return F;
+    }
+
+    /**
+     * Collect restrained DOFs and spring stiffnesses from the supports.
+     * A translational or rotational spring replaces the rigid restraint
+     * of that DOF. Settlements and imposed rotations become prescribed
+     * values of restrained DOFs, or the ground movement of a spring.
+     */
+    getRestraints() {
+        const restrained = new Set();
+        const springs = [];
+        const prescribed = new Map();
+
+        this.model.supports.forEach(support => {
+            const node = this.findNode(support.position);
+            const { kv, kr, settlement = 0, rotation = 0 } = support;
+
+            if (kv) {
+                springs.push({ dof: 2 * node, k: kv, ground: settlement });
+            } else if (support.type !== 'spring') {
+                restrained.add(2 * node);
+                prescribed.set(2 * node, settlement);
+            }
+
+            if (kr) {
+                springs.push({ dof: 2 * node + 1, k: kr, ground: rotation });
+            } else if (support.type === 'fixed') {
+                restrained.add(2 * node + 1);
+                prescribed.set(2 * node + 1, rotation);
+            }
+        });
+
+        return { restrained, springs, prescribed };
+    }
+
+    /**
+     * Indices of the DOFs that are not restrained
+     */
+    getFreeDofs(restrained) {
+        const free = [];
+        for (let i = 0; i < this.numDofs; i++) {
+            if (!restrained.has(i)) free.push(i);
+        }
+        return free;
+    }
+
+    /**
+     * Rows and columns of a global matrix for the free DOFs, with the
+     * spring stiffnesses added to the diagonal
+     */
+    reduceMatrix(K, free, springs = []) {
+        const Kff = free.map(i => free.map(j => K[i][j]));
+        springs.forEach(({ dof, k }) => {
+            const index = free.indexOf(dof);
+            Kff[index][index] += k;
+        });
+        return Kff;
+    }
+
+    /**
+     * Solve for nodal displacements and return results at the stations
+     */
+    solve() {
+        return this.solveLoadCases([this.model.loads])[0];
+    }
+
+    /**
+     * Solve several load lists with a single factorisation of the
+     * stiffness matrix; returns one result per list. Point loads and
+     * moments must act at mesh nodes (stations, supports, model loads
+     * or model.nodes). Support settlements and imposed rotations are
+     * added to every case unless imposed is false (e.g. unit loads for
+     * influence lines).
+     */
+    solveLoadCases(loadCases, imposed = true) {
+        const K = this.assembleStiffness();
+        const { restrained, springs, prescribed } = this.getRestraints();
+
+        // Reduced system for the free DOFs (springs add to the diagonal)
+        const free = this.getFreeDofs(restrained);
+        const Kff = this.reduceMatrix(K, free, springs);
+
+        // Support movements: known restrained displacements dr move to the
+        // right-hand side as -Kfr·dr, a moving spring base adds k·ground
+        const dr = new Array(this.numDofs).fill(0);
+        const Fr = new Array(this.numDofs).fill(0);
+        if (imposed) {
+            prescribed.forEach((value, dof) => {
+                dr[dof] = value;
+            });
+            springs.forEach(({ dof, k, ground }) => {
+                Fr[dof] += k * ground;
+            });
+            free.forEach(i => {
+                prescribed.forEach((value, j) => {
+                    Fr[i] -= K[i][j] * value;
+                });
+            });
+        }
+
+        let lu;
+        try {
+            lu = LinearAlgebra.luDecompose(Kff);
+        } catch (error) {
+            throw new Error('Beam is unstable: the supports do not prevent rigid body motion');
+        }
+
+        return loadCases.map(loads => {
+            const F = this.assembleLoads(loads);
+            const df = LinearAlgebra.luSolve(lu, free.map(i => F[i] + Fr[i]));
+
+            const d = dr.slice();
+            free.forEach((dof, i) => {
+                d[dof] = df[i];
+            });
+
+            return this.postProcess(K, F, d, loads);
+        });
+    }
+
+    /**
+     * St. Venant torsion GJ·φ'' = -t with the model loads read as torques:
+     * a 'point' load is a concentrated torque (N·m) and a distributed load
+     * a torque per unit length (N·m/m), positive about +x. Every support
+     * holds the twist (fork support). Returns the twist φ (rad) and the
+     * torque T = GJ·φ' at the stations, and the torque of every support.
+     */
+    solveTorsion() {
+        const { loads, supports } = this.model;
+        const K = LinearAlgebra.zeros(this.nodeX.length);
+        const F = new Array(this.nodeX.length).fill(0);
+
+        const stiffness = this.elements.map(element => this.torsionStiffness(element));
+        this.elements.forEach(({ n1, n2 }, e) => {
+            K[n1][n1] += stiffness[e];
+            K[n2][n2] += stiffness[e];
+            K[n1][n2] -= stiffness[e];
+            K[n2][n1] -= stiffness[e];
+        });
+
+        // Consistent nodal torques of the linear distributed torques
+        const elementLoads = this.elements.map(element => {
+            const { l } = element;
+            return this.elementIntensities(element, loads).reduce(([f1, f2], { q1, dq }) =>
+                [f1 + l * (q1 / 2 + dq / 6), f2 + l * (q1 / 2 + dq / 3)], [0, 0]);
+        });
+        this.elements.forEach(({ n1, n2 }, e) => {
+            F[n1] += elementLoads[e][0];
+            F[n2] += elementLoads[e][1];
+        });
+        loads.filter(load => load.type === 'point').forEach(load => {
+            F[this.findNode(load.position)] += load.magnitude;
+        });
+
+        const restrained = new Set(supports.map(support => this.findNode(support.position)));
+        const free = this.nodeX.map((_, node) => node).filter(node => !restrained.has(node));
+        if (restrained.size === 0) {
+            throw new Error('Beam is unstable in torsion: no support holds the twist');
+        }
+
+        const phi = new Array(this.nodeX.length).fill(0);
+        if (free.length > 0) {
+            const solution = LinearAlgebra.solve(free.map(i => free.map(j => K[i][j])), free.map(i => F[i]));
+            free.forEach((node, i) => {
+                phi[node] = solution[i];
+            });
+        }
+
+        // Torque just left of a node (right of it at the first node)
+        const torqueAt = (node) => {
+            const e = node > 0 ? node - 1 : 0;
+            const { n1, n2 } = this.elements[e];
+            const T = stiffness[e] * (phi[n2] - phi[n1]);
+            return node > 0 ? T - elementLoads[e][1] : T + elementLoads[e][0];
+        };
+
+        const twist = this.stationNodes.map(node => phi[node]);
+        const torque = this.stationNodes.map(torqueAt);
+
+        return {
+            x: this.stations.slice(),
+            twist,
+            torque,
+            maxTwist: Math.max(...twist.map(Math.abs)),
+            maxTorque: Math.max(...torque.map(Math.abs)),
+            reactions: supports.map(support => {
+                const node = this.findNode(support.position);
+                return {
+                    position: support.position,
+                    torque: K[node].reduce((sum, k, j) => sum + k * phi[j], 0) - F[node]
+                };
+            })
+        };
+    }
+
+    /**
+     * Torsional stiffness GJ/l of an element; a non-prismatic element
+     * inverts its flexibility ∫1/GJ ds (3-point Gauss quadrature)
+     */
+    torsionStiffness({ x1, l }) {
+        if (!this.model.properties) return this.model.GJ / l;
+
+        const flexibility = BeamFESolver.gaussPoints.reduce((sum, [xi, weight]) =>
+            sum + weight * (l / 2) / this.getProperties(x1 + l * (1 + xi) / 2).GJ, 0);
+        return 1 / flexibility;
+    }
+
+    /**
+     * Elastic critical loads for axial compression: the smallest
+     * eigenvalues P of (K - P·Kg)·d = 0, ignoring the applied axial load.
+     * Returns [{ load, shape }] with the mode shape w at the stations,
+     * scaled so that its largest value is +1.
+     */
+    solveBuckling(count = 1) {
+        const { restrained, springs } = this.getRestraints();
+        const free = this.getFreeDofs(restrained);
+        const K = this.reduceMatrix(this.assembleMatrix(element => this.elementStiffness({ ...element, axialLoad: 0 })), free, springs);
+        const Kg = this.reduceMatrix(this.assembleMatrix(element => this.geometricStiffness(element)), free);
+
+        let modes;
+        try {
+            modes = LinearAlgebra.inverseIteration(K, Kg, count);
+        } catch (error) {
+            throw new Error('Beam is unstable: the supports do not prevent rigid body motion');
+        }
+
+        return modes.map(({ value, vector }) => ({ load: value, shape: this.getStationShape(free, vector) }));
+    }
+
+    /**
+     * Natural frequencies and mode shapes of free vibration: the smallest
+     * eigenvalues ω² of K·d = ω²·M·d. The stiffness includes the axial
+     * load. Returns [{ omega, frequency, shape }] with ω in rad/s, f in Hz
+     * and the mode shape w at the stations scaled to a largest value of +1.
+     */
+    solveModes(count = 1) {
+        if (!(this.model.mass > 0)) {
+            throw new Error('Modal analysis needs a positive mass per unit length');
+        }
+
+        const { restrained, springs } = this.getRestraints();
+        const free = this.getFreeDofs(restrained);
+        const K = this.reduceMatrix(this.assembleStiffness(), free, springs);
+        const M = this.reduceMatrix(this.assembleMatrix(element => this.elementMass(element)), free);
+
+        let modes;
+        try {
+            modes = LinearAlgebra.inverseIteration(K, M, count);
+        } catch (error) {
+            throw new Error('Beam is unstable: the supports do not prevent rigid body motion');
+        }
+
+        return modes.map(({ value, vector }) => {
+            const omega = Math.sqrt(value);
+            return { omega, frequency: omega / (2 * Math.PI), shape: this.getStationShape(free, vector) };
+        });
+    }
+
+    /**
+     * Dynamic response by Newmark time integration (average acceleration,
+     * unconditionally stable) with Rayleigh damping C = α·M + β·K,
+     * starting at rest. loadsAt(t) returns the load list at time t; point
+     * loads must act at mesh nodes. Returns { t, results } with one
+     * postProcess() result per time step.
+     */
+    solveTimeHistory(loadsAt, { timeStep, steps, alpha = 0, beta = 0 }) {
+        if (!(this.model.mass > 0)) {
+            throw new Error('Time-history analysis needs a positive mass per unit length');
+        }
+
+        const { restrained, springs } = this.getRestraints();
+        const free = this.getFreeDofs(restrained);
+        const K = this.assembleStiffness();
+        const Kff = this.reduceMatrix(K, free, springs);
+        const Mff = this.reduceMatrix(this.assembleMatrix(element => this.elementMass(element)), free);
+        const Cff = Kff.map((row, i) => row.map((k, j) => alpha * Mff[i][j] + beta * k));
+
+        // Newmark constants for γ = 1/2, β = 1/4
+        const dt = timeStep;
+        const c0 = 4 / (dt * dt), c1 = 2 / dt, c2 = 4 / dt;
+        const Keff = Kff.map((row, i) => row.map((k, j) => k + c0 * Mff[i][j] + c1 * Cff[i][j]));
+
+        let lu;
+        try {
+            lu = LinearAlgebra.luDecompose(Keff);
+        } catch (error) {
+            throw new Error('Beam is unstable: the supports do not prevent rigid body motion');
+        }
+
+        const loadState = (time) => {
+            const loads = loadsAt(time);
+            const F = this.assembleLoads(loads);
+            return { loads, F, Ff: free.map(i => F[i]) };
+        };
+        const expand = (df) => {
+            const d = new Array(this.numDofs).fill(0);
+            free.forEach((dof, i) => {
+                d[dof] = df[i];
+            });
+            return d;
+        };
+
+        // At rest: the initial acceleration follows from M·a = F(0)
+        const initial = loadState(0);
+        let u = free.map(() => 0);
+        let v = free.map(() => 0);
+        let a = LinearAlgebra.solve(Mff, initial.Ff);
+
+        const t = [0];
+        const results = [this.postProcess(K, initial.F, expand(u), initial.loads)];
+
+        for (let k = 1; k <= steps; k++) {
+            const time = k * dt;
+            const { loads, F, Ff } = loadState(time);
+
+            const inertia = LinearAlgebra.multiply(Mff, u.map((ui, i) => c0 * ui + c2 * v[i] + a[i]));
+            const damping = LinearAlgebra.multiply(Cff, u.map((ui, i) => c1 * ui + v[i]));
+            const next = LinearAlgebra.luSolve(lu, Ff.map((f, i) => f + inertia[i] + damping[i]));
+
+            const aNext = next.map((un, i) => c0 * (un - u[i]) - c2 * v[i] - a[i]);
+            v = v.map((vi, i) => vi + (dt / 2) * (a[i] + aNext[i]));
+            u = next;
+            a = aNext;
+
+            t.push(time);
+            results.push(this.postProcess(K, F, expand(u), loads));
+        }
+
+        return { t, results };
+    }
+
+    /**
+     * Deflections at the stations of a mode given on the free DOFs,
+     * scaled so that the largest value is +1
+     */
+    getStationShape(free, vector) {
+        const d = new Array(this.numDofs).fill(0);
+        free.forEach((dof, i) => {
+            d[dof] = vector[i];
+        });
+
+        const shape = this.stationNodes.map(node => d[2 * node]);
+        const peak = shape.reduce((best, w) => Math.abs(w) > Math.abs(best) ? w : best, 0);
+        return shape.map(w => w / peak);
+    }
+
+    /**
+     * Element end forces [F1, M1, F2, M2] acting on the element
+     */
+    elementForces(element, d, loads = this.model.loads) {
+        const ke = this.elementStiffness(element);
+        const de = this.elementDofs(element).map(dof => d[dof]);
+        const fe = this.elementLoadVector(element, loads);
+
+        return ke.map((row, i) => row.reduce((sum, k, j) => sum + k * de[j], 0) - fe[i]);
+    }
+
+    /**
+     * Convert nodal displacements into station results and reactions
+     */
+    postProcess(K, F, d, loads = this.model.loads) {
+        const { L, EI } = this.model;
+        const elementForces = this.elements.map(element => this.elementForces(element, d, loads));
+
+        const x = this.stations.slice();
+        const deflection = [];
+        const slope = [];
+        const moment = [];
+        const shear = [];
+        const shearRight = [];
+
+        this.stationNodes.forEach(node => {
+            deflection.push(d[2 * node]);
+            slope.push(d[2 * node + 1]);
+
+            const { M, V } = this.nodeInternalForces(node, elementForces);
+            moment.push(M);
+            shear.push(V);
+            shearRight.push(this.nodeInternalForces(node, elementForces, true).V);
+        });
+
+        const reactions = this.computeReactions(K, F, d, elementForces);
+
+        // Foundation reaction k·w (N/m), positive upwards on the beam
+        const foundationReaction = this.model.foundation
+            ? deflection.map((w, i) => this.getFoundationModulus(x[i]) * w)
+            : null;
+
+        const maxMoment = Math.max(...moment.map(Math.abs));
+        const maxDeflection = Math.max(...deflection.map(Math.abs));
+        const maxSlope = Math.max(...slope.map(Math.abs));
+        const maxShear = Math.max(...shear.map(Math.abs));
+
+        // Moments at every node, where plastic hinges may form
+        const hinged = this.model.hinges
+            ? { nodeX: this.nodeX.slice(), nodeMoments: this.nodeX.map((_, node) => this.nodeInternalForces(node, elementForces).M) }
+            : {};
+
+        return {
+            x,
+            deflection,
+            slope,
+            moment,
+            shear,
+            shearRight,
+            maxMoment,
+            maxDeflection,
+            maxSlope,
+            maxShear,
+            EI,
+            L,
+            axialLoad: this.model.axialLoad,
+            reactions,
+            foundationReaction,
+            ...hinged
+        };
+    }
+
+    /**
+     * Bending moment and shear just left of a node (right of it at the first
+     * node), or with right just right of it (left of it at the last node)
+     */
+    nodeInternalForces(node, elementForces, right = false) {
+        if (right ? node === elementForces.length : node > 0) {
+            const f = elementForces[node - 1];
+            return { M: -f[3], V: f[2] };
+        }
+        const f = elementForces[node];
+        return { M: f[1], V: -f[0] };
+    }
+
+    /**
+     * Support reactions: force positive upwards, moment positive counterclockwise.
+     * Also reports the bending moment in the beam over each support and
+     * its deflection (settlement plus spring compression).
+     */
+    computeReactions(K, F, d, elementForces) {
+        const residual = (dof) => K[dof].reduce((sum, k, j) => sum + k * d[j], 0) - F[dof];
+
+        return this.model.supports.map(support => {
+            const node = this.findNode(support.position);
+            const restrainsForce = support.type !== 'spring' || support.kv;
+            const restrainsMoment = support.type === 'fixed' || support.kr;
+
+            return {
+                position: support.position,
+                type: support.type,
+                elastic: Boolean(support.kv || support.kr),
+                force: restrainsForce ? -residual(2 * node) : 0,
+                moment: restrainsMoment ? -residual(2 * node + 1) : 0,
+                beamMoment: this.nodeInternalForces(node, elementForces).M,
+                deflection: d[2 * node]
+            };
+        });
+    }
+}
+
+// Export for use in other modules
+window.BeamFESolver = BeamFESolver;
@@ -0,0 +1,159 @@
+/**
+ * Linear Algebra Utilities
+ *
+ * Dense matrix helpers used by the finite element solver.
+ * Matrices are stored as arrays of row arrays.
+ */
+
+class LinearAlgebra {
+    /**
+     * Create an n x m matrix filled with zeros
+     */
+    static zeros(n, m = n) {
+        return Array.from({ length: n }, () => new Array(m).fill(0));
+    }
+
+    /**
+     * Matrix-vector product A · v
+     */
+    static multiply(A, v) {
+        return A.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+    }
+
+    /**
+     * LU decomposition with partial pivoting
+     * Returns the combined LU matrix and the row permutation.
+     * Throws if the matrix is singular.
+     */
+    static luDecompose(A) {
+        const n = A.length;
+        const LU = A.map(row => row.slice());
+        const perm = Array.from({ length: n }, (_, i) => i);
+
+        // Pivot tolerance relative to the largest diagonal entry
+        const scale = Math.max(...LU.map((row, i) => Math.abs(row[i])), 0) || 1;
+        const tolerance = scale * 1e-12;
+
+        for (let k = 0; k < n; k++) {
+            // Find pivot row
+            let pivot = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(LU[i][k]) > Math.abs(LU[pivot][k])) {
+                    pivot = i;
+                }
+            }
+
+            if (Math.abs(LU[pivot][k]) <= tolerance) {
+                throw new Error('Matrix is singular');
+            }
+
+            if (pivot !== k) {
+                [LU[k], LU[pivot]] = [LU[pivot], LU[k]];
+                [perm[k], perm[pivot]] = [perm[pivot], perm[k]];
+            }
+
+            // Eliminate below the pivot
+            for (let i = k + 1; i < n; i++) {
+                const factor = LU[i][k] / LU[k][k];
+                if (factor === 0) continue;
+                LU[i][k] = factor;
+                for (let j = k + 1; j < n; j++) {
+                    LU[i][j] -= factor * LU[k][j];
+                }
+            }
+        }
+
+        return { LU, perm };
+    }
+
+    /**
+     * Solve A · x = b using a decomposition from luDecompose
+     */
+    static luSolve({ LU, perm }, b) {
+        const n = LU.length;
+        const x = perm.map(i => b[i]);
+
+        // Forward substitution (unit lower triangle)
+        for (let i = 1; i < n; i++) {
+            for (let j = 0; j < i; j++) {
+                x[i] -= LU[i][j] * x[j];
+            }
+        }
+
+        // Back substitution
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++) {
+                x[i] -= LU[i][j] * x[j];
+            }
+            x[i] /= LU[i][i];
+        }
+
+        return x;
+    }
+
+    /**
+     * Solve A · x = b
+     */
+    static solve(A, b) {
+        return this.luSolve(this.luDecompose(A), b);
+    }
+
+    /**
+     * Dot product u · v
+     */
+    static dot(u, v) {
+        return u.reduce((sum, value, i) => sum + value * v[i], 0);
+    }
+
+    /**
+     * Smallest eigenpairs of the generalized problem A · x = λ B · x by
+     * inverse iteration. A must be non-singular and B symmetric positive
+     * semi-definite; each new mode is kept B-orthogonal to the ones found
+     * before it. Returns [{ value, vector }] with B-normalised vectors.
+     */
+    static inverseIteration(A, B, count = 1, { tolerance = 1e-10, maxIterations = 500 } = {}) {
+        const n = A.length;
+        const lu = this.luDecompose(A);
+        const modes = [];
+
+        // Remove the components along the modes already found
+        const deflate = (x) => modes.reduce((y, mode) => {
+            const c = this.dot(mode.Bvector, y);
+            return y.map((value, i) => value - c * mode.vector[i]);
+        }, x);
+
+        for (let m = 0; m < count && m < n; m++) {
+            // Deterministic start vector with components along every mode
+            let x = deflate(Array.from({ length: n }, (_, i) => 1 + Math.sin(12.9898 * (i + 1) + 78.233 * (m + 1))));
+            let value = Infinity;
+
+            for (let iteration = 0; iteration < maxIterations; iteration++) {
+                const Bx = this.multiply(B, x);
+                const y = deflate(this.luSolve(lu, Bx));
+                const By = this.multiply(B, y);
+                const norm = Math.sqrt(this.dot(y, By));
+
+                if (!(norm > 0)) {
+                    throw new Error('No further eigenvalues: B has no remaining positive directions');
+                }
+
+                // Rayleigh quotient, using A · y = B · x
+                const next = this.dot(y, Bx) / (norm * norm);
+                x = y.map(v => v / norm);
+
+                const converged = Math.abs(next - value) <= tolerance * Math.abs(next);
+                value = next;
+                if (converged) break;
+            }
+
+            modes.push({ value, vector: x, Bvector: this.multiply(B, x) });
+        }
+
+        return modes
+            .map(({ value, vector }) => ({ value, vector }))
+            .sort((a, b) => a.value - b.value);
+    }
+}
+
+// Export for use in other modules
+window.LinearAlgebra = LinearAlgebra;
@@ -0,0 +1,118 @@
+/**
+ * Load Case Table
+ *
+ * Editable list of named load cases. Each case { id, name, category }
+ * belongs to a category of LoadCombinations (permanent, imposed, snow or
+ * wind) that sets its partial factors; loads refer to their case by id.
+ * At least one case is always kept.
+ */
+
+class LoadCaseTable {
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.cases = [
+            { id: 'dead', name: 'Dead load', category: 'permanent' },
+            { id: 'live', name: 'Live load', category: 'imposed' }
+        ];
+        this.nextId = 1;
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        // Name edits update the case without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row || e.target.dataset.field !== 'name') return;
+
+            this.cases[parseInt(row.dataset.index, 10)].name = e.target.value;
+            this.onChange();
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row || e.target.dataset.field !== 'category') return;
+
+            this.cases[parseInt(row.dataset.index, 10)].category = e.target.value;
+            this.onChange();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+
+            this.removeCase(parseInt(button.closest('.load-row').dataset.index, 10));
+        });
+    }
+
+    /**
+     * Get a copy of the load cases { id, name, category }; blank names
+     * become "Load case n"
+     */
+    getCases() {
+        return this.cases.map((loadCase, index) => ({ ...loadCase, name: loadCase.name.trim() || `Load case ${index + 1}` }));
+    }
+
+    /**
+     * Replace the load cases; new cases get ids that do not clash with them
+     */
+    setCases(cases) {
+        this.cases = cases.map(loadCase => ({ ...loadCase }));
+        this.nextId = this.cases.length + 1;
+        this.render();
+    }
+
+    /**
+     * Append a load case of a category with a unique id
+     */
+    addCase(category = 'imposed') {
+        let id;
+        do {
+            id = `case-${this.nextId++}`;
+        } while (this.cases.some(loadCase => loadCase.id === id));
+
+        this.cases.push({ id, name: `${LoadCombinations.categories[category].label} ${this.cases.length + 1}`, category });
+        this.render();
+        this.onChange();
+    }
+
+    removeCase(index) {
+        if (this.cases.length <= 1) return;
+
+        this.cases.splice(index, 1);
+        this.render();
+        this.onChange();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        this.cases.forEach((loadCase, index) => {
+            const row = document.createElement('div');
+            row.className = 'load-row';
+            row.dataset.index = index;
+
+            const categoryOptions = Object.entries(LoadCombinations.categories)
+                .map(([value, { label, symbol }]) =>
+                    `<option value="${value}"${value === loadCase.category ? ' selected' : ''}>${symbol}: ${label}</option>`)
+                .join('');
+
+            row.innerHTML = `
+                <div class="load-row-header">
+                    <span class="load-index">${index + 1}</span>
+                    <input type="text" class="text-input" data-field="name" maxlength="100" title="Load case name">
+                    <select class="select-input" data-field="category" title="Category">${categoryOptions}</select>
+                    <button class="load-action-btn danger" data-action="remove" title="Remove Load Case"${this.cases.length <= 1 ? ' disabled' : ''}>✕</button>
+                </div>
+            `;
+
+            // Names are user text: set as a value, never parsed as HTML
+            row.querySelector('[data-field="name"]').value = loadCase.name;
+            this.container.appendChild(row);
+        });
+    }
+}
+
+// Export for use in other modules
+window.LoadCaseTable = LoadCaseTable;
@@ -0,0 +1,135 @@
+/**
+ * Load Combinations
+ *
+ * Load case categories and the partial-factor combination rules of
+ * EN 1990 and ASCE 7. A combination { name, factors } holds a factor per
+ * load case id; the rules factor categories, so all load cases of one
+ * category act together. Seismic and roof live loads are not covered.
+ */
+
+class LoadCombinations {
+    /**
+     * Load case categories with the symbols used in combination names
+     * (EN 1990 / ASCE 7)
+     */
+    static get categories() {
+        return {
+            'permanent': { label: 'Permanent (Dead)', symbol: 'G', asce: 'D' },
+            'imposed': { label: 'Imposed (Live)', symbol: 'Q', asce: 'L' },
+            'snow': { label: 'Snow', symbol: 'S', asce: 'S' },
+            'wind': { label: 'Wind', symbol: 'W', asce: 'W' }
+        };
+    }
+
+    /**
+     * Combination sets. A rule lists the factor per category and only
+     * applies when its leading category has load cases.
+     */
+    static get standards() {
+        return {
+            'en1990-uls': { label: 'EN 1990 ULS (6.10)', symbols: 'symbol', rules: LoadCombinations.eurocodeRules(1.35, 1.0, 1.5) },
+            'en1990-sls': { label: 'EN 1990 SLS characteristic', symbols: 'symbol', rules: LoadCombinations.eurocodeRules(1.0, null, 1.0) },
+            'asce7-lrfd': {
+                label: 'ASCE 7 LRFD (2.3.1)',
+                symbols: 'asce',
+                rules: [
+                    { factors: { permanent: 1.4 } },
+                    { leading: 'imposed', factors: { permanent: 1.2, imposed: 1.6, snow: 0.5 } },
+                    { leading: 'snow', factors: { permanent: 1.2, snow: 1.6, imposed: 1.0 } },
+                    { leading: 'snow', factors: { permanent: 1.2, snow: 1.6, wind: 0.5 } },
+                    { leading: 'wind', factors: { permanent: 1.2, wind: 1.0, imposed: 1.0, snow: 0.5 } },
+                    { leading: 'wind', factors: { permanent: 0.9, wind: 1.0 } }
+                ]
+            },
+            'asce7-asd': {
+                label: 'ASCE 7 ASD (2.4.1)',
+                symbols: 'asce',
+                rules: [
+                    { factors: { permanent: 1.0 } },
+                    { leading: 'imposed', factors: { permanent: 1.0, imposed: 1.0 } },
+                    { leading: 'snow', factors: { permanent: 1.0, snow: 1.0 } },
+                    { leading: 'snow', factors: { permanent: 1.0, imposed: 0.75, snow: 0.75 } },
+                    { leading: 'wind', factors: { permanent: 1.0, wind: 0.6 } },
+                    { leading: 'wind', factors: { permanent: 1.0, imposed: 0.75, wind: 0.45, snow: 0.75 } },
+                    { leading: 'wind', factors: { permanent: 0.6, wind: 0.6 } }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Combination factors ψ0 of the accompanying variable actions
+     * (EN 1990 Table A1.1: imposed category A/B, snow below 1000 m)
+     */
+    static get psi0() {
+        return { imposed: 0.7, snow: 0.5, wind: 0.6 };
+    }
+
+    /**
+     * EN 1990 rules: the permanent actions alone, then every variable
+     * category leading with the others accompanying at ψ0. With a
+     * favourable factor gammaInf each leading rule is repeated with the
+     * reduced permanent factor (e.g. wind uplift).
+     */
+    static eurocodeRules(gammaG, gammaInf, gammaQ) {
+        const variable = Object.keys(LoadCombinations.psi0);
+        const rules = [{ factors: { permanent: gammaG } }];
+
+        variable.forEach(leading => {
+            const factors = {};
+            variable.forEach(category => {
+                factors[category] = category === leading ? gammaQ : gammaQ * LoadCombinations.psi0[category];
+            });
+            rules.push({ leading, factors: { permanent: gammaG, ...factors } });
+            if (gammaInf !== null) {
+                rules.push({ leading, factors: { permanent: gammaInf, ...factors } });
+            }
+        });
+
+        return rules;
+    }
+
+    /**
+     * Combinations { name, factors } of a standard for the load cases
+     * { id, name, category }. A favourable variable action is left out,
+     * so every rule is also applied without each subset of its
+     * accompanying variable categories. Categories without load cases drop
+     * out and duplicate factor sets are listed once.
+     */
+    static generate(standard, cases) {
+        const { rules, symbols } = LoadCombinations.standards[standard];
+        const present = new Set(cases.map(loadCase => loadCase.category));
+        const seen = new Set();
+        const combinations = [];
+
+        rules.forEach(({ leading, factors }) => {
+            if (leading && !present.has(leading)) return;
+
+            const terms = Object.entries(factors).filter(([category]) => present.has(category));
+            const optional = terms.filter(([category]) => category !== 'permanent' && category !== leading);
+
+            for (let mask = 0; mask < 2 ** optional.length; mask++) {
+                const dropped = optional.filter((_, k) => mask & (1 << k)).map(([category]) => category);
+                const kept = terms.filter(([category]) => !dropped.includes(category));
+                if (kept.length === 0) continue;
+
+                const name = kept
+                    .map(([category, factor]) => `${factor === 1 ? '' : +factor.toFixed(3)}${LoadCombinations.categories[category][symbols]}`)
+                    .join(' + ');
+                if (seen.has(name)) continue;
+                seen.add(name);
+
+                const byCategory = Object.fromEntries(kept);
+                combinations.push({
+                    name,
+                    factors: Object.fromEntries(cases.map(loadCase => [loadCase.id, byCategory[loadCase.category] || 0]))
+                });
+            }
+        });
+
+        return combinations;
+    }
+}
+
+// Export for use in other modules
+window.LoadCombinations = LoadCombinations;
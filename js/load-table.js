@@ -0,0 +1,309 @@
+/**
+ * Load Table
+ *
+ * Editable list of loads acting on the beam. Each row holds the load
+ * type, magnitude and position and can be removed or moved up/down.
+ * Distributed loads have start and end positions and intensities; a
+ * q(x) table load lists "x, q" pairs, one per line. A temperature load
+ * has a uniform change and a bottom-minus-top difference. Point and
+ * distributed loads may act at an angle (degrees from the downward
+ * vertical towards +z) and an eccentricity (m, along +z from the shear
+ * centre). Every load belongs to a load case (loadCase, the case id)
+ * picked in its row.
+ */
+
+class LoadTable {
+    /**
+     * @param {string} containerId - Element that holds the rows
+     * @param {Function} onChange - Called after every edit
+     * @param {Function} [getLength] - Current beam length, for the defaults of new loads
+     * @param {Function} [getCases] - Load cases { id, name } for the case select; new loads take the first
+     */
+    constructor(containerId, onChange, getLength = () => 2, getCases = () => []) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.getLength = getLength;
+        this.getCases = getCases;
+        this.loads = [];
+
+        // Display settings per load type
+        this.loadTypes = {
+            'point': { label: 'Point Load', unit: 'N', defaultMagnitude: 10000, hasPosition: true, hasDirection: true },
+            'distributed': { label: 'Distributed (Trapezoidal)', unit: 'N/m', defaultMagnitude: 5000, hasPosition: false, hasDirection: true },
+            'profile': { label: 'Distributed q(x) Table', unit: 'N/m', defaultMagnitude: 5000, hasPosition: false, hasDirection: true },
+            'moment': { label: 'Applied Moment', unit: 'N·m', defaultMagnitude: 5000, hasPosition: true, hasDirection: false },
+            'thermal': { label: 'Temperature', unit: 'K', defaultMagnitude: 20, hasPosition: false, hasDirection: false }
+        };
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        // Field edits update the load list without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row || !e.target.dataset.field) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.dataset.field === 'points') {
+                this.loads[index].points = LoadTable.parsePoints(e.target.value);
+                this.onChange();
+                return;
+            }
+
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                this.loads[index][e.target.dataset.field] = value;
+                this.onChange();
+            }
+        });
+
+        // Type changes re-render the row since units and inputs differ
+        this.container.addEventListener('change', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.dataset.field === 'loadCase') {
+                this.loads[index].loadCase = e.target.value;
+                this.onChange();
+                return;
+            }
+            if (!e.target.classList.contains('load-type-select')) return;
+
+            const previous = this.loads[index];
+            const position = this.loadTypes[previous.type].hasPosition ? previous.position : this.getLength() / 2;
+            const load = { ...this.createLoad(e.target.value, position), loadCase: previous.loadCase };
+            if (this.loadTypes[load.type].hasDirection && this.loadTypes[previous.type].hasDirection) {
+                Object.assign(load, { angle: previous.angle, eccentricity: previous.eccentricity });
+            }
+            this.loads[index] = load;
+            this.render();
+            this.onChange();
+        });
+
+        // Row actions
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const index = parseInt(button.closest('.load-row').dataset.index, 10);
+            switch (button.dataset.action) {
+                case 'up':
+                    this.moveLoad(index, -1);
+                    break;
+                case 'down':
+                    this.moveLoad(index, 1);
+                    break;
+                case 'remove':
+                    this.removeLoad(index);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * "x, q" pairs, one per line, sorted by x; lines that do not parse are skipped
+     */
+    static parsePoints(text) {
+        return text
+            .split('\n')
+            .map(line => line.split(/[,;\s]+/).filter(Boolean).map(Number))
+            .filter(row => row.length >= 2 && row.every(Number.isFinite))
+            .map(([x, q]) => [x, q])
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Get a copy of the current load list
+     */
+    getLoads() {
+        return this.loads.map(load => LoadTable.copyLoad(load));
+    }
+
+    /**
+     * Replace the load list
+     */
+    setLoads(loads) {
+        this.loads = loads.map(load => LoadTable.copyLoad(load));
+        this.render();
+    }
+
+    static copyLoad(load) {
+        return load.points ? { ...load, points: load.points.map(point => point.slice()) } : { ...load };
+    }
+
+    /**
+     * Default load of a type in the first load case: distributed loads
+     * cover the whole beam, and loads act vertically through the shear
+     * centre
+     */
+    createLoad(type, position) {
+        const L = this.getLength();
+        const magnitude = this.loadTypes[type].defaultMagnitude;
+        const [firstCase] = this.getCases();
+        const loadCase = firstCase ? firstCase.id : undefined;
+
+        switch (type) {
+            case 'distributed':
+                return { type, magnitude, endMagnitude: magnitude, position: 0, end: L, angle: 0, eccentricity: 0, loadCase };
+            case 'profile':
+                return { type, points: [[0, 0], [L / 2, magnitude], [L, 0]], angle: 0, eccentricity: 0, loadCase };
+            case 'thermal':
+                return { type, uniform: 0, gradient: magnitude, loadCase };
+            case 'point':
+                return { type, magnitude, position, angle: 0, eccentricity: 0, loadCase };
+            default:
+                return { type, magnitude, position, loadCase };
+        }
+    }
+
+    /**
+     * Append a new load with default values
+     */
+    addLoad(type = 'point', position = 1) {
+        this.loads.push(this.createLoad(type, position));
+        this.render();
+        this.onChange();
+    }
+
+    removeLoad(index) {
+        this.loads.splice(index, 1);
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Move a load up (-1) or down (+1) in the list
+     */
+    moveLoad(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.loads.length) return;
+
+        [this.loads[index], this.loads[target]] = [this.loads[target], this.loads[index]];
+        this.render();
+        this.onChange();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.loads.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'load-empty';
+            empty.textContent = 'No loads defined';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        this.loads.forEach((load, index) => {
+            this.container.appendChild(this.createRow(load, index));
+        });
+    }
+
+    createRow(load, index) {
+        const settings = this.loadTypes[load.type];
+        const row = document.createElement('div');
+        row.className = 'load-row';
+        row.dataset.index = index;
+
+        const typeOptions = Object.entries(this.loadTypes)
+            .map(([value, { label }]) =>
+                `<option value="${value}"${value === load.type ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <div class="load-row-header">
+                <span class="load-index">${index + 1}</span>
+                <select class="select-input load-type-select">${typeOptions}</select>
+                <div class="load-actions">
+                    <button class="load-action-btn" data-action="up" title="Move Up"${index === 0 ? ' disabled' : ''}>▲</button>
+                    <button class="load-action-btn" data-action="down" title="Move Down"${index === this.loads.length - 1 ? ' disabled' : ''}>▼</button>
+                    <button class="load-action-btn danger" data-action="remove" title="Remove Load">✕</button>
+                </div>
+            </div>
+            ${this.createFields(load, settings)}
+            ${settings.hasDirection ? this.createDirectionFields(load) : ''}
+        `;
+
+        const caseSelect = this.createCaseSelect(load);
+        if (caseSelect) row.appendChild(caseSelect);
+        return row;
+    }
+
+    /**
+     * Load case select of a row; a load without a known case shows the
+     * first. Case names and ids are user text and go in as options.
+     */
+    createCaseSelect(load) {
+        const cases = this.getCases();
+        if (cases.length === 0) return null;
+
+        const select = document.createElement('select');
+        select.className = 'select-input';
+        select.dataset.field = 'loadCase';
+        select.title = 'Load case';
+        cases.forEach(({ id, name }) => select.add(new Option(name, id, false, id === load.loadCase)));
+        return select;
+    }
+
+    /**
+     * Number input with its unit; lengths in m default to a minimum of 0
+     */
+    static numberInput(field, value, title, unit, step, min = unit === 'm' ? 0 : null) {
+        return `
+            <div class="input-with-unit">
+                <input type="number" data-field="${field}" value="${value}" step="${step}"${min === null ? '' : ` min="${min}"`} title="${title}">
+                <span class="unit">${unit}</span>
+            </div>`;
+    }
+
+    /**
+     * Direction angle and eccentricity inputs of a point or distributed load
+     */
+    createDirectionFields(load) {
+        return `
+            <div class="input-row">
+                ${LoadTable.numberInput('angle', load.angle || 0, 'Angle from the downward vertical towards +z', '°', 5)}
+                ${LoadTable.numberInput('eccentricity', load.eccentricity || 0, 'Eccentricity along +z from the shear centre', 'm', 0.01, null)}
+            </div>`;
+    }
+
+    /**
+     * Inputs of a load row for its type
+     */
+    createFields(load, settings) {
+        const input = LoadTable.numberInput;
+
+        switch (load.type) {
+            case 'distributed':
+                return `
+                    <div class="input-row">
+                        ${input('magnitude', load.magnitude, 'Intensity at start', settings.unit, 100)}
+                        ${input('endMagnitude', load.endMagnitude, 'Intensity at end', settings.unit, 100)}
+                    </div>
+                    <div class="input-row">
+                        ${input('position', load.position, 'Start from left end', 'm', 0.1)}
+                        ${input('end', load.end, 'End from left end', 'm', 0.1)}
+                    </div>`;
+            case 'profile':
+                return `
+                    <textarea class="text-input" data-field="points" rows="3" title="x (m), q (N/m) per line">${load.points.map(([x, q]) => `${x}, ${q}`).join('\n')}</textarea>`;
+            case 'thermal':
+                return `
+                    <div class="input-row">
+                        ${input('uniform', load.uniform, 'Uniform temperature change ΔT', settings.unit, 5)}
+                        ${input('gradient', load.gradient, 'Bottom minus top temperature', settings.unit, 5)}
+                    </div>`;
+            default:
+                return `
+                    <div class="input-row">
+                        ${input('magnitude', load.magnitude, 'Magnitude', settings.unit, 100)}
+                        ${input('position', load.position, 'Position from left end', 'm', 0.1)}
+                    </div>`;
+        }
+    }
+}
+
+// Export for use in other modules
+window.LoadTable = LoadTable;
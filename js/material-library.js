@@ -0,0 +1,184 @@
+/**
+ * Material Library
+ *
+ * Combines the built-in material records of BeamCalculator with
+ * user-defined materials that persist in localStorage. Materials of
+ * opened projects stay unsaved, for the session only, until they are
+ * kept.
+ *
+ * Record fields (SI units): name, E (Pa), G (Pa) and/or nu, density
+ * (kg/m³), fy and fu (Pa) and alpha (1/K). A missing G is derived from
+ * ν with G = E / (2(1 + ν)).
+ */
+
+class MaterialLibrary {
+    /**
+     * @param {Object} builtIn - Built-in records keyed by material id
+     * @param {Storage} [storage] - Storage for user materials (localStorage by default)
+     */
+    constructor(builtIn, storage = MaterialLibrary.defaultStorage()) {
+        this.builtIn = builtIn;
+        this.storage = storage;
+        this.custom = this.load();
+        this.unsaved = {};
+    }
+
+    static get storageKey() {
+        return 'beam-analysis-materials';
+    }
+
+    /**
+     * localStorage, or null where the browser blocks it
+     */
+    static defaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a record and derive G from ν when it is missing
+     */
+    static complete(record) {
+        const { E, G, nu, density, fy, fu, alpha } = record;
+
+        if (!record.name || !String(record.name).trim()) throw new Error('Material name is required');
+        if (!(E > 0)) throw new Error('Elastic modulus must be greater than zero');
+        if (G === undefined && !(nu >= 0 && nu < 0.5)) throw new Error("Poisson's ratio must be between 0 and 0.5");
+        if (G !== undefined && !(G > 0)) throw new Error('Shear modulus must be greater than zero');
+        if (!(density > 0)) throw new Error('Density must be greater than zero');
+        if (!(fy > 0)) throw new Error('Yield strength must be greater than zero');
+        if (!(fu >= fy)) throw new Error('Ultimate strength must not be less than the yield strength');
+        if (!(alpha >= 0)) throw new Error('Thermal expansion coefficient must not be negative');
+
+        return {
+            ...record,
+            name: String(record.name).trim(),
+            G: G !== undefined ? G : E / (2 * (1 + nu)),
+            nu: nu !== undefined ? nu : null
+        };
+    }
+
+    /**
+     * Read user materials from storage. Invalid entries are dropped.
+     */
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(this.storage.getItem(MaterialLibrary.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+
+        const custom = {};
+        Object.entries(stored).forEach(([key, record]) => {
+            try {
+                custom[key] = MaterialLibrary.complete(record);
+            } catch (error) {
+                // Skip records that no longer validate
+            }
+        });
+        return custom;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(MaterialLibrary.storageKey, JSON.stringify(this.custom));
+        } catch (error) {
+            // Storage may be unavailable (private mode, file:// URLs); keep the session copy
+        }
+    }
+
+    /**
+     * All materials as { key, record, custom, saved }: built-in ones,
+     * then saved and unsaved user materials
+     */
+    getAll() {
+        return [
+            ...Object.entries(this.builtIn).map(([key, record]) => ({ key, record: MaterialLibrary.complete(record), custom: false, saved: true })),
+            ...Object.entries(this.custom).map(([key, record]) => ({ key, record, custom: true, saved: true })),
+            ...Object.entries(this.unsaved).map(([key, record]) => ({ key, record, custom: true, saved: false }))
+        ];
+    }
+
+    /**
+     * Completed record of a material, or null
+     */
+    get(key) {
+        if (this.builtIn[key]) return MaterialLibrary.complete(this.builtIn[key]);
+        return this.custom[key] || this.unsaved[key] || null;
+    }
+
+    /**
+     * Whether a material is user-defined, saved or not
+     */
+    isCustom(key) {
+        return key in this.custom || key in this.unsaved;
+    }
+
+    isSaved(key) {
+        return !(key in this.unsaved);
+    }
+
+    /**
+     * A user material key not taken by a saved or unsaved material
+     */
+    createKey() {
+        let key = `user-${Date.now().toString(36)}`;
+        for (let k = 2; this.isCustom(key); k++) {
+            key = `user-${Date.now().toString(36)}-${k}`;
+        }
+        return key;
+    }
+
+    /**
+     * Store a user material and return its key. Throws for invalid records.
+     */
+    add(record) {
+        const key = this.createKey();
+        this.custom[key] = MaterialLibrary.complete(record);
+        this.save();
+        return key;
+    }
+
+    /**
+     * Key of a material with the same properties as a record; a record
+     * the library has none of (materials of opened projects) is added
+     * unsaved. Throws for invalid records.
+     */
+    findOrImport(record) {
+        const completed = MaterialLibrary.complete(record);
+        const fields = ({ name, E, G, density, fy, fu, alpha }) => JSON.stringify([name, E, G, density, fy, fu, alpha]);
+        const match = this.getAll().find(({ record: other }) => fields(other) === fields(completed));
+        if (match) return match.key;
+
+        const key = this.createKey();
+        this.unsaved[key] = completed;
+        return key;
+    }
+
+    /**
+     * Save an unsaved material to the library under its key
+     */
+    keep(key) {
+        if (!(key in this.unsaved)) return;
+
+        this.custom[key] = this.unsaved[key];
+        delete this.unsaved[key];
+        this.save();
+    }
+
+    remove(key) {
+        if (key in this.unsaved) {
+            delete this.unsaved[key];
+            return;
+        }
+        delete this.custom[key];
+        this.save();
+    }
+}
+
+// Export for use in other modules
+window.MaterialLibrary = MaterialLibrary;
@@ -0,0 +1,397 @@
+/**
+ * Project File
+ *
+ * Versioned JSON format of a whole analysis project, as written by
+ * BeamApp.getProject():
+ *
+ * - format, version: 'beam-analysis-project' and the format version
+ * - beam: { type, length (m), theory, largeDeflection, loadSteps,
+ *   interiorSupports (m), endConditions, subgradeModulus [start, end]
+ *   (MN/m³), supportConditions [{ settlement (mm), rotation (mrad),
+ *   kv (MN/m), kr (MN·m/rad) }] }
+ * - section: { shape, dims (m), designation } (designation of a standard
+ *   section, empty for the dimensions)
+ * - material: { key, custom, record }: the selected library key, the
+ *   custom material form (SI record) and the record of a saved material
+ * - materials: saved material records used by the segments, by key
+ * - segments: beam segments as SegmentTable.getSegments()
+ * - loads: { list, selfWeight, axialLoad (kN), cases, combinations,
+ *   combinationStandard }, with the loads as LoadTable.getLoads()
+ * - movingLoad: { axleLoad (kN), axleCount, axleSpacing (m) }
+ * - dynamic: { type, position (m), magnitude (kN), pulseDuration (ms),
+ *   frequency (Hz), table, dampingRatio (%), duration (s) }
+ * - design: { safetyFactor, deflectionLimit, modeCount, frequencyLimit (Hz) }
+ * - report: { title, engineer } of the calculation report header
+ * - view: { diagram, contour, wireframe, stress, station, quantities }
+ *
+ * Reading checks the format, upgrades older versions through the
+ * migrations and validates every field, throwing an error that names
+ * the offending field. Names are single lines of at most 100 characters,
+ * load case ids and material keys short words (see keyPattern), and
+ * combinations and loads may only refer to existing load cases. Projects
+ * are autosaved in localStorage and can be packed into a URL hash
+ * (deflate, base64url).
+ */
+
+class ProjectFile {
+    static get format() {
+        return 'beam-analysis-project';
+    }
+
+    static get version() {
+        return 1;
+    }
+
+    static get storageKey() {
+        return 'beam-analysis-project';
+    }
+
+    static get hashPrefix() {
+        return '#project=';
+    }
+
+    /**
+     * Upgrades of older projects: migrations[n] turns a version n project
+     * into version n + 1
+     */
+    static get migrations() {
+        return {};
+    }
+
+    /**
+     * Longest name of a load case, combination or material
+     */
+    static get maxNameLength() {
+        return 100;
+    }
+
+    /**
+     * Load case ids and material keys: 1 to 64 letters, digits, hyphens
+     * and underscores
+     */
+    static get keyPattern() {
+        return /^[A-Za-z0-9_-]{1,64}$/;
+    }
+
+    static get beamTypes() {
+        return ['simply-supported', 'fixed-fixed', 'cantilever', 'continuous', 'elastic-foundation'];
+    }
+
+    static get loadFields() {
+        return {
+            'point': ['magnitude', 'position'],
+            'distributed': ['magnitude', 'endMagnitude', 'position', 'end'],
+            'profile': [],
+            'moment': ['magnitude', 'position'],
+            'thermal': ['uniform', 'gradient']
+        };
+    }
+
+    /**
+     * Project as indented JSON text for a file
+     */
+    static stringify(project) {
+        return JSON.stringify(project, null, 2);
+    }
+
+    /**
+     * Read a project from JSON text; throws for invalid JSON or projects
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The project is not valid JSON (${error.message})`);
+        }
+        return ProjectFile.read(data);
+    }
+
+    /**
+     * Check the format and version of parsed data, upgrade it to the
+     * current version and validate it
+     */
+    static read(data) {
+        if (!data || typeof data !== 'object' || data.format !== ProjectFile.format) {
+            throw new Error('This is not a beam analysis project file');
+        }
+
+        const { version } = data;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown project version ${JSON.stringify(version)}`);
+        }
+        if (version > ProjectFile.version) {
+            throw new Error(`The project was saved in format version ${version}, newer than this application supports (${ProjectFile.version}); please update the application`);
+        }
+
+        let project = data;
+        for (let v = version; v < ProjectFile.version; v++) {
+            const migrate = ProjectFile.migrations[v];
+            if (!migrate) {
+                throw new Error(`Projects of format version ${v} are no longer supported`);
+            }
+            project = { ...migrate(project), version: v + 1 };
+        }
+
+        ProjectFile.validate(project);
+        return project;
+    }
+
+    /**
+     * Throw an error naming the first invalid field of a current-version
+     * project. Selects of the form (end conditions, deflection limits,
+     * diagrams) are checked when the project is applied.
+     */
+    static validate(project) {
+        const fail = (path, message) => {
+            throw new Error(`Invalid project: ${path} ${message}`);
+        };
+        const object = (value, path) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'must be an object');
+            return value;
+        };
+        const array = (value, path) => {
+            if (!Array.isArray(value)) fail(path, 'must be a list');
+            return value;
+        };
+        const number = (value, path, min = -Infinity) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+            if (value < min) fail(path, `must not be less than ${min}`);
+            return value;
+        };
+        const positive = (value, path) => {
+            if (number(value, path) <= 0) fail(path, 'must be greater than zero');
+        };
+        const integer = (value, path, min) => {
+            if (!Number.isInteger(number(value, path, min))) fail(path, 'must be a whole number');
+        };
+        const nullableNumber = (value, path) => value === null || number(value, path);
+        const string = (value, path) => {
+            if (typeof value !== 'string') fail(path, 'must be text');
+            return value;
+        };
+        // Names are shown in the tables and the report: one line of limited length
+        const text = (value, path) => {
+            if (string(value, path).length > ProjectFile.maxNameLength) fail(path, `must not be longer than ${ProjectFile.maxNameLength} characters`);
+            if (/[\u0000-\u001f\u007f]/.test(value)) fail(path, 'must not contain control characters');
+            return value;
+        };
+        const name = (value, path) => {
+            if (!text(value, path).trim()) fail(path, 'must not be empty');
+        };
+        const key = (value, path) => {
+            if (!ProjectFile.keyPattern.test(string(value, path))) fail(path, 'must be 1 to 64 letters, digits, hyphens or underscores');
+        };
+        const boolean = (value, path) => {
+            if (typeof value !== 'boolean') fail(path, 'must be true or false');
+        };
+        const oneOf = (value, path, options) => {
+            if (!options.includes(value)) fail(path, `must be one of ${options.join(', ')}`);
+        };
+        const numbers = (value, path) => Object.entries(object(value, path))
+            .forEach(([key, entry]) => number(entry, `${path}.${key}`));
+        const optional = (container, key, path, check) => {
+            if (container[key] !== undefined) check(container[key], `${path}.${key}`);
+        };
+
+        object(project, 'project');
+
+        // Beam and supports
+        const beam = object(project.beam, 'beam');
+        oneOf(beam.type, 'beam.type', ProjectFile.beamTypes);
+        positive(beam.length, 'beam.length');
+        oneOf(beam.theory, 'beam.theory', ['euler-bernoulli', 'timoshenko']);
+        optional(beam, 'largeDeflection', 'beam', boolean);
+        optional(beam, 'loadSteps', 'beam', (value, path) => integer(value, path, 1));
+        optional(beam, 'interiorSupports', 'beam', (value, path) => array(value, path)
+            .forEach((position, i) => number(position, `${path}[${i}]`)));
+        optional(beam, 'endConditions', 'beam', (value, path) => {
+            if (array(value, path).length !== 2) fail(path, 'must list the left and right end');
+            value.forEach((condition, i) => string(condition, `${path}[${i}]`));
+        });
+        optional(beam, 'subgradeModulus', 'beam', (value, path) => {
+            if (array(value, path).length !== 2) fail(path, 'must give the modulus at both ends');
+            value.forEach((modulus, i) => number(modulus, `${path}[${i}]`, 0));
+        });
+        optional(beam, 'supportConditions', 'beam', (value, path) => array(value, path).forEach((condition, i) => {
+            ['settlement', 'rotation', 'kv', 'kr'].forEach(key => nullableNumber(object(condition, `${path}[${i}]`)[key], `${path}[${i}].${key}`));
+        }));
+
+        // Section
+        const section = object(project.section, 'section');
+        oneOf(section.shape, 'section.shape', Object.keys(CrossSection.shapes));
+        object(section.dims, 'section.dims');
+        CrossSection.shapes[section.shape].dimensions.forEach(({ key }) => positive(section.dims[key], `section.dims.${key}`));
+        optional(section, 'designation', 'section', string);
+
+        // Materials: saved records must still be valid materials
+        const completeRecord = (record, path) => {
+            try {
+                MaterialLibrary.complete(object(record, path));
+            } catch (error) {
+                fail(path, `is not a valid material: ${error.message}`);
+            }
+            name(record.name, `${path}.name`);
+        };
+        const material = object(project.material, 'material');
+        key(material.key, 'material.key');
+        optional(material, 'custom', 'material', (value, path) => Object.entries(object(value, path))
+            .forEach(([field, entry]) => field === 'name' ? text(entry, `${path}.name`) : nullableNumber(entry, `${path}.${field}`)));
+        if (material.record !== undefined && material.record !== null) completeRecord(material.record, 'material.record');
+        optional(project, 'materials', 'project', (value, path) => Object.entries(object(value, path))
+            .forEach(([materialKey, record]) => {
+                key(materialKey, `${path} key`);
+                completeRecord(record, `materials.${materialKey}`);
+            }));
+
+        // Segments
+        optional(project, 'segments', 'project', (value, path) => array(value, 'segments').forEach((segment, i) => {
+            const at = `segments[${i}]`;
+            object(segment, at);
+            number(segment.start, `${at}.start`);
+            number(segment.end, `${at}.end`);
+            if (string(segment.material, `${at}.material`) !== '') key(segment.material, `${at}.material`);
+            oneOf(segment.shape, `${at}.shape`, ['catalogue', ...Object.keys(CrossSection.shapes)]);
+            string(segment.designation, `${at}.designation`);
+            numbers(segment.dims, `${at}.dims`);
+            boolean(segment.tapered, `${at}.tapered`);
+            numbers(segment.endDims, `${at}.endDims`);
+        }));
+
+        // Loads, load cases and combinations
+        const loads = object(project.loads, 'loads');
+        const cases = array(loads.cases, 'loads.cases');
+        if (cases.length === 0) fail('loads.cases', 'must hold at least one load case');
+        cases.forEach((loadCase, i) => {
+            object(loadCase, `loads.cases[${i}]`);
+            key(loadCase.id, `loads.cases[${i}].id`);
+            name(loadCase.name, `loads.cases[${i}].name`);
+            oneOf(loadCase.category, `loads.cases[${i}].category`, Object.keys(LoadCombinations.categories));
+            if (cases.findIndex(other => other.id === loadCase.id) !== i) fail(`loads.cases[${i}].id`, `"${loadCase.id}" is used twice`);
+        });
+        const caseIds = cases.map(({ id }) => id);
+
+        array(loads.list, 'loads.list').forEach((load, i) => {
+            const at = `loads.list[${i}]`;
+            object(load, at);
+            oneOf(load.type, `${at}.type`, Object.keys(ProjectFile.loadFields));
+            ProjectFile.loadFields[load.type].forEach(key => number(load[key], `${at}.${key}`));
+            if (load.type === 'profile') {
+                array(load.points, `${at}.points`).forEach((point, k, points) => {
+                    if (!Array.isArray(point) || point.length !== 2) fail(`${at}.points[${k}]`, 'must be an [x, q] pair');
+                    point.forEach((value, j) => number(value, `${at}.points[${k}][${j}]`));
+                    if (k > 0 && point[0] < points[k - 1][0]) fail(`${at}.points[${k}]`, `must not lie before the previous point (x = ${points[k - 1][0]}): the points must be sorted by x`);
+                });
+            }
+            optional(load, 'angle', at, number);
+            optional(load, 'eccentricity', at, number);
+            optional(load, 'loadCase', at, (value, path) => oneOf(value, path, caseIds));
+        });
+        boolean(loads.selfWeight, 'loads.selfWeight');
+        number(loads.axialLoad, 'loads.axialLoad');
+        array(loads.combinations, 'loads.combinations').forEach((combination, i) => {
+            const at = `loads.combinations[${i}]`;
+            object(combination, at);
+            name(combination.name, `${at}.name`);
+            numbers(combination.factors, `${at}.factors`);
+            Object.keys(combination.factors).forEach(id => {
+                key(id, `${at}.factors key`);
+                if (!caseIds.includes(id)) fail(`${at}.factors.${id}`, 'is not a load case of loads.cases');
+            });
+        });
+        optional(loads, 'combinationStandard', 'loads', (value, path) => oneOf(value, path, Object.keys(LoadCombinations.standards)));
+
+        // Analysis settings and view
+        optional(project, 'movingLoad', 'project', (value) => {
+            number(object(value, 'movingLoad').axleLoad, 'movingLoad.axleLoad');
+            integer(value.axleCount, 'movingLoad.axleCount', 1);
+            number(value.axleSpacing, 'movingLoad.axleSpacing', 0);
+        });
+        optional(project, 'dynamic', 'project', (value) => {
+            string(object(value, 'dynamic').type, 'dynamic.type');
+            ['position', 'magnitude', 'pulseDuration', 'frequency', 'dampingRatio', 'duration']
+                .forEach(key => number(value[key], `dynamic.${key}`));
+            string(value.table, 'dynamic.table');
+        });
+        optional(project, 'design', 'project', (value) => {
+            positive(object(value, 'design').safetyFactor, 'design.safetyFactor');
+            positive(value.deflectionLimit, 'design.deflectionLimit');
+            integer(value.modeCount, 'design.modeCount', 1);
+            number(value.frequencyLimit, 'design.frequencyLimit', 0);
+        });
+        optional(project, 'report', 'project', (value) => {
+            string(object(value, 'report').title, 'report.title');
+            string(value.engineer, 'report.engineer');
+        });
+        optional(project, 'view', 'project', (value) => {
+            string(object(value, 'view').diagram, 'view.diagram');
+            string(value.contour, 'view.contour');
+            boolean(value.wireframe, 'view.wireframe');
+            boolean(value.stress, 'view.stress');
+            integer(value.station, 'view.station', 0);
+            Object.entries(object(value.quantities, 'view.quantities'))
+                .forEach(([key, quantity]) => string(quantity, `view.quantities.${key}`));
+        });
+    }
+
+    /**
+     * Save the project in storage (autosave); storage may be unavailable
+     */
+    static store(storage, project) {
+        try {
+            storage.setItem(ProjectFile.storageKey, JSON.stringify(project));
+        } catch (error) {
+            // Private mode or file:// URLs; the project is only lost on reload
+        }
+    }
+
+    /**
+     * The autosaved project, or null when there is none. Throws for an
+     * autosave that no longer reads.
+     */
+    static restore(storage) {
+        let text = null;
+        try {
+            text = storage.getItem(ProjectFile.storageKey);
+        } catch (error) {
+            return null;
+        }
+        return text ? ProjectFile.parse(text) : null;
+    }
+
+    /**
+     * URL hash of a project: the deflated JSON in base64url
+     */
+    static async encodeHash(project) {
+        const stream = new Blob([JSON.stringify(project)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return ProjectFile.hashPrefix + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Project of a URL hash from encodeHash(), or null for another hash
+     */
+    static async decodeHash(hash) {
+        if (!hash.startsWith(ProjectFile.hashPrefix)) return null;
+
+        let text;
+        try {
+            const base64 = hash.slice(ProjectFile.hashPrefix.length).replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            text = await new Response(stream).text();
+        } catch (error) {
+            throw new Error('The project link is damaged or incomplete');
+        }
+        return ProjectFile.parse(text);
+    }
+}
+
+// Export for use in other modules
+window.ProjectFile = ProjectFile;
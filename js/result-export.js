@@ -0,0 +1,255 @@
+/**
+ * Result Export
+ *
+ * Station tables of the results (x, w, θ, M, V) in a unit system, as CSV
+ * or JSON text, and the deflection, moment and shear diagrams as SVG
+ * drawings or DXF polylines (AutoCAD R12 ASCII, readable by most CAD
+ * programs). Results come in SI units with w positive down and M
+ * positive sagging; the diagrams plot positive values upwards, as the
+ * diagrams of the app do.
+ */
+
+class ResultExport {
+    /**
+     * Unit systems: [unit, factor from SI] per quantity
+     */
+    static get unitSystems() {
+        const kip = 4448.2216152605;
+        const ft = 0.3048;
+
+        return {
+            'si': {
+                label: 'SI (m, rad, N, N·m)',
+                x: ['m', 1], deflection: ['m', 1], slope: ['rad', 1], moment: ['N·m', 1], shear: ['N', 1]
+            },
+            'engineering': {
+                label: 'Engineering (m, mm, mrad, kN, kN·m)',
+                x: ['m', 1], deflection: ['mm', 1e3], slope: ['mrad', 1e3], moment: ['kN·m', 1e-3], shear: ['kN', 1e-3]
+            },
+            'us': {
+                label: 'US customary (ft, in, rad, kip, kip·ft)',
+                x: ['ft', 1 / ft], deflection: ['in', 1 / 0.0254], slope: ['rad', 1], moment: ['kip·ft', 1 / (kip * ft)], shear: ['kip', 1 / kip]
+            }
+        };
+    }
+
+    static get quantities() {
+        return [
+            { key: 'x', symbol: 'x', label: 'Position' },
+            { key: 'deflection', symbol: 'w', label: 'Deflection' },
+            { key: 'slope', symbol: 'θ', label: 'Slope' },
+            { key: 'moment', symbol: 'M', label: 'Bending Moment' },
+            { key: 'shear', symbol: 'V', label: 'Shear Force' }
+        ];
+    }
+
+    /**
+     * An SI value of a quantity (x for lengths along the beam) in the
+     * unit of the system
+     */
+    static convert(value, key, system = 'engineering') {
+        const units = ResultExport.unitSystems[system];
+        if (!units) throw new Error(`Unknown unit system: ${system}`);
+        return value * units[key][1];
+    }
+
+    /**
+     * Station table { system, columns, rows }: the columns { key, symbol,
+     * label, unit } of the quantities and a row of converted values per
+     * station
+     */
+    static createTable(results, system = 'engineering') {
+        const units = ResultExport.unitSystems[system];
+        if (!units) throw new Error(`Unknown unit system: ${system}`);
+
+        const columns = ResultExport.quantities.map(quantity => ({ ...quantity, unit: units[quantity.key][0] }));
+        const rows = results.x.map((_, i) => ResultExport.quantities.map(({ key }) => results[key][i] * units[key][1]));
+        return { system, columns, rows };
+    }
+
+    /**
+     * Number of export intervals from the text of an input: 100 when it
+     * is not a number, otherwise limited to 10 ... 2000
+     */
+    static getIntervals(value) {
+        return Math.min(Math.max(parseInt(value) || 100, 10), 2000);
+    }
+
+    /**
+     * Results at numPoints intervals: the given results when they have
+     * that resolution, otherwise the analysis of params rerun with it
+     * (large-deflection analyses with the co-rotational solver)
+     */
+    static resample(calculator, params, results, numPoints) {
+        if (numPoints === results.x.length - 1) return results;
+
+        const resampled = { ...params, numPoints };
+        return resampled.largeDeflection
+            ? calculator.analyzeLargeDeflection(resampled, resampled.loadSteps)
+            : calculator.analyze(resampled);
+    }
+
+    /**
+     * Values rounded to ten significant digits, without trailing zeros
+     */
+    static round(value) {
+        return +value.toPrecision(10);
+    }
+
+    static toCSV({ columns, rows }) {
+        const quote = (text) => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        const header = columns.map(({ symbol, unit }) => quote(`${symbol} [${unit}]`)).join(',');
+        return [header, ...rows.map(row => row.map(ResultExport.round).join(','))].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * JSON document with the units per quantity and a record per station;
+     * meta fields (beam type, length, ...) are copied to the top level, so
+     * lengths among them must be in the x unit of the table
+     */
+    static toJSON({ system, columns, rows }, meta = {}) {
+        return JSON.stringify({
+            ...meta,
+            unitSystem: system,
+            units: Object.fromEntries(columns.map(({ key, unit }) => [key, unit])),
+            stations: rows.map(row => Object.fromEntries(columns.map(({ key }, j) => [key, ResultExport.round(row[j])])))
+        }, null, 2);
+    }
+
+    /**
+     * Diagram of a table column: { key, title, symbol, unit, xUnit, points }
+     */
+    static createDiagram({ columns, rows }, key) {
+        const j = columns.findIndex(column => column.key === key);
+        const { symbol, label, unit } = columns[j];
+
+        return {
+            key,
+            title: `${label} ${symbol}`,
+            symbol,
+            unit,
+            xUnit: columns[0].unit,
+            points: rows.map(row => [row[0], row[j]])
+        };
+    }
+
+    /**
+     * Peak and lowest points of a diagram
+     */
+    static getExtremes(points) {
+        return points.reduce(({ max, min }, point) => ({
+            max: point[1] > max[1] ? point : max,
+            min: point[1] < min[1] ? point : min
+        }), { max: points[0], min: points[0] });
+    }
+
+    /**
+     * Extremes worth a label: round-off next to a larger peak of the
+     * other sign is left out
+     */
+    static getLabelledExtremes(points) {
+        const { max, min } = ResultExport.getExtremes(points);
+        const tolerance = 1e-6 * Math.max(Math.abs(max[1]), Math.abs(min[1]));
+        return { max: max[1] > tolerance ? max : null, min: min[1] < -tolerance ? min : null };
+    }
+
+    /**
+     * SVG drawing with the diagrams stacked in panels of the given size
+     */
+    static toSVG(diagrams, { width = 800, height = 220 } = {}) {
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const colors = { deflection: '#6366f1', slope: '#0ea5e9', moment: '#8b5cf6', shear: '#a855f7' };
+        const padding = { top: 30, right: 30, bottom: 30, left: 60 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const format = (value) => String(+value.toPrecision(4));
+
+        const panels = diagrams.map((diagram, k) => {
+            const { points, title, unit, xUnit } = diagram;
+            const L = points[points.length - 1][0];
+            const { max, min } = ResultExport.getExtremes(points);
+            const top = Math.max(max[1], 0);
+            const range = top - Math.min(min[1], 0) || 1;
+
+            const toX = (x) => padding.left + (x / L) * plotWidth;
+            const toY = (value) => k * height + padding.top + ((top - value) / range) * plotHeight;
+            const path = points.map(([x, v]) => `${toX(x).toFixed(2)},${toY(v).toFixed(2)}`).join(' ');
+            const zero = toY(0).toFixed(2);
+            const color = colors[diagram.key] || '#111827';
+            const labels = ResultExport.getLabelledExtremes(points);
+            const label = ([x, v], below) => `<text x="${toX(x).toFixed(2)}" y="${(toY(v) + (below ? 14 : -6)).toFixed(2)}" text-anchor="middle">${escape(`${format(v)} ${unit}`)}</text>`;
+
+            return `
+  <g class="diagram" id="${diagram.key}">
+    <text x="${padding.left}" y="${k * height + 18}" font-weight="600">${escape(`${title} [${unit}]`)}</text>
+    <polygon points="${toX(0).toFixed(2)},${zero} ${path} ${toX(L).toFixed(2)},${zero}" fill="${color}" fill-opacity="0.15" stroke="none"/>
+    <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+    <line x1="${toX(0).toFixed(2)}" y1="${zero}" x2="${toX(L).toFixed(2)}" y2="${zero}" stroke="#6b7280" stroke-width="1"/>
+    <text x="${toX(0).toFixed(2)}" y="${(k + 1) * height - 8}" text-anchor="start">0</text>
+    <text x="${toX(L).toFixed(2)}" y="${(k + 1) * height - 8}" text-anchor="end">${escape(`${format(L)} ${xUnit}`)}</text>
+    ${labels.max ? label(labels.max, false) : ''}
+    ${labels.min ? label(labels.min, true) : ''}
+  </g>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height * diagrams.length}" viewBox="0 0 ${width} ${height * diagrams.length}" font-family="Arial, sans-serif" font-size="11" fill="#111827">
+  <rect width="100%" height="100%" fill="#ffffff"/>${panels.join('')}
+</svg>
+`;
+    }
+
+    /**
+     * DXF drawing (R12) with the diagrams stacked on their own layers. The
+     * beam axis is drawn to scale in the length unit; each diagram is
+     * scaled to a height of L/4 with the scale noted in its title.
+     */
+    static toDXF(diagrams) {
+        const codes = [];
+        const add = (...pairs) => {
+            for (let i = 0; i < pairs.length; i += 2) codes.push(pairs[i], pairs[i + 1]);
+        };
+        const number = (value) => String(ResultExport.round(value));
+        // R12 text is plain ASCII
+        const ascii = (text) => text.replace(/·/g, '*').replace(/θ/g, 'theta').replace(/[^\x20-\x7e]/g, '?');
+        const colors = { deflection: 5, slope: 4, moment: 6, shear: 1 };
+
+        add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 0, 'ENDSEC');
+        add(0, 'SECTION', 2, 'ENTITIES');
+
+        diagrams.forEach((diagram, k) => {
+            const { points, key, title, unit, xUnit } = diagram;
+            const layer = key.toUpperCase();
+            const color = colors[key] || 7;
+            const L = points[points.length - 1][0];
+            const { max, min } = ResultExport.getExtremes(points);
+            const peak = Math.max(Math.abs(max[1]), Math.abs(min[1])) || 1;
+            const scale = L / 4 / peak;
+            const offset = -k * L * 0.75;
+            const textHeight = L / 60;
+
+            const line = (x1, y1, x2, y2) => add(0, 'LINE', 8, layer, 62, color, 10, number(x1), 20, number(y1), 30, 0, 11, number(x2), 21, number(y2), 31, 0);
+            const text = (x, y, content) => add(0, 'TEXT', 8, layer, 62, color, 10, number(x), 20, number(y), 30, 0, 40, number(textHeight), 1, ascii(content));
+
+            // Beam axis, closing ordinates and the curve as one polyline
+            line(0, offset, L, offset);
+            line(0, offset, 0, offset + points[0][1] * scale);
+            line(L, offset, L, offset + points[points.length - 1][1] * scale);
+            add(0, 'POLYLINE', 8, layer, 62, color, 66, 1, 10, 0, 20, 0, 30, 0);
+            points.forEach(([x, v]) => add(0, 'VERTEX', 8, layer, 10, number(x), 20, number(offset + v * scale), 30, 0));
+            add(0, 'SEQEND', 8, layer);
+
+            text(0, offset + L / 4 + 2 * textHeight, `${title} [${unit}], x [${xUnit}], 1 drawing unit = ${number(1 / scale)} ${unit}`);
+            const labels = ResultExport.getLabelledExtremes(points);
+            [labels.max, labels.min].filter(Boolean).forEach(([x, v]) => {
+                text(x, offset + v * scale + (v > 0 ? textHeight : -2 * textHeight), `${number(+v.toPrecision(4))} ${unit}`);
+            });
+        });
+
+        add(0, 'ENDSEC', 0, 'EOF');
+        return codes.join('\r\n') + '\r\n';
+    }
+}
+
+// Export for use in other modules
+window.ResultExport = ResultExport;
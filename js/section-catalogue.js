@@ -0,0 +1,274 @@
+/**
+ * Standard Section Catalogue
+ *
+ * Tabulated properties of common hot-rolled and hollow steel sections
+ * (European IPE, HEA, HEB and UPN; American W, C and HSS). The data is
+ * shipped with the application so no network access is needed.
+ *
+ * Each row holds the nominal dimensions used to draw the outline and the
+ * tabulated properties, which already include root radii and corner
+ * rounding and therefore take precedence over the computed ones.
+ */
+
+class SectionCatalogue {
+    constructor() {
+        this.entries = [];
+
+        Object.entries(SectionCatalogue.series).forEach(([key, series]) => {
+            const units = SectionCatalogue.units[series.units];
+            series.rows.forEach(row => {
+                this.entries.push(this.createEntry(key, series, units, row));
+            });
+        });
+    }
+
+    /**
+     * Unit factors to SI: length (m), area (m²), second moment (m⁴),
+     * section modulus (m³) and mass per length (kg/m)
+     */
+    static get units() {
+        return {
+            'metric': { length: 1e-3, area: 1e-4, inertia: 1e-8, modulus: 1e-6, mass: 1 },
+            'imperial': { length: 0.0254, area: 6.4516e-4, inertia: 4.162314e-7, modulus: 1.6387064e-5, mass: 1.488164 }
+        };
+    }
+
+    /**
+     * Section series. Metric rows are in mm, cm², cm⁴, cm³ and kg/m;
+     * imperial rows in in, in², in⁴, in³ and lb/ft.
+     *
+     * Row: [designation, h, b, tw, tf, A, I, Wel, Wpl, Iz, mass]
+     * with I, Wel and Wpl about the strong axis and Iz about the weak axis.
+     * Hollow sections use tw = tf = t (design wall thickness).
+     */
+    static get series() {
+        return {
+            'IPE': {
+                label: 'IPE',
+                shape: 'i-section',
+                units: 'metric',
+                rows: [
+                    ['IPE 80', 80, 46, 3.8, 5.2, 7.64, 80.1, 20.0, 23.2, 8.49, 6.0],
+                    ['IPE 100', 100, 55, 4.1, 5.7, 10.3, 171, 34.2, 39.4, 15.9, 8.1],
+                    ['IPE 120', 120, 64, 4.4, 6.3, 13.2, 318, 53.0, 60.7, 27.7, 10.4],
+                    ['IPE 140', 140, 73, 4.7, 6.9, 16.4, 541, 77.3, 88.3, 44.9, 12.9],
+                    ['IPE 160', 160, 82, 5.0, 7.4, 20.1, 869, 109, 124, 68.3, 15.8],
+                    ['IPE 180', 180, 91, 5.3, 8.0, 23.9, 1317, 146, 166, 101, 18.8],
+                    ['IPE 200', 200, 100, 5.6, 8.5, 28.5, 1943, 194, 221, 142, 22.4],
+                    ['IPE 220', 220, 110, 5.9, 9.2, 33.4, 2772, 252, 285, 205, 26.2],
+                    ['IPE 240', 240, 120, 6.2, 9.8, 39.1, 3892, 324, 367, 284, 30.7],
+                    ['IPE 270', 270, 135, 6.6, 10.2, 45.9, 5790, 429, 484, 420, 36.1],
+                    ['IPE 300', 300, 150, 7.1, 10.7, 53.8, 8356, 557, 628, 604, 42.2],
+                    ['IPE 330', 330, 160, 7.5, 11.5, 62.6, 11770, 713, 804, 788, 49.1],
+                    ['IPE 360', 360, 170, 8.0, 12.7, 72.7, 16270, 904, 1019, 1043, 57.1],
+                    ['IPE 400', 400, 180, 8.6, 13.5, 84.5, 23130, 1156, 1307, 1318, 66.3],
+                    ['IPE 450', 450, 190, 9.4, 14.6, 98.8, 33740, 1500, 1702, 1676, 77.6],
+                    ['IPE 500', 500, 200, 10.2, 16.0, 116, 48200, 1928, 2194, 2142, 90.7],
+                    ['IPE 550', 550, 210, 11.1, 17.2, 134, 67120, 2441, 2787, 2668, 106],
+                    ['IPE 600', 600, 220, 12.0, 19.0, 156, 92080, 3069, 3512, 3387, 122]
+                ]
+            },
+            'HEA': {
+                label: 'HEA',
+                shape: 'i-section',
+                units: 'metric',
+                rows: [
+                    ['HEA 100', 96, 100, 5.0, 8.0, 21.2, 349, 72.8, 83.0, 134, 16.7],
+                    ['HEA 120', 114, 120, 5.0, 8.0, 25.3, 606, 106, 119, 231, 19.9],
+                    ['HEA 140', 133, 140, 5.5, 8.5, 31.4, 1033, 155, 173, 389, 24.7],
+                    ['HEA 160', 152, 160, 6.0, 9.0, 38.8, 1673, 220, 245, 616, 30.4],
+                    ['HEA 180', 171, 180, 6.0, 9.5, 45.3, 2510, 294, 325, 925, 35.5],
+                    ['HEA 200', 190, 200, 6.5, 10.0, 53.8, 3692, 389, 430, 1336, 42.3],
+                    ['HEA 220', 210, 220, 7.0, 11.0, 64.3, 5410, 515, 568, 1955, 50.5],
+                    ['HEA 240', 230, 240, 7.5, 12.0, 76.8, 7763, 675, 745, 2769, 60.3],
+                    ['HEA 260', 250, 260, 7.5, 12.5, 86.8, 10450, 836, 920, 3668, 68.2],
+                    ['HEA 280', 270, 280, 8.0, 13.0, 97.3, 13670, 1013, 1112, 4763, 76.4],
+                    ['HEA 300', 290, 300, 8.5, 14.0, 112.5, 18260, 1260, 1383, 6310, 88.3],
+                    ['HEA 320', 310, 300, 9.0, 15.5, 124.4, 22930, 1479, 1628, 6985, 97.6],
+                    ['HEA 340', 330, 300, 9.5, 16.5, 133.5, 27690, 1678, 1850, 7436, 104.8],
+                    ['HEA 360', 350, 300, 10.0, 17.5, 142.8, 33090, 1891, 2088, 7887, 112.1],
+                    ['HEA 400', 390, 300, 11.0, 19.0, 159.0, 45070, 2311, 2562, 8564, 124.8],
+                    ['HEA 450', 440, 300, 11.5, 21.0, 178.0, 63720, 2896, 3216, 9465, 139.8],
+                    ['HEA 500', 490, 300, 12.0, 23.0, 197.5, 86970, 3550, 3949, 10370, 155.1]
+                ]
+            },
+            'HEB': {
+                label: 'HEB',
+                shape: 'i-section',
+                units: 'metric',
+                rows: [
+                    ['HEB 100', 100, 100, 6.0, 10.0, 26.0, 450, 89.9, 104, 167, 20.4],
+                    ['HEB 120', 120, 120, 6.5, 11.0, 34.0, 864, 144, 165, 318, 26.7],
+                    ['HEB 140', 140, 140, 7.0, 12.0, 43.0, 1509, 216, 246, 550, 33.7],
+                    ['HEB 160', 160, 160, 8.0, 13.0, 54.3, 2492, 311, 354, 889, 42.6],
+                    ['HEB 180', 180, 180, 8.5, 14.0, 65.3, 3831, 426, 482, 1363, 51.2],
+                    ['HEB 200', 200, 200, 9.0, 15.0, 78.1, 5696, 570, 643, 2003, 61.3],
+                    ['HEB 220', 220, 220, 9.5, 16.0, 91.0, 8091, 736, 827, 2843, 71.5],
+                    ['HEB 240', 240, 240, 10.0, 17.0, 106.0, 11260, 938, 1053, 3923, 83.2],
+                    ['HEB 260', 260, 260, 10.0, 17.5, 118.4, 14920, 1148, 1283, 5135, 93.0],
+                    ['HEB 280', 280, 280, 10.5, 18.0, 131.4, 19270, 1376, 1534, 6595, 103.1],
+                    ['HEB 300', 300, 300, 11.0, 19.0, 149.1, 25170, 1678, 1869, 8563, 117.0],
+                    ['HEB 320', 320, 300, 11.5, 20.5, 161.3, 30820, 1926, 2149, 9239, 126.7],
+                    ['HEB 340', 340, 300, 12.0, 21.5, 170.9, 36660, 2156, 2408, 9690, 134.2],
+                    ['HEB 360', 360, 300, 12.5, 22.5, 180.6, 43190, 2400, 2683, 10140, 141.8],
+                    ['HEB 400', 400, 300, 13.5, 24.0, 197.8, 57680, 2884, 3232, 10820, 155.3],
+                    ['HEB 450', 450, 300, 14.0, 26.0, 218.0, 79890, 3551, 3982, 11720, 171.1],
+                    ['HEB 500', 500, 300, 14.5, 28.0, 238.6, 107200, 4287, 4815, 12620, 187.3]
+                ]
+            },
+            'UPN': {
+                label: 'UPN',
+                shape: 'channel',
+                units: 'metric',
+                rows: [
+                    ['UPN 80', 80, 45, 6.0, 8.0, 11.0, 106, 26.5, 31.8, 19.4, 8.64],
+                    ['UPN 100', 100, 50, 6.0, 8.5, 13.5, 206, 41.2, 49.0, 29.3, 10.6],
+                    ['UPN 120', 120, 55, 7.0, 9.0, 17.0, 364, 60.7, 72.6, 43.2, 13.4],
+                    ['UPN 140', 140, 60, 7.0, 10.0, 20.4, 605, 86.4, 103, 62.7, 16.0],
+                    ['UPN 160', 160, 65, 7.5, 10.5, 24.0, 925, 116, 138, 85.3, 18.8],
+                    ['UPN 180', 180, 70, 8.0, 11.0, 28.0, 1350, 150, 179, 114, 22.0],
+                    ['UPN 200', 200, 75, 8.5, 11.5, 32.2, 1910, 191, 228, 148, 25.3],
+                    ['UPN 220', 220, 80, 9.0, 12.5, 37.4, 2690, 245, 292, 197, 29.4],
+                    ['UPN 240', 240, 85, 9.5, 13.0, 42.3, 3600, 300, 358, 248, 33.2],
+                    ['UPN 260', 260, 90, 10.0, 14.0, 48.3, 4820, 371, 442, 317, 37.9],
+                    ['UPN 280', 280, 95, 10.0, 15.0, 53.3, 6280, 448, 532, 399, 41.8],
+                    ['UPN 300', 300, 100, 10.0, 16.0, 58.8, 8030, 535, 632, 495, 46.2]
+                ]
+            },
+            'W': {
+                label: 'W (AISC)',
+                shape: 'i-section',
+                units: 'imperial',
+                rows: [
+                    ['W8x31', 8.00, 8.00, 0.285, 0.435, 9.13, 110, 27.5, 30.4, 37.1, 31],
+                    ['W10x33', 9.73, 7.96, 0.290, 0.435, 9.71, 171, 35.0, 38.8, 36.6, 33],
+                    ['W12x26', 12.2, 6.49, 0.230, 0.380, 7.65, 204, 33.4, 37.2, 17.3, 26],
+                    ['W12x50', 12.2, 8.08, 0.370, 0.640, 14.6, 391, 64.2, 71.9, 56.3, 50],
+                    ['W14x22', 13.7, 5.00, 0.230, 0.335, 6.49, 199, 29.0, 33.2, 7.00, 22],
+                    ['W14x30', 13.8, 6.73, 0.270, 0.385, 8.85, 291, 42.0, 47.3, 19.6, 30],
+                    ['W16x26', 15.7, 5.50, 0.250, 0.345, 7.68, 301, 38.4, 44.2, 9.59, 26],
+                    ['W16x40', 16.0, 7.00, 0.305, 0.505, 11.8, 518, 64.7, 73.0, 28.9, 40],
+                    ['W18x35', 17.7, 6.00, 0.300, 0.425, 10.3, 510, 57.6, 66.5, 15.3, 35],
+                    ['W18x50', 18.0, 7.50, 0.355, 0.570, 14.7, 800, 88.9, 101, 40.1, 50],
+                    ['W21x44', 20.7, 6.50, 0.350, 0.450, 13.0, 843, 81.6, 95.4, 20.7, 44],
+                    ['W21x62', 21.0, 8.24, 0.400, 0.615, 18.3, 1330, 127, 144, 57.5, 62],
+                    ['W24x55', 23.6, 7.01, 0.395, 0.505, 16.2, 1350, 114, 134, 29.1, 55],
+                    ['W24x76', 23.9, 8.99, 0.440, 0.680, 22.4, 2100, 176, 200, 82.5, 76],
+                    ['W27x84', 26.7, 10.0, 0.460, 0.640, 24.7, 2850, 213, 244, 106, 84],
+                    ['W30x99', 29.7, 10.5, 0.520, 0.670, 29.1, 3990, 269, 312, 128, 99]
+                ]
+            },
+            'C': {
+                label: 'C (AISC)',
+                shape: 'channel',
+                units: 'imperial',
+                rows: [
+                    ['C6x10.5', 6.00, 2.03, 0.314, 0.343, 3.08, 15.2, 5.06, 6.19, 0.860, 10.5],
+                    ['C8x11.5', 8.00, 2.26, 0.220, 0.390, 3.37, 32.5, 8.14, 9.55, 1.31, 11.5],
+                    ['C10x15.3', 10.0, 2.60, 0.240, 0.436, 4.48, 67.3, 13.5, 15.8, 2.27, 15.3],
+                    ['C12x20.7', 12.0, 2.94, 0.282, 0.501, 6.08, 129, 21.5, 25.6, 3.86, 20.7],
+                    ['C15x33.9', 15.0, 3.40, 0.400, 0.650, 9.96, 315, 42.0, 50.4, 8.07, 33.9]
+                ]
+            },
+            'HSS': {
+                label: 'HSS Rectangular (AISC)',
+                shape: 'rhs',
+                units: 'imperial',
+                rows: [
+                    ['HSS4x4x1/4', 4.00, 4.00, 0.233, 0.233, 3.37, 7.80, 3.90, 4.69, 7.80, 12.21],
+                    ['HSS6x4x1/4', 6.00, 4.00, 0.233, 0.233, 4.30, 20.9, 6.96, 8.53, 11.1, 15.62],
+                    ['HSS6x6x1/4', 6.00, 6.00, 0.233, 0.233, 5.24, 28.6, 9.54, 11.2, 28.6, 19.02],
+                    ['HSS8x4x1/4', 8.00, 4.00, 0.233, 0.233, 5.24, 42.5, 10.6, 13.6, 14.4, 19.02],
+                    ['HSS8x8x3/8', 8.00, 8.00, 0.349, 0.349, 10.4, 100, 25.0, 29.4, 100, 37.69],
+                    ['HSS10x6x3/8', 10.0, 6.00, 0.349, 0.349, 10.4, 137, 27.4, 33.8, 61.8, 37.69]
+                ]
+            },
+            'HSS-round': {
+                label: 'HSS Round (AISC)',
+                shape: 'chs',
+                units: 'imperial',
+                rows: [
+                    ['HSS4.500x0.237', 4.500, 4.500, 0.220, 0.220, 2.93, 6.82, 3.03, 4.05, 6.82, 10.79],
+                    ['HSS6.625x0.280', 6.625, 6.625, 0.260, 0.260, 5.20, 26.0, 7.85, 10.6, 26.0, 18.97],
+                    ['HSS8.625x0.322', 8.625, 8.625, 0.300, 0.300, 7.85, 68.1, 15.8, 20.8, 68.1, 28.58]
+                ]
+            }
+        };
+    }
+
+    /**
+     * Convert a table row into an entry with SI dimensions and properties
+     */
+    createEntry(seriesKey, series, units, row) {
+        const [designation, h, b, tw, tf, A, I, Wel, Wpl, Iz, mass] = row;
+        const length = (value) => value * units.length;
+
+        let dims;
+        switch (series.shape) {
+            case 'rhs':
+                dims = { b: length(b), h: length(h), t: length(tw) };
+                break;
+            case 'chs':
+                dims = { d: length(h), t: length(tw) };
+                break;
+            default:
+                dims = { b: length(b), h: length(h), tf: length(tf), tw: length(tw) };
+        }
+
+        return {
+            designation,
+            series: seriesKey,
+            shape: series.shape,
+            dims,
+            properties: {
+                A: A * units.area,
+                I: I * units.inertia,
+                Iz: Iz * units.inertia,
+                Wel: Wel * units.modulus,
+                Wpl: Wpl * units.modulus,
+                mass: mass * units.mass
+            }
+        };
+    }
+
+    /**
+     * Designations are matched without spaces and case
+     */
+    normalize(text) {
+        return text.replace(/\s+/g, '').toLowerCase();
+    }
+
+    /**
+     * Entries whose designation contains the query
+     */
+    search(query) {
+        const needle = this.normalize(query);
+        return this.entries.filter(entry => this.normalize(entry.designation).includes(needle));
+    }
+
+    /**
+     * Entry with the given designation, or null
+     */
+    find(designation) {
+        const key = this.normalize(designation);
+        return this.entries.find(entry => this.normalize(entry.designation) === key) || null;
+    }
+
+    /**
+     * Cross-section of a catalogue entry with the tabulated properties
+     */
+    createSection(designation) {
+        const entry = this.find(designation);
+        if (!entry) {
+            throw new Error(`Unknown standard section: ${designation}`);
+        }
+
+        return new CrossSection(entry.shape, entry.dims, {
+            designation: entry.designation,
+            ...entry.properties
+        });
+    }
+}
+
+// Export for use in other modules
+window.SectionCatalogue = SectionCatalogue;
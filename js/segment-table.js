@@ -0,0 +1,207 @@
+/**
+ * Segment Table
+ *
+ * Editable list of beam segments for non-prismatic beams. Each row holds
+ * the start and end position, the material (empty for the beam
+ * material) and the section: a shape with its dimensions or a standard
+ * section. A tapered segment adds the dimensions at its end and varies
+ * linearly between the two. The beam section applies outside the segments.
+ */
+
+class SegmentTable {
+    /**
+     * @param {string} containerId - Element that holds the rows
+     * @param {Function} onChange - Called after every edit
+     * @param {Function} getMaterials - Library materials [{ key, label }] for the material select
+     */
+    constructor(containerId, onChange, getMaterials) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.getMaterials = getMaterials;
+        this.segments = [];
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        // Field edits update the segment list without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row) return;
+
+            const segment = this.segments[parseInt(row.dataset.index, 10)];
+            const { field, dim, end } = e.target.dataset;
+            if (field === 'designation') {
+                segment.designation = e.target.value.trim();
+                this.onChange();
+                return;
+            }
+
+            // Selects and the taper checkbox are handled on change
+            const value = parseFloat(e.target.value);
+            if (e.target.type !== 'number' || isNaN(value)) return;
+
+            if (dim) {
+                segment[end ? 'endDims' : 'dims'][dim] = value;
+            } else {
+                segment[field] = value;
+            }
+            this.onChange();
+        });
+
+        // Shape, material and taper changes re-render the row since the inputs differ
+        this.container.addEventListener('change', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row) return;
+
+            const segment = this.segments[parseInt(row.dataset.index, 10)];
+            switch (e.target.dataset.field) {
+                case 'shape':
+                    Object.assign(segment, SegmentTable.createSection(e.target.value), { tapered: false });
+                    break;
+                case 'material':
+                    segment.material = e.target.value;
+                    break;
+                case 'tapered':
+                    segment.tapered = e.target.checked;
+                    segment.endDims = { ...segment.dims };
+                    break;
+                default:
+                    return;
+            }
+            this.render();
+            this.onChange();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+
+            this.removeSegment(parseInt(button.closest('.load-row').dataset.index, 10));
+        });
+    }
+
+    /**
+     * Shape with its default dimensions, or an empty standard section
+     */
+    static createSection(shape) {
+        if (shape === 'catalogue') {
+            return { shape, designation: '', dims: {}, endDims: {} };
+        }
+
+        const dims = {};
+        CrossSection.shapes[shape].dimensions.forEach(({ key, value }) => {
+            dims[key] = value;
+        });
+        return { shape, designation: '', dims, endDims: { ...dims } };
+    }
+
+    static copySegment(segment) {
+        return { ...segment, dims: { ...segment.dims }, endDims: { ...segment.endDims } };
+    }
+
+    /**
+     * Get a copy of the segment list:
+     * { start, end, material, shape, designation, dims, tapered, endDims }
+     */
+    getSegments() {
+        return this.segments.map(segment => SegmentTable.copySegment(segment));
+    }
+
+    /**
+     * Replace the segment list
+     */
+    setSegments(segments) {
+        this.segments = segments.map(segment => SegmentTable.copySegment(segment));
+        this.render();
+    }
+
+    /**
+     * Append a segment from start to end, starting with the given section
+     * ({ shape, dims } or a standard section { shape: 'catalogue', designation })
+     */
+    addSegment(start, end, { shape, dims = {}, designation = '' }) {
+        this.segments.push({ start, end, material: '', shape, designation, dims: { ...dims }, tapered: false, endDims: { ...dims } });
+        this.render();
+        this.onChange();
+    }
+
+    removeSegment(index) {
+        this.segments.splice(index, 1);
+        this.render();
+        this.onChange();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.segments.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'load-empty';
+            empty.textContent = 'No segments (prismatic beam)';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        this.segments.forEach((segment, index) => {
+            this.container.appendChild(this.createRow(segment, index));
+        });
+    }
+
+    createRow(segment, index) {
+        const row = document.createElement('div');
+        row.className = 'load-row';
+        row.dataset.index = index;
+
+        const option = (value, label, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+        const shapeOptions = [
+            ...Object.entries(CrossSection.shapes).map(([key, { label }]) => option(key, label, segment.shape)),
+            option('catalogue', 'Standard Section', segment.shape)
+        ].join('');
+
+        const input = (attributes, value, title, step) => `
+            <div class="input-with-unit">
+                <input type="number" ${attributes} value="${value}" min="0" step="${step}" title="${title}">
+                <span class="unit">m</span>
+            </div>`;
+        const dims = (end) => CrossSection.shapes[segment.shape].dimensions
+            .map(({ key, label }) => input(`data-dim="${key}"${end ? ' data-end="true"' : ''}`, segment[end ? 'endDims' : 'dims'][key], `${label}${end ? ' at the end' : ''}`, 0.001))
+            .join('');
+
+        const section = segment.shape === 'catalogue'
+            ? '<input type="search" class="text-input" data-field="designation" list="catalogueList" placeholder="e.g. IPE 300" autocomplete="off" title="Standard section">'
+            : `
+                <div class="input-row">${dims(false)}</div>
+                <label class="checkbox-option">
+                    <input type="checkbox" data-field="tapered"${segment.tapered ? ' checked' : ''}>
+                    <span>Tapered to the end section</span>
+                </label>
+                ${segment.tapered ? `<div class="input-row">${dims(true)}</div>` : ''}`;
+
+        row.innerHTML = `
+            <div class="load-row-header">
+                <span class="load-index">${index + 1}</span>
+                <select class="select-input" data-field="shape" title="Section">${shapeOptions}</select>
+                <button class="load-action-btn danger" data-action="remove" title="Remove Segment">✕</button>
+            </div>
+            <div class="input-row">
+                ${input('data-field="start"', segment.start, 'Start from left end', 0.1)}
+                ${input('data-field="end"', segment.end, 'End from left end', 0.1)}
+            </div>
+            <select class="select-input" data-field="material" title="Material"></select>
+            ${section}
+        `;
+
+        // Material names and designations are user text: set as options and values
+        const materialSelect = row.querySelector('[data-field="material"]');
+        [{ key: '', label: 'Beam material' }, ...this.getMaterials()].forEach(({ key, label }) => {
+            materialSelect.add(new Option(label, key, false, key === segment.material));
+        });
+        if (segment.shape === 'catalogue') row.querySelector('[data-field="designation"]').value = segment.designation;
+
+        return row;
+    }
+}
+
+// Export for use in other modules
+window.SegmentTable = SegmentTable;
@@ -0,0 +1,152 @@
+/**
+ * Support Condition Table
+ *
+ * Settlement, imposed rotation and spring stiffnesses of every support
+ * of the current layout. Rows follow the supports in order; values are
+ * kept in display units (mm, mrad, MN/m, MN·m/rad) and an empty
+ * stiffness means a rigid restraint.
+ */
+
+class SupportConditionTable {
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.supports = [];
+        this.conditions = [];
+        this.layout = null;
+
+        this.initEventListeners();
+    }
+
+    static get typeLabels() {
+        return { 'pin': 'Pin', 'roller': 'Roller', 'fixed': 'Fixed', 'spring': 'Spring' };
+    }
+
+    initEventListeners() {
+        // Edits update the values without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.load-row');
+            if (!row || !e.target.dataset.field) return;
+
+            const value = parseFloat(e.target.value);
+            this.conditions[parseInt(row.dataset.index, 10)][e.target.dataset.field] = isNaN(value) ? null : value;
+            this.onChange();
+        });
+    }
+
+    /**
+     * Show the rows for a support layout; the table only re-renders when
+     * the layout changes. Conditions stay with their row while the support
+     * types are unchanged (moved supports, new length) and otherwise with
+     * the support at the same position.
+     */
+    setSupports(supports) {
+        const layout = supports.map(support => `${support.type}@${support.position}`).join('|');
+        if (layout === this.layout) return;
+
+        const sameTypes = supports.length === this.supports.length &&
+            supports.every((support, index) => support.type === this.supports[index].type);
+        const byPosition = new Map(this.supports.map((support, index) => [support.position, this.conditions[index]]));
+
+        this.conditions = supports.map((support, index) =>
+            (sameTypes ? this.conditions[index] : byPosition.get(support.position)) || SupportConditionTable.createCondition());
+        this.layout = layout;
+        this.supports = supports;
+        this.render();
+    }
+
+    /**
+     * Get a copy of the conditions, one per support
+     */
+    getConditions() {
+        return this.conditions.map(condition => ({ ...condition }));
+    }
+
+    /**
+     * Show a support layout with the given conditions; missing rows get
+     * none
+     */
+    setConditions(supports, conditions) {
+        this.conditions = supports.map((support, index) => ({ ...SupportConditionTable.createCondition(), ...conditions[index] }));
+        this.layout = supports.map(support => `${support.type}@${support.position}`).join('|');
+        this.supports = supports;
+        this.render();
+    }
+
+    static createCondition() {
+        return { settlement: null, rotation: null, kv: null, kr: null };
+    }
+
+    /**
+     * Supports with the conditions in SI units: settlement (m, downwards),
+     * rotation (rad), kv (N/m) and kr (N·m/rad). Only an empty field
+     * leaves a condition out. A zero stiffness where an empty one means
+     * a rigid restraint (kv, and kr of a fixed support) is rejected
+     * rather than read as rigid; a zero kr of a pin or roller is free.
+     */
+    apply(supports) {
+        const si = (value, factor) => Number.isFinite(value) ? value * factor : undefined;
+
+        return supports.map((support, index) => {
+            const condition = this.conditions[index];
+            if (!condition) return support;
+
+            const zero = (support.type === 'fixed' ? ['kv', 'kr'] : ['kv']).find(field => condition[field] === 0);
+            if (zero) {
+                throw new Error(`Support ${index + 1}: spring stiffness ${zero} must be greater than zero; leave it empty for a rigid support`);
+            }
+
+            return {
+                ...support,
+                settlement: si(condition.settlement, 1e-3),
+                rotation: support.type === 'fixed' ? si(condition.rotation, 1e-3) : undefined,
+                kv: si(condition.kv, 1e6),
+                kr: si(condition.kr, 1e6)
+            };
+        });
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.supports.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'load-empty';
+            empty.textContent = 'No supports';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const input = (field, value, title, unit, step, placeholder = '0') => `
+            <div class="input-with-unit">
+                <input type="number" data-field="${field}" value="${value === null ? '' : value}" step="${step}"${field.startsWith('k') ? ' min="0"' : ''} placeholder="${placeholder}" title="${title}">
+                <span class="unit">${unit}</span>
+            </div>`;
+
+        this.supports.forEach((support, index) => {
+            const condition = this.conditions[index];
+            const fixed = support.type === 'fixed';
+            const row = document.createElement('div');
+            row.className = 'load-row';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <div class="load-row-header">
+                    <span class="load-index">${index + 1}</span>
+                    <span class="input-label">${SupportConditionTable.typeLabels[support.type] || support.type} at x = ${support.position.toFixed(2)} m</span>
+                </div>
+                <div class="input-row">
+                    ${input('settlement', condition.settlement, 'Settlement (downwards)', 'mm', 1)}
+                    ${fixed ? input('rotation', condition.rotation, 'Imposed rotation (clockwise)', 'mrad', 0.5) : ''}
+                </div>
+                <div class="input-row">
+                    ${input('kv', condition.kv, 'Translational spring stiffness (empty = rigid)', 'MN/m', 1, 'rigid')}
+                    ${input('kr', condition.kr, 'Rotational spring stiffness', 'MN·m/rad', 1, fixed ? 'rigid' : 'free')}
+                </div>
+            `;
+            this.container.appendChild(row);
+        });
+    }
+}
+
+// Export for use in other modules
+window.SupportConditionTable = SupportConditionTable;
@@ -0,0 +1,94 @@
+/**
+ * Support Table
+ *
+ * Editable list of interior support positions for continuous beams.
+ * The end supports (pin at the left, roller at the right) are implicit.
+ */
+
+class SupportTable {
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        this.onChange = onChange;
+        this.positions = [];
+
+        this.initEventListeners();
+    }
+
+    initEventListeners() {
+        // Position edits update the list without re-rendering to keep focus
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.support-row');
+            if (!row) return;
+
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                this.positions[parseInt(row.dataset.index, 10)] = value;
+                this.onChange();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="remove"]');
+            if (!button) return;
+
+            this.removeSupport(parseInt(button.closest('.support-row').dataset.index, 10));
+        });
+    }
+
+    /**
+     * Get a copy of the interior support positions
+     */
+    getPositions() {
+        return this.positions.slice();
+    }
+
+    /**
+     * Replace the interior support positions
+     */
+    setPositions(positions) {
+        this.positions = positions.slice();
+        this.render();
+    }
+
+    addSupport(position) {
+        this.positions.push(position);
+        this.render();
+        this.onChange();
+    }
+
+    removeSupport(index) {
+        this.positions.splice(index, 1);
+        this.render();
+        this.onChange();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        if (this.positions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'load-empty';
+            empty.textContent = 'No interior supports (single span)';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        this.positions.forEach((position, index) => {
+            const row = document.createElement('div');
+            row.className = 'support-row';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <span class="load-index">${index + 2}</span>
+                <div class="input-with-unit">
+                    <input type="number" value="${position}" min="0" step="0.1" title="Position from left end">
+                    <span class="unit">m</span>
+                </div>
+                <button class="load-action-btn danger" data-action="remove" title="Remove Support">✕</button>
+            `;
+            this.container.appendChild(row);
+        });
+    }
+}
+
+// Export for use in other modules
+window.SupportTable = SupportTable;
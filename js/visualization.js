@@ -16,6 +16,14 @@ class BeamVisualization {
         this.supportMeshes = [];
         this.loadArrows = [];
         this.deflectionScale = 50; // Scale factor for visualization
+        this.depthSegments = 20;   // Mesh divisions through the section depth
+        this.maxDisplayTwist = Math.PI / 4; // Largest drawn twist of a section (rad)
+        this.modeAmplitude = 0.1;  // Peak mode shape displacement as a fraction of L
+        this.modePeriod = 1.5;     // Seconds per cycle of an animated vibration mode
+        this.modeAnimation = null;
+        this.playbackDuration = 5; // Seconds to play back a whole time history
+        this.playback = null;
+        this.contourRange = null;
         this.showStress = true;
         this.wireframe = false;
 
@@ -95,107 +103,432 @@ class BeamVisualization {
 
     /**
      * Create or update beam geometry with deflection
+     * contour = { signed, valueAt(stationIndex, y, z) } gives the value
+     * that colours each vertex from its station and point in the section;
+     * signed values use the diverging palette. A segmented beam
+     * (params.segments) shows the section that varies along it. Results
+     * with lateral bending and torsion move the beam sideways (lateral
+     * deflection) and turn each section by its twist, both exaggerated
+     * by deflectionScale (the twist up to maxDisplayTwist). Large-deflection
+     * results are drawn at true scale, with the horizontal displacement
+     * and the rotation of every section. Returns the colour range.
      */
-    updateBeam(params, results) {
+    updateBeam(params, results, contour = null) {
         // Clear existing beam and supports
         this.clearBeam();
 
-        const { L, b, h, beamType, loadType, P, q, M0, a } = params;
+        const { L, section, supports, loads } = params;
         const { deflection, x } = results;
+        const field = contour || { signed: false, valueAt: (i) => Math.abs(deflection[i]) };
+
+        const segments = params.segments && params.segments.length > 0
+            ? new BeamSegments(params.segments, section, params.material, L)
+            : null;
+        const scale = this.getDisplayScale(results);
+        const motion = {
+            lateral: results.lateral ? results.lateral.deflection : null,
+            twist: results.torsion ? results.torsion.twist : null,
+            horizontal: results.horizontal || null,
+            rotation: results.rotation || null,
+            scale
+        };
+        const stations = this.createStations(L, x, deflection, section, segments, motion);
+        const bottomAt = (position) => (segments ? segments.at(position).section : section).yBottom;
+
+        // Evaluate the field once per station and outline point
+        const pointKey = (z, y) => `${z},${y}`;
+        const values = stations.map(({ outline, index }) => new Map([outline.outer, ...outline.holes].flat()
+            .map(([z, y]) => [pointKey(z, y), field.valueAt(index, y, z)])));
+        const all = values.flatMap(map => [...map.values()]);
+        const min = Math.min(...all);
+        const max = Math.max(...all);
+        const absMax = Math.max(Math.abs(min), Math.abs(max));
+        this.contourRange = field.signed ? { min: -absMax, max: absMax, signed: true } : { min, max, signed: false };
+
+        const geometry = this.createBeamGeometry(stations, (i, z, y) => this.getContourColor(values[i].get(pointKey(z, y))));
 
-        // Create beam geometry with deflection
-        const segments = deflection.length - 1;
-        const geometry = new THREE.BufferGeometry();
+        // Material
+        const material = new THREE.MeshPhongMaterial({
+            vertexColors: this.showStress,
+            color: this.showStress ? 0xffffff : 0x6366f1,
+            wireframe: this.wireframe,
+            side: THREE.DoubleSide,
+            flatShading: false
+        });
 
-        // Create vertices for deformed beam
-        const vertices = [];
-        const colors = [];
-        const indices = [];
+        this.beamMesh = new THREE.Mesh(geometry, material);
+        this.beamMesh.castShadow = true;
+        this.beamMesh.receiveShadow = true;
+        this.scene.add(this.beamMesh);
+
+        // Add support symbols
+        this.addSupports(supports, L, bottomAt, results.reactions, scale);
+        if (params.foundation) {
+            this.addFoundation(stations, L);
+        }
+
+        // Add load indicators
+        this.addLoadIndicators(loads, L);
+        this.addAxialLoadIndicator(params.axialLoad, L, supports);
+
+        // Adjust camera to fit beam
+        this.fitCameraToBeam(L);
 
-        // Calculate max deflection for color mapping
-        const maxDefl = Math.max(...deflection.map(Math.abs)) || 1;
+        return this.contourRange;
+    }
 
-        for (let i = 0; i <= segments; i++) {
-            const xi = x[i] - L / 2; // Center the beam
-            const yi = -deflection[i] * this.deflectionScale; // Negative: downward load = downward deflection
+    /**
+     * Scale of the displacements in the 3D view: true scale for the
+     * results of a large-deflection analysis, deflectionScale otherwise
+     */
+    getDisplayScale(results) {
+        return results.largeDeflection ? 1 : this.deflectionScale;
+    }
 
-            // Create cross-section vertices (rectangular)
-            // Bottom-left, bottom-right, top-right, top-left
-            const halfB = b / 2;
-            const halfH = h / 2;
+    /**
+     * Draw a mode shape (normalised to a largest value of 1) with a peak
+     * displacement of modeAmplitude·L, coloured by its signed amplitude
+     */
+    updateModeShape(params, x, shape) {
+        const scale = this.modeAmplitude * params.L / this.deflectionScale;
 
-            vertices.push(xi, yi - halfH, -halfB);  // 0
-            vertices.push(xi, yi - halfH, halfB);   // 1
-            vertices.push(xi, yi + halfH, halfB);   // 2
-            vertices.push(xi, yi + halfH, -halfB);  // 3
+        return this.updateBeam(params, { x, deflection: shape.map(w => w * scale) }, {
+            signed: true,
+            valueAt: (i) => shape[i]
+        });
+    }
 
-            // Colors based on stress/deflection
-            const stressRatio = Math.abs(deflection[i]) / maxDefl;
-            const color = this.getStressColor(stressRatio);
+    /**
+     * Animate a vibration mode shape (largest value 1) in the animate()
+     * loop: the beam oscillates about its undeformed position with a peak
+     * displacement of modeAmplitude·L
+     */
+    animateMode(params, x, shape) {
+        const range = this.updateBeam(params, { x, deflection: x.map(() => 0) }, {
+            signed: true,
+            valueAt: (i) => shape[i]
+        });
 
-            for (let j = 0; j < 4; j++) {
-                colors.push(color.r, color.g, color.b);
-            }
-        }
+        const { geometry } = this.beamMesh;
+        this.modeAnimation = {
+            amplitude: this.modeAmplitude * params.L,
+            shape: geometry.userData.stationOf.map(i => shape[i]),
+            rest: Float32Array.from(geometry.attributes.position.array),
+            start: performance.now()
+        };
+
+        return range;
+    }
+
+    /**
+     * Move the beam vertices of an animated mode to the current phase
+     */
+    updateModeAnimation() {
+        if (!this.modeAnimation || !this.beamMesh) return;
+
+        const { amplitude, shape, rest, start } = this.modeAnimation;
+        const phase = Math.sin(2 * Math.PI * (performance.now() - start) / (this.modePeriod * 1000));
+        const position = this.beamMesh.geometry.attributes.position;
 
-        // Create faces (indices)
-        for (let i = 0; i < segments; i++) {
-            const base = i * 4;
+        // Positive mode values deflect downwards
+        shape.forEach((w, v) => {
+            position.array[3 * v + 1] = rest[3 * v + 1] - amplitude * phase * w;
+        });
+        position.needsUpdate = true;
+    }
+
+    /**
+     * Play back a deflection history in the animate() loop, repeating:
+     * frames[k][i] is w at station i in time step k. The shape is scaled
+     * so that the largest deflection reaches modeAmplitude·L and coloured
+     * by the current deflection. onFrame(k) reports every frame shown.
+     * Returns the colour range (units of the frames).
+     */
+    playHistory(params, x, frames, onFrame = () => {}) {
+        const peak = Math.max(...frames.map(row => Math.max(...row.map(Math.abs)))) || 1;
+
+        this.updateBeam(params, { x, deflection: x.map(() => 0) }, { signed: true, valueAt: () => 0 });
+        this.contourRange = { min: -peak, max: peak, signed: true };
+
+        const { geometry } = this.beamMesh;
+        this.playback = {
+            frames,
+            peak,
+            scale: this.modeAmplitude * params.L / peak,
+            stationOf: geometry.userData.stationOf,
+            rest: Float32Array.from(geometry.attributes.position.array),
+            frame: 0,
+            playing: true,
+            start: performance.now(),
+            onFrame
+        };
+        this.showPlaybackFrame(0);
+
+        return this.contourRange;
+    }
 
-            // Front face (z = halfB)
-            indices.push(base + 1, base + 5, base + 6);
-            indices.push(base + 1, base + 6, base + 2);
+    /**
+     * Pause at frame k (scrubbing)
+     */
+    setPlaybackFrame(k) {
+        if (!this.playback) return;
+        this.playback.playing = false;
+        this.showPlaybackFrame(Math.min(Math.max(k, 0), this.playback.frames.length - 1));
+    }
+
+    /**
+     * Play or pause; playing continues from the current frame
+     */
+    setPlaybackPlaying(playing) {
+        if (!this.playback) return;
+        const { frames, frame } = this.playback;
+        this.playback.playing = playing;
+        this.playback.start = performance.now() - (frame / frames.length) * this.playbackDuration * 1000;
+    }
+
+    /**
+     * Advance a playing history to the frame of the current time
+     */
+    updatePlayback() {
+        if (!this.playback || !this.playback.playing || !this.beamMesh) return;
+
+        const { frames, start, frame } = this.playback;
+        const elapsed = (performance.now() - start) / (this.playbackDuration * 1000);
+        const next = Math.floor((elapsed % 1) * frames.length);
+        if (next !== frame) this.showPlaybackFrame(next);
+    }
+
+    /**
+     * Move and colour the beam vertices for history frame k
+     */
+    showPlaybackFrame(k) {
+        const { frames, peak, scale, stationOf, rest, onFrame } = this.playback;
+        const w = frames[k];
+        const colors = w.map(value => this.getDivergingColor(value / peak));
+        const { position, color } = this.beamMesh.geometry.attributes;
+
+        // Positive deflections point downwards
+        stationOf.forEach((i, v) => {
+            position.array[3 * v + 1] = rest[3 * v + 1] - w[i] * scale;
+            color.array[3 * v] = colors[i].r;
+            color.array[3 * v + 1] = colors[i].g;
+            color.array[3 * v + 2] = colors[i].b;
+        });
+        position.needsUpdate = true;
+        color.needsUpdate = true;
 
-            // Back face (z = -halfB)
-            indices.push(base + 0, base + 3, base + 7);
-            indices.push(base + 0, base + 7, base + 4);
+        this.playback.frame = k;
+        onFrame(k);
+    }
 
-            // Top face
-            indices.push(base + 2, base + 6, base + 7);
-            indices.push(base + 2, base + 7, base + 3);
+    /**
+     * Mesh stations { x, y, z, twist, rotation, outline, bottom, index, join }
+     * along the deflected beam, with the result station index. The outline
+     * is subdivided so the colours resolve the fibres through the depth.
+     * motion = { lateral, twist, horizontal, rotation, scale } optionally
+     * gives the lateral deflection (m, along +z), the twist (rad, about +x),
+     * the horizontal displacement (m) and the true section rotation (rad,
+     * counterclockwise) at the result stations, and the displacement
+     * scale (default deflectionScale).
+     * A segmented beam adds stations at the ends of its pieces (motion
+     * interpolated, index of the nearest result station); the first
+     * station of every piece after the first has join false, so that the
+     * mesh breaks there and steps get their own faces.
+     */
+    createStations(L, x, deflection, section, segments, motion = {}) {
+        const { lateral = null, twist = null, horizontal = null, rotation = null, scale = this.deflectionScale } = motion;
+        const twistScale = twist
+            ? Math.min(scale, this.maxDisplayTwist / (Math.max(...twist.map(Math.abs)) || 1))
+            : 0;
+        const station = (position, valueAt, index, local, outline, join = true) => ({
+            x: position + (horizontal ? valueAt(horizontal) * scale : 0) - L / 2, // Center the beam
+            y: -valueAt(deflection) * scale, // Negative: downward load = downward deflection
+            z: lateral ? valueAt(lateral) * scale : 0,
+            twist: twist ? valueAt(twist) * twistScale : 0,
+            rotation: rotation ? valueAt(rotation) : 0,
+            outline,
+            bottom: local.yBottom,
+            index,
+            join
+        });
 
-            // Bottom face
-            indices.push(base + 0, base + 4, base + 5);
-            indices.push(base + 0, base + 5, base + 1);
+        if (!segments) {
+            const outline = this.refineOutline(section.outline, section.depth / this.depthSegments);
+            return x.map((xi, i) => station(xi, values => values[i], i, section, outline));
         }
 
-        // Add end caps
-        // Left end
-        indices.push(0, 1, 2);
-        indices.push(0, 2, 3);
+        const tolerance = L * 1e-9;
+        const nearest = (position) => x.reduce((best, xi, i) => Math.abs(xi - position) < Math.abs(x[best] - position) ? i : best, 0);
+        const interpolate = (position) => (values) => {
+            const i = Math.min(Math.max(x.findIndex(xi => xi >= position), 1), x.length - 1);
+            const t = (position - x[i - 1]) / (x[i] - x[i - 1]);
+            return values[i - 1] + (values[i] - values[i - 1]) * t;
+        };
+
+        return segments.pieces.flatMap(({ start, end, index: piece }, p) => {
+            // The deeper end sets the subdivision of the whole piece, so
+            // that the rings of a taper line up
+            const [first, last] = [start, end].map(position => segments.evaluate(piece, position).section);
+            const template = first.depth >= last.depth ? first : last;
+            const maxLength = template.depth / this.depthSegments;
+
+            const positions = [
+                start,
+                ...x.filter(xi => xi > start + tolerance && xi < end - tolerance),
+                end
+            ];
+
+            return positions.map((position, k) => {
+                const local = segments.evaluate(piece, position).section;
+                const outline = this.refineOutline(local.outline, maxLength, template.outline);
+                const i = nearest(position);
+                const onStation = Math.abs(x[i] - position) <= tolerance;
+                return station(position, onStation ? values => values[i] : interpolate(position), i, local, outline, k > 0 || p === 0);
+            });
+        });
+    }
+
+    /**
+     * Split the edges of polygonal outlines so that no edge is longer than
+     * maxLength. Smooth (circular) outlines are already fine enough. The
+     * edge lengths of template (an outline with the same vertices, e.g.
+     * the deeper end of a taper) set the number of divisions.
+     */
+    refineOutline(outline, maxLength, template = outline) {
+        if (outline.smooth) return outline;
+
+        const refine = (loop, reference) => loop.flatMap((p, j) => {
+            const q = loop[(j + 1) % loop.length];
+            const [a, b] = [reference[j], reference[(j + 1) % reference.length]];
+            const n = Math.max(1, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / maxLength));
+            return Array.from({ length: n }, (_, k) => [
+                p[0] + (q[0] - p[0]) * k / n,
+                p[1] + (q[1] - p[1]) * k / n
+            ]);
+        });
 
-        // Right end
-        const last = segments * 4;
-        indices.push(last + 1, last + 0, last + 3);
-        indices.push(last + 1, last + 3, last + 2);
+        return {
+            ...outline,
+            outer: refine(outline.outer, template.outer),
+            holes: outline.holes.map((hole, k) => refine(hole, template.holes[k]))
+        };
+    }
+
+    /**
+     * Extrude the section outline along the deformed beam axis
+     * Each station is { x, y, z, twist, rotation, outline, index, join };
+     * the outline turns by twist (rad, about +x), then by rotation (rad,
+     * about +z) in the plane of bending, and moves by x, y and z.
+     * colorAt(station, z, y) returns the vertex colour for a point of the
+     * (untwisted) outline. Stations with
+     * join false start a new run of the mesh, and every run has end caps.
+     * The result station index of every vertex (index, default the
+     * station) is kept in geometry.userData.stationOf.
+     */
+    createBeamGeometry(stations, colorAt) {
+        const vertices = [];
+        const colors = [];
+        const indices = [];
+        const stationOf = [];
+
+        const addVertex = (station, i, [z, y]) => {
+            const cos = Math.cos(station.twist || 0);
+            const sin = Math.sin(station.twist || 0);
+            const up = y * cos - z * sin;
+            const rotation = station.rotation || 0;
+            vertices.push(station.x - up * Math.sin(rotation), station.y + up * Math.cos(rotation), (station.z || 0) + y * sin + z * cos);
+            stationOf.push(station.index === undefined ? i : station.index);
+            const color = colorAt(i, z, y);
+            colors.push(color.r, color.g, color.b);
+        };
+
+        // Smooth outlines share vertices between edges; polygonal outlines
+        // get a vertex pair per edge so that the corners stay sharp
+        const loopsOf = (outline) => [outline.outer, ...outline.holes];
+        const ringPoints = (loop, smooth) => smooth ? loop : loop.flatMap((p, j) => [p, loop[(j + 1) % loop.length]]);
+        const ringEdges = (loop, smooth) => loop.map((_, j) => smooth ? [j, (j + 1) % loop.length] : [2 * j, 2 * j + 1]);
+
+        // Side walls: one ring of vertices per loop and station
+        const ringStarts = stations.map((station, i) => loopsOf(station.outline).map(loop => {
+            const start = vertices.length / 3;
+            ringPoints(loop, station.outline.smooth).forEach(point => addVertex(station, i, point));
+            return start;
+        }));
+
+        const joined = (i) => stations[i].join !== false;
+        for (let i = 0; i < stations.length - 1; i++) {
+            if (!joined(i + 1)) continue;
+            loopsOf(stations[i].outline).forEach((loop, k) => {
+                const a = ringStarts[i][k];
+                const b = ringStarts[i + 1][k];
+                ringEdges(loop, stations[i].outline.smooth).forEach(([j1, j2]) => {
+                    indices.push(a + j1, b + j1, b + j2);
+                    indices.push(a + j1, b + j2, a + j2);
+                });
+            });
+        }
+
+        // End caps of every run with their own vertices
+        const caps = stations
+            .map((_, i) => i)
+            .filter(i => i === 0 || i === stations.length - 1 || !joined(i) || !joined(i + 1));
+        caps.forEach(i => {
+            const { outer, holes } = stations[i].outline;
+            const toVector = (loop) => loop.map(([z, y]) => new THREE.Vector2(z, y));
+            const triangles = THREE.ShapeUtils.triangulateShape(toVector(outer), holes.map(toVector));
+
+            const start = vertices.length / 3;
+            loopsOf(stations[i].outline).forEach(loop => loop.forEach(point => addVertex(stations[i], i, point)));
+            triangles.forEach(([p, q, r]) => indices.push(start + p, start + q, start + r));
+        });
 
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
         geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
         geometry.setIndex(indices);
         geometry.computeVertexNormals();
+        geometry.userData.stationOf = stationOf;
 
-        // Material
-        const material = new THREE.MeshPhongMaterial({
-            vertexColors: this.showStress,
-            color: this.showStress ? 0xffffff : 0x6366f1,
-            wireframe: this.wireframe,
-            side: THREE.DoubleSide,
-            flatShading: false
-        });
-
-        this.beamMesh = new THREE.Mesh(geometry, material);
-        this.beamMesh.castShadow = true;
-        this.beamMesh.receiveShadow = true;
-        this.scene.add(this.beamMesh);
+        return geometry;
+    }
 
-        // Add supports based on beam type
-        this.addSupports(beamType, L, h);
+    /**
+     * Colour of a contour value within the current range
+     */
+    getContourColor(value) {
+        const { min, max, signed } = this.contourRange;
+        if (signed) {
+            return this.getDivergingColor(max > 0 ? value / max : 0);
+        }
+        return this.getStressColor(max > min ? (value - min) / (max - min) : 0);
+    }
 
-        // Add load indicators
-        this.addLoadIndicators(loadType, L, a, P, q, M0);
+    /**
+     * Diverging palette for signed values: -1 blue (compression),
+     * 0 light grey, +1 red (tension)
+     */
+    getDivergingColor(ratio) {
+        const t = Math.min(1, Math.abs(ratio));
+        const neutral = { r: 0.87, g: 0.87, b: 0.87 };
+        const end = ratio < 0 ? { r: 0.23, g: 0.30, b: 0.75 } : { r: 0.71, g: 0.02, b: 0.15 };
+
+        return {
+            r: neutral.r + (end.r - neutral.r) * t,
+            g: neutral.g + (end.g - neutral.g) * t,
+            b: neutral.b + (end.b - neutral.b) * t
+        };
+    }
 
-        // Adjust camera to fit beam
-        this.fitCameraToBeam(L);
+    /**
+     * CSS gradient of the current palette, from min to max, for the legend
+     */
+    getPaletteGradient(signed) {
+        const stops = Array.from({ length: 11 }, (_, k) => {
+            const ratio = k / 10;
+            const { r, g, b } = signed ? this.getDivergingColor(2 * ratio - 1) : this.getStressColor(ratio);
+            return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}) ${ratio * 100}%`;
+        });
+        return `linear-gradient(to right, ${stops.join(', ')})`;
     }
 
     /**
@@ -211,109 +544,293 @@ class BeamVisualization {
     }
 
     /**
-     * Add support symbols
+     * Add support symbols for every support in the list
+     * bottomAt(x) is the distance from the beam axis to the bottom fibre.
+     * With the reactions of a static analysis each symbol moves to the
+     * deflection (and horizontal displacement) of its support, scaled by
+     * scale, and translational springs run down to the settled ground;
+     * rotational springs are drawn as spirals.
      */
-    addSupports(beamType, L, h) {
-        const supportGeometry = new THREE.ConeGeometry(0.1, 0.2, 8);
+    addSupports(supports, L, bottomAt, reactions = null, scale = this.deflectionScale) {
         const supportMaterial = new THREE.MeshPhongMaterial({ color: 0x10b981 });
+        const springMaterial = new THREE.LineBasicMaterial({ color: 0x10b981 });
+
+        supports.forEach((support, index) => {
+            const xPos = support.position + (reactions ? (reactions[index].horizontalDisplacement || 0) * scale : 0) - L / 2;
+            const bottom = bottomAt(support.position);
+            const drop = reactions ? -reactions[index].deflection * scale : 0;
+            const groundDrop = reactions ? -(support.settlement || 0) * scale : 0;
+            let base = -bottom - 0.25;
+
+            switch (support.type) {
+                case 'pin':
+                case 'roller':
+                    // Triangle (cone) under the beam
+                    const cone = new THREE.Mesh(new THREE.ConeGeometry(0.1, 0.2, 8), supportMaterial);
+                    cone.position.set(xPos, -bottom - 0.15 + drop, 0);
+                    cone.rotation.z = Math.PI;
+                    this.scene.add(cone);
+                    this.supportMeshes.push(cone);
+
+                    if (support.type === 'roller') {
+                        // Roller circle
+                        const rollerGeometry = new THREE.TorusGeometry(0.08, 0.02, 8, 16);
+                        const roller = new THREE.Mesh(rollerGeometry, supportMaterial);
+                        roller.position.set(xPos, -bottom - 0.28 + drop, 0);
+                        roller.rotation.x = Math.PI / 2;
+                        this.scene.add(roller);
+                        this.supportMeshes.push(roller);
+                        base = -bottom - 0.38;
+                    }
+                    break;
+
+                case 'fixed':
+                    // Wall block, placed outside the beam at the ends and
+                    // tilted by the imposed rotation
+                    const fixedGeometry = new THREE.BoxGeometry(0.15, 0.4, 0.3);
+                    const fixed = new THREE.Mesh(fixedGeometry, supportMaterial);
+                    let offset = 0;
+                    if (support.position <= 0) offset = -0.1;
+                    if (support.position >= L) offset = 0.1;
+                    fixed.position.set(xPos + offset, drop, 0);
+                    if (reactions && !support.kr) {
+                        fixed.rotation.z = -Math.atan((support.rotation || 0) * scale);
+                    }
+                    this.scene.add(fixed);
+                    this.supportMeshes.push(fixed);
+                    base = -0.2;
+                    break;
+            }
+
+            if (support.kv) {
+                // Spring from the symbol down to a ground plate
+                const ground = -bottom - 0.65 + groundDrop;
+                this.addSpring(xPos, ground, base + drop, springMaterial);
+
+                const plate = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.03, 0.25), supportMaterial);
+                plate.position.set(xPos, ground - 0.015, 0);
+                this.scene.add(plate);
+                this.supportMeshes.push(plate);
+            }
 
-        switch (beamType) {
-            case 'simply-supported':
-                // Pin support at left
-                const leftSupport = new THREE.Mesh(supportGeometry, supportMaterial);
-                leftSupport.position.set(-L / 2, -h / 2 - 0.15, 0);
-                leftSupport.rotation.z = Math.PI;
-                this.scene.add(leftSupport);
-                this.supportMeshes.push(leftSupport);
-
-                // Roller support at right
-                const rightSupport = new THREE.Mesh(supportGeometry, supportMaterial);
-                rightSupport.position.set(L / 2, -h / 2 - 0.15, 0);
-                rightSupport.rotation.z = Math.PI;
-                this.scene.add(rightSupport);
-                this.supportMeshes.push(rightSupport);
-
-                // Roller circles
-                const rollerGeometry = new THREE.TorusGeometry(0.08, 0.02, 8, 16);
-                const rollerMaterial = new THREE.MeshPhongMaterial({ color: 0x10b981 });
-                const roller = new THREE.Mesh(rollerGeometry, rollerMaterial);
-                roller.position.set(L / 2, -h / 2 - 0.28, 0);
-                roller.rotation.x = Math.PI / 2;
-                this.scene.add(roller);
-                this.supportMeshes.push(roller);
-                break;
-
-            case 'fixed-fixed':
-                // Fixed supports at both ends
-                const fixedGeometry = new THREE.BoxGeometry(0.15, 0.4, 0.3);
-                const fixedMaterial = new THREE.MeshPhongMaterial({ color: 0x10b981 });
-
-                const leftFixed = new THREE.Mesh(fixedGeometry, fixedMaterial);
-                leftFixed.position.set(-L / 2 - 0.1, 0, 0);
-                this.scene.add(leftFixed);
-                this.supportMeshes.push(leftFixed);
-
-                const rightFixed = new THREE.Mesh(fixedGeometry, fixedMaterial);
-                rightFixed.position.set(L / 2 + 0.1, 0, 0);
-                this.scene.add(rightFixed);
-                this.supportMeshes.push(rightFixed);
-                break;
-
-            case 'cantilever':
-                // Fixed support at left only
-                const cantileverGeometry = new THREE.BoxGeometry(0.2, 0.5, 0.4);
-                const cantileverMaterial = new THREE.MeshPhongMaterial({ color: 0x10b981 });
-
-                const fixedSupport = new THREE.Mesh(cantileverGeometry, cantileverMaterial);
-                fixedSupport.position.set(-L / 2 - 0.15, 0, 0);
-                this.scene.add(fixedSupport);
-                this.supportMeshes.push(fixedSupport);
-                break;
+            if (support.kr) {
+                // Two-turn spiral around the beam axis
+                const points = [];
+                for (let i = 0; i <= 64; i++) {
+                    const angle = (i / 64) * 4 * Math.PI;
+                    const radius = bottom + 0.05 + (i / 64) * 0.1;
+                    points.push(new THREE.Vector3(xPos + radius * Math.cos(angle), drop + radius * Math.sin(angle), 0.2));
+                }
+                const spiral = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), springMaterial);
+                this.scene.add(spiral);
+                this.supportMeshes.push(spiral);
+            }
+        });
+    }
+
+    /**
+     * Vertical zigzag spring at x between the heights bottom and top
+     */
+    addSpring(x, bottom, top, material, coils = 5, radius = 0.05) {
+        const points = [new THREE.Vector3(x, bottom, 0)];
+        const coilBottom = bottom + 0.05;
+        const coilTop = top - 0.05;
+        for (let i = 0; i <= 2 * coils; i++) {
+            const y = coilBottom + (i / (2 * coils)) * (coilTop - coilBottom);
+            const side = i === 0 || i === 2 * coils ? 0 : (i % 2 ? 1 : -1);
+            points.push(new THREE.Vector3(x + side * radius, y, 0));
         }
+        points.push(new THREE.Vector3(x, top, 0));
+
+        const spring = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+        this.scene.add(spring);
+        this.supportMeshes.push(spring);
     }
 
     /**
-     * Add load indicator arrows
+     * Spring bed of an elastic foundation: coil springs from a ground slab
+     * up to the (deflected) underside of the beam at about every L/20
      */
-    addLoadIndicators(loadType, L, a, P, q, M0) {
+    addFoundation(stations, L) {
+        const springMaterial = new THREE.LineBasicMaterial({ color: 0x10b981 });
+        const ground = -Math.max(...stations.map(station => station.bottom)) - 0.4;
+        const count = 20;
+
+        for (let j = 0; j <= count; j++) {
+            const station = stations[Math.round(j / count * (stations.length - 1))];
+            this.addSpring(station.x, ground, station.y - station.bottom, springMaterial);
+        }
+
+        const slab = new THREE.Mesh(
+            new THREE.BoxGeometry(L + 0.2, 0.05, 0.4),
+            new THREE.MeshPhongMaterial({ color: 0x78716c })
+        );
+        slab.position.set(0, ground - 0.025, 0);
+        this.scene.add(slab);
+        this.supportMeshes.push(slab);
+    }
+
+    /**
+     * Plastic hinge rings around the deflected beam at the hinge positions
+     * { position, sign }: red for sagging, orange for hogging hinges
+     */
+    addHinges(hinges, params, results) {
+        const { L, section } = params;
+        const segments = params.segments && params.segments.length > 0
+            ? new BeamSegments(params.segments, section, params.material, L)
+            : null;
+        const colors = { sagging: 0xef4444, hogging: 0xf59e0b };
+        const scale = this.getDisplayScale(results);
+
+        hinges.forEach(({ position, sign }) => {
+            const local = segments ? segments.at(position).section : section;
+            const i = results.x.reduce((best, xi, j) => Math.abs(xi - position) < Math.abs(results.x[best] - position) ? j : best, 0);
+
+            const ring = new THREE.Mesh(
+                new THREE.TorusGeometry(0.6 * local.depth + 0.05, 0.015, 8, 48),
+                new THREE.MeshPhongMaterial({ color: colors[sign] })
+            );
+            const shift = results.horizontal ? results.horizontal[i] * scale : 0;
+            ring.position.set(position + shift - L / 2, -results.deflection[i] * scale + (local.yTop - local.yBottom) / 2, 0);
+            this.scene.add(ring);
+            this.supportMeshes.push(ring);
+        });
+    }
+
+    /**
+     * Add load indicator arrows for every load in the list. Arrows of
+     * inclined loads are turned by their angle about the beam axis and
+     * eccentric loads are drawn off the axis.
+     */
+    addLoadIndicators(loads, L) {
         const arrowColor = 0xef4444;
 
-        switch (loadType) {
-            case 'point':
-                // Single arrow at load position
-                const arrowPos = a - L / 2;
-                const arrowDir = new THREE.Vector3(0, -1, 0);
-                const arrowLength = 0.5;
-                const arrow = new THREE.ArrowHelper(arrowDir, new THREE.Vector3(arrowPos, 0.8, 0), arrowLength, arrowColor, 0.15, 0.1);
-                this.scene.add(arrow);
-                this.loadArrows.push(arrow);
-                break;
-
-            case 'distributed':
-                // Multiple arrows for distributed load
-                const numArrows = 10;
-                for (let i = 0; i <= numArrows; i++) {
-                    const xPos = -L / 2 + (i / numArrows) * L;
-                    const dir = new THREE.Vector3(0, -1, 0);
-                    const distribArrow = new THREE.ArrowHelper(dir, new THREE.Vector3(xPos, 0.6, 0), 0.3, arrowColor, 0.1, 0.06);
-                    this.scene.add(distribArrow);
-                    this.loadArrows.push(distribArrow);
-                }
-                break;
-
-            case 'moment':
-                // Curved arrow for moment
-                const momentPos = a - L / 2;
-                const curve = new THREE.EllipseCurve(momentPos, 0.5, 0.2, 0.2, 0, 1.5 * Math.PI, false, 0);
-                const points = curve.getPoints(20);
-                const momentGeometry = new THREE.BufferGeometry().setFromPoints(points);
-                const momentMaterial = new THREE.LineBasicMaterial({ color: arrowColor, linewidth: 3 });
-                const momentLine = new THREE.Line(momentGeometry, momentMaterial);
-                momentLine.rotation.x = Math.PI / 2;
-                this.scene.add(momentLine);
-                this.loadArrows.push(momentLine);
-                break;
-        }
+        // Distributed load arrows are scaled to the largest intensity of all of them
+        const profiles = loads
+            .filter(load => load.type === 'distributed' || load.type === 'profile')
+            .map(load => BeamFESolver.loadProfile(load, L));
+        const maxIntensity = Math.max(...profiles.flat().map(([, q]) => Math.abs(q)), 0);
+
+        loads.forEach(load => {
+            const { type, magnitude, position } = load;
+            // Negative magnitudes act upwards (or clockwise for moments)
+            const sign = magnitude < 0 ? -1 : 1;
+            const place = this.loadFrame(load, L);
+
+            switch (type) {
+                case 'point':
+                    // Single arrow at load position
+                    const arrowDir = place.direction(sign);
+                    const arrowLength = 0.5;
+                    const arrowOrigin = place(position, sign > 0 ? 0.8 : -0.8);
+                    const arrow = new THREE.ArrowHelper(arrowDir, arrowOrigin, arrowLength, arrowColor, 0.15, 0.1);
+                    this.scene.add(arrow);
+                    this.loadArrows.push(arrow);
+                    break;
+
+                case 'distributed':
+                case 'profile':
+                    this.addDistributedLoadIndicator(BeamFESolver.loadProfile(load, L), L, maxIntensity, arrowColor, place);
+                    break;
+
+                case 'moment':
+                    // Curved arrow for moment
+                    const momentPos = position - L / 2;
+                    const curve = new THREE.EllipseCurve(momentPos, 0.5, 0.2, 0.2, 0, 1.5 * Math.PI, sign < 0, 0);
+                    const points = curve.getPoints(20);
+                    const momentGeometry = new THREE.BufferGeometry().setFromPoints(points);
+                    const momentMaterial = new THREE.LineBasicMaterial({ color: arrowColor, linewidth: 3 });
+                    const momentLine = new THREE.Line(momentGeometry, momentMaterial);
+                    momentLine.rotation.x = Math.PI / 2;
+                    this.scene.add(momentLine);
+                    this.loadArrows.push(momentLine);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Placement of the arrows of a load: place(x, h) is the point at
+     * height h above the axis in the plane of the load (turned by its
+     * angle and moved by its eccentricity), and place.direction(sign) the
+     * direction the load acts in
+     */
+    loadFrame({ angle = 0, eccentricity = 0 }, L) {
+        const radians = (angle || 0) * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const place = (x, h) => new THREE.Vector3(x - L / 2, h * cos, (eccentricity || 0) - h * sin);
+        place.direction = (sign) => new THREE.Vector3(0, -sign * cos, sign * sin);
+        return place;
+    }
+
+    /**
+     * Arrows along a distributed load with vertices [[x, q], ...], their
+     * length proportional to the local intensity (0.6 for maxIntensity),
+     * and a line joining their tails, placed by place (see loadFrame)
+     */
+    addDistributedLoadIndicator(points, L, maxIntensity, arrowColor, place) {
+        if (!(maxIntensity > 0)) return;
+
+        const maxLength = 0.6;
+        const tail = (q) => {
+            const length = maxLength * Math.abs(q) / maxIntensity;
+            return q >= 0 ? 0.3 + length : -0.3 - length;
+        };
+
+        // Arrows at every vertex and about every L/20 in between
+        const samples = [];
+        points.slice(1).forEach(([xb, qb], k) => {
+            const [xa, qa] = points[k];
+            const count = Math.max(Math.ceil((xb - xa) / (L / 20)), 1);
+            for (let i = k === 0 ? 0 : 1; i <= count; i++) {
+                const t = i / count;
+                samples.push([xa + t * (xb - xa), qa + t * (qb - qa)]);
+            }
+        });
+
+        samples.forEach(([x, q]) => {
+            const length = maxLength * Math.abs(q) / maxIntensity;
+            if (length < 0.02) return;
+
+            const sign = q < 0 ? -1 : 1;
+            const dir = place.direction(sign);
+            const origin = place(x, tail(q));
+            const head = Math.min(0.1, length / 2);
+            const arrow = new THREE.ArrowHelper(dir, origin, length, arrowColor, head, head * 0.6);
+            this.scene.add(arrow);
+            this.loadArrows.push(arrow);
+        });
+
+        const outline = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(samples.map(([x, q]) => place(x, tail(q)))),
+            new THREE.LineBasicMaterial({ color: arrowColor })
+        );
+        this.scene.add(outline);
+        this.loadArrows.push(outline);
+    }
+
+    /**
+     * Horizontal arrows for an axial force at the beam ends, pointing
+     * inwards for compression. A fixed end carries the reaction instead,
+     * unless both ends are fixed.
+     */
+    addAxialLoadIndicator(axialLoad, L, supports) {
+        if (!axialLoad) return;
+
+        const arrowColor = 0xef4444;
+        const compression = axialLoad > 0;
+        const fixedAt = (position) => supports.some(s => s.type === 'fixed' && Math.abs(s.position - position) < 1e-9);
+
+        const freeEnds = [-1, 1].filter(end => !fixedAt((end + 1) / 2 * L));
+
+        (freeEnds.length ? freeEnds : [1]).forEach(end => {
+            const dir = new THREE.Vector3(compression ? -end : end, 0, 0);
+            const origin = new THREE.Vector3(end * (L / 2 + (compression ? 0.7 : 0.1)), 0, 0);
+            const arrow = new THREE.ArrowHelper(dir, origin, 0.6, arrowColor, 0.15, 0.1);
+            this.scene.add(arrow);
+            this.loadArrows.push(arrow);
+        });
     }
 
     /**
@@ -330,6 +847,9 @@ class BeamVisualization {
      * Clear beam and related objects
      */
     clearBeam() {
+        this.modeAnimation = null;
+        this.playback = null;
+
         if (this.beamMesh) {
             this.scene.remove(this.beamMesh);
             this.beamMesh.geometry.dispose();
@@ -384,6 +904,15 @@ class BeamVisualization {
         this.controls.update();
     }
 
+    /**
+     * PNG data URL of the current view. The frame is rendered right
+     * before reading it back, as the drawing buffer is not preserved.
+     */
+    snapshot() {
+        this.renderer.render(this.scene, this.camera);
+        return this.renderer.domElement.toDataURL('image/png');
+    }
+
     /**
      * Handle window resize
      */
@@ -402,6 +931,8 @@ class BeamVisualization {
      */
     animate() {
         requestAnimationFrame(() => this.animate());
+        this.updateModeAnimation();
+        this.updatePlayback();
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
     }
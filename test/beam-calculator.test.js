@@ -0,0 +1,405 @@
+/**
+ * Finite element solver of BeamCalculator against the closed-form
+ * solutions and analytical reference values. Errors are relative to the
+ * peak closed-form value of each quantity.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engineScripts, loadScripts } = require('./helpers/load-scripts');
+
+const { BeamCalculator, CrossSection } = loadScripts(engineScripts);
+const calculator = new BeamCalculator();
+
+const L = 2, E = 200e9, I = 1e-5, numPoints = 20;
+const tolerance = 1e-6;
+
+function assertClose(actual, expected, message) {
+    const error = Math.abs(actual / expected - 1);
+    assert.ok(error <= tolerance, `${message}: ${actual} instead of ${expected} (relative error ${error.toExponential(2)})`);
+}
+
+describe('finite element solver against the closed-form solutions', () => {
+    const quantities = ['deflection', 'slope', 'moment', 'shear'];
+
+    // Distributed loads run from the position to the end
+    const profiles = [
+        { type: 'distributed', magnitude: 0, endMagnitude: 2000, position: 0, end: L },
+        { type: 'distributed', magnitude: 3000, endMagnitude: 1000, position: 0.3 * L, end: 0.7 * L },
+        { type: 'profile', points: [[0.1 * L, 0], [0.4 * L, 2000], [0.6 * L, 500], [0.9 * L, 1500]] }
+    ];
+
+    const cases = [];
+    ['point', 'distributed', 'moment'].forEach(type => {
+        [0.25, 0.5, 0.8].forEach(ratio => {
+            cases.push({ name: `${type} load at ${ratio}L`, load: { type, magnitude: 1000, position: ratio * L } });
+        });
+    });
+    profiles.forEach(load => cases.push({ name: `${load.type} load ${JSON.stringify(load.points || [load.position, load.end])}`, load }));
+    cases.push({ name: 'temperature gradient', load: { type: 'thermal', uniform: 0, gradient: 30 } });
+
+    ['simply-supported', 'fixed-fixed', 'cantilever'].forEach(beamType => {
+        describe(beamType, () => {
+            cases.forEach(({ name, load }) => {
+                it(name, () => {
+                    const params = { beamType, L, E, I, alpha: 12e-6, h: 0.2, loads: [load], numPoints };
+                    const fe = calculator.analyze(params);
+                    const reference = calculator.analyze({ ...params, solver: 'closed-form' });
+
+                    quantities.forEach(quantity => {
+                        const scale = Math.max(...reference[quantity].map(Math.abs)) || 1;
+                        const error = Math.max(...fe[quantity].map((v, i) => Math.abs(v - reference[quantity][i]))) / scale;
+                        assert.ok(error <= tolerance, `${quantity}: relative error ${error.toExponential(2)}`);
+                    });
+                });
+            });
+        });
+    });
+});
+
+describe('shear deformation (Timoshenko)', () => {
+    // In a statically determinate beam shear adds (M(x) - M(0))/κGA to the
+    // deflection, e.g. P·L/(κGA) at a cantilever tip and qL²/(8κGA) at the
+    // midspan of a simply supported beam
+    const G = 80e9, As = 1e-4;
+
+    [
+        { beamType: 'cantilever', load: { type: 'point', magnitude: 1000, position: L }, x: L },
+        { beamType: 'simply-supported', load: { type: 'distributed', magnitude: 1000, position: 0 }, x: L / 2 },
+        { beamType: 'simply-supported', load: { type: 'distributed', magnitude: 3000, endMagnitude: 1000, position: 0.3 * L, end: 0.7 * L }, x: L / 2 }
+    ].forEach(({ beamType, load, x }) => {
+        it(`${beamType} under a ${load.type} load`, () => {
+            const params = { beamType, L, E, I, loads: [load], numPoints };
+            const fe = calculator.analyze({ ...params, theory: 'timoshenko', G, As });
+            const reference = calculator.analyze({ ...params, solver: 'closed-form' });
+            const i = Math.round((x / L) * numPoints);
+            const expected = reference.deflection[i] + (reference.moment[i] - reference.moment[0]) / (G * As);
+
+            assertClose(fe.deflection[i], expected, 'deflection');
+        });
+    });
+});
+
+describe('buckling and beam-columns', () => {
+    // Pcr = π²EI/(K·L)² with the theoretical K; the critical loads
+    // converge with h⁴ and use a finer mesh
+    Object.keys(calculator.effectiveLengthFactors).filter(beamType => beamType !== 'continuous').forEach(beamType => {
+        it(`critical load of a ${beamType} beam`, () => {
+            const buckling = calculator.analyzeBuckling({ beamType, L, E, I, A: 1e-3, numPoints: 100 });
+            assertClose(buckling.criticalLoad, buckling.eulerLoad, 'critical load');
+        });
+    });
+
+    it('midspan moment of a simply supported beam-column (secant formula)', () => {
+        // M = (qEI/P)(sec(u) - 1), u = (L/2)√(P/EI)
+        const q = 1000, P = 0.5 * Math.PI * Math.PI * E * I / (L * L);
+        const result = calculator.analyze({ beamType: 'simply-supported', L, E, I, loads: [{ type: 'distributed', magnitude: q, position: 0 }], numPoints, axialLoad: P });
+        const u = (L / 2) * Math.sqrt(P / (E * I));
+
+        assertClose(result.moment[numPoints / 2], (q * E * I / P) * (1 / Math.cos(u) - 1), 'moment');
+    });
+});
+
+describe('natural frequencies', () => {
+    // Tabulated (βL)² values, f = (βL)²/(2πL²)·√(EI/m)
+    const massPerLength = 10;
+
+    Object.entries(calculator.frequencyParameters).forEach(([beamType, parameters]) => {
+        it(`${beamType} beam`, () => {
+            const { modes } = calculator.analyzeModes({ beamType, L, E, I, massPerLength, numPoints: 100 }, parameters.length);
+
+            parameters.forEach((p, i) => {
+                assertClose(modes[i].frequency, p / (2 * Math.PI * L * L) * Math.sqrt(E * I / massPerLength), `mode ${i + 1}`);
+            });
+        });
+    });
+});
+
+describe('beam on elastic foundation', () => {
+    it('point load at the middle of a long free beam', () => {
+        // βL = 20: w = Pβ/(2k) and M = P/(4β) of the infinite beam with β = (k/(4EI))^¼
+        const foundation = { modulus: 50e6, width: 0.5 };
+        const k = foundation.modulus * foundation.width;
+        const beta = Math.pow(k / (4 * E * I), 0.25);
+        const span = 20 / beta;
+        const result = calculator.analyze({
+            beamType: 'elastic-foundation', L: span, E, I, foundation, numPoints: 200,
+            loads: [{ type: 'point', magnitude: 1000, position: span / 2 }]
+        });
+
+        assertClose(result.deflection[100], 1000 * beta / (2 * k), 'deflection');
+        assertClose(result.moment[100], 1000 / (4 * beta), 'moment');
+    });
+});
+
+describe('support movements', () => {
+    it('settlement of one end of a fixed-fixed beam', () => {
+        // End moments ∓6EIΔ/L² and shear 12EIΔ/L³
+        const settlement = 0.01;
+        const result = calculator.analyze({
+            beamType: 'fixed-fixed', L, E, I, loads: [], numPoints,
+            supports: [{ position: 0, type: 'fixed' }, { position: L, type: 'fixed', settlement }]
+        });
+
+        assertClose(result.moment[0], -6 * E * I * settlement / (L * L), 'moment');
+        assertClose(result.shear[numPoints / 2], 12 * E * I * settlement / (L * L * L), 'shear');
+    });
+
+    it('rotational springs of a uniformly loaded beam', () => {
+        // kr = 2EI/L halves the fixed-end moments qL²/12
+        const q = 1000, kr = 2 * E * I / L;
+        const result = calculator.analyze({
+            beamType: 'simply-supported', L, E, I, loads: [{ type: 'distributed', magnitude: q, position: 0 }], numPoints,
+            supports: [{ position: 0, type: 'pin', kr }, { position: L, type: 'roller', kr }]
+        });
+
+        assertClose(result.moment[0], -q * L * L / 24, 'moment');
+    });
+});
+
+describe('non-prismatic cantilevers', () => {
+    const material = calculator.materials.steel;
+    const base = new CrossSection('rectangle', { b: 0.1, h: 0.2 });
+    const tip = { type: 'point', magnitude: 1000, position: L };
+    const uniform = { type: 'distributed', magnitude: 1000, position: 0 };
+
+    it('tip deflection of a step at L/2', () => {
+        // ∫M·m/EI dx = P/(3EI₁)(L³ - (L - a)³) + P(L - a)³/(3EI₂)
+        const stepped = new CrossSection('rectangle', { b: 0.1, h: 0.12 });
+        const result = calculator.analyze({
+            beamType: 'cantilever', L, E, I: base.I, section: base, material, loads: [tip], numPoints,
+            segments: [{ start: L / 2, end: L, section: stepped }]
+        });
+        const expected = 1000 / (3 * E * base.I) * (L ** 3 - (L / 2) ** 3) + 1000 * (L / 2) ** 3 / (3 * E * stepped.I);
+
+        assertClose(result.deflection[numPoints], expected, 'deflection');
+    });
+
+    // Linear taper of the depth from 0.2 to 0.1 m, integrated with
+    // Simpson's rule on a fine grid
+    const tapered = [{ start: 0, end: L, section: base, endSection: new CrossSection('rectangle', { b: 0.1, h: 0.1 }) }];
+    const stiffness = (x) => E * 0.1 * (0.2 - 0.1 * x / L) ** 3 / 12;
+    const simpson = (f, n = 2000) => {
+        let sum = f(0) + f(L);
+        for (let j = 1; j < n; j++) sum += (j % 2 ? 4 : 2) * f(j * L / n);
+        return sum * L / (3 * n);
+    };
+
+    [
+        { load: tip, moment: (x) => 1000 * (L - x) },
+        { load: uniform, moment: (x) => 1000 * (L - x) * (L - x) / 2 }
+    ].forEach(({ load, moment }) => {
+        it(`tip deflection of a tapered beam under a ${load.type} load`, () => {
+            const result = calculator.analyze({ beamType: 'cantilever', L, E, I: base.I, section: base, material, loads: [load], numPoints, segments: tapered });
+
+            assertClose(result.deflection[numPoints], simpson(x => moment(x) * (L - x) / stiffness(x)), 'deflection');
+        });
+    });
+});
+
+describe('time-history analysis', () => {
+    const section = new CrossSection('rectangle', { b: 0.1, h: 0.2 });
+    const params = { beamType: 'simply-supported', L, E, I: section.I, section, material: calculator.materials.steel, loads: [], numPoints };
+
+    it('rejects a duration that needs more than maxTimeSteps steps', () => {
+        // 20 steps per period of a 50 Hz load over 10 s are 10000 steps
+        const load = { type: 'harmonic', magnitude: 1000, frequency: 50, position: L / 2 };
+
+        assert.throws(() => calculator.analyzeTimeHistory(params, load, { duration: 10 }), /needs \d+ time steps.*limit of 5000/);
+    });
+
+    it('resolves a harmonic load below resonance', () => {
+        // Far below the fundamental frequency the peak approaches the
+        // static midspan deflection PL³/(48EI)
+        const load = { type: 'harmonic', magnitude: 1000, frequency: 2, position: L / 2 };
+        const history = calculator.analyzeTimeHistory(params, load, { duration: 0.25, dampingRatio: 0.05 });
+        const expected = 1000 * L ** 3 / (48 * E * section.I);
+
+        assert.ok(history.t.length - 1 <= calculator.maxTimeSteps);
+        assert.ok(Math.abs(history.peak.deflection.value / expected - 1) < 0.05, `peak ${history.peak.deflection.value} instead of about ${expected}`);
+    });
+});
+
+describe('moving loads', () => {
+    const P = 1000;
+    const axle = [{ load: P, offset: 0 }];
+    const base = { L, E, I, loads: [], numPoints };
+
+    it('shear envelope of a simply supported beam', () => {
+        // V just right of x is P(1 - x/L) with the axle just right of it,
+        // -P·x/L with the axle just left of it; P at the supports
+        const { x, envelope, influence } = calculator.analyzeMovingLoad({ ...base, beamType: 'simply-supported' }, axle);
+
+        assertClose(envelope.maxShear[0], P, 'shear at the left support');
+        assertClose(envelope.minShear[numPoints], -P, 'shear at the right support');
+        x.slice(1, -1).forEach((xi, i) => {
+            assertClose(envelope.maxShear[i + 1], P * (1 - xi / L), `maximum shear at x = ${xi}`);
+            assertClose(envelope.minShear[i + 1], -P * xi / L, `minimum shear at x = ${xi}`);
+        });
+
+        // A unit load on a station lies between the two cuts
+        assertClose(influence.shear[5][5] - influence.shearRight[5][5], 1, 'jump of the shear under the load');
+    });
+
+    it('shear on both sides of the interior support of a two-span beam', () => {
+        // The axle just left of the support gives -P left of it, just
+        // right of it +P right of it
+        const supports = calculator.getSupports('continuous', L, [L / 2]);
+        const { envelope } = calculator.analyzeMovingLoad({ ...base, beamType: 'continuous', supports }, axle);
+
+        assertClose(envelope.maxShear[numPoints / 2], P, 'maximum shear');
+        assertClose(envelope.minShear[numPoints / 2], -P, 'minimum shear');
+    });
+});
+
+describe('plastic collapse', () => {
+    // Rectangular steel section: Mp = fy·b·h²/4
+    const section = new CrossSection('rectangle', { b: 0.1, h: 0.2 });
+    const material = calculator.materials.steel;
+    const Mp = material.fy * 0.1 * 0.2 * 0.2 / 4;
+    const q = 10000, P = 10000;
+    const propped = [{ position: 0, type: 'fixed' }, { position: L, type: 'roller' }];
+    const analyze = (params) => calculator.analyzePlastic({ L, E: material.E, I: section.I, section, material, numPoints, ...params });
+
+    it('fixed-fixed beam under a uniform load', () => {
+        // Hinges at both ends at λ = 12Mp/(qL²), then at midspan at the
+        // collapse load factor λc = 16Mp/(qL²)
+        const plastic = analyze({ beamType: 'fixed-fixed', loads: [{ type: 'distributed', magnitude: q, position: 0 }] });
+        const [left, right, middle] = plastic.hinges;
+
+        assert.ok(plastic.mechanism);
+        assert.equal(plastic.hinges.length, 3);
+        assertClose(plastic.collapseLoadFactor, 16 * Mp / (q * L * L), 'collapse load factor');
+        assert.deepEqual([left.position, left.sign, right.position, right.sign], [0, 'hogging', L, 'hogging']);
+        assertClose(left.loadFactor, 12 * Mp / (q * L * L), 'first hinges');
+        assertClose(right.loadFactor, left.loadFactor, 'hinges at both ends');
+        assert.deepEqual([middle.position, middle.sign], [L / 2, 'sagging']);
+    });
+
+    it('propped cantilever under a central point load', () => {
+        // Elastic fixed-end moment 3PL/16 > 5PL/32 at the load: the fixed
+        // end yields at λ = 16Mp/(3PL) and the beam collapses with the
+        // hinge under the load at λc = 6Mp/(PL)
+        const plastic = analyze({ beamType: 'simply-supported', supports: propped, loads: [{ type: 'point', magnitude: P, position: L / 2 }] });
+        const [support, span] = plastic.hinges;
+
+        assert.equal(plastic.hinges.length, 2);
+        assert.deepEqual([support.position, support.sign, span.position, span.sign], [0, 'hogging', L / 2, 'sagging']);
+        assertClose(support.loadFactor, 16 * Mp / (3 * P * L), 'first hinge');
+        assertClose(plastic.collapseLoadFactor, 6 * Mp / (P * L), 'collapse load factor');
+    });
+
+    it('propped cantilever under a uniform load', () => {
+        // λc = (6 + 4√2)Mp/(qL²) with the span hinge at (2 - √2)L from the
+        // fixed end; the hinges form at nodes, so λc is approached from above
+        const plastic = analyze({ beamType: 'simply-supported', supports: propped, numPoints: 100, loads: [{ type: 'distributed', magnitude: q, position: 0 }] });
+        const [support, span] = plastic.hinges;
+        const expected = (6 + 4 * Math.SQRT2) * Mp / (q * L * L);
+
+        assert.equal(support.position, 0);
+        assertClose(support.loadFactor, 8 * Mp / (q * L * L), 'first hinge');
+        assert.ok(Math.abs(span.position - (2 - Math.SQRT2) * L) <= L / 100, `span hinge at ${span.position}`);
+        assert.ok(plastic.collapseLoadFactor >= expected * (1 - tolerance) && plastic.collapseLoadFactor <= expected * 1.001,
+            `collapse load factor ${plastic.collapseLoadFactor} instead of ${expected}`);
+    });
+});
+
+describe('inclined and eccentric loads', () => {
+    // Rectangle 100 × 200 mm: I about the strong axis, Iz about the weak axis
+    const section = new CrossSection('rectangle', { b: 0.1, h: 0.2 });
+    const material = calculator.materials.steel;
+    const P = 1000, e = 0.05, mid = numPoints / 2;
+    const analyze = (params) => calculator.analyze({ L, E: material.E, G: material.G, I: section.I, section, material, numPoints, ...params });
+
+    it('splits an inclined load into bending about both axes', () => {
+        // 30° from the vertical toward +z: P·cosθ in the plane of the beam,
+        // P·sinθ about the weak axis, δ = PL³/(48EI) and M = PL/4 for each
+        const angle = 30, c = Math.cos(Math.PI / 6), s = Math.sin(Math.PI / 6);
+        const results = analyze({ beamType: 'simply-supported', loads: [{ type: 'point', magnitude: P, position: L / 2, angle }] });
+
+        assertClose(results.deflection[mid], P * c * L ** 3 / (48 * material.E * section.I), 'in-plane deflection');
+        assertClose(results.lateral.deflection[mid], P * s * L ** 3 / (48 * material.E * section.Iz), 'weak-axis deflection');
+        assertClose(results.lateral.moment[mid], P * s * L / 4, 'weak-axis moment');
+        assert.equal(results.torsion, null);
+
+        // Biaxial bending: the corner in tension from both moments carries
+        // σ = My/Wy + Mz/Wz
+        const sigma = Math.max(...calculator.getCornerStresses(results, section, mid).map(corner => corner.sigma));
+        assertClose(sigma, P * c * L / 4 / (0.1 * 0.2 ** 2 / 6) + P * s * L / 4 / (0.2 * 0.1 ** 2 / 6), 'corner stress');
+    });
+
+    it('twists a cantilever under an eccentric tip load', () => {
+        // T = P·e over the whole length, φ = TL/(GJ) at the tip
+        const results = analyze({ beamType: 'cantilever', loads: [{ type: 'point', magnitude: P, position: L, eccentricity: e }] });
+
+        assert.equal(results.lateral, null);
+        results.torsion.torque.forEach(torque => assertClose(torque, P * e, 'torque'));
+        assertClose(results.torsion.reactions[0].torque, -P * e, 'support torque');
+        assertClose(results.torsion.twist[numPoints], P * e * L / (material.G * section.J), 'tip twist');
+    });
+
+    it('shares the torque of an inclined eccentric load between two supports', () => {
+        // Only the in-plane part P·cosθ acts at the eccentricity: T = ±P·cosθ·e/2
+        const c = Math.cos(Math.PI / 4);
+        const results = analyze({ beamType: 'simply-supported', loads: [{ type: 'point', magnitude: P, position: L / 2, angle: 45, eccentricity: e }] });
+        const T = P * c * e / 2;
+
+        assertClose(results.torsion.torque[mid / 2], T, 'torque left of the load');
+        assertClose(results.torsion.torque[mid + mid / 2], -T, 'torque right of the load');
+        results.torsion.reactions.forEach(reaction => assertClose(reaction.torque, -T, `support torque at ${reaction.position}`));
+        assertClose(results.torsion.twist[mid], T * (L / 2) / (material.G * section.J), 'twist under the load');
+        assertClose(results.lateral.deflection[mid], P * c * L ** 3 / (48 * material.E * section.Iz), 'weak-axis deflection');
+    });
+});
+
+describe('large deflections (co-rotational)', () => {
+    // Slender steel strip 50 × 20 mm, so that the axial stretch stays
+    // negligible as for the inextensible elastica
+    const section = new CrossSection('rectangle', { b: 0.05, h: 0.02 });
+    const material = calculator.materials.steel;
+    const EI = material.E * section.I;
+    const base = { L, E: material.E, I: section.I, section, material, numPoints };
+
+    // Elastica of a cantilever under a vertical tip load P: tip deflection
+    // v, shortening u and rotation θ for PL²/EI (Mattiasson, 1981)
+    [
+        [1, 0.30172, 0.05643, 0.46135],
+        [2, 0.49346, 0.16064, 0.78175],
+        [5, 0.71379, 0.38763, 1.21537],
+        [10, 0.81061, 0.55500, 1.43029]
+    ].forEach(([ratio, v, u, theta]) => {
+        it(`cantilever tip load PL²/EI = ${ratio} against the elastica`, () => {
+            const P = ratio * EI / (L * L);
+            const results = calculator.analyzeLargeDeflection({ ...base, beamType: 'cantilever', loads: [{ type: 'point', magnitude: P, position: L }] });
+            const assertNear = (actual, expected, message) =>
+                assert.ok(Math.abs(actual - expected) <= 1e-3 * expected, `${message}: ${actual} instead of ${expected}`);
+
+            assertNear(results.deflection[numPoints] / L, v, 'tip deflection v/L');
+            assertNear(-results.horizontal[numPoints] / L, u, 'tip shortening u/L');
+            assertNear(results.slope[numPoints], theta, 'tip rotation');
+            // The load keeps its direction, so the fixed-end moment is P
+            // times the deflected lever arm L - u
+            assertClose(-results.moment[0], P * (L + results.horizontal[numPoints]), 'fixed-end moment');
+        });
+    });
+
+    it('reproduces the linear result under small loads', () => {
+        const P = 1e-4 * EI / (L * L);
+        const params = {
+            ...base,
+            beamType: 'simply-supported',
+            loads: [{ type: 'point', magnitude: P, position: 0.7 }, { type: 'distributed', magnitude: P / L, position: 0 }]
+        };
+        const results = calculator.analyzeLargeDeflection(params, 1);
+        const linear = calculator.analyze(params);
+
+        ['deflection', 'slope', 'moment', 'shear'].forEach(quantity => {
+            const scale = Math.max(...linear[quantity].map(Math.abs));
+            results[quantity].forEach((value, i) => {
+                const expected = linear[quantity][i];
+                assert.ok(Math.abs(value - expected) <= tolerance * scale, `${quantity} at x = ${results.x[i]}: ${value} instead of ${expected}`);
+            });
+        });
+        results.reactions.forEach((reaction, i) => assertClose(reaction.force, linear.reactions[i].force, `reaction at ${reaction.position}`));
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * The calculation report shows user text (project title, engineer, load
+ * case and material names) as text: markup in it must not become
+ * elements or attributes of the report.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/load-scripts');
+
+const window = createWindow(['js/calculation-report.js']);
+const { CalculationReport } = window;
+
+const name = '"><img src=x onerror="window.attacked = true"><script>window.attacked = true</script>';
+
+/**
+ * The report as a document, with the sections the app puts user text in
+ */
+function renderReport(header) {
+    const html = new CalculationReport(header).render([
+        { title: `Material Properties – ${name}`, rows: [['Material', name]] },
+        { title: 'Loads', table: { head: ['#', 'Type', 'Load Case'], rows: [['1', 'Point', name]] } },
+        { title: 'Formulas', formulas: [{ name, formula: 'M = PL/4', description: name }] },
+        { title: 'Diagrams', images: [{ src: 'data:image/png;base64,AAAA', caption: name }] },
+        { title: 'Notes', notes: [name] }
+    ]);
+    return { html, document: new window.DOMParser().parseFromString(html, 'text/html') };
+}
+
+describe('CalculationReport', () => {
+    it('escapes the project title and the engineer', () => {
+        const { document } = renderReport({ title: name, engineer: name, date: '2026-10-19' });
+        const meta = [...document.querySelectorAll('.meta span')].map(span => span.textContent);
+
+        assert.equal(document.title, `${name} – Calculation Report`);
+        assert.equal(document.querySelector('h1').textContent, name);
+        assert.deepEqual(meta, [`Project: ${name}`, `Engineer: ${name}`, 'Date: 2026-10-19']);
+    });
+
+    it('escapes load case and material names in the sections', () => {
+        const { document } = renderReport({ title: 'Beam', engineer: '' });
+
+        assert.equal(document.querySelectorAll('section h2')[0].textContent, `Material Properties – ${name}`);
+        assert.equal(document.querySelector('.rows td').textContent, name);
+        assert.equal(document.querySelectorAll('section')[1].querySelectorAll('td')[2].textContent, name);
+        assert.equal(document.querySelector('figcaption').textContent, name);
+        assert.equal(document.querySelector('figure img').getAttribute('alt'), name);
+        assert.equal(document.querySelectorAll('section')[4].querySelector('p').textContent, name);
+    });
+
+    it('adds no elements or event handlers from user text', () => {
+        const { html, document } = renderReport({ title: name, engineer: name });
+
+        assert.equal(document.querySelectorAll('img').length, 1, 'only the diagram image');
+        assert.equal(document.querySelectorAll('script').length, 0);
+        assert.equal(document.querySelectorAll('[onerror]').length, 0);
+        assert.ok(!html.includes('<img src=x'));
+        assert.ok(html.includes('&quot;&gt;&lt;img src=x onerror=&quot;window.attacked = true&quot;&gt;'));
+    });
+});
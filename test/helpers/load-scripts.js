@@ -0,0 +1,50 @@
+/**
+ * Load browser scripts of js/ into a fresh context for the tests
+ *
+ * The scripts export their classes as window.X; the context is its own
+ * window, so they come back as properties of the returned object. UI
+ * components run in a jsdom window instead (createWindow).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+
+// The calculation engine and what it needs, in the order of index.html
+const engineScripts = [
+    'js/linear-algebra.js',
+    'js/fe-solver.js',
+    'js/corotational-solver.js',
+    'js/cross-section.js',
+    'js/section-catalogue.js',
+    'js/beam-segments.js',
+    'js/load-combinations.js',
+    'js/beam-calculator.js'
+];
+
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ ...globals });
+    context.window = context;
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * jsdom window with the given body markup and scripts
+ */
+function createWindow(files, body = '') {
+    const { JSDOM } = require('jsdom');
+    const { window } = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, { runScripts: 'outside-only' });
+
+    files.forEach(file => {
+        window.eval(`${fs.readFileSync(path.join(root, file), 'utf8')}\n//# sourceURL=${file}`);
+    });
+    return window;
+}
+
+module.exports = { root, engineScripts, loadScripts, createWindow };
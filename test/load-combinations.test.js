@@ -0,0 +1,146 @@
+/**
+ * Combination rules of EN 1990 and ASCE 7, and the combination envelope
+ * of BeamCalculator with and without superposition of the load cases.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engineScripts, loadScripts } = require('./helpers/load-scripts');
+
+const { BeamCalculator, LoadCombinations } = loadScripts(engineScripts);
+const calculator = new BeamCalculator();
+
+const cases = [
+    { id: 'dead', name: 'Dead load', category: 'permanent' },
+    { id: 'live', name: 'Live load', category: 'imposed' },
+    { id: 'snow', name: 'Snow', category: 'snow' },
+    { id: 'wind', name: 'Wind', category: 'wind' }
+];
+
+const names = (combinations) => Array.from(combinations, ({ name }) => name);
+const find = (combinations, name) => combinations.find(combination => combination.name === name);
+
+describe('LoadCombinations.generate', () => {
+    it('EN 1990 ULS for dead and live load', () => {
+        const combinations = LoadCombinations.generate('en1990-uls', cases.slice(0, 2));
+
+        assert.deepEqual(names(combinations), ['1.35G', '1.35G + 1.5Q', 'G + 1.5Q']);
+        assert.equal(combinations[1].factors.dead, 1.35);
+        assert.equal(combinations[1].factors.live, 1.5);
+        assert.equal(combinations[0].factors.live, 0);
+    });
+
+    it('EN 1990 ULS with every category leading in turn', () => {
+        // γG = 1.35 or 1.0, γQ = 1.5, accompanying actions at ψ0·γQ with
+        // ψ0 = 0.7 (imposed), 0.5 (snow) and 0.6 (wind)
+        const combinations = LoadCombinations.generate('en1990-uls', cases);
+        const snowLeading = find(combinations, '1.35G + 1.05Q + 1.5S + 0.9W');
+
+        assert.equal(combinations.length, 25);
+        assert.equal(snowLeading.factors.dead, 1.35);
+        assert.ok(Math.abs(snowLeading.factors.live - 1.05) < 1e-12);
+        assert.equal(snowLeading.factors.snow, 1.5);
+        assert.ok(Math.abs(snowLeading.factors.wind - 0.9) < 1e-12);
+        assert.ok(find(combinations, 'G + 1.5W'), 'favourable permanent action with wind leading');
+        combinations.forEach(({ name, factors }) => {
+            assert.ok([1.35, 1].includes(factors.dead), `${name}: permanent factor`);
+        });
+    });
+
+    it('EN 1990 SLS characteristic', () => {
+        const combinations = LoadCombinations.generate('en1990-sls', cases);
+        const windLeading = find(combinations, 'G + 0.7Q + 0.5S + W');
+
+        assert.equal(combinations.length, 13);
+        assert.deepEqual([windLeading.factors.dead, windLeading.factors.live, windLeading.factors.snow, windLeading.factors.wind], [1, 0.7, 0.5, 1]);
+    });
+
+    it('ASCE 7 LRFD', () => {
+        assert.deepEqual(names(LoadCombinations.generate('asce7-lrfd', cases.slice(0, 2))), ['1.4D', '1.2D + 1.6L']);
+
+        const combinations = LoadCombinations.generate('asce7-lrfd', cases);
+        const wind = find(combinations, '1.2D + W + L + 0.5S');
+        assert.deepEqual([wind.factors.dead, wind.factors.live, wind.factors.snow, wind.factors.wind], [1.2, 1, 0.5, 1]);
+        assert.equal(find(combinations, '0.9D + W').factors.dead, 0.9);
+    });
+
+    it('ASCE 7 ASD lists duplicate factor sets once', () => {
+        const combinations = LoadCombinations.generate('asce7-asd', cases);
+
+        assert.equal(combinations.length, new Set(names(combinations)).size);
+        assert.deepEqual(names(combinations).slice(0, 4), ['D', 'D + L', 'D + S', 'D + 0.75L + 0.75S']);
+    });
+
+    it('factors every load case of a category alike', () => {
+        const [combination] = LoadCombinations.generate('en1990-uls', [...cases.slice(0, 1), { id: 'finishes', name: 'Finishes', category: 'permanent' }]);
+
+        assert.equal(combination.name, '1.35G');
+        assert.equal(combination.factors.dead, 1.35);
+        assert.equal(combination.factors.finishes, 1.35);
+    });
+});
+
+describe('BeamCalculator.analyzeCombinations', () => {
+    const L = 4;
+    const params = {
+        beamType: 'continuous', L, E: 200e9, I: 2e-5, A: 5e-3, alpha: 12e-6, h: 0.2, numPoints: 20,
+        supports: [{ position: 0, type: 'pin' }, { position: L / 2, type: 'roller', settlement: 0.002 }, { position: L, type: 'roller' }],
+        loads: [
+            { type: 'distributed', magnitude: 2000, position: 0, loadCase: 'dead' },
+            { type: 'point', magnitude: 10000, position: 1, loadCase: 'live' },
+            { type: 'point', magnitude: 4000, position: 3, loadCase: 'snow' }
+        ]
+    };
+    const combinations = LoadCombinations.generate('en1990-uls', cases.slice(0, 3));
+
+    // Reference: a full analysis of every combination with the factored loads
+    const analyzeEach = (p) => combinations.map(({ factors }) => calculator.analyze({
+        ...p,
+        loads: p.loads.filter(load => factors[load.loadCase]).map(load => calculator.factorLoad(load, factors[load.loadCase]))
+    }));
+    const assertSame = (actual, expected) => {
+        const scale = Math.max(...expected.map(Math.abs));
+        actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= scale * 1e-9, `${value} instead of ${expected[i]}`));
+    };
+
+    it('superposes the load cases with the settlement and the axial load unfactored', () => {
+        const p = { ...params, axialLoad: 50000 };
+        const { results } = calculator.analyzeCombinations(p, combinations);
+
+        assert.ok(calculator.superposesCombinations(p));
+        analyzeEach(p).forEach((reference, k) => {
+            ['deflection', 'moment', 'shear'].forEach(quantity => assertSame(results[k][quantity], reference[quantity]));
+            assertSame(results[k].reactions.map(({ force }) => force), reference.reactions.map(({ force }) => force));
+        });
+    });
+
+    it('envelopes the combinations with the governing one at every station', () => {
+        const { results, envelope, governing, peaks } = calculator.analyzeCombinations(params, combinations);
+
+        results[0].x.forEach((_, i) => {
+            const moments = results.map(result => result.moment[i]);
+            assert.equal(envelope.maxMoment[i], Math.max(...moments));
+            assert.equal(envelope.minMoment[i], Math.min(...moments));
+            assert.equal(results[governing.maxMoment[i]].moment[i], envelope.maxMoment[i]);
+        });
+        assert.equal(peaks.maxMoment.value, Math.max(...envelope.maxMoment));
+        const deflections = results.map(result => Math.max(...result.deflection));
+        assert.equal(peaks.maxDeflection.combination, deflections.indexOf(Math.max(...deflections)));
+    });
+
+    it('analyses every combination when a restrained temperature change makes it nonlinear', () => {
+        const p = {
+            ...params,
+            beamType: 'fixed-fixed',
+            supports: undefined,
+            loads: [...params.loads, { type: 'thermal', uniform: -20, gradient: 0, loadCase: 'live' }]
+        };
+        const { results } = calculator.analyzeCombinations(p, combinations);
+
+        assert.equal(calculator.superposesCombinations(p), false);
+        analyzeEach(p).forEach((reference, k) => {
+            assert.equal(results[k].axialLoad, reference.axialLoad);
+            assertSame(results[k].moment, reference.moment);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * User materials: saved ones persist in storage, those of opened
+ * projects stay in memory until they are kept.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { MaterialLibrary } = loadScripts(['js/material-library.js']);
+
+/**
+ * In-memory Storage that counts its writes
+ */
+function createStorage(items = {}) {
+    return {
+        items: { ...items },
+        writes: 0,
+        getItem(key) {
+            return key in this.items ? this.items[key] : null;
+        },
+        setItem(key, value) {
+            this.items[key] = value;
+            this.writes++;
+        }
+    };
+}
+
+const builtIn = { steel: { name: 'Steel', E: 200e9, nu: 0.3, density: 7850, fy: 235e6, fu: 360e6, alpha: 12e-6 } };
+const glulam = { name: 'Glulam', E: 11.5e9, nu: 0.3, density: 480, fy: 24e6, fu: 30e6, alpha: 5e-6 };
+
+describe('MaterialLibrary', () => {
+    let storage, library;
+
+    beforeEach(() => {
+        storage = createStorage();
+        library = new MaterialLibrary(builtIn, storage);
+    });
+
+    it('saves added materials to storage', () => {
+        const key = library.add(glulam);
+
+        assert.equal(storage.writes, 1);
+        assert.ok(library.isSaved(key));
+        assert.equal(new MaterialLibrary(builtIn, storage).get(key).name, 'Glulam');
+    });
+
+    it('keeps materials of opened projects in memory only', () => {
+        const key = library.findOrImport(glulam);
+
+        assert.equal(storage.writes, 0);
+        assert.equal(library.get(key).name, 'Glulam');
+        assert.ok(library.isCustom(key));
+        assert.ok(!library.isSaved(key));
+        assert.equal(library.getAll().find(m => m.key === key).saved, false);
+        assert.equal(new MaterialLibrary(builtIn, storage).get(key), null);
+    });
+
+    it('maps a project material to the entry with the same properties', () => {
+        const saved = library.add(glulam);
+
+        assert.equal(library.findOrImport({ ...glulam }), saved);
+        assert.equal(library.findOrImport(builtIn.steel), 'steel');
+        assert.equal(Object.keys(library.unsaved).length, 0);
+    });
+
+    it('saves an unsaved material when it is kept', () => {
+        const key = library.findOrImport(glulam);
+        library.keep(key);
+
+        assert.equal(storage.writes, 1);
+        assert.ok(library.isSaved(key));
+        assert.equal(new MaterialLibrary(builtIn, storage).get(key).name, 'Glulam');
+    });
+
+    it('removes an unsaved material without touching storage', () => {
+        const key = library.findOrImport(glulam);
+        library.remove(key);
+
+        assert.equal(storage.writes, 0);
+        assert.equal(library.get(key), null);
+    });
+
+    it('rejects invalid project materials', () => {
+        assert.throws(() => library.findOrImport({ ...glulam, fu: 1e6 }), /Ultimate strength/);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Validation of opened projects: names, load case ids and material keys
+ * and the references between load cases, combinations and loads.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { ProjectFile } = loadScripts(['js/material-library.js', 'js/cross-section.js', 'js/load-combinations.js', 'js/project-file.js']);
+
+const glulam = { name: 'Glulam', E: 11.5e9, nu: 0.3, density: 480, fy: 24e6, fu: 30e6, alpha: 5e-6 };
+
+/**
+ * A small valid project; change() edits a copy of it
+ */
+function createProject(change = () => {}) {
+    const project = {
+        format: ProjectFile.format,
+        version: ProjectFile.version,
+        beam: { type: 'simply-supported', length: 4, theory: 'euler-bernoulli' },
+        section: { shape: 'rectangle', dims: { b: 0.1, h: 0.2 }, designation: '' },
+        material: { key: 'user-glulam', custom: { ...glulam, name: '' }, record: { ...glulam } },
+        materials: { 'user-glulam': { ...glulam } },
+        segments: [],
+        loads: {
+            list: [{ type: 'point', magnitude: 10, position: 1, loadCase: 'live' }],
+            selfWeight: true,
+            axialLoad: 0,
+            cases: [
+                { id: 'dead', name: 'Dead load', category: 'permanent' },
+                { id: 'live', name: 'Live load', category: 'imposed' }
+            ],
+            combinations: [{ name: 'ULS', factors: { dead: 1.35, live: 1.5 } }]
+        }
+    };
+    change(project);
+    return project;
+}
+
+const read = (change) => ProjectFile.read(JSON.parse(JSON.stringify(createProject(change))));
+
+describe('ProjectFile.validate', () => {
+    it('reads a valid project', () => {
+        assert.equal(read().loads.cases.length, 2);
+    });
+
+    describe('names', () => {
+        [
+            ['an empty load case name', p => { p.loads.cases[0].name = '  '; }, /loads\.cases\[0\]\.name must not be empty/],
+            ['a load case name over the length limit', p => { p.loads.cases[1].name = 'x'.repeat(101); }, /loads\.cases\[1\]\.name must not be longer than 100 characters/],
+            ['a combination name with a line break', p => { p.loads.combinations[0].name = 'ULS\nSLS'; }, /loads\.combinations\[0\]\.name must not contain control characters/],
+            ['a load case name that is not text', p => { p.loads.cases[0].name = { html: '<b>' }; }, /loads\.cases\[0\]\.name must be text/],
+            ['a material name over the length limit', p => { p.materials['user-glulam'].name = 'x'.repeat(101); }, /materials\.user-glulam\.name must not be longer/]
+        ].forEach(([name, change, error]) => {
+            it(`rejects ${name}`, () => assert.throws(() => read(change), error));
+        });
+
+        it('keeps names with markup as text', () => {
+            const name = '"><img src=x onerror="alert(1)">';
+            assert.equal(read(p => { p.loads.cases[0].name = name; }).loads.cases[0].name, name);
+        });
+    });
+
+    describe('ids and keys', () => {
+        [
+            ['a load case id with markup', p => { p.loads.cases[0].id = '"><img src=x>'; }, /loads\.cases\[0\]\.id must be 1 to 64 letters/],
+            ['an empty load case id', p => { p.loads.cases[0].id = ''; }, /loads\.cases\[0\]\.id must be 1 to 64 letters/],
+            ['a load case id over the length limit', p => { p.loads.cases[0].id = 'a'.repeat(65); }, /loads\.cases\[0\]\.id must be 1 to 64 letters/],
+            ['a load case id used twice', p => { p.loads.cases[1].id = 'dead'; }, /loads\.cases\[1\]\.id "dead" is used twice/],
+            ['a material key with spaces', p => { p.materials['my glulam'] = glulam; }, /materials key must be 1 to 64 letters/],
+            ['a segment material key with markup', p => {
+                p.segments = [{ start: 0, end: 2, material: '<b>', shape: 'rectangle', designation: '', dims: { b: 0.1, h: 0.2 }, tapered: false, endDims: {} }];
+            }, /segments\[0\]\.material must be 1 to 64 letters/]
+        ].forEach(([name, change, error]) => {
+            it(`rejects ${name}`, () => assert.throws(() => read(change), error));
+        });
+
+        it('accepts segments of the beam material (empty key)', () => {
+            const segment = { start: 0, end: 2, material: '', shape: 'rectangle', designation: '', dims: { b: 0.1, h: 0.2 }, tapered: false, endDims: {} };
+            assert.equal(read(p => { p.segments = [segment]; }).segments[0].material, '');
+        });
+    });
+
+    describe('load profiles', () => {
+        const profile = (points) => p => { p.loads.list = [{ type: 'profile', points, loadCase: 'live' }]; };
+
+        it('rejects points out of order', () => {
+            assert.throws(() => read(profile([[0, 1], [3, 2], [2, 0]])), /loads\.list\[0\]\.points\[2\] must not lie before the previous point \(x = 3\): the points must be sorted by x/);
+        });
+
+        it('accepts ascending points and a jump at one x', () => {
+            assert.equal(read(profile([[0, 1], [2, 1], [2, 3], [4, 3]])).loads.list[0].points.length, 4);
+        });
+    });
+
+    describe('references to load cases', () => {
+        it('rejects a combination factor of a missing load case', () => {
+            assert.throws(() => read(p => { p.loads.combinations[0].factors.wind = 1.5; }), /loads\.combinations\[0\]\.factors\.wind is not a load case of loads\.cases/);
+        });
+
+        it('rejects a load of a missing load case', () => {
+            assert.throws(() => read(p => { p.loads.list[0].loadCase = 'snow'; }), /loads\.list\[0\]\.loadCase must be one of dead, live/);
+        });
+
+        it('accepts combinations that leave out load cases', () => {
+            assert.equal(Object.keys(read(p => { p.loads.combinations[0].factors = { dead: 1 }; }).loads.combinations[0].factors).length, 1);
+        });
+    });
+});
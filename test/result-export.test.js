@@ -0,0 +1,176 @@
+/**
+ * Result export: CSV and JSON station tables in the unit systems, the DXF
+ * (R12) and SVG drawings of the diagrams and the resampling of the
+ * results to the chosen number of intervals.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engineScripts, loadScripts } = require('./helpers/load-scripts');
+
+const { BeamCalculator, CrossSection, ResultExport } = loadScripts([...engineScripts, 'js/result-export.js']);
+const calculator = new BeamCalculator();
+
+// Simply supported beam under a uniform load: w = 5qL⁴/(384EI) and
+// M = qL²/8 at midspan, V = ±qL/2 at the supports
+const L = 4, E = 200e9, I = 2e-5, q = 10000, numPoints = 20;
+const params = { beamType: 'simply-supported', L, E, I, numPoints, loads: [{ type: 'distributed', magnitude: q, position: 0 }] };
+const results = calculator.analyze(params);
+const mid = numPoints / 2;
+
+const assertClose = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.abs(expected), `${message}: ${actual} instead of ${expected}`);
+
+describe('ResultExport station tables', () => {
+    it('writes the CSV header with the units of the system', () => {
+        const [engineering] = ResultExport.toCSV(ResultExport.createTable(results)).split('\r\n');
+        const [si] = ResultExport.toCSV(ResultExport.createTable(results, 'si')).split('\r\n');
+        const [us] = ResultExport.toCSV(ResultExport.createTable(results, 'us')).split('\r\n');
+
+        assert.equal(engineering, 'x [m],w [mm],θ [mrad],M [kN·m],V [kN]');
+        assert.equal(si, 'x [m],w [m],θ [rad],M [N·m],V [N]');
+        assert.equal(us, 'x [ft],w [in],θ [rad],M [kip·ft],V [kip]');
+    });
+
+    it('writes a CSV row per station in the units of the header', () => {
+        const lines = ResultExport.toCSV(ResultExport.createTable(results)).split('\r\n');
+        const [x, w, theta, M, V] = lines[1 + mid].split(',').map(Number);
+
+        assert.equal(lines.length, numPoints + 3, 'header, a row per station and the final line break');
+        assert.equal(lines[numPoints + 2], '');
+        assert.equal(x, L / 2);
+        assertClose(w, 5 * q * L ** 4 / (384 * E * I) * 1e3, 'deflection in mm');
+        assert.ok(Math.abs(theta) < 1e-9, 'no slope at midspan');
+        assertClose(M, q * L * L / 8 * 1e-3, 'moment in kN·m');
+        assert.ok(Math.abs(V) < 1e-9, 'no shear at midspan');
+        assertClose(+lines[1].split(',')[4], q * L / 2 * 1e-3, 'support shear in kN');
+    });
+
+    it('converts to US customary units', () => {
+        const { rows } = ResultExport.createTable(results, 'us');
+
+        assertClose(rows[numPoints][0], L / 0.3048, 'length in ft');
+        assertClose(rows[mid][3], q * L * L / 8 / (4448.2216152605 * 0.3048), 'moment in kip·ft');
+    });
+
+    it('writes the JSON units and a record per station after the meta fields', () => {
+        const json = JSON.parse(ResultExport.toJSON(ResultExport.createTable(results), { beamType: 'simply-supported', numPoints }));
+
+        assert.equal(json.beamType, 'simply-supported');
+        assert.equal(json.unitSystem, 'engineering');
+        assert.deepEqual({ ...json.units }, { x: 'm', deflection: 'mm', slope: 'mrad', moment: 'kN·m', shear: 'kN' });
+        assert.equal(json.stations.length, numPoints + 1);
+        assertClose(json.stations[mid].moment, q * L * L / 8 * 1e-3, 'moment in kN·m');
+    });
+
+    it('converts a length along the beam to the x unit of the system', () => {
+        assert.equal(ResultExport.convert(L, 'x', 'si'), L);
+        assertClose(ResultExport.convert(L, 'x', 'us'), L / 0.3048, 'length in ft');
+        assertClose(ResultExport.convert(0.01, 'deflection'), 10, 'deflection in mm');
+    });
+
+    it('rejects an unknown unit system', () => {
+        assert.throws(() => ResultExport.createTable(results, 'imperial'), /Unknown unit system: imperial/);
+        assert.throws(() => ResultExport.convert(L, 'x', 'imperial'), /Unknown unit system: imperial/);
+    });
+});
+
+/**
+ * DXF group codes as [code, value] pairs
+ */
+function readDXF(dxf) {
+    const lines = dxf.split('\r\n');
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([lines[i].trim(), lines[i + 1]]);
+    return pairs;
+}
+
+describe('ResultExport drawings', () => {
+    const table = ResultExport.createTable(results);
+    const diagrams = ['deflection', 'moment', 'shear'].map(key => ResultExport.createDiagram(table, key));
+
+    it('writes the DXF R12 sections and ends with EOF', () => {
+        const dxf = ResultExport.toDXF(diagrams);
+        const pairs = readDXF(dxf);
+        const values = (code, value) => pairs.filter(pair => pair[0] === code && pair[1] === value).length;
+
+        assert.deepEqual(pairs.slice(0, 6).map(pair => pair.join(' ')),
+            ['0 SECTION', '2 HEADER', '9 $ACADVER', '1 AC1009', '0 ENDSEC', '0 SECTION']);
+        assert.deepEqual(pairs[6], ['2', 'ENTITIES']);
+        assert.deepEqual(pairs.slice(-2).map(pair => pair.join(' ')), ['0 ENDSEC', '0 EOF']);
+        assert.ok(dxf.endsWith('EOF\r\n'));
+        assert.equal(values('0', 'SECTION'), 2);
+        assert.equal(values('0', 'ENDSEC'), 2);
+        assert.ok(/^[\x20-\x7e\r\n]*$/.test(dxf), 'plain ASCII');
+    });
+
+    it('draws every DXF diagram as a polyline on its own layer', () => {
+        // Entity types with the layer that follows them
+        const entities = [];
+        readDXF(ResultExport.toDXF(diagrams)).forEach(([code, value]) => {
+            if (code === '0') entities.push({ type: value });
+            if (code === '8') entities[entities.length - 1].layer = value;
+        });
+
+        ['DEFLECTION', 'MOMENT', 'SHEAR'].forEach(layer => {
+            const types = entities.filter(entity => entity.layer === layer).map(({ type }) => type);
+            assert.equal(types.filter(type => type === 'POLYLINE').length, 1, `${layer} polyline`);
+            assert.equal(types.filter(type => type === 'VERTEX').length, numPoints + 1, `${layer} vertices`);
+            assert.equal(types.filter(type => type === 'SEQEND').length, 1, `${layer} end of the polyline`);
+        });
+    });
+
+    it('draws the SVG curves through every station with positive values upwards', () => {
+        const width = 800, height = 220;
+        const svg = ResultExport.toSVG(diagrams, { width, height });
+        const curves = [...svg.matchAll(/<polyline points="([^"]+)"/g)]
+            .map(match => match[1].split(' ').map(point => point.split(',').map(Number)));
+        const [deflection, moment, shear] = curves;
+
+        assert.ok(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg"'));
+        assert.ok(svg.includes(`height="${3 * height}"`));
+        assert.equal(curves.length, 3);
+        curves.forEach(points => {
+            assert.equal(points.length, numPoints + 1);
+            assert.equal(points[0][0], 60);
+            assert.equal(points[numPoints][0], width - 30);
+        });
+        // Peaks at the top of their panel (30 px padding), the shear
+        // from the top of the third panel down to its bottom
+        assert.equal(deflection[mid][1], 30);
+        assert.equal(moment[mid][1], height + 30);
+        assert.deepEqual([shear[0][1], shear[numPoints][1]], [2 * height + 30, 3 * height - 30]);
+        assert.ok(svg.includes('>Bending Moment M [kN·m]</text>'));
+        assert.ok(svg.includes(`>${+(q * L * L / 8e3).toPrecision(4)} kN·m</text>`), 'peak moment label');
+    });
+});
+
+describe('ResultExport resampling', () => {
+    it('limits the number of intervals', () => {
+        assert.deepEqual(['', 'ten', '5', '250', '5000'].map(ResultExport.getIntervals), [100, 100, 10, 250, 2000]);
+    });
+
+    it('keeps results that have the chosen number of intervals', () => {
+        assert.equal(ResultExport.resample(calculator, params, results, numPoints), results);
+    });
+
+    it('reruns the analysis at the chosen number of intervals', () => {
+        const resampled = ResultExport.resample(calculator, params, results, 50);
+        const { rows } = ResultExport.createTable(resampled);
+
+        assert.equal(resampled.x.length, 51);
+        resampled.x.forEach((x, i) => assert.ok(Math.abs(x - i * L / 50) < 1e-12, `station ${i} at ${x}`));
+        assert.equal(rows.length, 51);
+        assertClose(resampled.deflection[25], results.deflection[mid], 'midspan deflection');
+        assert.equal(ResultExport.toCSV(ResultExport.createTable(resampled)).split('\r\n').length, 53);
+    });
+
+    it('reruns a large-deflection analysis with the co-rotational solver', () => {
+        const section = new CrossSection('rectangle', { b: 0.1, h: 0.2 });
+        const large = { ...params, E: calculator.materials.steel.E, I: section.I, section, largeDeflection: true, loadSteps: 2 };
+        const resampled = ResultExport.resample(calculator, large, calculator.analyzeLargeDeflection(large, 2), 40);
+
+        assert.equal(resampled.largeDeflection, true);
+        assert.equal(resampled.x.length, 41);
+    });
+});
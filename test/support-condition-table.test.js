@@ -0,0 +1,62 @@
+/**
+ * Support conditions in SI units: only an empty field leaves a
+ * condition out, and a zero stiffness does not become a rigid support.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/load-scripts');
+
+const supports = [{ position: 0, type: 'fixed' }, { position: 4, type: 'pin' }];
+
+describe('SupportConditionTable.apply', () => {
+    let table;
+
+    beforeEach(() => {
+        const window = createWindow(['js/support-condition-table.js'], '<div id="supportConditionTable"></div>');
+        table = new window.SupportConditionTable('supportConditionTable', () => {});
+    });
+
+    const apply = (conditions) => {
+        table.setConditions(supports, conditions);
+        return table.apply(supports);
+    };
+
+    it('converts the display units to SI', () => {
+        const [fixed, pin] = apply([{ settlement: 5, rotation: 2, kv: 10, kr: 3 }, { kv: 0.5 }]);
+
+        assert.deepEqual([fixed.settlement, fixed.rotation, fixed.kv, fixed.kr], [0.005, 0.002, 1e7, 3e6]);
+        assert.deepEqual([pin.settlement, pin.kv, pin.kr], [undefined, 5e5, undefined]);
+    });
+
+    it('leaves empty fields out as rigid restraints', () => {
+        const [fixed] = apply([{ settlement: null, rotation: null, kv: null, kr: null }]);
+
+        assert.deepEqual([fixed.settlement, fixed.rotation, fixed.kv, fixed.kr], [undefined, undefined, undefined, undefined]);
+    });
+
+    it('rejects a zero translational stiffness', () => {
+        assert.throws(() => apply([{}, { kv: 0 }]), /Support 2: spring stiffness kv must be greater than zero; leave it empty for a rigid support/);
+    });
+
+    it('rejects a zero rotational stiffness of a fixed support', () => {
+        assert.throws(() => apply([{ kr: 0 }]), /Support 1: spring stiffness kr must be greater than zero/);
+    });
+
+    it('keeps a zero rotational stiffness of a pin free and a zero settlement', () => {
+        const [fixed, pin] = apply([{ settlement: 0 }, { kr: 0 }]);
+
+        assert.equal(fixed.settlement, 0);
+        assert.equal(pin.kr, 0);
+    });
+
+    it('reads a typed zero from the stiffness field', () => {
+        table.setConditions(supports, []);
+        const input = table.container.querySelectorAll('[data-field="kv"]')[0];
+        input.value = '0';
+        input.dispatchEvent(new input.ownerDocument.defaultView.Event('input', { bubbles: true }));
+
+        assert.equal(table.getConditions()[0].kv, 0);
+        assert.throws(() => table.apply(supports), /Support 1: spring stiffness kv/);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Editable tables render names from projects and shared links as text:
+ * markup in a load case, combination or material name must not become
+ * elements of the page.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./helpers/load-scripts');
+
+const scripts = [
+    'js/cross-section.js',
+    'js/load-combinations.js',
+    'js/load-table.js',
+    'js/load-case-table.js',
+    'js/combination-table.js',
+    'js/segment-table.js'
+];
+
+const name = '"><img src=x onerror="window.attacked = true">';
+
+describe('names in the editable tables', () => {
+    let window, document, cases;
+
+    beforeEach(() => {
+        window = createWindow(scripts, `
+            <div id="loadCaseTable"></div>
+            <div id="loadTable"></div>
+            <div id="combinationTable"></div>
+            <div id="segmentTable"></div>`);
+        document = window.document;
+        cases = [{ id: `id-${name}`, name, category: 'imposed' }];
+    });
+
+    it('shows a load case name as the value of its input', () => {
+        const table = new window.LoadCaseTable('loadCaseTable', () => {});
+        table.setCases(cases);
+
+        assert.equal(document.querySelectorAll('#loadCaseTable img').length, 0);
+        assert.equal(document.querySelector('#loadCaseTable [data-field="name"]').value, name);
+    });
+
+    it('lists load case names and ids as options of the load rows', () => {
+        const table = new window.LoadTable('loadTable', () => {}, () => 2, () => cases);
+        table.setLoads([{ type: 'point', magnitude: 1000, position: 1, loadCase: cases[0].id }]);
+
+        const select = document.querySelector('#loadTable [data-field="loadCase"]');
+        assert.equal(document.querySelectorAll('#loadTable img').length, 0);
+        assert.equal(select.options[0].text, name);
+        assert.equal(select.value, cases[0].id);
+    });
+
+    it('labels the combination factors with the case names as text', () => {
+        const table = new window.CombinationTable('combinationTable', () => {}, () => cases);
+        table.setCombinations([{ name, factors: { [cases[0].id]: 1.5 } }]);
+
+        const input = document.querySelector('#combinationTable [data-case]');
+        assert.equal(document.querySelectorAll('#combinationTable img').length, 0);
+        assert.equal(document.querySelector('#combinationTable [data-field="name"]').value, name);
+        assert.equal(document.querySelector('#combinationTable .factor-unit').textContent, name);
+        assert.equal(input.dataset.case, cases[0].id);
+        assert.equal(input.value, '1.5');
+    });
+
+    it('keeps the factors of a case id with markup in it', () => {
+        let edits = 0;
+        const table = new window.CombinationTable('combinationTable', () => edits++, () => cases);
+        table.setCombinations([{ name: 'ULS', factors: { [cases[0].id]: 1.5 } }]);
+
+        const input = document.querySelector('#combinationTable [data-case]');
+        input.value = '1.35';
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        assert.equal(edits, 1);
+        assert.equal(table.getCombinations()[0].factors[cases[0].id], 1.35);
+    });
+
+    it('lists material names as options of the segment rows', () => {
+        const table = new window.SegmentTable('segmentTable', () => {}, () => [{ key: 'user-1', label: name }]);
+        table.addSegment(0, 1, { shape: 'rectangle', dims: { b: 0.1, h: 0.2 } });
+        table.segments[0].material = 'user-1';
+        table.render();
+
+        const select = document.querySelector('#segmentTable [data-field="material"]');
+        assert.equal(document.querySelectorAll('#segmentTable img').length, 0);
+        assert.equal(select.options[1].text, name);
+        assert.equal(select.value, 'user-1');
+    });
+});